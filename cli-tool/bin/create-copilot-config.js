@@ -3,7 +3,14 @@
 const { program } = require('commander');  
 const chalk = require('chalk');  
 const boxen = require('boxen');  
-const { createCopilotConfig } = require('../src/index'); 
+const { createCopilotConfig, completeLearningModule, completeLearningExercise } = require('../src/index'); 
+const { showOutdatedComponents, updateProjectComponents } = require('../src/component-updater');
+const { uninstallProjectComponents } = require('../src/component-uninstaller');
+const { showLearningProgress } = require('../src/learning-progress');
+const { showCacheEntries, cleanComponentCache, verifyComponentCache } = require('../src/component-cache');
+const { validateProjectComponents } = require('../src/component-validation');
+const { migrateClaudeProject } = require('../src/claude-migration');
+const { generateSigningKeys, signComponents, verifyComponents } = require('../src/component-integrity');
   
 const pkg = require('../package.json');  
   
@@ -43,6 +50,7 @@ function showBanner() {
   
 program  
   .name('create-copilot-config')  
+  .enablePositionalOptions()
   .description('Setup GitHub Copilot configurations for learning programming')  
   .version(require('../package.json').version)  
   // Opciones básicas (MANTENER)  
@@ -51,6 +59,14 @@ program
   .option('--dry-run', 'show what would be copied without actually copying')  
   .option('--verbose', 'enable verbose logging for debugging and development')  
   .option('--health-check, --health, --check, --verify', 'run comprehensive health check to verify GitHub Copilot setup')  
+  .option('--ci', 'with --health-check: run every check without prompts, spinners or pauses and print a report; exits with code 1 on failures')
+  .option('--json', 'with --health-check: same as --ci, JSON report')
+  .option('--format <format>', 'with --health-check --ci: report format, json or junit (default: json)')
+  .option('-o, --output <file>', 'with --health-check --ci: write the report to a file instead of stdout')
+  .option('--only <categories>', 'with --health-check: comma-separated categories (system, claudeCode, project, copilot, customizations, agents, mcps, commands, hooks)')
+  .option('--fail-on <level>', 'with --health-check --ci: fail on warn or fail results (default: fail)')
+  .option('--fix', 'with --health-check: offer fixes for failed checks (with --yes, apply them all without asking)')
+  .option('--mcp-probe', 'with --health-check: start the configured MCP servers to check that they answer (runs commands from the project config, use only in projects you trust)')
     
   // Opciones de componentes (ADAPTAR)  
   .option('--agent <agent>', 'install specific agent component (supports comma-separated values)')  
@@ -62,8 +78,18 @@ program
   .option('--copilot-instructions <name>', 'install copilot-instructions.md template (always-on instructions)')  
   .option('--workspace-agents <file>', 'install AGENTS.md with workspace-wide agent definitions')  
   .option('--prompt <prompt>', 'install prompt file (slash command)')  
+  .option('--command <command>', 'install prompt files for commands from the web workflow builder (same as --prompt)')  
+  .option('--workflow <workflow>', 'install every component of a workflow: base64 YAML from the web builder, a YAML file, or #hash of a saved workflow')  
   .option('--learning-path <path>', 'install complete learning path')  
-  .option('--level <level>', 'filter by level (beginner, intermediate, advanced)')  
+  .option('--level <level>', 'install learning path modules up to this level (beginner, intermediate, advanced)')  
+  .option('--include-optional', 'also install components a learning path marks as optional')  
+  .option('--source <source>', 'component source: local cli-tool/components checkout, tarball, or mirror URL (env: CCT_COMPONENT_SOURCE)')  
+  .option('--repo <owner/name>', 'GitHub repository to install from, e.g. your fork (authenticated with GITHUB_TOKEN when set)')  
+  .option('--ref <ref>', 'branch, tag or commit SHA to install from (default: main)')  
+  .option('--frozen', 'refuse to install components whose content differs from .github/copilot-templates.lock.json')  
+  .option('--allow-partial', 'keep the components that installed even if others failed (default: change nothing unless all succeed)')  
+  .option('--offline', 'install only from the component cache (~/.copilot-learning-templates/cache), without network access')  
+  .option('--allow-unsafe', 'install components even when the security check finds critical issues')  
     
   // Gestión de agentes globales (MANTENER - útil para estudiantes)  
   .option('--create-agent <agent>', 'create a global agent accessible from anywhere')  
@@ -76,7 +102,9 @@ program
       // Only show banner for non-agent-list commands  
       const isQuietCommand = options.listAgents ||   
                             options.removeAgent ||   
-                            options.updateAgent;  
+                            options.updateAgent ||
+                            options.ci ||
+                            options.json;  
         
       if (!isQuietCommand) {  
         showBanner();  
@@ -89,4 +117,261 @@ program
     }  
   });  
   
+program
+  .command('outdated')
+  .description('list installed components whose source changed since they were installed')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .option('--source <source>', 'compare against this component source instead of the recorded one')
+  .option('--repo <owner/name>', 'compare against this GitHub repository instead of the recorded one')
+  .option('--ref <ref>', 'compare against this branch, tag or commit SHA instead of the recorded one')
+  .option('--offline', 'compare against the component cache without network access')
+  .action(async (options) => {
+    try {
+      await showOutdatedComponents(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('update [names...]')
+  .description('update installed components, merging local edits with upstream changes')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .option('--source <source>', 'update from this component source instead of the recorded one')
+  .option('--repo <owner/name>', 'update from this GitHub repository instead of the recorded one')
+  .option('--ref <ref>', 'update to this branch, tag or commit SHA instead of the recorded one')
+  .option('--dry-run', 'show the diff without writing any files')
+  .option('--force', 'overwrite local edits instead of merging them')
+  .option('--offline', 'update from the component cache without network access')
+  .option('--allow-unsafe', 'apply updates even when the security check finds critical issues')
+  .action(async (names, options) => {
+    try {
+      const { conflicts } = await updateProjectComponents(names, options);
+      if (conflicts > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('uninstall')
+  .description('remove installed project components (comma-separated values supported)')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .option('--agent <agent>', 'agent to remove')
+  .option('--skill <skill>', 'skill to remove')
+  .option('--mcp <mcp>', 'MCP whose servers should be removed from .vscode/mcp.json')
+  .option('--prompt <prompt>', 'prompt file to remove')
+  .option('--instruction <instruction>', 'instruction file to remove')
+  .option('--copilot-instructions <name>', 'remove copilot-instructions.md and restore your previous one')
+  .option('--workspace-agents <file>', 'remove AGENTS.md and restore your previous one')
+  .option('--source <source>', 'component source used to identify components installed before the lockfile existed')
+  .option('--dry-run', 'show what would be removed without removing anything')
+  .option('--force', 'also remove files that were edited after install')
+  .action(async (options) => {
+    try {
+      await uninstallProjectComponents(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('validate [paths...]')
+  .description('validate components (default: .github/ in a project, cli-tool/components in this repository)')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .option('--validators <validators>', 'comma-separated validators to run: structural, integrity, semantic, reference, provenance or configured ones (default: all)')
+  .option('--config <file>', 'validation config file, needed for .cctvalidate.js and validator modules (default: .cctvalidate.json in the project directory)')
+  .option('--strict', 'use strict semantic checks and fail on warnings too')
+  .option('--check-links', 'report dead links (checked live and cached, unless --link-fixtures is given)')
+  .option('--link-list <file>', 'allow/deny list of URL or host patterns, checked before anything else')
+  .option('--link-fixtures <file>', 'recorded link responses to check against instead of the network')
+  .option('--record-links', 'check links missing from --link-fixtures live and save them there')
+  .option('--no-link-cache', 'do not reuse or save live link results')
+  .option('--fix', 'fix structural problems in place: frontmatter skeleton, tools lists, long descriptions, CRLF/BOM')
+  .option('--dry-run', 'with --fix, show the diff without writing any files')
+  .option('--json', 'print the report as JSON (same as --format json)')
+  .option('--format <format>', 'report format: text, json, sarif (code scanning) or junit (default: text)')
+  .option('-o, --output <file>', 'write the report to a file and print the summary')
+  .option('-v, --verbose', 'show each error and warning')
+  .action(async (paths, options) => {
+    try {
+      const { passed } = await validateProjectComponents(paths, options);
+      if (!passed) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('migrate')
+  .description('convert a Claude Code project to the Copilot layout: CLAUDE.md, .claude/commands, .claude/agents and .mcp.json')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .option('--dry-run', 'show what would be written without writing any files')
+  .option('--force', 'replace existing Copilot files and MCP servers (the old files are backed up to <file>.bak)')
+  .action(async (options) => {
+    try {
+      const { failed } = await migrateClaudeProject(options);
+      if (failed.length > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const progress = program
+  .command('progress')
+  .description('track progress through installed learning paths (.github/learning-progress.json)');
+
+progress
+  .command('show [path]', { isDefault: true })
+  .description('show progress per module')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .action(async (pathName, options) => {
+    try {
+      await showLearningProgress(pathName, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+progress
+  .command('complete <module>')
+  .description('mark a module complete and install the modules it unlocks')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .option('--path <path>', 'learning path the module belongs to (when several are installed)')
+  .option('--source <source>', 'component source for newly unlocked modules')
+  .action(async (moduleId, options) => {
+    try {
+      await completeLearningModule(moduleId, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+progress
+  .command('exercise <module> <exercise>')
+  .description('record a finished exercise (the module completes when all its exercises are done)')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .option('--path <path>', 'learning path the module belongs to (when several are installed)')
+  .option('--source <source>', 'component source for newly unlocked modules')
+  .action(async (moduleId, exerciseId, options) => {
+    try {
+      await completeLearningExercise(moduleId, exerciseId, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const cache = program
+  .command('cache')
+  .description('manage the downloaded component cache (~/.copilot-learning-templates/cache, env: CCT_CACHE_DIR); downloads give up after CCT_FETCH_TIMEOUT seconds (default: 60) and use the cached copy');
+
+cache
+  .command('ls')
+  .description('list cached downloads with their size and age')
+  .action(async () => {
+    try {
+      await showCacheEntries();
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+cache
+  .command('clean')
+  .description('remove cached downloads')
+  .option('--expired', 'only remove entries older than the cache TTL (env: CCT_CACHE_TTL, seconds)')
+  .action(async (options) => {
+    try {
+      await cleanComponentCache(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+cache
+  .command('verify')
+  .description('check cached content against its hashes')
+  .action(async () => {
+    try {
+      const { problems } = await verifyComponentCache();
+      if (problems > 0) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+const integrity = program
+  .command('integrity')
+  .description('sign component hashes and verify them (.github/security/component-hashes.json)');
+
+integrity
+  .command('keygen')
+  .description('generate an ed25519 key pair for signing the hash registry')
+  .option('-o, --output <directory>', 'where to write cct-signing.key and cct-signing.pub (default: current directory)')
+  .option('--force', 'replace existing key files')
+  .action(async (options) => {
+    try {
+      await generateSigningKeys(options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+integrity
+  .command('sign [paths...]')
+  .description('record component hashes in the registry and sign it')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .option('--registry <file>', 'hash registry file (default: .github/security/component-hashes.json, env: CCT_HASH_REGISTRY)')
+  .option('--key <file>', 'ed25519 private key (default: env CCT_SIGNING_KEY)')
+  .option('--config <file>', 'validation config file (default: .cctvalidate.json)')
+  .action(async (paths, options) => {
+    try {
+      await signComponents(paths, options);
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+integrity
+  .command('verify [paths...]')
+  .description('report tampered or unsigned components and check the registry signature')
+  .option('-d, --directory <directory>', 'project directory (default: current directory)')
+  .option('--registry <file>', 'hash registry file (default: .github/security/component-hashes.json, env: CCT_HASH_REGISTRY)')
+  .option('--trusted-key <file...>', 'public keys trusted to sign the registry (in addition to .cctvalidate.json)')
+  .option('--config <file>', 'validation config file (default: .cctvalidate.json)')
+  .option('--json', 'print the result as JSON')
+  .option('-v, --verbose', 'list verified files too')
+  .action(async (paths, options) => {
+    try {
+      const { passed } = await verifyComponents(paths, options);
+      if (!passed) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 program.parse(process.argv);
\ No newline at end of file
@@ -0,0 +1,25 @@
+"""Variables, types and conversions - run with: python variables.py"""
+
+# A variable is a name for a value
+name = "Ada"
+age = 36
+height = 1.65
+likes_python = True
+
+print(name, "is", age, "years old")
+
+# type() tells you what kind of value a variable holds
+for value in [name, age, height, likes_python]:
+    print(repr(value), "has type", type(value).__name__)
+
+# Text and numbers do not mix without converting one of them
+next_year = age + 1
+print(name + " will be " + str(next_year) + " next year")
+
+# input() always returns text; int() turns it into a number
+typed = "7"
+print("7 + 1 =", int(typed) + 1)
+
+# A variable can be given a new value at any time
+age = age + 1
+print("After a birthday,", name, "is", age)
@@ -0,0 +1,434 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const yaml = require('js-yaml');
+const StructuralValidator = require('./validation/validators/StructuralValidator');
+const { parseLenientJson, toVSCodeServers } = require('./mcp-config');
+const { backupFile } = require('./utils');
+
+// Claude Code tool → VS Code tool set with the same abilities
+const CLAUDE_TOOL_MAP = {
+  Read: 'read',
+  NotebookRead: 'read',
+  Write: 'edit',
+  Edit: 'edit',
+  MultiEdit: 'edit',
+  NotebookEdit: 'edit',
+  Glob: 'search',
+  Grep: 'search',
+  LS: 'search',
+  Bash: 'execute',
+  BashOutput: 'execute',
+  KillShell: 'execute',
+  WebFetch: 'web/fetch',
+  WebSearch: 'web',
+  TodoWrite: 'todo',
+  Task: 'agent'
+};
+
+// Frontmatter carried over as it is; everything else is dropped with a note
+const COMMAND_FIELDS = ['description', 'argument-hint'];
+const AGENT_FIELDS = ['name', 'description'];
+
+const validator = new StructuralValidator();
+
+function splitFrontmatter(content, file) {
+  const match = content.match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return { data: {}, body: content.replace(/^\uFEFF/, '') };
+  }
+
+  // Claude Code reads frontmatter line by line, so "argument-hint: [type] [message]" is fine
+  // there although it is not YAML; such blocks are read the same way
+  const raw = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([\w-]+):[ \t]*(.*)$/);
+    if (field) raw[field[1]] = field[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1]) || {};
+  } catch (error) {
+    data = raw;
+  }
+  if (typeof data !== 'object' || Array.isArray(data) || Object.keys(raw).length === 0) {
+    throw new Error(`Invalid frontmatter in ${file}: expected key: value pairs`);
+  }
+  // A hint is display text: [message] must not become a YAML list
+  if (raw['argument-hint']) data['argument-hint'] = raw['argument-hint'];
+  return { data, body: content.slice(match[0].length) };
+}
+
+function buildMarkdown(fields, body) {
+  const text = `${body.replace(/^\s*\n/, '').trimEnd()}\n`;
+  if (fields.length === 0) return text;
+
+  const lines = fields.map(([field, value]) => `${field}: ${validator.formatFieldValue(value)}`);
+  return `---\n${lines.join('\n')}\n---\n\n${text}`;
+}
+
+/**
+ * Claude Code tools ("Read, Bash(git status:*), mcp__github__create_issue") as VS Code tools
+ * @param {string|Array<string>} tools - tools or allowed-tools value
+ * @returns {object} { tools, unmapped }
+ */
+function mapClaudeTools(tools) {
+  const items = Array.isArray(tools) ? tools : String(tools).split(/,(?![^(]*\))/);
+  const mapped = [];
+  const unmapped = [];
+
+  for (const item of items.map(value => String(value).trim()).filter(Boolean)) {
+    // Bash(git add:*) → Bash: VS Code has no per-command tool permissions
+    const name = item.replace(/\(.*\)$/, '');
+    const mcp = name.match(/^mcp__([^_]+(?:_[^_]+)*?)(?:__(.+))?$/);
+    if (mcp) {
+      mapped.push(`${mcp[1]}/${mcp[2] || '*'}`);
+    } else if (CLAUDE_TOOL_MAP[name]) {
+      mapped.push(CLAUDE_TOOL_MAP[name]);
+    } else {
+      unmapped.push(name);
+    }
+  }
+
+  return { tools: [...new Set(mapped)], unmapped };
+}
+
+/**
+ * Prompt variable name for an argument-hint entry: "[file path]" → file_path
+ */
+function toVariableName(hint) {
+  return hint.trim().replace(/^-+/, '').replace(/[^A-Za-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Claude Code argument placeholders as prompt variables
+ * $ARGUMENTS becomes ${input:arguments}, $1..$9 the names from argument-hint (arg1..arg9 without one)
+ */
+function mapArguments(body, argumentHint) {
+  const hint = typeof argumentHint === 'string' ? argumentHint.trim() : '';
+  const names = [...hint.matchAll(/[[<]([^\]>]+)[\]>]/g)].map(match => toVariableName(match[1])).filter(Boolean);
+  const placeholder = hint.replace(/[{}]/g, '');
+
+  return body
+    .replace(/\$ARGUMENTS\b/g, placeholder ? `\${input:arguments:${placeholder}}` : '${input:arguments}')
+    .replace(/\$([1-9])(?![0-9])/g, (match, position) => `\${input:${names[position - 1] || `arg${position}`}}`);
+}
+
+function describeDropped(fields) {
+  return `dropped ${fields.join(', ')} (no Copilot equivalent)`;
+}
+
+/**
+ * .claude/commands/<name>.md → prompt file
+ * @param {string} content - Command file
+ * @param {string} file - Path for messages
+ * @returns {object} { content, notes }
+ */
+function convertCommand(content, file = 'command') {
+  const { data, body } = splitFrontmatter(content, file);
+  const notes = [];
+  const fields = [];
+
+  const mappedBody = mapArguments(body, data['argument-hint']);
+  const description = data.description ||
+    validator.inferField('description', mappedBody.replace(/\$\{input:([^:}]+)[^}]*\}/g, '<$1>'), file, 'prompt');
+  if (description) fields.push(['description', String(description)]);
+  // Commands act with the same tools as the main session, which in Copilot is agent mode
+  fields.push(['agent', 'agent']);
+  if (data['argument-hint']) fields.push(['argument-hint', String(data['argument-hint'])]);
+
+  if (data['allowed-tools']) {
+    const { tools, unmapped } = mapClaudeTools(data['allowed-tools']);
+    if (tools.length > 0) fields.push(['tools', tools]);
+    if (unmapped.length > 0) notes.push(`dropped tools with no Copilot equivalent: ${unmapped.join(', ')}`);
+  }
+
+  const dropped = Object.keys(data).filter(field => !COMMAND_FIELDS.includes(field) && field !== 'allowed-tools');
+  if (dropped.length > 0) notes.push(describeDropped(dropped));
+
+  if (mappedBody !== body) notes.push('mapped $ARGUMENTS/$1..$9 to ${input:...} variables');
+  if (/!`[^`]+`/.test(body)) notes.push('runs shell commands with !`...`, which prompt files do not; ask the agent to run them');
+  if (/(^|\s)@[\w./-]*[\w-]\.\w+/.test(body)) notes.push('references files with @path; use a Markdown link or #file:path instead');
+
+  return { content: buildMarkdown(fields, mappedBody), notes };
+}
+
+/**
+ * .claude/agents/<name>.md → custom agent
+ * Claude Code agents without tools get every tool, as Copilot agents without tools do
+ * @returns {object} { content, notes }
+ */
+function convertAgent(content, file = 'agent') {
+  const { data, body } = splitFrontmatter(content, file);
+  const notes = [];
+  const fields = [];
+
+  fields.push(['name', String(data.name || path.basename(file, '.md'))]);
+  const description = data.description || validator.inferField('description', body, file, 'agent');
+  if (description) fields.push(['description', validator.shortenDescription(String(description))]);
+
+  if (data.tools) {
+    const { tools, unmapped } = mapClaudeTools(data.tools);
+    if (tools.length > 0) fields.push(['tools', tools]);
+    if (unmapped.length > 0) notes.push(`dropped tools with no Copilot equivalent: ${unmapped.join(', ')}`);
+  }
+
+  // inherit is Copilot's default too; color is display only
+  const dropped = Object.keys(data).filter(field => !AGENT_FIELDS.includes(field) && field !== 'tools' &&
+    field !== 'color' && !(field === 'model' && data.model === 'inherit'));
+  if (dropped.length > 0) notes.push(describeDropped(dropped));
+
+  return { content: buildMarkdown(fields, body), notes };
+}
+
+/**
+ * CLAUDE.md → copilot-instructions.md, which is plain markdown
+ * @returns {object} { content, notes }
+ */
+function convertInstructions(content, file = 'CLAUDE.md') {
+  const { data, body } = splitFrontmatter(content, file);
+  const notes = [];
+
+  if (Object.keys(data).length > 0) notes.push('dropped the frontmatter block (copilot-instructions.md is plain markdown)');
+  if (/^@\S+/m.test(body)) notes.push('imports other files with @path, which Copilot does not follow; inline them or move them to .github/instructions/');
+
+  return { content: `${body.replace(/^\s*\n/, '').trimEnd()}\n`, notes };
+}
+
+/**
+ * Merge the servers of .mcp.json into .vscode/mcp.json
+ * @param {object} legacy - Parsed .mcp.json
+ * @param {object|null} existing - Parsed .vscode/mcp.json, if any
+ * @param {object} options - { force } replace servers that already exist
+ * @returns {object} { config, added, kept, notes }
+ */
+function convertMcpConfig(legacy, existing = null, options = {}) {
+  const { servers } = toVSCodeServers({ mcpServers: legacy.mcpServers || {} });
+  const config = existing ? toVSCodeServers(existing) : { servers: {} };
+  const added = [];
+  const kept = [];
+  const notes = [];
+
+  for (const [name, server] of Object.entries(servers)) {
+    if (config.servers[name] && !options.force) {
+      kept.push(name);
+      continue;
+    }
+    config.servers[name] = server;
+    added.push(name);
+  }
+
+  if (/\$\{[A-Z_][A-Z0-9_]*:-/.test(JSON.stringify(legacy.mcpServers || {}))) {
+    notes.push('dropped ${VAR:-default} defaults: VS Code has no defaults for ${env:VAR}');
+  }
+  if (kept.length > 0) notes.push(`kept the existing ${kept.join(', ')} (use --force to replace)`);
+
+  return { config, added, kept, notes };
+}
+
+/**
+ * Markdown files of a directory, with paths relative to it
+ */
+async function listMarkdown(dir) {
+  const files = [];
+  const walk = async relative => {
+    for (const entry of await fs.readdir(path.join(dir, relative), { withFileTypes: true })) {
+      const entryPath = path.join(relative, entry.name);
+      if (entry.isDirectory()) {
+        await walk(entryPath);
+      } else if (entry.isFile() && entry.name.endsWith('.md')) {
+        files.push(entryPath);
+      }
+    }
+  };
+  if (await fs.pathExists(dir)) await walk('');
+  return files.sort();
+}
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+/**
+ * Copilot file name for a file under .claude/commands or .claude/agents: git/commit.md → git-commit
+ */
+function toFlatName(file) {
+  return toPosix(file).replace(/\.md$/, '').replace(/\//g, '-');
+}
+
+/**
+ * Everything `cct migrate` would write, without writing it
+ * @param {string} targetDir - Project root
+ * @param {object} options - { force }
+ * @returns {Promise<Array<object>>} [{ source, target, content, notes, exists, error }]
+ */
+async function planMigration(targetDir, options = {}) {
+  const plan = [];
+  const add = async (source, target, convert) => {
+    const entry = { source, target, notes: [], exists: await fs.pathExists(path.join(targetDir, target)) };
+    try {
+      Object.assign(entry, await convert());
+    } catch (error) {
+      entry.error = error.message;
+    }
+    plan.push(entry);
+  };
+
+  // Claude Code reads ./CLAUDE.md or ./.claude/CLAUDE.md; CLAUDE.local.md is personal and stays
+  for (const source of ['CLAUDE.md', '.claude/CLAUDE.md']) {
+    if (await fs.pathExists(path.join(targetDir, source))) {
+      await add(source, '.github/copilot-instructions.md', async () =>
+        convertInstructions(await fs.readFile(path.join(targetDir, source), 'utf8'), source));
+      break;
+    }
+  }
+
+  // Namespaced commands (frontend/component.md is /frontend:component) keep their namespace in the name
+  for (const file of await listMarkdown(path.join(targetDir, '.claude', 'commands'))) {
+    const source = `.claude/commands/${toPosix(file)}`;
+    await add(source, `.github/prompts/${toFlatName(file)}.prompt.md`, async () =>
+      convertCommand(await fs.readFile(path.join(targetDir, source), 'utf8'), source));
+  }
+
+  // Agents in subdirectories are namespaced the same way
+  for (const file of await listMarkdown(path.join(targetDir, '.claude', 'agents'))) {
+    const source = `.claude/agents/${toPosix(file)}`;
+    await add(source, `.github/agents/${toFlatName(file)}.agent.md`, async () =>
+      convertAgent(await fs.readFile(path.join(targetDir, source), 'utf8'), source));
+  }
+
+  // Two sources flattened to one file (a-b.md and a/b.md) would overwrite each other
+  const sourcesByTarget = new Map();
+  plan.forEach(entry => sourcesByTarget.set(entry.target, [...(sourcesByTarget.get(entry.target) || []), entry.source]));
+  for (const entry of plan) {
+    const sources = sourcesByTarget.get(entry.target);
+    if (sources.length > 1) {
+      entry.error = `${entry.target} would also be written from ${sources.filter(source => source !== entry.source).join(', ')}; rename one of them`;
+    }
+  }
+
+  const legacyPath = path.join(targetDir, '.mcp.json');
+  const legacy = await fs.pathExists(legacyPath) ? parseLenientJson(await fs.readFile(legacyPath, 'utf8')) : null;
+  if (legacy !== null) {
+    await add('.mcp.json', '.vscode/mcp.json', async () => {
+      if (!legacy || typeof legacy !== 'object') {
+        throw new Error('Invalid JSON in .mcp.json');
+      }
+      const targetPath = path.join(targetDir, '.vscode', 'mcp.json');
+      const existing = await fs.pathExists(targetPath) ? parseLenientJson(await fs.readFile(targetPath, 'utf8')) : null;
+      if (existing === undefined) {
+        throw new Error('Invalid JSON in .vscode/mcp.json; fix it first');
+      }
+
+      const { config, added, notes } = convertMcpConfig(legacy, existing, options);
+      return {
+        content: `${JSON.stringify(config, null, 2)}\n`,
+        notes: [...(added.length > 0 ? [`${added.length} server(s): ${added.join(', ')}`] : []), ...notes],
+        // Servers are merged, so an existing .vscode/mcp.json is updated rather than skipped
+        merge: true,
+        unchanged: added.length === 0
+      };
+    });
+  }
+
+  if (await fs.pathExists(path.join(targetDir, '.claude', 'settings.json'))) {
+    try {
+      const settings = await fs.readJson(path.join(targetDir, '.claude', 'settings.json'));
+      if (settings.hooks && Object.keys(settings.hooks).length > 0) {
+        plan.push({ source: '.claude/settings.json', target: null, notes: ['hooks have no Copilot equivalent and were not migrated'] });
+      }
+    } catch (error) {
+      // Not ours to report; the health check covers it
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * `cct migrate` - convert a Claude Code project to the Copilot layout
+ *   CLAUDE.md               → .github/copilot-instructions.md
+ *   .claude/commands/*.md   → .github/prompts/*.prompt.md
+ *   .claude/agents/*.md     → .github/agents/*.agent.md
+ *   .mcp.json mcpServers    → .vscode/mcp.json servers
+ * Files in subdirectories are namespaced: .claude/agents/review/api.md → review-api.agent.md.
+ * The Claude Code files are left in place. Existing Copilot files are kept unless --force,
+ * which backs them up to <file>.bak first.
+ * @param {object} options - { directory, dryRun, force }
+ * @returns {Promise<object>} { written, skipped, failed } lists of target paths
+ */
+async function migrateClaudeProject(options = {}) {
+  const targetDir = options.directory ? path.resolve(options.directory) : process.cwd();
+  const plan = await planMigration(targetDir, options);
+  const summary = { written: [], skipped: [], failed: [] };
+
+  if (plan.filter(entry => entry.target).length === 0) {
+    console.log(chalk.yellow('⚠️  No Claude Code files to migrate (CLAUDE.md, .claude/commands, .claude/agents, .mcp.json).'));
+    return summary;
+  }
+
+  console.log(chalk.blue(`🔀 Migrating Claude Code files to the Copilot layout${options.dryRun ? ' (dry run)' : ''}...`));
+
+  for (const entry of plan) {
+    if (!entry.target) {
+      entry.notes.forEach(note => console.log(chalk.gray(`   ℹ️  ${entry.source}: ${note}`)));
+      continue;
+    }
+
+    const fullPath = path.join(targetDir, entry.target);
+    if (entry.error) {
+      summary.failed.push(entry.target);
+      console.log(chalk.red(`   ❌ ${entry.source}: ${entry.error}`));
+      continue;
+    }
+    if ((entry.exists && !entry.merge && !options.force) || entry.unchanged) {
+      summary.skipped.push(entry.target);
+      console.log(chalk.yellow(`   ⚠️  Kept ${entry.target}${entry.unchanged ? '' : ' (exists, use --force to replace it)'}`));
+      entry.notes.forEach(note => console.log(chalk.gray(`      • ${note}`)));
+      continue;
+    }
+
+    let backup = null;
+    if (!options.dryRun) {
+      if (entry.exists && (options.force || entry.merge)) {
+        backup = toPosix(path.relative(targetDir, await backupFile(fullPath)));
+      }
+      await fs.outputFile(fullPath, entry.content);
+    }
+    summary.written.push(entry.target);
+
+    const detail = entry.exists ? ` (${entry.merge ? 'merged' : 'replaced'}${backup ? `, backup: ${backup}` : ''})` : '';
+    console.log(chalk.green(`   ✅ ${entry.source} → ${entry.target}`) + chalk.gray(detail));
+    entry.notes.forEach(note => console.log(chalk.gray(`      • ${note}`)));
+  }
+
+  console.log('');
+  if (options.dryRun) {
+    console.log(chalk.yellow(`🔍 Dry run - ${summary.written.length} file(s) would be written`));
+  } else {
+    console.log(chalk.green(`🎉 Migrated ${summary.written.length} file(s); the Claude Code files were left in place`));
+  }
+  if (summary.skipped.length > 0) {
+    console.log(chalk.yellow(`⚠️  ${summary.skipped.length} file(s) were kept`));
+  }
+  if (summary.failed.length > 0) {
+    console.log(chalk.red(`❌ ${summary.failed.length} file(s) could not be migrated`));
+  }
+  if (!options.dryRun && summary.written.length > 0) {
+    console.log(chalk.gray('💡 Check the result with cct validate'));
+  }
+
+  return summary;
+}
+
+module.exports = {
+  CLAUDE_TOOL_MAP,
+  mapClaudeTools,
+  convertCommand,
+  convertAgent,
+  convertInstructions,
+  convertMcpConfig,
+  planMigration,
+  migrateClaudeProject
+};
@@ -0,0 +1,378 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Content-addressed cache for downloaded components
+ *
+ * cache/
+ *   entries/<sha256(key)>.json   { key, url, hash, size, etag, lastModified, fetchedAt, checkedAt }
+ *   objects/<ab>/<sha256>        raw content, shared by every entry with the same bytes
+ *
+ * Keys identify what was requested (source, ref and path) so a branch and a tag never share an entry.
+ */
+
+const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.copilot-learning-templates', 'cache');
+
+// Entries newer than this are served without asking the server
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+// Downloads slower than this are abandoned (a cached copy is served instead, if there is one)
+const DEFAULT_FETCH_TIMEOUT_SECONDS = 60;
+
+// Responses that mean "the server is unavailable to us right now" rather than "the file is gone"
+const FALLBACK_STATUSES = [403, 429, 500, 502, 503, 504];
+
+function getCacheDir(options = {}) {
+  return options.cacheDir || process.env.CCT_CACHE_DIR || DEFAULT_CACHE_DIR;
+}
+
+function getCacheTtl(options = {}) {
+  const ttl = options.cacheTtl !== undefined ? options.cacheTtl : process.env.CCT_CACHE_TTL;
+  const seconds = Number(ttl);
+  return ttl === undefined || ttl === '' || Number.isNaN(seconds) ? DEFAULT_TTL_SECONDS : seconds;
+}
+
+function getFetchTimeout(options = {}) {
+  const timeout = options.fetchTimeout !== undefined ? options.fetchTimeout : process.env.CCT_FETCH_TIMEOUT;
+  const seconds = Number(timeout);
+  return timeout === undefined || timeout === '' || Number.isNaN(seconds) || seconds <= 0 ? DEFAULT_FETCH_TIMEOUT_SECONDS : seconds;
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function getEntryPath(cacheDir, key) {
+  return path.join(cacheDir, 'entries', `${sha256(key)}.json`);
+}
+
+function getObjectPath(cacheDir, hash) {
+  return path.join(cacheDir, 'objects', hash.substring(0, 2), hash);
+}
+
+/**
+ * Read a cached entry together with its content
+ * Entries whose object is missing or does not match its hash are treated as absent
+ * @returns {Promise<object|null>} Entry with `body` (Buffer), or null
+ */
+async function readCacheEntry(key, options = {}) {
+  const cacheDir = getCacheDir(options);
+  const entryPath = getEntryPath(cacheDir, key);
+
+  try {
+    const entry = await fs.readJson(entryPath);
+    const body = await fs.readFile(getObjectPath(cacheDir, entry.hash));
+    return sha256(body) === entry.hash ? { ...entry, body } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Store content for a key
+ * The object is written to a temporary file and renamed so readers never see partial content
+ * @returns {Promise<object>} The stored entry
+ */
+async function writeCacheEntry(key, url, body, headers = {}, options = {}) {
+  const cacheDir = getCacheDir(options);
+  const hash = sha256(body);
+  const objectPath = getObjectPath(cacheDir, hash);
+
+  if (!(await fs.pathExists(objectPath))) {
+    await fs.ensureDir(path.dirname(objectPath));
+    const temporary = `${objectPath}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, body);
+    await fs.rename(temporary, objectPath);
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    key,
+    url,
+    hash,
+    size: body.length,
+    etag: headers.etag || null,
+    lastModified: headers.lastModified || null,
+    fetchedAt: now,
+    checkedAt: now
+  };
+
+  await fs.outputJson(getEntryPath(cacheDir, key), entry, { spaces: 2 });
+  return entry;
+}
+
+async function markEntryChecked(entry, options) {
+  const { body, ...stored } = entry;
+  await fs.outputJson(getEntryPath(getCacheDir(options), entry.key), { ...stored, checkedAt: new Date().toISOString() }, { spaces: 2 });
+}
+
+function fromCache(entry, stale = false) {
+  return { ok: true, status: 200, statusText: 'OK', body: entry.body, fromCache: true, stale };
+}
+
+/**
+ * fetch() through the component cache
+ *
+ * - Fresh entries (younger than the TTL) are returned without a request
+ * - Older entries are revalidated with If-None-Match / If-Modified-Since
+ * - When the network fails, times out or GitHub rate-limits us, a cached copy is served instead
+ * - With `offline`, only the cache is used
+ *
+ * @param {string} url - URL to download
+ * @param {object} options - { key, headers, offline, revalidate, cacheTtl, cacheDir, fetchTimeout (seconds) }
+ * @returns {Promise<object>} { ok, status, statusText, body (Buffer|null), fromCache, stale }
+ */
+async function cachedFetch(url, options = {}) {
+  const key = options.key || url;
+  const cached = await readCacheEntry(key, options);
+
+  if (options.offline) {
+    if (cached) {
+      return fromCache(cached);
+    }
+    return { ok: false, status: 504, statusText: 'Not in the offline cache', body: null, fromCache: false, stale: false };
+  }
+
+  const age = cached ? Date.now() - Date.parse(cached.checkedAt) : Infinity;
+  if (cached && !options.revalidate && age < getCacheTtl(options) * 1000) {
+    return fromCache(cached);
+  }
+
+  const headers = { ...(options.headers || {}) };
+  if (cached && cached.etag) {
+    headers['If-None-Match'] = cached.etag;
+  } else if (cached && cached.lastModified) {
+    headers['If-Modified-Since'] = cached.lastModified;
+  }
+
+  // The timeout covers reading the body too, so a server that stalls mid-download is abandoned
+  const timeout = getFetchTimeout(options);
+  let response;
+  let body;
+  try {
+    response = await fetch(url, { headers, signal: AbortSignal.timeout(timeout * 1000) });
+    if (response.ok) {
+      body = Buffer.from(await response.arrayBuffer());
+    } else if (response.body) {
+      await response.body.cancel().catch(() => {});
+    }
+  } catch (error) {
+    if (cached) {
+      return fromCache(cached, true);
+    }
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      throw new Error(`No answer from ${new URL(url).host} within ${timeout} seconds`);
+    }
+    throw error;
+  }
+
+  if (response.status === 304 && cached) {
+    await markEntryChecked(cached, options).catch(() => {});
+    return fromCache(cached);
+  }
+
+  if (!response.ok) {
+    if (cached && FALLBACK_STATUSES.includes(response.status)) {
+      return fromCache(cached, true);
+    }
+    return { ok: false, status: response.status, statusText: response.statusText, body: null, fromCache: false, stale: false };
+  }
+
+  try {
+    await writeCacheEntry(key, url, body, {
+      etag: response.headers.get('etag'),
+      lastModified: response.headers.get('last-modified')
+    }, options);
+  } catch (error) {
+    // An unwritable cache must not break installs
+  }
+
+  return { ok: true, status: response.status, statusText: response.statusText, body, fromCache: false, stale: false };
+}
+
+/**
+ * List cached entries
+ * @returns {Promise<Array<object>>} Entries sorted by key, with `present` telling whether the object exists
+ */
+async function listCacheEntries(options = {}) {
+  const cacheDir = getCacheDir(options);
+  const entriesDir = path.join(cacheDir, 'entries');
+  if (!(await fs.pathExists(entriesDir))) {
+    return [];
+  }
+
+  const entries = [];
+  for (const file of await fs.readdir(entriesDir)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const entry = await fs.readJson(path.join(entriesDir, file));
+      entries.push({ ...entry, file, present: await fs.pathExists(getObjectPath(cacheDir, entry.hash)) });
+    } catch (error) {
+      entries.push({ key: null, file, present: false, unreadable: true });
+    }
+  }
+
+  return entries.sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
+
+async function listObjects(cacheDir) {
+  const objectsDir = path.join(cacheDir, 'objects');
+  if (!(await fs.pathExists(objectsDir))) {
+    return [];
+  }
+
+  const objects = [];
+  for (const prefix of await fs.readdir(objectsDir)) {
+    for (const hash of await fs.readdir(path.join(objectsDir, prefix))) {
+      objects.push(hash);
+    }
+  }
+  return objects;
+}
+
+/**
+ * Remove cached entries and the objects no entry refers to any more
+ * @param {object} options - { expired: only remove entries older than the TTL }
+ * @returns {Promise<object>} { removedEntries, removedObjects, freedBytes }
+ */
+async function cleanCache(options = {}) {
+  const cacheDir = getCacheDir(options);
+  const ttl = getCacheTtl(options) * 1000;
+  const result = { removedEntries: 0, removedObjects: 0, freedBytes: 0 };
+
+  const kept = new Set();
+  for (const entry of await listCacheEntries(options)) {
+    const expired = entry.unreadable || !entry.present || Date.now() - Date.parse(entry.checkedAt) >= ttl;
+    if (options.expired && !expired) {
+      kept.add(entry.hash);
+      continue;
+    }
+    await fs.remove(path.join(cacheDir, 'entries', entry.file));
+    result.removedEntries++;
+  }
+
+  for (const hash of await listObjects(cacheDir)) {
+    if (kept.has(hash)) continue;
+    const objectPath = getObjectPath(cacheDir, hash);
+    result.freedBytes += (await fs.stat(objectPath)).size;
+    await fs.remove(objectPath);
+    result.removedObjects++;
+  }
+
+  return result;
+}
+
+/**
+ * Check every entry's object against its hash
+ * @returns {Promise<object>} { checked, corrupt: [key], missing: [key], unreadable: [file] }
+ */
+async function verifyCache(options = {}) {
+  const cacheDir = getCacheDir(options);
+  const result = { checked: 0, corrupt: [], missing: [], unreadable: [] };
+
+  for (const entry of await listCacheEntries(options)) {
+    result.checked++;
+    if (entry.unreadable) {
+      result.unreadable.push(entry.file);
+    } else if (!entry.present) {
+      result.missing.push(entry.key);
+    } else if (sha256(await fs.readFile(getObjectPath(cacheDir, entry.hash))) !== entry.hash) {
+      result.corrupt.push(entry.key);
+    }
+  }
+
+  return result;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatAge(timestamp) {
+  const minutes = Math.floor((Date.now() - Date.parse(timestamp)) / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h`;
+  return `${Math.floor(minutes / (60 * 24))}d`;
+}
+
+/**
+ * `cct cache ls`
+ */
+async function showCacheEntries(options = {}) {
+  const entries = await listCacheEntries(options);
+  const ttl = getCacheTtl(options) * 1000;
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow(`📭 The component cache is empty (${getCacheDir(options)})`));
+    return entries;
+  }
+
+  console.log(chalk.blue(`\n🗄️  Component cache: ${getCacheDir(options)}\n`));
+  for (const entry of entries) {
+    if (entry.unreadable) {
+      console.log(chalk.red(`  ❌ ${entry.file} (unreadable entry)`));
+      continue;
+    }
+    const expired = Date.now() - Date.parse(entry.checkedAt) >= ttl;
+    const status = !entry.present ? chalk.red(' missing') : expired ? chalk.yellow(' expired') : '';
+    console.log(chalk.gray(`  ${formatBytes(entry.size).padStart(9)}  ${formatAge(entry.checkedAt).padStart(4)}  `) + entry.key + status);
+  }
+
+  const uniqueObjects = new Map(entries.filter(entry => entry.present).map(entry => [entry.hash, entry.size]));
+  const total = [...uniqueObjects.values()].reduce((sum, size) => sum + size, 0);
+  console.log(chalk.cyan(`\n📦 ${entries.length} entries, ${uniqueObjects.size} objects, ${formatBytes(total)}`));
+  return entries;
+}
+
+/**
+ * `cct cache clean [--expired]`
+ */
+async function cleanComponentCache(options = {}) {
+  const result = await cleanCache(options);
+  console.log(chalk.green(`🧹 Removed ${result.removedEntries} entries and ${result.removedObjects} objects (${formatBytes(result.freedBytes)} freed)`));
+  return result;
+}
+
+/**
+ * `cct cache verify`
+ * @returns {Promise<object>} Result of verifyCache plus `problems` (count of damaged entries)
+ */
+async function verifyComponentCache(options = {}) {
+  const result = await verifyCache(options);
+  const problems = [
+    ...result.corrupt.map(key => `${key} (content does not match its hash)`),
+    ...result.missing.map(key => `${key} (content missing)`),
+    ...result.unreadable.map(file => `${file} (unreadable entry)`)
+  ];
+
+  if (problems.length === 0) {
+    console.log(chalk.green(`✅ ${result.checked} cache entries verified`));
+    return { ...result, problems: 0 };
+  }
+
+  console.log(chalk.red(`❌ ${problems.length} of ${result.checked} cache entries are damaged:`));
+  problems.forEach(problem => console.log(chalk.red(`   ${problem}`)));
+  console.log(chalk.gray('💡 Damaged entries are downloaded again on the next install, or run: cct cache clean'));
+  return { ...result, problems: problems.length };
+}
+
+module.exports = {
+  DEFAULT_CACHE_DIR,
+  DEFAULT_TTL_SECONDS,
+  DEFAULT_FETCH_TIMEOUT_SECONDS,
+  getCacheDir,
+  cachedFetch,
+  readCacheEntry,
+  writeCacheEntry,
+  listCacheEntries,
+  cleanCache,
+  verifyCache,
+  showCacheEntries,
+  cleanComponentCache,
+  verifyComponentCache
+};
@@ -0,0 +1,208 @@
+const chalk = require('chalk');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const IntegrityValidator = require('./validation/validators/IntegrityValidator');
+const { loadValidationConfig } = require('./validation/validation-config');
+const { discoverComponents } = require('./component-validation');
+
+const PRIVATE_KEY_FILE = 'cct-signing.key';
+const PUBLIC_KEY_FILE = 'cct-signing.pub';
+
+// Verify-mode codes → file status
+const FILE_STATUS_CODES = {
+  INT_E001: 'empty',
+  INT_E004: 'tampered',
+  INT_E005: 'unregistered'
+};
+
+const SIGNATURE_MESSAGES = {
+  valid: 'signed by trusted key',
+  untrusted: 'signed by an untrusted key',
+  invalid: 'signature is INVALID',
+  unsigned: 'not signed',
+  missing: 'not found'
+};
+
+async function readTextFile(file, label) {
+  try {
+    return await fs.readFile(path.resolve(file), 'utf8');
+  } catch (error) {
+    throw new Error(`Cannot read ${label} ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * IntegrityValidator for a project: registry and trusted keys from --registry/--trusted-key,
+ * then .cctvalidate.json "integrity", then the defaults
+ */
+async function createIntegrityValidator(targetDir, options = {}) {
+  const config = await loadValidationConfig(targetDir, options.config);
+  const integrity = (config && config.integrity) || {};
+
+  const trustedKeys = [...(integrity.trustedKeys || [])];
+  for (const keyFile of [].concat(options.trustedKey || [])) {
+    trustedKeys.push(await readTextFile(keyFile, 'trusted key'));
+  }
+
+  return new IntegrityValidator({
+    rootDir: targetDir,
+    registryPath: options.registry ? path.resolve(options.registry) : integrity.registryPath,
+    trustedKeys
+  });
+}
+
+/**
+ * `cct integrity keygen` - write an ed25519 key pair for signing the hash registry
+ * @param {object} options - { output, force }
+ * @returns {Promise<object>} { privateKeyPath, publicKeyPath, keyId }
+ * @throws {Error} If the key files exist and --force is not given
+ */
+async function generateSigningKeys(options = {}) {
+  const outputDir = path.resolve(options.output || process.cwd());
+  const privateKeyPath = path.join(outputDir, PRIVATE_KEY_FILE);
+  const publicKeyPath = path.join(outputDir, PUBLIC_KEY_FILE);
+
+  if (!options.force && (await fs.pathExists(privateKeyPath) || await fs.pathExists(publicKeyPath))) {
+    throw new Error(`${path.relative(process.cwd(), privateKeyPath)} already exists (use --force to replace it)`);
+  }
+
+  const { publicKey, privateKey } = IntegrityValidator.generateKeyPair();
+  await fs.ensureDir(outputDir);
+  await fs.writeFile(privateKeyPath, privateKey, { mode: 0o600 });
+  await fs.writeFile(publicKeyPath, publicKey);
+
+  const keyId = new IntegrityValidator().getKeyId(crypto.createPublicKey(publicKey));
+  console.log(chalk.green(`🔑 Generated signing key ${keyId}`));
+  console.log(chalk.gray(`   Private: ${path.relative(process.cwd(), privateKeyPath)} (keep it secret, e.g. as the CCT_SIGNING_KEY CI secret)`));
+  console.log(chalk.gray(`   Public:  ${path.relative(process.cwd(), publicKeyPath)} (commit it and list it in .cctvalidate.json "integrity.trustedKeys")`));
+
+  return { privateKeyPath, publicKeyPath, keyId };
+}
+
+/**
+ * `cct integrity sign [paths...]` - record component hashes in the registry and sign it
+ * Entries for files that no longer exist are dropped
+ * @param {Array<string>} paths - Files or directories (default: as cct validate)
+ * @param {object} options - { directory, registry, key, config } (key file, or env CCT_SIGNING_KEY)
+ * @returns {Promise<object>} { registered, removed, signature }
+ */
+async function signComponents(paths = [], options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const validator = await createIntegrityValidator(targetDir, options);
+  const keyText = options.key ? await readTextFile(options.key, 'signing key') : process.env.CCT_SIGNING_KEY;
+  // Checked before anything is written, so a bad key cannot leave a new registry next to a stale signature
+  const privateKey = keyText ? validator.loadSigningKey(keyText) : null;
+
+  const components = await discoverComponents(paths, targetDir);
+  if (components.length === 0) {
+    console.log(chalk.yellow('⚠️  No components found to register.'));
+    return { registered: 0, removed: 0, signature: null };
+  }
+
+  const registry = await validator.loadHashRegistry();
+  let removed = 0;
+  for (const key of Object.keys(registry)) {
+    if (!(await fs.pathExists(path.resolve(targetDir, key)))) {
+      delete registry[key];
+      removed++;
+    }
+  }
+
+  const timestamp = new Date().toISOString();
+  for (const component of components) {
+    registry[validator.normalizePath(component.path)] = {
+      hash: validator.generateHash(component.content),
+      type: component.type,
+      version: 'unversioned',
+      timestamp,
+      path: validator.normalizePath(component.path)
+    };
+  }
+
+  await validator.saveHashRegistry(registry);
+  const registryPath = path.relative(process.cwd(), validator.getRegistryPath());
+  console.log(chalk.green(`📝 Registered ${components.length} component(s) in ${registryPath}${removed > 0 ? `, removed ${removed} stale entr${removed === 1 ? 'y' : 'ies'}` : ''}`));
+
+  if (!privateKey) {
+    console.log(chalk.yellow('⚠️  Registry is not signed: pass --key <file> or set CCT_SIGNING_KEY'));
+    return { registered: components.length, removed, signature: null };
+  }
+
+  const signature = await validator.signRegistry(privateKey);
+  console.log(chalk.green(`🔏 Signed with key ${signature.keyId} → ${path.relative(process.cwd(), validator.getSignaturePath())}`));
+  return { registered: components.length, removed, signature };
+}
+
+/**
+ * `cct integrity verify [paths...]` - check components against the signed registry
+ * @param {Array<string>} paths - Files or directories (default: as cct validate)
+ * @param {object} options - { directory, registry, trustedKey, config, json }
+ * @returns {Promise<object>} { passed, signature, files: [{ path, status }] }
+ *   status: ok, tampered, unregistered, empty or missing (registered but deleted)
+ */
+async function verifyComponents(paths = [], options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const validator = await createIntegrityValidator(targetDir, options);
+  const components = await discoverComponents(paths, targetDir);
+
+  const signature = await validator.verifyRegistrySignature();
+  const registry = await validator.loadHashRegistry();
+  const files = [];
+
+  for (const component of components) {
+    const result = await validator.validate(component, { verify: true });
+    const codes = result.errors.map(error => error.code);
+    const statusCode = Object.keys(FILE_STATUS_CODES).find(code => codes.includes(code));
+    files.push({ path: component.path, status: statusCode ? FILE_STATUS_CODES[statusCode] : 'ok' });
+  }
+
+  for (const key of Object.keys(registry)) {
+    if (!(await fs.pathExists(path.resolve(targetDir, key)))) {
+      files.push({ path: path.relative(process.cwd(), path.resolve(targetDir, key)), status: 'missing' });
+    }
+  }
+
+  const passed = signature.status === 'valid' && files.every(file => file.status === 'ok');
+  const report = { passed, registry: path.relative(process.cwd(), validator.getRegistryPath()), signature, files };
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return report;
+  }
+
+  const signatureLine = `🔏 Registry ${report.registry}: ${SIGNATURE_MESSAGES[signature.status]}${signature.keyId ? ` ${signature.keyId}` : ''}${signature.reason ? ` (${signature.reason})` : ''}`;
+  console.log(signature.status === 'valid' ? chalk.green(signatureLine) : chalk.red(signatureLine));
+
+  for (const file of files) {
+    if (file.status === 'ok') {
+      if (options.verbose) console.log(chalk.green(`   ✅ ${file.path}`));
+    } else {
+      console.log(chalk.red(`   ❌ ${file.status}: ${file.path}`));
+    }
+  }
+
+  const problems = files.filter(file => file.status !== 'ok').length;
+  if (passed) {
+    console.log(chalk.green(`✅ ${files.length} component(s) match the signed registry`));
+  } else {
+    const reasons = [
+      problems > 0 && `${problems} file problem(s)`,
+      signature.status !== 'valid' && `registry ${SIGNATURE_MESSAGES[signature.status]}`
+    ].filter(Boolean);
+    console.log(chalk.red(`❌ Verification failed: ${reasons.join(', ')}`));
+    if (signature.status === 'untrusted') {
+      console.log(chalk.gray('💡 Pass --trusted-key <file> or list the key in .cctvalidate.json "integrity.trustedKeys"'));
+    } else if (signature.status === 'unsigned' || signature.status === 'missing') {
+      console.log(chalk.gray('💡 Publish hashes with: cct integrity sign --key <file>'));
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  generateSigningKeys,
+  signComponents,
+  verifyComponents
+};
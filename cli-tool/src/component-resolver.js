@@ -0,0 +1,108 @@
+const { fetchComponentFile, fetchComponentDirectory } = require('./component-source');
+
+/**
+ * Where each component type lives in the catalog and where it is installed in a project
+ * Mirrors the layout used by the installers in index.js
+ */
+const COMPONENT_LAYOUT = {
+  agent: {
+    sourcePath: name => `agents/${name}.agent.md`,
+    installPath: name => `.github/agents/${baseName(name)}.agent.md`
+  },
+  prompt: {
+    sourcePath: name => `prompts/${name}.prompt.md`,
+    installPath: name => `.github/prompts/${baseName(name)}.prompt.md`
+  },
+  instruction: {
+    sourcePath: name => `instructions/${name}.instructions.md`,
+    installPath: name => `.github/instructions/${baseName(name)}.instructions.md`
+  },
+  'copilot-instructions': {
+    sourcePath: name => `instructions/copilot-instructions/${name}/copilot-instructions.md`,
+    installPath: () => '.github/copilot-instructions.md'
+  },
+  'workspace-agents': {
+    sourcePath: name => `workspace/${name}/AGENTS.md`,
+    installPath: () => 'AGENTS.md'
+  },
+  skill: {
+    directory: true,
+    sourcePath: name => `skills/${name}`,
+    installPath: (name, file) => `.github/skills/${baseName(name)}/${file}`
+  },
+  mcp: {
+    sourcePath: name => `mcps/${name}.json`
+  }
+};
+
+function baseName(name) {
+  return name.split('/').pop();
+}
+
+/**
+ * Project-relative file or directory a component's files must stay in
+ * MCP servers live inside .vscode/mcp.json
+ */
+function getInstallRoot(type, name) {
+  const layout = COMPONENT_LAYOUT[type];
+  if (type === 'mcp') return '.vscode/mcp.json';
+  return layout.directory ? layout.installPath(name, '').replace(/\/$/, '') : layout.installPath(name);
+}
+
+/**
+ * Fetch a component and map its content to the files it installs
+ * MCP servers are keyed as `.vscode/mcp.json#<server>` since they share one file
+ * @param {string} type - Component type
+ * @param {string} name - Component name (category/name or name)
+ * @param {object} options - CLI options (used to resolve the source)
+ * @returns {Promise<object>} { ok, status, statusText, location, files, servers }
+ */
+async function resolveComponentFiles(type, name, options = {}) {
+  const layout = COMPONENT_LAYOUT[type];
+  if (!layout) {
+    throw new Error(`Unknown component type: ${type}`);
+  }
+
+  if (layout.directory) {
+    const response = await fetchComponentDirectory(layout.sourcePath(name), options);
+    const files = {};
+    for (const file of response.files) {
+      files[layout.installPath(name, file.path)] = file.content;
+    }
+    return { ok: response.ok, status: response.status, statusText: response.statusText, location: response.location, files };
+  }
+
+  const response = await fetchComponentFile(layout.sourcePath(name), options);
+  if (!response.ok) {
+    return { ok: false, status: response.status, statusText: response.statusText, location: response.location, files: {} };
+  }
+
+  if (type === 'mcp') {
+    const mcpConfig = JSON.parse(response.content);
+    const servers = mcpConfig.servers || mcpConfig.mcpServers || {};
+    const files = {};
+
+    for (const [serverName, serverConfig] of Object.entries(servers)) {
+      if (serverConfig && typeof serverConfig === 'object') {
+        delete serverConfig.description;
+      }
+      files[`.vscode/mcp.json#${serverName}`] = JSON.stringify(serverConfig);
+    }
+
+    return { ok: true, status: response.status, statusText: response.statusText, location: response.location, files, servers };
+  }
+
+  return {
+    ok: true,
+    status: response.status,
+    statusText: response.statusText,
+    location: response.location,
+    files: { [layout.installPath(name)]: response.content }
+  };
+}
+
+module.exports = {
+  COMPONENT_LAYOUT,
+  getInstallRoot,
+  resolveComponentFiles
+};
@@ -0,0 +1,567 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { execSync } = require('child_process');
+const chalk = require('chalk');
+const { cachedFetch } = require('./component-cache');
+
+// Default upstream location of the component catalog
+const DEFAULT_GITHUB_SOURCE = {
+  owner: 'StudentCristian',
+  repo: 'copilot-learning-templates',
+  ref: 'main',
+  componentsPath: 'cli-tool/components'
+};
+
+// Top-level directories of the components tree, used to find it inside tarballs
+const COMPONENT_TYPE_DIRS = ['agents', 'prompts', 'instructions', 'skills', 'mcps', 'learning-paths', 'workspace'];
+
+// Extracted tarballs, keyed by location, so a multi-component install only unpacks once
+const tarballCache = new Map();
+
+// Resolved commit SHAs, keyed by source, so each install resolves the ref only once
+const resolvedRefCache = new Map();
+
+// Locations already reported as served from a stale cache entry
+const staleWarnings = new Set();
+
+/**
+ * Parse an `owner/name` repository reference (also accepts a github.com URL)
+ * @param {string} spec - Value of --repo
+ * @returns {object} { owner, repo }
+ * @throws {Error} If the value is not owner/name
+ */
+function parseGitHubRepo(spec) {
+  const match = String(spec).trim()
+    .replace(/^https?:\/\/github\.com\//i, '')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '')
+    .match(/^([A-Za-z0-9-]+)\/([A-Za-z0-9._-]+)$/);
+
+  if (!match) {
+    throw new Error(`Invalid repository "${spec}". Use owner/name, e.g. ${DEFAULT_GITHUB_SOURCE.owner}/${DEFAULT_GITHUB_SOURCE.repo}`);
+  }
+  return { owner: match[1], repo: match[2] };
+}
+
+/**
+ * Headers for GitHub requests, authenticated when GITHUB_TOKEN is set
+ * The token is only ever sent to GitHub hosts, never to mirrors
+ * @param {string} url - Request URL
+ * @param {object} headers - Extra headers
+ * @returns {object}
+ */
+function getGitHubHeaders(url, headers = {}) {
+  const token = process.env.GITHUB_TOKEN;
+  const host = new URL(url).hostname;
+  if (!token || !['api.github.com', 'raw.githubusercontent.com', 'codeload.github.com'].includes(host)) {
+    return headers;
+  }
+  return { ...headers, 'Authorization': `Bearer ${token}` };
+}
+
+/**
+ * Resolve where components should be read from
+ * Priority: --source option, CCT_COMPONENT_SOURCE env var, GitHub (--repo/--ref, default main branch)
+ * @param {object} options - CLI options
+ * @returns {object} Source descriptor ({ type: 'github'|'local'|'tarball'|'mirror', ... })
+ */
+function resolveComponentSource(options = {}) {
+  const spec = options.source || process.env.CCT_COMPONENT_SOURCE;
+
+  if (!spec) {
+    return {
+      type: 'github',
+      ...DEFAULT_GITHUB_SOURCE,
+      ...(options.repo ? parseGitHubRepo(options.repo) : {}),
+      ...(options.ref ? { ref: String(options.ref).trim() } : {})
+    };
+  }
+
+  if (options.repo || options.ref) {
+    throw new Error('--repo and --ref select a GitHub repository and cannot be combined with --source');
+  }
+
+  if (/^https?:\/\//i.test(spec)) {
+    if (isTarball(spec)) {
+      return { type: 'tarball', location: spec, remote: true };
+    }
+    return { type: 'mirror', location: spec.replace(/\/+$/, '') };
+  }
+
+  const resolved = path.resolve(spec);
+  if (isTarball(resolved)) {
+    return { type: 'tarball', location: resolved, remote: false };
+  }
+
+  // Accept either the components directory itself or a checkout of the whole repository
+  const nestedComponents = path.join(resolved, 'cli-tool', 'components');
+  if (fs.existsSync(nestedComponents)) {
+    return { type: 'local', location: nestedComponents };
+  }
+
+  return { type: 'local', location: resolved };
+}
+
+function isTarball(location) {
+  return /\.(tar\.gz|tgz|tar)$/i.test(location.split('?')[0]);
+}
+
+/**
+ * Rebuild a source descriptor from the `source` recorded in the lockfile
+ * GitHub sources follow the branch or tag they were installed from (`trackedRef`)
+ * rather than the pinned commit, so upstream changes are visible
+ * @param {object} info - Source info from getSourceLockInfo
+ * @returns {object} Source descriptor
+ */
+function sourceFromLockInfo(info) {
+  if (!info || info.type === 'github') {
+    const [owner, repo] = info && info.location
+      ? info.location.split('/')
+      : [DEFAULT_GITHUB_SOURCE.owner, DEFAULT_GITHUB_SOURCE.repo];
+    const ref = (info && info.trackedRef) || DEFAULT_GITHUB_SOURCE.ref;
+    return { type: 'github', ...DEFAULT_GITHUB_SOURCE, owner, repo, ref };
+  }
+
+  if (info.type === 'tarball') {
+    return { type: 'tarball', location: info.location, remote: /^https?:\/\//i.test(info.location) };
+  }
+
+  return { type: info.type, location: info.location };
+}
+
+/**
+ * Human-readable description of a source for install output
+ */
+function describeComponentSource(source) {
+  switch (source.type) {
+    case 'github':
+      if (source.owner !== DEFAULT_GITHUB_SOURCE.owner || source.repo !== DEFAULT_GITHUB_SOURCE.repo) {
+        return `GitHub ${source.owner}/${source.repo} (${source.ref})`;
+      }
+      return source.ref === DEFAULT_GITHUB_SOURCE.ref ? `GitHub (${source.ref} branch)` : `GitHub (${source.ref})`;
+    case 'local':
+      return `local directory ${source.location}`;
+    case 'tarball':
+      return `tarball ${source.location}`;
+    case 'mirror':
+      return `mirror ${source.location}`;
+    default:
+      return source.type;
+  }
+}
+
+/**
+ * Identifier used for the `source` field in download tracking
+ */
+function getTrackingSource(source) {
+  return source.type === 'github' ? `github_${source.ref}` : source.type;
+}
+
+/**
+ * Describe a source for the install lockfile, pinning branches to a commit SHA when possible
+ * GitHub sources also keep the branch or tag as `trackedRef` for outdated/update
+ * @param {object} source - Source descriptor from resolveComponentSource
+ * @param {object} options - CLI options (`offline` skips resolving the ref)
+ * @returns {Promise<object>} { type, location, ref, trackedRef? }
+ */
+async function getSourceLockInfo(source, options = {}) {
+  const cacheKey = JSON.stringify(source);
+  if (!resolvedRefCache.has(cacheKey)) {
+    resolvedRefCache.set(cacheKey, resolveSourceRef(source, options));
+  }
+
+  const ref = await resolvedRefCache.get(cacheKey);
+  if (source.type === 'github') {
+    return { type: source.type, location: `${source.owner}/${source.repo}`, ref, trackedRef: source.ref };
+  }
+
+  return { type: source.type, location: source.location, ref };
+}
+
+async function resolveSourceRef(source, options = {}) {
+  if (source.type === 'github') {
+    if (options.offline) {
+      return source.ref;
+    }
+    try {
+      const url = `https://api.github.com/repos/${source.owner}/${source.repo}/commits/${encodeURIComponent(source.ref)}`;
+      const response = await fetch(url, {
+        headers: getGitHubHeaders(url, {
+          'Accept': 'application/vnd.github.sha',
+          'User-Agent': 'copilot-learning-templates'
+        }),
+        signal: AbortSignal.timeout(5000)
+      });
+      if (response.ok) {
+        return (await response.text()).trim();
+      }
+    } catch (error) {
+      // Fall back to the symbolic ref below
+    }
+    return source.ref;
+  }
+
+  if (source.type === 'local') {
+    try {
+      return execSync('git rev-parse HEAD', { cwd: source.location, stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the location (URL or path) of a component file for a given source
+ * @param {object} source - Source descriptor from resolveComponentSource
+ * @param {string} relativePath - Path relative to cli-tool/components (e.g. agents/x/y.agent.md)
+ * @returns {string}
+ */
+function getComponentLocation(source, relativePath) {
+  switch (source.type) {
+    case 'github':
+      return `https://raw.githubusercontent.com/${source.owner}/${source.repo}/${source.ref}/${source.componentsPath}/${relativePath}`;
+    case 'local':
+      return path.join(source.location, relativePath);
+    case 'tarball':
+      return `${source.location}#${relativePath}`;
+    case 'mirror':
+      return `${source.location}/${relativePath}`;
+    default:
+      throw new Error(`Unknown component source type: ${source.type}`);
+  }
+}
+
+/**
+ * Cache key for a component path: the source, the ref and the path
+ * @param {object} source - Source descriptor from resolveComponentSource
+ * @param {string} relativePath - Path relative to cli-tool/components
+ * @returns {string}
+ */
+function getCacheKey(source, relativePath) {
+  switch (source.type) {
+    case 'github':
+      return `github:${source.owner}/${source.repo}@${source.ref}/${source.componentsPath}/${relativePath}`;
+    case 'tarball':
+      return `tarball:${source.location}`;
+    default:
+      return `${source.type}:${source.location}/${relativePath}`;
+  }
+}
+
+/**
+ * Download through the component cache, warning once when a stale copy is used
+ */
+async function fetchThroughCache(url, key, options, headers = {}) {
+  const response = await cachedFetch(url, {
+    key,
+    headers: getGitHubHeaders(url, headers),
+    offline: options.offline,
+    revalidate: options.revalidate,
+    cacheTtl: options.cacheTtl,
+    fetchTimeout: options.fetchTimeout
+  });
+
+  if (response.stale && !staleWarnings.has(key)) {
+    staleWarnings.add(key);
+    console.log(chalk.yellow(`⚠️  Could not reach ${new URL(url).host}, using the cached copy of ${key}`));
+  }
+  return response;
+}
+
+/**
+ * Fetch a single component file
+ * Returns a response-like object so callers can keep their HTTP status handling
+ * @param {string} relativePath - Path relative to cli-tool/components
+ * @param {object} options - CLI options (used to resolve the source)
+ * @returns {Promise<object>} { ok, status, statusText, content, location }
+ */
+async function fetchComponentFile(relativePath, options = {}) {
+  const source = options.componentSource || resolveComponentSource(options);
+  const location = getComponentLocation(source, relativePath);
+
+  if (source.type === 'local') {
+    if (!(await fs.pathExists(location))) {
+      return notFound(location);
+    }
+    const content = await fs.readFile(location, 'utf8');
+    return { ok: true, status: 200, statusText: 'OK', content, location };
+  }
+
+  if (source.type === 'tarball') {
+    const entries = await loadTarball(source, options);
+    const entry = entries.get(normalizeEntryPath(relativePath));
+    if (!entry) {
+      return notFound(location);
+    }
+    return { ok: true, status: 200, statusText: 'OK', content: entry.toString('utf8'), location };
+  }
+
+  const response = await fetchThroughCache(location, getCacheKey(source, relativePath), options);
+  if (!response.ok) {
+    return { ok: false, status: response.status, statusText: response.statusText, content: null, location };
+  }
+
+  return {
+    ok: true,
+    status: response.status,
+    statusText: response.statusText,
+    content: response.body.toString('utf8'),
+    location,
+    fromCache: response.fromCache
+  };
+}
+
+/**
+ * Fetch every file below a component directory (used by skills)
+ * @param {string} relativePath - Directory relative to cli-tool/components
+ * @param {object} options - CLI options (used to resolve the source)
+ * @returns {Promise<object>} { ok, status, statusText, files: [{ path, content }], location }
+ * @throws {Error} For mirror sources, which cannot list directories
+ */
+async function fetchComponentDirectory(relativePath, options = {}) {
+  const source = options.componentSource || resolveComponentSource(options);
+  const location = getComponentLocation(source, relativePath);
+
+  if (source.type === 'local') {
+    if (!(await fs.pathExists(location))) {
+      return { ...notFound(location), files: [] };
+    }
+    const files = [];
+    await walkLocalDirectory(location, '', files);
+    return { ok: true, status: 200, statusText: 'OK', files, location };
+  }
+
+  if (source.type === 'tarball') {
+    const entries = await loadTarball(source, options);
+    const prefix = `${normalizeEntryPath(relativePath)}/`;
+    const files = [];
+    for (const [entryPath, buffer] of entries) {
+      if (entryPath.startsWith(prefix)) {
+        files.push({ path: entryPath.slice(prefix.length), content: buffer.toString('utf8') });
+      }
+    }
+    if (files.length === 0) {
+      return { ...notFound(location), files: [] };
+    }
+    return { ok: true, status: 200, statusText: 'OK', files, location };
+  }
+
+  if (source.type === 'mirror') {
+    // Plain HTTP mirrors cannot list directories, and a skill without its bundled files is broken
+    throw new Error(`Mirror sources cannot list the files of ${relativePath}; use a tarball URL (--source ${source.location}.tar.gz) or a local checkout instead`);
+  }
+
+  return fetchGitHubDirectory(source, relativePath, options);
+}
+
+/**
+ * Recursively download a directory through the GitHub contents API
+ * Listings and files are cached, so repeated installs of a skill cost at most a few
+ * conditional requests, which do not count against the API rate limit when unchanged
+ */
+async function fetchGitHubDirectory(source, relativePath, options = {}) {
+  const apiUrl = `https://api.github.com/repos/${source.owner}/${source.repo}/contents/${source.componentsPath}/${relativePath}?ref=${encodeURIComponent(source.ref)}`;
+  const files = [];
+
+  async function downloadDirectory(url, prefix) {
+    const directoryPath = prefix ? `${relativePath}/${prefix}` : relativePath;
+    const response = await fetchThroughCache(url, `${getCacheKey(source, directoryPath)}/?contents`, options, {
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'copilot-learning-templates'
+    });
+
+    if (!response.ok) {
+      return response;
+    }
+
+    const contents = JSON.parse(response.body.toString('utf8'));
+
+    for (const item of contents) {
+      const itemPath = prefix ? `${prefix}/${item.name}` : item.name;
+
+      if (item.type === 'file') {
+        const fileResponse = await fetchThroughCache(item.download_url, getCacheKey(source, `${relativePath}/${itemPath}`), options);
+        if (fileResponse.ok) {
+          files.push({ path: itemPath, content: fileResponse.body.toString('utf8') });
+        }
+      } else if (item.type === 'dir') {
+        await downloadDirectory(item.url, itemPath);
+      }
+    }
+
+    return response;
+  }
+
+  const response = await downloadDirectory(apiUrl, '');
+  return {
+    ok: response.ok,
+    status: response.status,
+    statusText: response.statusText,
+    files,
+    location: apiUrl
+  };
+}
+
+async function walkLocalDirectory(root, prefix, files) {
+  const entries = await fs.readdir(path.join(root, prefix), { withFileTypes: true });
+
+  for (const entry of entries) {
+    const entryPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      await walkLocalDirectory(root, entryPath, files);
+    } else if (entry.isFile()) {
+      files.push({ path: entryPath, content: await fs.readFile(path.join(root, entryPath), 'utf8') });
+    }
+  }
+}
+
+function notFound(location) {
+  return { ok: false, status: 404, statusText: 'Not Found', content: null, location };
+}
+
+/**
+ * Load and index a tarball of the components tree
+ * Entry names are re-rooted at the components directory so both GitHub release
+ * archives (owner-repo-sha/cli-tool/components/...) and plain archives work;
+ * entries outside it are left out
+ * @returns {Promise<Map<string, Buffer>>}
+ * @throws {Error} If an entry name is absolute or has a `..` segment
+ */
+async function loadTarball(source, options = {}) {
+  if (tarballCache.has(source.location)) {
+    return tarballCache.get(source.location);
+  }
+
+  let buffer;
+  if (source.remote) {
+    const response = await fetchThroughCache(source.location, getCacheKey(source), options);
+    if (!response.ok) {
+      throw new Error(`Failed to download tarball: HTTP ${response.status}: ${response.statusText}`);
+    }
+    buffer = response.body;
+  } else {
+    buffer = await fs.readFile(source.location);
+  }
+
+  // gzip magic number
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    buffer = zlib.gunzipSync(buffer);
+  }
+
+  const files = parseTar(buffer).map(([name, content]) => [normalizeEntryPath(name), content]);
+  // Entry names end up in install paths, so one that climbs out of its directory poisons the archive
+  const unsafe = files.find(([name]) => /^\/|^[A-Za-z]:/.test(name) || name.split('/').includes('..'));
+  if (unsafe) {
+    throw new Error(`Unsafe path in tarball ${source.location}: ${unsafe[0]}`);
+  }
+  const root = findComponentsRoot(files.map(([name]) => name));
+  const entries = new Map();
+  for (const [name, content] of files) {
+    if (name.startsWith(root)) {
+      entries.set(name.slice(root.length), content);
+    }
+  }
+
+  tarballCache.set(source.location, entries);
+  return entries;
+}
+
+/**
+ * Minimal ustar reader supporting pax and GNU long names
+ * @param {Buffer} buffer - Uncompressed tar archive
+ * @returns {Array<[string, Buffer]>} Regular file entries
+ */
+function parseTar(buffer) {
+  const files = [];
+  let offset = 0;
+  let longName = null;
+
+  while (offset + 512 <= buffer.length) {
+    const header = buffer.subarray(offset, offset + 512);
+
+    // Two zero blocks mark the end of the archive
+    if (header.every(byte => byte === 0)) {
+      break;
+    }
+
+    const readString = (start, length) => header.toString('utf8', start, start + length).replace(/\0.*$/s, '');
+    const size = parseInt(readString(124, 12).trim() || '0', 8);
+    const type = readString(156, 1) || '0';
+    const prefix = readString(345, 155);
+    let name = prefix ? `${prefix}/${readString(0, 100)}` : readString(0, 100);
+
+    const dataStart = offset + 512;
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / 512) * 512;
+
+    if (type === 'L') {
+      longName = data.toString('utf8').replace(/\0.*$/s, '');
+      continue;
+    }
+
+    if (type === 'x') {
+      const pathMatch = data.toString('utf8').match(/^\d+ path=(.*)$/m);
+      if (pathMatch) longName = pathMatch[1];
+      continue;
+    }
+
+    if (longName) {
+      name = longName;
+      longName = null;
+    }
+
+    if (type === '0' || type === '7') {
+      files.push([name, Buffer.from(data)]);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Directory of a tarball that holds the components tree, as a prefix with a trailing slash
+ * Only a `components` directory with component type directories counts, so an unrelated one
+ * (docs/components) is skipped; cli-tool/components wins over any other
+ * @param {Array<string>} names - Normalized entry names
+ * @returns {string} Prefix, or '' when the type directories are at the top of the archive
+ */
+function findComponentsRoot(names) {
+  const roots = new Set();
+  for (const name of names) {
+    const segments = name.split('/');
+    segments.forEach((segment, index) => {
+      if (segment === 'components') roots.add(`${segments.slice(0, index + 1).join('/')}/`);
+    });
+  }
+
+  const hasComponents = root => names.some(name => {
+    const [typeDir, ...rest] = name.slice(root.length).split('/');
+    return name.startsWith(root) && COMPONENT_TYPE_DIRS.includes(typeDir) && rest.length > 0;
+  });
+  const candidates = [...roots].filter(hasComponents).sort((a, b) =>
+    Number(b.endsWith('cli-tool/components/')) - Number(a.endsWith('cli-tool/components/')) ||
+    a.split('/').length - b.split('/').length);
+
+  return candidates.length > 0 ? candidates[0] : '';
+}
+
+function normalizeEntryPath(entryPath) {
+  return entryPath.replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+}
+
+module.exports = {
+  DEFAULT_GITHUB_SOURCE,
+  parseGitHubRepo,
+  getGitHubHeaders,
+  resolveComponentSource,
+  sourceFromLockInfo,
+  describeComponentSource,
+  getTrackingSource,
+  getSourceLockInfo,
+  getComponentLocation,
+  fetchComponentFile,
+  fetchComponentDirectory
+};
@@ -0,0 +1,238 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { readLockfile, removeComponent, restoreUserFile, hashFiles, getLockKey } = require('./lockfile');
+const { resolveComponentSource } = require('./component-source');
+const { COMPONENT_LAYOUT, resolveComponentFiles } = require('./component-resolver');
+const { readMcpConfigFile } = require('./mcp-config');
+
+// CLI option → lockfile component type
+const UNINSTALL_OPTIONS = {
+  agent: 'agent',
+  skill: 'skill',
+  mcp: 'mcp',
+  prompt: 'prompt',
+  instruction: 'instruction',
+  copilotInstructions: 'copilot-instructions',
+  workspaceAgents: 'workspace-agents'
+};
+
+function parseNames(value) {
+  const input = Array.isArray(value) ? value.join(',') : value;
+  return input.split(',').map(name => name.trim()).filter(name => name);
+}
+
+/**
+ * Find the lockfile entry for a component, matching by full or short name
+ */
+function findLockEntry(lock, type, name) {
+  const exact = lock.components[getLockKey(type, name)];
+  if (exact) return exact;
+
+  return Object.values(lock.components).find(entry =>
+    entry.type === type && entry.name.split('/').pop() === name.split('/').pop()
+  ) || null;
+}
+
+/**
+ * Work out which files a component installed, with the hash each had at install time
+ * Components installed before the lockfile existed are compared against the component source
+ * @returns {Promise<object>} { name, files: { path: hash }, directory, locked }
+ */
+async function getInstalledFiles(targetDir, lock, type, name, options) {
+  const layout = COMPONENT_LAYOUT[type];
+  const entry = findLockEntry(lock, type, name);
+  const componentName = entry ? entry.name : name;
+  const directory = layout.directory ? path.dirname(layout.installPath(componentName, 'x')) : null;
+
+  if (entry) {
+    return { name: componentName, files: { ...entry.files }, directory, locked: true };
+  }
+
+  const upstream = await resolveComponentFiles(type, name, { ...options, componentSource: resolveComponentSource(options) });
+  if (!upstream.ok) {
+    return { name, files: {}, directory: null, locked: false };
+  }
+  return { name, files: hashFiles(upstream.files), directory, locked: false };
+}
+
+/**
+ * Remove one installed component from the project
+ * Files edited since install are kept unless --force is given
+ * @returns {Promise<object>} { removed: [], kept: [], restored: [] }
+ */
+async function uninstallComponent(targetDir, lock, type, name, options = {}) {
+  const report = { removed: [], kept: [], restored: [] };
+  const installed = await getInstalledFiles(targetDir, lock, type, name, options);
+  const mcpServers = [];
+
+  for (const [filePath, lockedHash] of Object.entries(installed.files)) {
+    if (filePath.includes('#')) {
+      mcpServers.push({ filePath, lockedHash });
+      continue;
+    }
+
+    const fullPath = path.join(targetDir, filePath);
+    if (!(await fs.pathExists(fullPath))) {
+      continue;
+    }
+
+    if (!options.force) {
+      const content = await fs.readFile(fullPath, 'utf8');
+      if (hashFiles({ [filePath]: content })[filePath] !== lockedHash) {
+        report.kept.push(`${filePath} (modified locally, use --force to remove)`);
+        continue;
+      }
+    }
+
+    if (!options.dryRun) {
+      await fs.remove(fullPath);
+      if (await restoreUserFile(targetDir, filePath)) {
+        report.restored.push(filePath);
+      }
+    }
+    report.removed.push(filePath);
+  }
+
+  if (mcpServers.length > 0) {
+    await removeMcpServers(targetDir, mcpServers, report, options);
+  }
+
+  // Keep the lock entry while any installed file is still there, so --force can finish the job
+  const keptInstalledFiles = report.kept.length;
+
+  // Skill directories go once empty; files the user added are kept unless --force
+  if (installed.directory && !options.dryRun) {
+    const directory = path.join(targetDir, installed.directory);
+    if (await fs.pathExists(directory)) {
+      if (options.force || await pruneEmptyDirectories(directory)) {
+        await fs.remove(directory);
+      } else {
+        report.kept.push(`${installed.directory}/ (contains files not installed by this skill)`);
+      }
+    }
+  }
+
+  if (installed.locked && keptInstalledFiles === 0 && !options.dryRun) {
+    await removeComponent(targetDir, type, installed.name);
+  }
+
+  return report;
+}
+
+/**
+ * Remove empty subdirectories
+ * @returns {Promise<boolean>} True if the directory itself is now empty
+ */
+async function pruneEmptyDirectories(directory) {
+  let empty = true;
+  for (const item of await fs.readdir(directory)) {
+    const itemPath = path.join(directory, item);
+    if ((await fs.stat(itemPath)).isDirectory() && await pruneEmptyDirectories(itemPath)) {
+      await fs.remove(itemPath);
+    } else {
+      empty = false;
+    }
+  }
+  return empty;
+}
+
+/**
+ * Remove only the servers this component added to .vscode/mcp.json
+ */
+async function removeMcpServers(targetDir, servers, report, options) {
+  const configPath = path.join(targetDir, '.vscode', 'mcp.json');
+  if (!(await fs.pathExists(configPath))) {
+    return;
+  }
+
+  const config = await readMcpConfigFile(configPath);
+  config.servers = config.servers || {};
+  let changed = false;
+
+  for (const { filePath, lockedHash } of servers) {
+    const serverName = filePath.split('#')[1];
+    const serverConfig = config.servers[serverName];
+    if (!serverConfig) continue;
+
+    if (!options.force && hashFiles({ [filePath]: JSON.stringify(serverConfig) })[filePath] !== lockedHash) {
+      report.kept.push(`${filePath} (modified locally, use --force to remove)`);
+      continue;
+    }
+
+    delete config.servers[serverName];
+    report.removed.push(filePath);
+    changed = true;
+  }
+
+  if (changed && !options.dryRun) {
+    await fs.writeJson(configPath, config, { spaces: 2 });
+  }
+}
+
+/**
+ * `cct uninstall --agent x --skill y --mcp z ...` - remove project components
+ * @param {object} options - CLI options (component lists, directory, force, dryRun)
+ * @returns {Promise<object>} Combined report { removed, kept, restored, notFound }
+ */
+async function uninstallProjectComponents(options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const summary = { removed: [], kept: [], restored: [], notFound: [] };
+
+  const requested = [];
+  for (const [option, type] of Object.entries(UNINSTALL_OPTIONS)) {
+    if (options[option]) {
+      parseNames(options[option]).forEach(name => requested.push({ type, name }));
+    }
+  }
+
+  if (requested.length === 0) {
+    console.log(chalk.yellow('⚠️  No components specified to uninstall.'));
+    console.log(chalk.gray('💡 Example: cct uninstall --agent beginner-tutors/python-basics-tutor --mcp deepwiki'));
+    return summary;
+  }
+
+  console.log(chalk.blue(`🗑️  Uninstalling ${requested.length} component(s)${options.dryRun ? ' (dry run)' : ''}...`));
+
+  for (const { type, name } of requested) {
+    try {
+      const lock = await readLockfile(targetDir);
+      const report = await uninstallComponent(targetDir, lock, type, name, options);
+
+      if (report.removed.length === 0 && report.kept.length === 0) {
+        console.log(chalk.yellow(`⚠️  ${type} "${name}" is not installed`));
+        summary.notFound.push(`${type} ${name}`);
+        continue;
+      }
+
+      console.log(chalk.cyan(`\n📦 ${type} ${name}`));
+      report.removed.forEach(item => console.log(chalk.green(`   ✅ Removed ${item}`)));
+      report.restored.forEach(item => console.log(chalk.green(`   ♻️  Restored your previous ${item}`)));
+      report.kept.forEach(item => console.log(chalk.yellow(`   ⚠️  Kept ${item}`)));
+
+      summary.removed.push(...report.removed);
+      summary.kept.push(...report.kept);
+      summary.restored.push(...report.restored);
+    } catch (error) {
+      console.log(chalk.red(`❌ Error uninstalling ${type} "${name}": ${error.message}`));
+      summary.kept.push(`${type} ${name} (${error.message})`);
+    }
+  }
+
+  console.log('');
+  if (options.dryRun) {
+    console.log(chalk.yellow(`🔍 Dry run - ${summary.removed.length} item(s) would be removed`));
+  } else {
+    console.log(chalk.green(`🎉 Removed ${summary.removed.length} item(s)`) +
+      (summary.restored.length > 0 ? chalk.green(`, restored ${summary.restored.length} backup(s)`) : ''));
+  }
+  if (summary.kept.length > 0) {
+    console.log(chalk.yellow(`⚠️  ${summary.kept.length} item(s) were kept`));
+  }
+
+  return summary;
+}
+
+module.exports = {
+  uninstallProjectComponents
+};
@@ -0,0 +1,373 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const { LOCKFILE_PATH, readLockfile, readOriginal, recordComponent, hashFiles } = require('./lockfile');
+const { resolveComponentSource, sourceFromLockInfo, getSourceLockInfo, describeComponentSource, parseGitHubRepo } = require('./component-source');
+const { resolveComponentFiles, getInstallRoot } = require('./component-resolver');
+const { resolveWithin } = require('./utils');
+const { createUnifiedDiff, colorizeDiff, mergeThreeWay } = require('./text-diff');
+const { checkInstallSafety } = require('./install-security');
+const { readMcpConfigFile } = require('./mcp-config');
+
+/**
+ * Read the current content of an installed file
+ * MCP entries (.vscode/mcp.json#server) resolve to the serialized server config
+ * @returns {Promise<string|null>} Content, or null if the file or server is gone
+ */
+async function readInstalledFile(targetDir, filePath) {
+  if (filePath.includes('#')) {
+    const [configFile, serverName] = filePath.split('#');
+    const configPath = path.join(targetDir, configFile);
+    if (!(await fs.pathExists(configPath))) {
+      return null;
+    }
+    try {
+      const config = await readMcpConfigFile(configPath);
+      const server = (config.servers || {})[serverName];
+      return server ? JSON.stringify(server) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  const fullPath = path.join(targetDir, filePath);
+  if (!(await fs.pathExists(fullPath))) {
+    return null;
+  }
+  return fs.readFile(fullPath, 'utf8');
+}
+
+/**
+ * Pick lockfile entries by name, lock key (type:name) or short name
+ */
+function selectEntries(lock, names = []) {
+  const entries = Object.entries(lock.components);
+  if (names.length === 0) {
+    return { selected: entries, unmatched: [] };
+  }
+
+  const selected = [];
+  const unmatched = [];
+  for (const name of names) {
+    const matches = entries.filter(([key, entry]) =>
+      key === name || entry.name === name || entry.name.split('/').pop() === name
+    );
+    if (matches.length === 0) {
+      unmatched.push(name);
+    }
+    matches.forEach(match => {
+      if (!selected.includes(match)) selected.push(match);
+    });
+  }
+
+  return { selected, unmatched };
+}
+
+/**
+ * The source a component should be compared against: --source/CCT_COMPONENT_SOURCE
+ * when given, otherwise the source it was originally installed from, with --repo/--ref
+ * switching GitHub sources to another fork or branch
+ */
+function getEntrySource(entry, options) {
+  if (options.source || process.env.CCT_COMPONENT_SOURCE) {
+    return resolveComponentSource(options);
+  }
+
+  const source = sourceFromLockInfo(entry.source);
+  if (!options.repo && !options.ref) {
+    return source;
+  }
+  if (source.type !== 'github') {
+    return resolveComponentSource(options);
+  }
+  return {
+    ...source,
+    ...(options.repo ? parseGitHubRepo(options.repo) : {}),
+    ...(options.ref ? { ref: String(options.ref).trim() } : {})
+  };
+}
+
+/**
+ * Compare installed components with their component source
+ * @param {string} targetDir - Project root
+ * @param {Array<string>} names - Components to check (default: all in the lockfile)
+ * @param {object} options - CLI options
+ * @returns {Promise<object>} { results, unmatched }
+ */
+async function checkInstalledComponents(targetDir, names, options = {}) {
+  const lock = await readLockfile(targetDir);
+  const { selected, unmatched } = selectEntries(lock, names);
+  const results = [];
+
+  for (const [key, entry] of selected) {
+    const source = getEntrySource(entry, options);
+    const result = { key, entry, source, status: 'current', changedFiles: [], modifiedFiles: [], upstream: null };
+
+    // Local edits: installed content that no longer matches the lock
+    for (const [filePath, lockedHash] of Object.entries(entry.files || {})) {
+      const installed = await readInstalledFile(targetDir, filePath);
+      if (installed === null) {
+        result.modifiedFiles.push({ path: filePath, change: 'deleted' });
+      } else if (hashFiles({ [filePath]: installed })[filePath] !== lockedHash) {
+        result.modifiedFiles.push({ path: filePath, change: 'modified' });
+      }
+    }
+
+    try {
+      // Always revalidate cached downloads here; a fresh-looking cache entry may hide an upstream change
+      const upstream = await resolveComponentFiles(entry.type, entry.name, { ...options, componentSource: source, revalidate: true });
+      if (!upstream.ok) {
+        result.status = upstream.status === 404 ? 'missing' : 'error';
+        result.error = `HTTP ${upstream.status}: ${upstream.statusText}`;
+        results.push(result);
+        continue;
+      }
+
+      result.upstream = upstream;
+      const upstreamHashes = hashFiles(upstream.files);
+      const allPaths = new Set([...Object.keys(entry.files || {}), ...Object.keys(upstreamHashes)]);
+      for (const filePath of allPaths) {
+        if ((entry.files || {})[filePath] !== upstreamHashes[filePath]) {
+          result.changedFiles.push(filePath);
+        }
+      }
+
+      if (result.changedFiles.length > 0) {
+        result.status = 'outdated';
+      }
+    } catch (error) {
+      result.status = 'error';
+      result.error = error.message;
+    }
+
+    results.push(result);
+  }
+
+  return { results, unmatched };
+}
+
+/**
+ * `cct outdated` - list project components whose source has changed since install
+ */
+async function showOutdatedComponents(options = {}) {
+  const targetDir = options.directory || process.cwd();
+
+  if (!(await fs.pathExists(path.join(targetDir, LOCKFILE_PATH)))) {
+    console.log(chalk.yellow(`⚠️  No ${LOCKFILE_PATH} found.`));
+    console.log(chalk.gray('💡 Components installed with --agent, --skill, --mcp, etc. are recorded there.'));
+    return { results: [] };
+  }
+
+  console.log(chalk.blue('🔍 Checking installed components against their source...'));
+  const { results, unmatched } = await checkInstalledComponents(targetDir, options.names || [], options);
+
+  unmatched.forEach(name => console.log(chalk.yellow(`⚠️  "${name}" is not installed in this project`)));
+
+  for (const result of results) {
+    const label = `${result.entry.type} ${result.entry.name}`;
+
+    if (result.status === 'outdated') {
+      console.log(chalk.yellow(`⬆️  ${label}`) + chalk.gray(` - update available (${result.changedFiles.length} file(s) changed in ${describeComponentSource(result.source)})`));
+      result.changedFiles.forEach(filePath => console.log(chalk.gray(`     ~ ${filePath}`)));
+    } else if (result.status === 'missing') {
+      console.log(chalk.red(`❌ ${label}`) + chalk.gray(' - no longer available in the component source'));
+    } else if (result.status === 'error') {
+      console.log(chalk.red(`❌ ${label}`) + chalk.gray(` - ${result.error}`));
+    } else {
+      console.log(chalk.green(`✅ ${label}`) + chalk.gray(' - up to date'));
+    }
+
+    result.modifiedFiles.forEach(file => {
+      console.log(chalk.cyan(`     ✏️  ${file.path} (${file.change} locally)`));
+    });
+  }
+
+  const outdatedCount = results.filter(r => r.status === 'outdated').length;
+  console.log('');
+  if (outdatedCount > 0) {
+    console.log(chalk.yellow(`📦 ${outdatedCount} of ${results.length} components can be updated`));
+    console.log(chalk.gray('💡 Run: cct update [name...]'));
+  } else {
+    console.log(chalk.green(`✅ All ${results.length} components are up to date`));
+  }
+
+  return { results };
+}
+
+/**
+ * Work out the new content for one installed file
+ * @returns {Promise<object>} { action: 'write'|'delete'|'keep', content, conflicts, reason }
+ */
+async function planFileUpdate(targetDir, filePath, lockedHash, upstreamContent, options) {
+  const installed = await readInstalledFile(targetDir, filePath);
+  const unmodified = installed !== null && hashFiles({ [filePath]: installed })[filePath] === lockedHash;
+
+  if (upstreamContent === undefined) {
+    if (installed === null) return { action: 'keep', installed };
+    if (unmodified || options.force) return { action: 'delete', installed };
+    return { action: 'keep', installed, reason: 'removed upstream but edited locally' };
+  }
+
+  if (installed === null || unmodified || options.force) {
+    return { action: 'write', installed, content: upstreamContent, conflicts: 0 };
+  }
+
+  // MCP server configs are single JSON values, so they cannot be merged line by line
+  const base = filePath.includes('#') ? null : await readOriginal(targetDir, filePath);
+  if (base === null) {
+    return { action: 'keep', installed, reason: 'edited locally and no original is available to merge against (use --force to overwrite)' };
+  }
+
+  const merged = mergeThreeWay(base, installed, upstreamContent);
+  return { action: 'write', installed, content: merged.content, conflicts: merged.conflicts };
+}
+
+/**
+ * `cct update [name...]` - re-fetch installed components, merging local edits
+ */
+async function updateProjectComponents(names = [], options = {}) {
+  const targetDir = options.directory || process.cwd();
+
+  if (!(await fs.pathExists(path.join(targetDir, LOCKFILE_PATH)))) {
+    console.log(chalk.yellow(`⚠️  No ${LOCKFILE_PATH} found, nothing to update.`));
+    return { updated: 0, conflicts: 0 };
+  }
+
+  console.log(chalk.blue(`🔄 Updating project components${options.dryRun ? ' (dry run)' : ''}...`));
+  const { results, unmatched } = await checkInstalledComponents(targetDir, names, options);
+  unmatched.forEach(name => console.log(chalk.yellow(`⚠️  "${name}" is not installed in this project`)));
+
+  let updated = 0;
+  let totalConflicts = 0;
+
+  for (const result of results) {
+    const { entry, upstream } = result;
+    const label = `${entry.type} ${entry.name}`;
+
+    if (result.status === 'missing' || result.status === 'error') {
+      console.log(chalk.red(`❌ Skipping ${label}: ${result.error}`));
+      continue;
+    }
+
+    if (result.status === 'current') {
+      console.log(chalk.gray(`✓ ${label} is up to date`));
+      continue;
+    }
+
+    console.log(chalk.cyan(`\n📦 ${label}`));
+
+    // Upstream and lockfile paths both end up in writes, so none may leave the component's location
+    const installRoot = getInstallRoot(entry.type, entry.name);
+    try {
+      result.changedFiles.filter(filePath => !filePath.includes('#')).forEach(filePath => resolveWithin(targetDir, filePath, installRoot));
+    } catch (error) {
+      console.log(chalk.red(`❌ Skipping ${label}: ${error.message}`));
+      continue;
+    }
+
+    // Updates bring in new upstream content, so they pass the same security gate as installs
+    const changedContent = {};
+    result.changedFiles
+      .filter(filePath => upstream.files[filePath] !== undefined)
+      .forEach(filePath => { changedContent[filePath] = upstream.files[filePath]; });
+    if (!(await checkInstallSafety(entry.type, entry.name, changedContent, options))) {
+      continue;
+    }
+
+    const mcpChanges = {};
+    // Files whose update was not applied keep their lock entry, so `cct outdated` still reports them
+    const keptFiles = [];
+
+    for (const filePath of result.changedFiles) {
+      const plan = await planFileUpdate(targetDir, filePath, (entry.files || {})[filePath], upstream.files[filePath], options);
+
+      if (plan.action === 'keep') {
+        if (plan.reason) {
+          console.log(chalk.yellow(`⚠️  Kept ${filePath}: ${plan.reason}`));
+          keptFiles.push(filePath);
+        }
+        continue;
+      }
+
+      const diff = createUnifiedDiff(plan.installed || '', plan.action === 'write' ? plan.content : '', {
+        oldLabel: `a/${filePath}`,
+        newLabel: plan.action === 'delete' ? '/dev/null' : `b/${filePath}`
+      });
+      if (diff) {
+        console.log(colorizeDiff(diff));
+      }
+
+      if (plan.conflicts > 0) {
+        totalConflicts += plan.conflicts;
+        console.log(chalk.red(`⚠️  ${plan.conflicts} conflict(s) in ${filePath}, resolve the <<<<<<< markers manually`));
+      }
+
+      if (options.dryRun) continue;
+
+      if (filePath.includes('#')) {
+        mcpChanges[filePath] = plan.action === 'write' ? JSON.parse(plan.content) : null;
+      } else if (plan.action === 'delete') {
+        await fs.remove(resolveWithin(targetDir, filePath, installRoot));
+      } else {
+        const fullPath = resolveWithin(targetDir, filePath, installRoot);
+        await fs.ensureDir(path.dirname(fullPath));
+        await fs.writeFile(fullPath, plan.content, 'utf8');
+        if (filePath.startsWith('.github/skills/') && (filePath.endsWith('.py') || filePath.endsWith('.sh'))) {
+          await fs.chmod(fullPath, '755');
+        }
+      }
+    }
+
+    if (options.dryRun) continue;
+
+    await applyMcpChanges(targetDir, mcpChanges);
+    await recordComponent(targetDir, {
+      type: entry.type,
+      name: entry.name,
+      source: await getSourceLockInfo(result.source, options),
+      files: upstream.files,
+      keptFiles
+    });
+    updated++;
+    console.log(chalk.green(`✅ Updated ${label}`));
+  }
+
+  console.log('');
+  if (options.dryRun) {
+    console.log(chalk.yellow('🔍 Dry run - no files were changed'));
+  } else {
+    console.log(chalk.green(`✅ ${updated} component(s) updated`));
+  }
+  if (totalConflicts > 0) {
+    console.log(chalk.red(`❌ ${totalConflicts} merge conflict(s) need manual resolution`));
+  }
+
+  return { updated, conflicts: totalConflicts };
+}
+
+async function applyMcpChanges(targetDir, mcpChanges) {
+  const entries = Object.entries(mcpChanges);
+  if (entries.length === 0) return;
+
+  const configPath = path.join(targetDir, '.vscode', 'mcp.json');
+  const config = await readMcpConfigFile(configPath);
+  config.servers = config.servers || {};
+
+  for (const [filePath, serverConfig] of entries) {
+    const serverName = filePath.split('#')[1];
+    if (serverConfig === null) {
+      delete config.servers[serverName];
+    } else {
+      config.servers[serverName] = serverConfig;
+    }
+  }
+
+  await fs.ensureDir(path.dirname(configPath));
+  await fs.writeJson(configPath, config, { spaces: 2 });
+}
+
+module.exports = {
+  checkInstalledComponents,
+  showOutdatedComponents,
+  updateProjectComponents
+};
@@ -0,0 +1,295 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const ValidationOrchestrator = require('./validation/ValidationOrchestrator');
+const StructuralValidator = require('./validation/validators/StructuralValidator');
+const SemanticValidator = require('./validation/validators/SemanticValidator');
+const { loadValidationConfig } = require('./validation/validation-config');
+const { createUrlResolver } = require('./validation/url-resolvers');
+const { createUnifiedDiff, colorizeDiff } = require('./text-diff');
+
+const VALIDATOR_NAMES = ['structural', 'integrity', 'semantic', 'reference', 'provenance'];
+
+// Directories that hold copies of components rather than components
+const IGNORED_DIRECTORIES = ['node_modules', '.git', '.copilot-templates'];
+
+/**
+ * Component type of a file, from its name
+ * @param {string} filePath - File path
+ * @returns {string|null} agent, prompt, instruction, skill, copilot-instructions, workspace-agents, mcp or null
+ */
+function detectComponentType(filePath) {
+  return StructuralValidator.detectComponentType(filePath);
+}
+
+async function walkComponents(dir, files) {
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.includes(entry.name)) {
+        await walkComponents(fullPath, files);
+      }
+    } else if (entry.isFile() && detectComponentType(fullPath)) {
+      files.push(fullPath);
+    }
+  }
+}
+
+/**
+ * Scripts bundled with a skill (anywhere under the directory of its SKILL.md)
+ * @returns {Promise<Array<object>>} [{ path, content }]
+ */
+async function collectSkillScripts(skillDir) {
+  const scripts = [];
+  const walk = async dir => {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.includes(entry.name)) await walk(fullPath);
+      } else if (entry.isFile()) {
+        const content = await fs.readFile(fullPath, 'utf8');
+        if (SemanticValidator.getScriptLanguage(fullPath, content)) {
+          scripts.push({ path: path.relative(process.cwd(), fullPath) || fullPath, content });
+        }
+      }
+    }
+  };
+  await walk(skillDir);
+  return scripts.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+async function collectFiles(roots) {
+  const files = [];
+  for (const root of roots) {
+    if (!(await fs.pathExists(root))) {
+      throw new Error(`Path not found: ${path.relative(process.cwd(), root) || root}`);
+    }
+    if ((await fs.stat(root)).isDirectory()) {
+      await walkComponents(root, files);
+    } else {
+      files.push(root);
+    }
+  }
+  return files;
+}
+
+/**
+ * Find component files to validate
+ * Without paths, validates the project's .github/ (plus AGENTS.md and .vscode/mcp.json) or, in a checkout
+ * of this repository, cli-tool/components
+ * @param {Array<string>} paths - Files or directories
+ * @param {string} targetDir - Project root
+ * @returns {Promise<Array<object>>} [{ path, type, content }], skills also with their scripts
+ * @throws {Error} If a given path does not exist
+ */
+async function discoverComponents(paths = [], targetDir = process.cwd()) {
+  let files = [];
+
+  if (paths.length > 0) {
+    files = await collectFiles(paths.map(p => path.resolve(targetDir, p)));
+  } else {
+    // The first default location that holds components wins
+    const defaults = [
+      [path.join(targetDir, '.github'), path.join(targetDir, 'AGENTS.md'), path.join(targetDir, '.vscode', 'mcp.json')],
+      [path.join(targetDir, 'cli-tool', 'components')]
+    ];
+    for (const roots of defaults) {
+      files = await collectFiles(roots.filter(root => fs.existsSync(root)));
+      if (files.length > 0) break;
+    }
+  }
+
+  const components = [];
+  for (const file of [...new Set(files)].sort()) {
+    const component = {
+      path: path.relative(process.cwd(), file) || file,
+      type: detectComponentType(file) || 'unknown',
+      content: await fs.readFile(file, 'utf8')
+    };
+    if (component.type === 'skill') {
+      component.scripts = await collectSkillScripts(path.dirname(file));
+    }
+    components.push(component);
+  }
+  return components;
+}
+
+/**
+ * Parse --validators (comma-separated)
+ * @param {string|Array<string>} value - Option value
+ * @param {Array<string>} available - Built-in plus configured validator names
+ * @throws {Error} On unknown validator names
+ */
+function parseValidators(value, available = VALIDATOR_NAMES) {
+  if (!value) {
+    return available;
+  }
+
+  const names = (Array.isArray(value) ? value.join(',') : value).split(',').map(v => v.trim()).filter(v => v);
+  const unknown = names.filter(name => !available.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown validator(s): ${unknown.join(', ')}. Available: ${available.join(', ')}`);
+  }
+  return names;
+}
+
+/**
+ * Report format selected by --format (or --json)
+ * @throws {Error} On unknown formats
+ */
+function resolveReportFormat(options = {}) {
+  const format = options.format || (options.json ? 'json' : 'text');
+  if (!ValidationOrchestrator.REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format: ${format}. Available: ${ValidationOrchestrator.REPORT_FORMATS.join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Resolver for --check-links: --link-list/--link-fixtures over the config's "links"
+ * @returns {object|null} URL resolver, or null when links are not checked
+ */
+function createLinkResolver(options = {}, config = null) {
+  if (!options.checkLinks) return null;
+
+  const links = (config && config.links) || {};
+  const fixtures = options.linkFixtures ? path.resolve(options.linkFixtures) : links.fixtures;
+  if (options.recordLinks && !fixtures) {
+    throw new Error('--record-links needs --link-fixtures <file> (or "links.fixtures" in the config)');
+  }
+
+  return createUrlResolver({
+    list: options.linkList ? path.resolve(options.linkList) : links.list,
+    fixtures,
+    record: Boolean(options.recordLinks),
+    cache: options.linkCache !== false,
+    cacheTtl: links.cacheTtl
+  });
+}
+
+/**
+ * --fix: rewrite components with the structural fixes, or with --dry-run only show the diff
+ * Written fixes replace the components' content, so the report describes the fixed files
+ * @returns {Promise<number>} Number of files fixed (or that would be)
+ */
+async function applyStructuralFixes(components, options = {}, quiet = false) {
+  const validator = new StructuralValidator();
+  let fixed = 0;
+
+  for (const component of components) {
+    const { content, fixes } = validator.fix(component);
+    if (content === component.content) continue;
+    fixed++;
+
+    if (!quiet) {
+      console.log(chalk.blue(`🔧 ${component.path}: ${fixes.join(', ')}`));
+      console.log(colorizeDiff(createUnifiedDiff(component.content, content, {
+        oldLabel: `a/${component.path}`,
+        newLabel: `b/${component.path}`
+      })));
+    }
+    if (!options.dryRun) {
+      await fs.writeFile(path.resolve(component.path), content, 'utf8');
+      component.content = content;
+    }
+  }
+
+  if (!quiet) {
+    if (fixed === 0) {
+      console.log(chalk.gray('🔧 Nothing to fix'));
+    } else if (options.dryRun) {
+      console.log(chalk.yellow(`🔧 ${fixed} file(s) would be fixed (dry run, nothing written)`));
+    } else {
+      console.log(chalk.green(`🔧 Fixed ${fixed} file(s)`));
+    }
+  }
+  return fixed;
+}
+
+/**
+ * `cct validate [paths...]` - run the validation orchestrator over components
+ * With --format json|sarif|junit the report goes to stdout, or to --output while the
+ * usual summary is printed
+ * @param {Array<string>} paths - Files or directories (default: .github/ or cli-tool/components)
+ * With --fix, structural problems are fixed in place first (--dry-run shows the diff instead)
+ * @param {object} options - { config, directory, format, json, output, strict, validators, verbose,
+ *   checkLinks, linkList, linkFixtures, recordLinks, linkCache, fix, dryRun }
+ * @returns {Promise<object>} { results, passed } where passed is false on errors (or warnings with --strict)
+ */
+async function validateProjectComponents(paths = [], options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const format = resolveReportFormat(options);
+  if (options.dryRun && !options.fix) {
+    throw new Error('--dry-run previews --fix; pass both');
+  }
+  const config = await loadValidationConfig(targetDir, options.config);
+  const resolver = createLinkResolver(options, config);
+  const orchestrator = new ValidationOrchestrator({ config, resolver });
+  const validators = parseValidators(options.validators, Object.keys(orchestrator.validators));
+  const components = await discoverComponents(paths, targetDir);
+  // Machine-readable reports on stdout must not be mixed with progress output
+  const quiet = format !== 'text' && !options.output;
+
+  if (config && !quiet) {
+    console.log(chalk.gray(`⚙️  Using ${path.relative(process.cwd(), config.file) || config.file}`));
+  }
+  if (components.length > 0 && !quiet) {
+    console.log(chalk.blue(`🔍 Validating ${components.length} component(s) with: ${validators.join(', ')}`));
+  }
+
+  if (options.fix) {
+    await applyStructuralFixes(components, options, quiet);
+  }
+
+  const results = await orchestrator.validateComponents(components, {
+    validators,
+    strict: Boolean(options.strict),
+    checkAccessibility: Boolean(resolver)
+  });
+  if (resolver && resolver.flush) {
+    await resolver.flush();
+  }
+  const passed = results.summary.failed === 0 && !(options.strict && results.summary.warnings > 0);
+
+  if (options.output) {
+    const report = orchestrator.generateFormattedReport(results, format, { strict: options.strict, verbose: true, colors: false });
+    await fs.outputFile(path.resolve(options.output), report);
+  } else if (quiet) {
+    console.log(orchestrator.generateFormattedReport(results, format, { strict: options.strict }));
+    return { results, passed };
+  }
+
+  if (components.length === 0) {
+    console.log(chalk.yellow('⚠️  No components found to validate.'));
+    console.log(chalk.gray('💡 Pass files or directories, e.g. cct validate .github/agents'));
+    return { results: null, passed: true };
+  }
+
+  console.log(orchestrator.generateReport(results, { verbose: options.verbose }));
+
+  if (options.output) {
+    console.log(chalk.gray(`📄 ${format} report written to ${options.output}`));
+  }
+
+  if (!passed) {
+    const reason = results.summary.failed > 0
+      ? `${results.summary.failed} component(s) failed validation`
+      : `${results.summary.warnings} warning(s) found in strict mode`;
+    console.log(chalk.red(`❌ ${reason}`));
+    if (!options.verbose) {
+      console.log(chalk.gray('💡 Re-run with --verbose to see each error'));
+    }
+  } else {
+    console.log(chalk.green(`✅ All ${results.summary.total} component(s) passed validation`));
+  }
+
+  return { results, passed };
+}
+
+module.exports = {
+  VALIDATOR_NAMES,
+  detectComponentType,
+  discoverComponents,
+  parseValidators,
+  validateProjectComponents
+};
@@ -3,6 +3,7 @@ const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const { getHooksForLanguage, filterHooksBySelection, getMCPsForLanguage, filterMCPsBySelection } = require('./hook-scanner');
+const { parseGitHubRepo, getGitHubHeaders } = require('./component-source');
 
 // GitHub configuration for downloading templates
 const GITHUB_CONFIG = {
@@ -15,19 +16,33 @@ const GITHUB_CONFIG = {
 // Cache for downloaded files to avoid repeated downloads
 const downloadCache = new Map();
 
-async function downloadFileFromGitHub(filePath, retryCount = 0) {
+/**
+ * Repository and ref to download templates from (--repo owner/name, --ref branch|tag|sha)
+ */
+function getGitHubConfig(options = {}) {
+  return {
+    ...GITHUB_CONFIG,
+    ...(options.repo ? parseGitHubRepo(options.repo) : {}),
+    ...(options.ref ? { branch: String(options.ref).trim() } : {})
+  };
+}
+
+async function downloadFileFromGitHub(filePath, options = {}, retryCount = 0) {
+  const config = getGitHubConfig(options);
+  const cacheKey = `${config.owner}/${config.repo}@${config.branch}:${filePath}`;
+
   // Check cache first
-  if (downloadCache.has(filePath)) {
-    return downloadCache.get(filePath);
+  if (downloadCache.has(cacheKey)) {
+    return downloadCache.get(cacheKey);
   }
 
   const maxRetries = 3;
   const baseDelay = 1000;
   const retryDelay = baseDelay * Math.pow(2, retryCount); // Exponential backoff: 1s, 2s, 4s
-  const githubUrl = `https://raw.githubusercontent.com/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/${GITHUB_CONFIG.branch}/${GITHUB_CONFIG.templatesPath}/${filePath}`;
+  const githubUrl = `https://raw.githubusercontent.com/${config.owner}/${config.repo}/${config.branch}/${config.templatesPath}/${filePath}`;
   
   try {
-    const response = await fetch(githubUrl);
+    const response = await fetch(githubUrl, { headers: getGitHubHeaders(githubUrl) });
     
     // Handle rate limiting for raw.githubusercontent.com (though less common)
     if (response.status === 403 && retryCount < maxRetries) {
@@ -35,7 +50,7 @@ async function downloadFileFromGitHub(filePath, retryCount = 0) {
       if (rateLimitMsg.includes('rate limit') || rateLimitMsg.includes('forbidden')) {
         console.log(chalk.yellow(`⏳ Rate limited downloading ${filePath}, retrying in ${Math.ceil(retryDelay / 1000)}s...`));
         await new Promise(resolve => setTimeout(resolve, retryDelay));
-        return downloadFileFromGitHub(filePath, retryCount + 1);
+        return downloadFileFromGitHub(filePath, options, retryCount + 1);
       }
     }
     
@@ -49,21 +64,21 @@ async function downloadFileFromGitHub(filePath, retryCount = 0) {
       if (retryCount < maxRetries) {
         console.log(chalk.yellow(`⚠️  Error ${response.status} downloading ${filePath}, retrying...`));
         await new Promise(resolve => setTimeout(resolve, retryDelay));
-        return downloadFileFromGitHub(filePath, retryCount + 1);
+        return downloadFileFromGitHub(filePath, options, retryCount + 1);
       }
       
       throw new Error(`Failed to download ${filePath}: ${response.status} ${response.statusText}`);
     }
     
     const content = await response.text();
-    downloadCache.set(filePath, content);
+    downloadCache.set(cacheKey, content);
     return content;
   } catch (error) {
     // Network errors - retry if possible
     if (retryCount < maxRetries && (error.code === 'ECONNRESET' || error.code === 'ETIMEDOUT' || error.message.includes('fetch'))) {
       console.log(chalk.yellow(`⚠️  Network error downloading ${filePath}, retrying in ${Math.ceil(retryDelay / 1000)}s...`));
       await new Promise(resolve => setTimeout(resolve, retryDelay));
-      return downloadFileFromGitHub(filePath, retryCount + 1);
+      return downloadFileFromGitHub(filePath, options, retryCount + 1);
     }
     
     // Don't log error here - let caller handle it
@@ -71,17 +86,18 @@ async function downloadFileFromGitHub(filePath, retryCount = 0) {
   }
 }
 
-async function downloadDirectoryFromGitHub(dirPath, retryCount = 0) {
+async function downloadDirectoryFromGitHub(dirPath, options = {}, retryCount = 0) {
+  const config = getGitHubConfig(options);
   const maxRetries = 5; // Increased retry attempts
   const baseDelay = 2000; // Base delay of 2 seconds
   const retryDelay = baseDelay * Math.pow(2, retryCount); // Exponential backoff: 2s, 4s, 8s, 16s, 32s
   
   // For directories, we need to get the list of files first
   // GitHub API endpoint to get directory contents
-  const apiUrl = `https://api.github.com/repos/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/contents/${GITHUB_CONFIG.templatesPath}/${dirPath}?ref=${GITHUB_CONFIG.branch}`;
+  const apiUrl = `https://api.github.com/repos/${config.owner}/${config.repo}/contents/${config.templatesPath}/${dirPath}?ref=${encodeURIComponent(config.branch)}`;
   
   try {
-    const response = await fetch(apiUrl);
+    const response = await fetch(apiUrl, { headers: getGitHubHeaders(apiUrl) });
     
     // Handle rate limiting with more sophisticated detection
     if (response.status === 403) {
@@ -105,9 +121,12 @@ async function downloadDirectoryFromGitHub(dirPath, retryCount = 0) {
         console.log(chalk.gray(`   Rate limit resets at: ${rateLimitReset ? new Date(parseInt(rateLimitReset) * 1000).toLocaleTimeString() : 'unknown'}`));
         
         await new Promise(resolve => setTimeout(resolve, waitTime));
-        return downloadDirectoryFromGitHub(dirPath, retryCount + 1);
+        return downloadDirectoryFromGitHub(dirPath, options, retryCount + 1);
       } else if (isRateLimit) {
         console.log(chalk.red(`❌ GitHub API rate limit exceeded after ${maxRetries} retries`));
+        if (!process.env.GITHUB_TOKEN) {
+          console.log(chalk.gray('   💡 Set GITHUB_TOKEN to use the higher authenticated rate limit'));
+        }
         console.log(chalk.yellow(`   Directory ${dirPath} will be skipped (some template files may be missing)`));
         return {}; // Return empty object instead of throwing error
       } else {
@@ -128,7 +147,7 @@ async function downloadDirectoryFromGitHub(dirPath, retryCount = 0) {
       if (retryCount < maxRetries) {
         console.log(chalk.yellow(`⚠️  Error ${response.status} for ${dirPath}, retrying in ${Math.ceil(retryDelay / 1000)}s...`));
         await new Promise(resolve => setTimeout(resolve, retryDelay));
-        return downloadDirectoryFromGitHub(dirPath, retryCount + 1);
+        return downloadDirectoryFromGitHub(dirPath, options, retryCount + 1);
       }
       
       throw new Error(`Failed to get directory listing for ${dirPath}: ${response.status} ${response.statusText}`);
@@ -141,9 +160,9 @@ async function downloadDirectoryFromGitHub(dirPath, retryCount = 0) {
     
     for (const item of items) {
       if (item.type === 'file') {
-        const relativePath = path.relative(GITHUB_CONFIG.templatesPath, item.path);
+        const relativePath = path.relative(config.templatesPath, item.path);
         try {
-          const content = await downloadFileFromGitHub(relativePath);
+          const content = await downloadFileFromGitHub(relativePath, options);
           files[item.name] = content;
           successCount++;
         } catch (fileError) {
@@ -169,7 +188,7 @@ async function downloadDirectoryFromGitHub(dirPath, retryCount = 0) {
     if (retryCount < maxRetries && (error.message.includes('rate limit') || error.message.includes('ECONNRESET'))) {
       console.log(chalk.yellow(`⚠️  Network error for ${dirPath}, retrying in ${Math.ceil(retryDelay / 1000)}s...`));
       await new Promise(resolve => setTimeout(resolve, retryDelay));
-      return downloadDirectoryFromGitHub(dirPath, retryCount + 1);
+      return downloadDirectoryFromGitHub(dirPath, options, retryCount + 1);
     }
     
     console.error(chalk.red(`❌ Error downloading directory ${dirPath} from GitHub:`), error.message);
@@ -365,7 +384,8 @@ async function createBackups(existingFiles, targetDir) {
 }
 
 async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
-  console.log(chalk.gray(`📥 Downloading templates from GitHub (${GITHUB_CONFIG.branch} branch)...`));
+  const githubConfig = getGitHubConfig(options);
+  console.log(chalk.gray(`📥 Downloading templates from GitHub (${githubConfig.owner}/${githubConfig.repo}, ${githubConfig.branch})...`));
   
   // Check for existing files and get user preference
   const existingFiles = await checkExistingFiles(targetDir, templateConfig);
@@ -409,7 +429,7 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
         
         // Download framework-specific commands from GitHub
         try {
-          const frameworkFiles = await downloadDirectoryFromGitHub(file.source);
+          const frameworkFiles = await downloadDirectoryFromGitHub(file.source, options);
           let filesWritten = 0;
           
           for (const [frameworkFileName, content] of Object.entries(frameworkFiles)) {
@@ -443,7 +463,7 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
         
         // Download base .claude directory structure from GitHub
         try {
-          const baseClaudeFiles = await downloadDirectoryFromGitHub(file.source);
+          const baseClaudeFiles = await downloadDirectoryFromGitHub(file.source, options);
           
           // Write non-command files first
           for (const [fileName, content] of Object.entries(baseClaudeFiles)) {
@@ -467,7 +487,7 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
           // Download base commands from GitHub
           const baseCommandsDir = `${file.source}/commands`;
           try {
-            const baseCommands = await downloadDirectoryFromGitHub(baseCommandsDir);
+            const baseCommands = await downloadDirectoryFromGitHub(baseCommandsDir, options);
             const excludeCommands = ['react-component.md', 'route.md', 'api-endpoint.md']; // Commands moved to framework dirs
             
             for (const [baseCommandName, commandContent] of Object.entries(baseCommands)) {
@@ -500,7 +520,7 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
         successfulFiles++;
       } else if (file.source.includes('settings.json') && templateConfig.selectedHooks) {
         // Download and process settings.json with hooks
-        const settingsContent = await downloadFileFromGitHub(file.source);
+        const settingsContent = await downloadFileFromGitHub(file.source, options);
         
         // In merge mode, merge settings instead of overwriting
         if (userAction === 'merge') {
@@ -513,7 +533,7 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
         successfulFiles++;
       } else if (file.source.includes('.mcp.json') && templateConfig.selectedMCPs) {
         // Download and process MCP config with selected MCPs
-        const mcpContent = await downloadFileFromGitHub(file.source);
+        const mcpContent = await downloadFileFromGitHub(file.source, options);
         
         // In merge mode, merge MCP config instead of overwriting
         if (userAction === 'merge') {
@@ -534,7 +554,7 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
         }
         
         try {
-          const fileContent = await downloadFileFromGitHub(file.source);
+          const fileContent = await downloadFileFromGitHub(file.source, options);
           const destDir = path.dirname(destPath);
           await fs.ensureDir(destDir);
           await fs.writeFile(destPath, fileContent, 'utf8');
@@ -576,7 +596,7 @@ async function copyTemplateFiles(templateConfig, targetDir, options = {}) {
     console.log(chalk.yellow(`   ⚠️  ${failedFiles} files failed to download (continuing anyway)`));
   }
   
-  console.log(chalk.gray(`\n📚 Source: https://github.com/${GITHUB_CONFIG.owner}/${GITHUB_CONFIG.repo}/tree/${GITHUB_CONFIG.branch}/${GITHUB_CONFIG.templatesPath}`));
+  console.log(chalk.gray(`\n📚 Source: https://github.com/${githubConfig.owner}/${githubConfig.repo}/tree/${githubConfig.branch}/${githubConfig.templatesPath}`));
   
   // Consider it successful if we got at least some files
   const hasEssentialFiles = successfulFiles > 0;
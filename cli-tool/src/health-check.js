@@ -5,17 +5,163 @@ const os = require('os');
 const { execSync } = require('child_process');
 const ora = require('ora');
 const boxen = require('boxen');
+const yaml = require('js-yaml');
+const StructuralValidator = require('./validation/validators/StructuralValidator');
+const { LOCKFILE_PATH, readLockfile, removeComponent } = require('./lockfile');
+const { mapWithConcurrency } = require('./install-transaction');
+const { probeMCPServer } = require('./mcp-probe');
+const { parseLenientJson, toVSCodeServers } = require('./mcp-config');
+const { backupFile } = require('./utils');
+
+// Skipped when matching applyTo globs against project files
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+const MAX_PROJECT_FILES = 20000;
+
+/**
+ * Regular expression for a VS Code glob: *, **, ?, {a,b} and [abc]
+ */
+function globToRegExp(glob) {
+  let source = '';
+  let depth = 0;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no directory at all
+      const slash = glob[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      depth++;
+      source += '(?:';
+    } else if (char === '}' && depth > 0) {
+      depth--;
+      source += ')';
+    } else if (char === ',' && depth > 0) {
+      source += '|';
+    } else if (char === '[' && glob.indexOf(']', i + 1) !== -1) {
+      const end = glob.indexOf(']', i + 1);
+      source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+// Check categories in run order, with the section that fills each one
+const CATEGORY_SECTIONS = {
+  system: 'checkSystemRequirementsWithSpinner',
+  claudeCode: 'checkClaudeCodeSetupWithSpinner',
+  project: 'checkProjectSetupWithSpinner',
+  copilot: 'checkCopilotSetupWithSpinner',
+  customizations: 'checkCopilotCustomizationsWithSpinner',
+  agents: 'checkAgentsWithSpinner',
+  mcps: 'checkMCPServersWithSpinner',
+  commands: 'checkCustomCommandsWithSpinner',
+  hooks: 'checkHooksConfigurationWithSpinner'
+};
+
+const CATEGORIES = Object.keys(CATEGORY_SECTIONS);
+
+// MCP servers started at the same time by the liveness check
+const PROBE_CONCURRENCY = 4;
+const REPORT_FORMATS = ['json', 'junit'];
+const FAIL_ON_LEVELS = ['warn', 'fail'];
+
+/**
+ * Parse --only (comma-separated categories)
+ * @throws {Error} On unknown categories
+ */
+function parseCategories(value) {
+  if (!value || value.length === 0) {
+    return CATEGORIES;
+  }
+
+  const names = (Array.isArray(value) ? value.join(',') : value).split(',').map(v => v.trim()).filter(v => v);
+  const unknown = names.filter(name => !CATEGORIES.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown health check category(ies): ${unknown.join(', ')}. Available: ${CATEGORIES.join(', ')}`);
+  }
+  return CATEGORIES.filter(category => names.includes(category));
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Plain JSON, with no comments or trailing commas that a rewrite would lose
+function isStrictJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Installed by the "Copilot Instructions" fix; the npm package does not ship components/
+const DEFAULT_COPILOT_INSTRUCTIONS = `# Copilot Instructions
+
+You are helping a programming student learn by building this project. Follow these guidelines:
+
+## Communication Style
+- Use simple, clear language and explain technical terms when you use them
+- Break down complex changes into small steps
+
+## Code Suggestions
+- Prioritize readability over cleverness
+- Add comments explaining what the code does
+- Follow the conventions already used in this project
+
+## Learning Focus
+- Explain why a change works, not only what to type
+- Point out common mistakes gently
+`;
 
 /**
  * Health Check module for Claude Code CLI
- * Validates system requirements, configuration, and project setup
+ * Validates system requirements, configuration, and project setup, including the
+ * GitHub Copilot files this tool installs
  */
 class HealthChecker {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {string} options.directory - Project to check (default: current directory)
+   * @param {string|Array<string>} options.only - Categories to check (default: all)
+   * @param {boolean} options.interactive - Spinners, pacing and the printed summary (default: true)
+   * @param {boolean} options.mcpProbe - Start the configured MCP servers to check they answer (default: false,
+   *                                    as it runs commands from the project's config)
+   * @param {number} options.probeTimeout - Milliseconds each MCP server gets to answer
+   * @throws {Error} On unknown categories
+   */
+  constructor(options = {}) {
+    this.projectDir = options.directory ? path.resolve(options.directory) : process.cwd();
+    this.interactive = options.interactive !== false;
+    this.mcpProbe = options.mcpProbe === true;
+    this.probeTimeout = options.probeTimeout;
+    this.categories = parseCategories(options.only);
+    this.projectFiles = null;
+    // Fixes offered by failed and warned checks, applied by applyRemediations()
+    this.remediations = [];
     this.results = {
       system: [],
       claudeCode: [],
       project: [],
+      copilot: [],
+      customizations: [],
       agents: [],
       commands: [],
       mcps: [],
@@ -27,39 +173,22 @@ class HealthChecker {
 
   /**
    * Run comprehensive health check
+   * Interactive runs pause between categories so each section can be read
    */
   async runHealthCheck() {
-    console.log(chalk.blue('🔍 Running Health Check...'));
-    console.log('');
+    if (this.interactive) {
+      console.log(chalk.blue('🔍 Running Health Check...'));
+      console.log('');
+    }
+
+    for (const [index, category] of this.categories.entries()) {
+      await this[CATEGORY_SECTIONS[category]]();
+      if (this.interactive) {
+        // Shorter delay before summary
+        await this.sleep(index === this.categories.length - 1 ? 1000 : 3000);
+      }
+    }
 
-    // System requirements check
-    await this.checkSystemRequirementsWithSpinner();
-    await this.sleep(3000);
-    
-    // Claude Code configuration check
-    await this.checkClaudeCodeSetupWithSpinner();
-    await this.sleep(3000);
-    
-    // Project configuration check
-    await this.checkProjectSetupWithSpinner();
-    await this.sleep(3000);
-    
-    // Agents check
-    await this.checkAgentsWithSpinner();
-    await this.sleep(3000);
-    
-    // MCP servers check
-    await this.checkMCPServersWithSpinner();
-    await this.sleep(3000);
-    
-    // Custom commands check
-    await this.checkCustomCommandsWithSpinner();
-    await this.sleep(3000);
-    
-    // Hooks configuration check
-    await this.checkHooksConfigurationWithSpinner();
-    await this.sleep(1000); // Shorter delay before summary
-    
     // Display final summary
     return this.generateSummary();
   }
@@ -68,36 +197,34 @@ class HealthChecker {
    * Check system requirements with spinner and immediate results
    */
   async checkSystemRequirementsWithSpinner() {
-    console.log(chalk.cyan('\n┌───────────────────────┐'));
-    console.log(chalk.cyan('│  SYSTEM REQUIREMENTS  │'));
-    console.log(chalk.cyan('└───────────────────────┘'));
+    this.printSection('SYSTEM REQUIREMENTS');
     
     // Operating System
-    const osSpinner = ora('Checking Operating System...').start();
+    const osSpinner = this.startSpinner('Checking Operating System...');
     const osInfo = this.checkOperatingSystem();
     this.addResult('system', 'Operating System', osInfo.status, osInfo.message);
     osSpinner.succeed(`${this.getStatusIcon(osInfo.status)} Operating System     │ ${osInfo.message}`);
 
     // Node.js version
-    const nodeSpinner = ora('Checking Node.js Version...').start();
+    const nodeSpinner = this.startSpinner('Checking Node.js Version...');
     const nodeInfo = this.checkNodeVersion();
     this.addResult('system', 'Node.js Version', nodeInfo.status, nodeInfo.message);
     nodeSpinner.succeed(`${this.getStatusIcon(nodeInfo.status)} Node.js Version      │ ${nodeInfo.message}`);
 
     // Memory
-    const memorySpinner = ora('Checking Memory Available...').start();
+    const memorySpinner = this.startSpinner('Checking Memory Available...');
     const memoryInfo = this.checkMemory();
     this.addResult('system', 'Memory Available', memoryInfo.status, memoryInfo.message);
     memorySpinner.succeed(`${this.getStatusIcon(memoryInfo.status)} Memory Available     │ ${memoryInfo.message}`);
 
     // Network connectivity (this one takes time)
-    const networkSpinner = ora('Testing Network Connection...').start();
+    const networkSpinner = this.startSpinner('Testing Network Connection...');
     const networkInfo = await this.checkNetworkConnectivity();
     this.addResult('system', 'Network Connection', networkInfo.status, networkInfo.message);
     networkSpinner.succeed(`${this.getStatusIcon(networkInfo.status)} Network Connection   │ ${networkInfo.message}`);
 
     // Shell environment
-    const shellSpinner = ora('Checking Shell Environment...').start();
+    const shellSpinner = this.startSpinner('Checking Shell Environment...');
     const shellInfo = this.checkShellEnvironment();
     this.addResult('system', 'Shell Environment', shellInfo.status, shellInfo.message);
     shellSpinner.succeed(`${this.getStatusIcon(shellInfo.status)} Shell Environment    │ ${shellInfo.message}`);
@@ -107,30 +234,28 @@ class HealthChecker {
    * Check Claude Code setup with spinner and immediate results
    */
   async checkClaudeCodeSetupWithSpinner() {
-    console.log(chalk.cyan('\n┌─────────────────────┐'));
-    console.log(chalk.cyan('│  CLAUDE CODE SETUP  │'));
-    console.log(chalk.cyan('└─────────────────────┘'));
+    this.printSection('CLAUDE CODE SETUP');
     
     // Installation check
-    const installSpinner = ora('Checking Claude Code Installation...').start();
+    const installSpinner = this.startSpinner('Checking Claude Code Installation...');
     const installInfo = this.checkClaudeCodeInstallation();
     this.addResult('claudeCode', 'Installation', installInfo.status, installInfo.message);
     installSpinner.succeed(`${this.getStatusIcon(installInfo.status)} Installation         │ ${installInfo.message}`);
 
     // Authentication check (this one can take time)
-    const authSpinner = ora('Verifying Authentication...').start();
+    const authSpinner = this.startSpinner('Verifying Authentication...');
     const authInfo = this.checkAuthentication();
     this.addResult('claudeCode', 'Authentication', authInfo.status, authInfo.message);
     authSpinner.succeed(`${this.getStatusIcon(authInfo.status)} Authentication       │ ${authInfo.message}`);
 
     // Auto-updates check
-    const updateSpinner = ora('Checking Auto-updates...').start();
+    const updateSpinner = this.startSpinner('Checking Auto-updates...');
     const updateInfo = this.checkAutoUpdates();
     this.addResult('claudeCode', 'Auto-updates', updateInfo.status, updateInfo.message);
     updateSpinner.succeed(`${this.getStatusIcon(updateInfo.status)} Auto-updates         │ ${updateInfo.message}`);
 
     // Permissions check
-    const permissionSpinner = ora('Checking Permissions...').start();
+    const permissionSpinner = this.startSpinner('Checking Permissions...');
     const permissionInfo = this.checkPermissions();
     this.addResult('claudeCode', 'Permissions', permissionInfo.status, permissionInfo.message);
     permissionSpinner.succeed(`${this.getStatusIcon(permissionInfo.status)} Permissions          │ ${permissionInfo.message}`);
@@ -140,63 +265,122 @@ class HealthChecker {
    * Check project setup with spinner and immediate results
    */
   async checkProjectSetupWithSpinner() {
-    console.log(chalk.cyan('\n┌─────────────────┐'));
-    console.log(chalk.cyan('│  PROJECT SETUP  │'));
-    console.log(chalk.cyan('└─────────────────┘'));
+    this.printSection('PROJECT SETUP');
     
     // Project structure
-    const structureSpinner = ora('Scanning Project Structure...').start();
+    const structureSpinner = this.startSpinner('Scanning Project Structure...');
     const structureInfo = this.checkProjectStructure();
     this.addResult('project', 'Project Structure', structureInfo.status, structureInfo.message);
     structureSpinner.succeed(`${this.getStatusIcon(structureInfo.status)} Project Structure    │ ${structureInfo.message}`);
 
     // Configuration files
-    const configSpinner = ora('Checking Configuration Files...').start();
+    const configSpinner = this.startSpinner('Checking Configuration Files...');
     const configInfo = this.checkConfigurationFiles();
     this.addResult('project', 'Configuration Files', configInfo.status, configInfo.message);
     configSpinner.succeed(`${this.getStatusIcon(configInfo.status)} Configuration Files  │ ${configInfo.message}`);
 
     // User settings validation
-    const userSettingsSpinner = ora('Validating User Settings...').start();
+    const userSettingsSpinner = this.startSpinner('Validating User Settings...');
     const userSettingsInfo = this.checkUserSettings();
     this.addResult('project', 'User Settings', userSettingsInfo.status, userSettingsInfo.message);
     userSettingsSpinner.succeed(`${this.getStatusIcon(userSettingsInfo.status)} User Settings        │ ${userSettingsInfo.message}`);
 
     // Project settings validation
-    const projectSettingsSpinner = ora('Validating Project Settings...').start();
+    const projectSettingsSpinner = this.startSpinner('Validating Project Settings...');
     const projectSettingsInfo = this.checkProjectSettings();
     this.addResult('project', 'Project Settings', projectSettingsInfo.status, projectSettingsInfo.message);
     projectSettingsSpinner.succeed(`${this.getStatusIcon(projectSettingsInfo.status)} Project Settings     │ ${projectSettingsInfo.message}`);
 
     // Local settings validation
-    const localSettingsSpinner = ora('Validating Local Settings...').start();
+    const localSettingsSpinner = this.startSpinner('Validating Local Settings...');
     const localSettingsInfo = this.checkLocalSettings();
     this.addResult('project', 'Local Settings', localSettingsInfo.status, localSettingsInfo.message);
     localSettingsSpinner.succeed(`${this.getStatusIcon(localSettingsInfo.status)} Local Settings       │ ${localSettingsInfo.message}`);
   }
 
+  /**
+   * Check the always-on Copilot files with spinner and immediate results
+   */
+  async checkCopilotSetupWithSpinner() {
+    this.printSection('COPILOT SETUP');
+
+    await this.runCheckWithSpinner('copilot', 'Copilot Instructions', 'Checking Copilot Instructions...', () => this.checkCopilotInstructions());
+    await this.runCheckWithSpinner('copilot', 'Workspace Agents', 'Checking AGENTS.md...', () => this.checkWorkspaceAgents());
+    await this.runCheckWithSpinner('copilot', 'MCP Servers', 'Checking .vscode/mcp.json...', () => this.checkVSCodeMCPServers());
+    await this.runCheckWithSpinner('copilot', 'Installed Components', 'Checking the lockfile...', () => this.checkInstalledComponents());
+  }
+
+  /**
+   * Check Copilot agents, prompts, instructions and skills with spinner and immediate results
+   */
+  async checkCopilotCustomizationsWithSpinner() {
+    this.printSection('COPILOT CUSTOMIZATIONS');
+
+    await this.runCheckWithSpinner('customizations', 'Custom Agents', 'Validating Custom Agents...', () => this.checkCopilotAgents());
+    await this.runCheckWithSpinner('customizations', 'Prompt Files', 'Validating Prompt Files...', () => this.checkPromptFiles());
+    await this.runCheckWithSpinner('customizations', 'Instruction Files', 'Validating Instruction Files...', () => this.checkInstructionFiles());
+    await this.runCheckWithSpinner('customizations', 'applyTo Globs', 'Matching applyTo Globs...', () => this.checkApplyToGlobs());
+    await this.runCheckWithSpinner('customizations', 'Skills', 'Validating Skills...', () => this.checkSkills());
+  }
+
+  /**
+   * Section header; silent outside interactive mode
+   */
+  printSection(title) {
+    if (!this.interactive) return;
+    const line = '─'.repeat(title.length + 4);
+    console.log(chalk.cyan(`\n┌${line}┐`));
+    console.log(chalk.cyan(`│  ${title}  │`));
+    console.log(chalk.cyan(`└${line}┘`));
+  }
+
+  /**
+   * ora spinner, or a silent stand-in outside interactive mode
+   */
+  startSpinner(text) {
+    return this.interactive ? ora(text).start() : { succeed() {} };
+  }
+
+  /**
+   * Run one check under a spinner and record its result
+   * A check can return a remediation: { description, apply } where apply() fixes the
+   * problem and resolves to a message saying what it did
+   */
+  async runCheckWithSpinner(category, check, text, run) {
+    const spinner = this.startSpinner(text);
+    const info = await run();
+    const result = this.addResult(category, check, info.status, info.message, info.recommendation, info.remediation);
+    spinner.succeed(`${this.getStatusIcon(info.status)} ${check.padEnd(20)} │ ${info.message}`);
+
+    // One line per checked item, for checks that cover several
+    if (info.details) {
+      result.details = info.details;
+      if (this.interactive) {
+        info.details.forEach(line => console.log(chalk.gray(`   • ${line}`)));
+      }
+    }
+  }
+
   /**
    * Check agents with spinner and immediate results
    */
   async checkAgentsWithSpinner() {
-    console.log(chalk.cyan('\n┌──────────┐'));
-    console.log(chalk.cyan('│  AGENTS  │'));
-    console.log(chalk.cyan('└──────────┘'));
+    this.printSection('AGENTS');
     
     // Project agents
-    const projectSpinner = ora('Scanning Project Agents...').start();
+    const projectSpinner = this.startSpinner('Scanning Project Agents...');
     const projectAgents = this.checkProjectAgents();
     this.addResult('agents', 'Project Agents', projectAgents.status, projectAgents.message);
     projectSpinner.succeed(`${this.getStatusIcon(projectAgents.status)} Project Agents      │ ${projectAgents.message}`);
 
     // Personal agents
-    const personalSpinner = ora('Scanning Personal Agents...').start();
+    const personalSpinner = this.startSpinner('Scanning Personal Agents...');
     const personalAgents = this.checkPersonalAgents();
     this.addResult('agents', 'Personal Agents', personalAgents.status, personalAgents.message);
     personalSpinner.succeed(`${this.getStatusIcon(personalAgents.status)} Personal Agents     │ ${personalAgents.message}`);
 
     // Agent syntax validation
-    const syntaxSpinner = ora('Validating Agent Syntax...').start();
+    const syntaxSpinner = this.startSpinner('Validating Agent Syntax...');
     const syntaxInfo = this.checkAgentSyntax();
     this.addResult('agents', 'Agent Syntax', syntaxInfo.status, syntaxInfo.message);
     syntaxSpinner.succeed(`${this.getStatusIcon(syntaxInfo.status)} Agent Syntax        │ ${syntaxInfo.message}`);
@@ -206,45 +390,47 @@ class HealthChecker {
    * Check MCP servers with spinner and immediate results
    */
   async checkMCPServersWithSpinner() {
-    console.log(chalk.cyan('\n┌──────────────┐'));
-    console.log(chalk.cyan('│  MCP SERVERS │'));
-    console.log(chalk.cyan('└──────────────┘'));
+    this.printSection('MCP SERVERS');
     
     // Project MCP configuration
-    const projectMCPSpinner = ora('Scanning Project MCP Configuration...').start();
+    const projectMCPSpinner = this.startSpinner('Scanning Project MCP Configuration...');
     const projectMCP = this.checkProjectMCPConfiguration();
     this.addResult('mcps', 'Project MCP Config', projectMCP.status, projectMCP.message);
     projectMCPSpinner.succeed(`${this.getStatusIcon(projectMCP.status)} Project MCP Config   │ ${projectMCP.message}`);
 
     // MCP configuration validation
-    const mcpValidationSpinner = ora('Validating MCP Configuration...').start();
+    const mcpValidationSpinner = this.startSpinner('Validating MCP Configuration...');
     const mcpValidation = this.checkMCPConfigurationSyntax();
     this.addResult('mcps', 'MCP Config Syntax', mcpValidation.status, mcpValidation.message);
     mcpValidationSpinner.succeed(`${this.getStatusIcon(mcpValidation.status)} MCP Config Syntax   │ ${mcpValidation.message}`);
+
+    // Starting servers runs the project's commands with the user's environment, so like VS Code's
+    // workspace trust this only happens when asked for with --mcp-probe
+    if (this.mcpProbe) {
+      await this.runCheckWithSpinner('mcps', 'MCP Servers Start', 'Starting MCP Servers...', () => this.checkMCPServerLiveness());
+    }
   }
 
   /**
    * Check custom commands with spinner and immediate results
    */
   async checkCustomCommandsWithSpinner() {
-    console.log(chalk.cyan('\n┌───────────────────┐'));
-    console.log(chalk.cyan('│  CUSTOM COMMANDS  │'));
-    console.log(chalk.cyan('└───────────────────┘'));
+    this.printSection('CUSTOM COMMANDS');
     
     // Project commands
-    const projectSpinner = ora('Scanning Project Commands...').start();
+    const projectSpinner = this.startSpinner('Scanning Project Commands...');
     const projectCommands = this.checkProjectCommands();
     this.addResult('commands', 'Project Commands', projectCommands.status, projectCommands.message);
     projectSpinner.succeed(`${this.getStatusIcon(projectCommands.status)} Project Commands     │ ${projectCommands.message}`);
 
     // Personal commands
-    const personalSpinner = ora('Scanning Personal Commands...').start();
+    const personalSpinner = this.startSpinner('Scanning Personal Commands...');
     const personalCommands = this.checkPersonalCommands();
     this.addResult('commands', 'Personal Commands', personalCommands.status, personalCommands.message);
     personalSpinner.succeed(`${this.getStatusIcon(personalCommands.status)} Personal Commands    │ ${personalCommands.message}`);
 
     // Command syntax validation
-    const syntaxSpinner = ora('Validating Command Syntax...').start();
+    const syntaxSpinner = this.startSpinner('Validating Command Syntax...');
     const syntaxInfo = this.checkCommandSyntax();
     this.addResult('commands', 'Command Syntax', syntaxInfo.status, syntaxInfo.message);
     syntaxSpinner.succeed(`${this.getStatusIcon(syntaxInfo.status)} Command Syntax       │ ${syntaxInfo.message}`);
@@ -254,36 +440,34 @@ class HealthChecker {
    * Check hooks configuration with spinner and immediate results
    */
   async checkHooksConfigurationWithSpinner() {
-    console.log(chalk.cyan('\n┌─────────┐'));
-    console.log(chalk.cyan('│  HOOKS  │'));
-    console.log(chalk.cyan('└─────────┘'));
+    this.printSection('HOOKS');
     
     // User hooks
-    const userSpinner = ora('Checking User Hooks...').start();
+    const userSpinner = this.startSpinner('Checking User Hooks...');
     const userHooks = this.checkUserHooks();
     this.addResult('hooks', 'User Hooks', userHooks.status, userHooks.message);
     userSpinner.succeed(`${this.getStatusIcon(userHooks.status)} User Hooks           │ ${userHooks.message}`);
 
     // Project hooks
-    const projectSpinner = ora('Checking Project Hooks...').start();
+    const projectSpinner = this.startSpinner('Checking Project Hooks...');
     const projectHooks = this.checkProjectHooks();
     this.addResult('hooks', 'Project Hooks', projectHooks.status, projectHooks.message);
     projectSpinner.succeed(`${this.getStatusIcon(projectHooks.status)} Project Hooks        │ ${projectHooks.message}`);
 
     // Local hooks
-    const localSpinner = ora('Checking Local Hooks...').start();
+    const localSpinner = this.startSpinner('Checking Local Hooks...');
     const localHooks = this.checkLocalHooks();
     this.addResult('hooks', 'Local Hooks', localHooks.status, localHooks.message);
     localSpinner.succeed(`${this.getStatusIcon(localHooks.status)} Local Hooks          │ ${localHooks.message}`);
 
     // Hook commands validation
-    const hookSpinner = ora('Validating Hook Commands...').start();
+    const hookSpinner = this.startSpinner('Validating Hook Commands...');
     const hookCommands = this.checkHookCommands();
     this.addResult('hooks', 'Hook Commands', hookCommands.status, hookCommands.message);
     hookSpinner.succeed(`${this.getStatusIcon(hookCommands.status)} Hook Commands        │ ${hookCommands.message}`);
 
     // MCP hooks
-    const mcpSpinner = ora('Scanning MCP Hooks...').start();
+    const mcpSpinner = this.startSpinner('Scanning MCP Hooks...');
     const mcpHooks = this.checkMCPHooks();
     this.addResult('hooks', 'MCP Hooks', mcpHooks.status, mcpHooks.message);
     mcpSpinner.succeed(`${this.getStatusIcon(mcpHooks.status)} MCP Hooks            │ ${mcpHooks.message}`);
@@ -421,7 +605,7 @@ class HealthChecker {
   checkClaudeCodeInstallation() {
     try {
       // Try to find claude-code package
-      const packagePath = path.join(process.cwd(), 'node_modules', '@anthropic-ai', 'claude-code');
+      const packagePath = path.join(this.projectDir, 'node_modules', '@anthropic-ai', 'claude-code');
       if (fs.existsSync(packagePath)) {
         const packageJson = require(path.join(packagePath, 'package.json'));
         return {
@@ -432,7 +616,7 @@ class HealthChecker {
       
       // Check global installation
       try {
-        const output = execSync('claude --version', { encoding: 'utf8', stdio: 'pipe' });
+        const output = execSync('claude --version', { encoding: 'utf8', stdio: 'pipe', timeout: 3000 });
         return {
           status: 'pass',
           message: `${output.trim()} (globally installed)`
@@ -563,7 +747,7 @@ class HealthChecker {
   }
 
   checkProjectStructure() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     
     // Check if it's a valid project directory
     const indicators = [
@@ -593,7 +777,7 @@ class HealthChecker {
   }
 
   checkConfigurationFiles() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const claudeDir = path.join(currentDir, '.claude');
     
     if (fs.existsSync(claudeDir)) {
@@ -611,7 +795,7 @@ class HealthChecker {
   }
 
   checkProjectMCPConfiguration() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const mcpConfigPath = path.join(currentDir, '.mcp.json');
     
     if (fs.existsSync(mcpConfigPath)) {
@@ -646,7 +830,7 @@ class HealthChecker {
 
   checkMCPConfigurationSyntax() {
     const configPaths = [
-      path.join(process.cwd(), '.mcp.json')
+      path.join(this.projectDir, '.mcp.json')
     ];
     
     let totalServers = 0;
@@ -728,7 +912,7 @@ class HealthChecker {
   }
 
   checkProjectCommands() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const commandsDir = path.join(currentDir, '.claude', 'commands');
     
     if (fs.existsSync(commandsDir)) {
@@ -764,7 +948,7 @@ class HealthChecker {
   }
 
   checkCommandSyntax() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const commandsDir = path.join(currentDir, '.claude', 'commands');
     
     if (!fs.existsSync(commandsDir)) {
@@ -801,7 +985,7 @@ class HealthChecker {
   }
 
   checkProjectAgents() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const agentsDir = path.join(currentDir, '.claude', 'agents');
     
     if (fs.existsSync(agentsDir)) {
@@ -856,7 +1040,7 @@ class HealthChecker {
   }
 
   checkAgentSyntax() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const agentsDir = path.join(currentDir, '.claude', 'agents');
     
     if (!fs.existsSync(agentsDir)) {
@@ -923,6 +1107,561 @@ class HealthChecker {
     return files;
   }
 
+  /**
+   * Copilot checks: files are validated with the StructuralValidator schemas and each
+   * result carries a recommendation for the first problem found
+   */
+  async checkCopilotInstructions() {
+    const file = path.join(this.projectDir, '.github', 'copilot-instructions.md');
+
+    if (!fs.existsSync(file)) {
+      return {
+        status: 'warn',
+        message: 'No .github/copilot-instructions.md found',
+        recommendation: 'Add always-on project instructions with --copilot-instructions <name> (.github/copilot-instructions.md)',
+        remediation: {
+          description: 'Install a default .github/copilot-instructions.md',
+          apply: async () => {
+            if (await fs.pathExists(file)) {
+              throw new Error('.github/copilot-instructions.md already exists');
+            }
+            await fs.outputFile(file, DEFAULT_COPILOT_INSTRUCTIONS);
+            return 'Installed a default .github/copilot-instructions.md; adapt it to your project';
+          }
+        }
+      };
+    }
+
+    return this.summarizeCopilotFiles(await this.validateCopilotFiles([file]), {
+      noun: 'instructions file',
+      pass: `Found .github/copilot-instructions.md (${this.countLines(file)} lines)`
+    });
+  }
+
+  async checkWorkspaceAgents() {
+    const file = path.join(this.projectDir, 'AGENTS.md');
+
+    if (!fs.existsSync(file)) {
+      return {
+        status: 'pass',
+        message: 'No AGENTS.md (optional)'
+      };
+    }
+
+    return this.summarizeCopilotFiles(await this.validateCopilotFiles([file]), {
+      noun: 'AGENTS.md',
+      pass: `Found AGENTS.md (${this.countLines(file)} lines)`
+    });
+  }
+
+  async checkVSCodeMCPServers() {
+    const file = path.join(this.projectDir, '.vscode', 'mcp.json');
+
+    if (!fs.existsSync(file)) {
+      return {
+        status: 'warn',
+        message: 'No .vscode/mcp.json found',
+        recommendation: 'Add MCP servers for Copilot agent mode with --mcp <name> (.vscode/mcp.json)',
+        remediation: this.getLegacyMCPRemediation(file)
+      };
+    }
+
+    // VS Code reads mcp.json as JSONC: comments and trailing commas are valid, so they are left alone
+    const content = fs.readFileSync(file, 'utf8');
+    const config = parseLenientJson(content);
+    if (config === undefined) {
+      return {
+        status: 'fail',
+        message: 'Invalid JSON syntax in .vscode/mcp.json',
+        recommendation: 'Fix the JSON syntax of .vscode/mcp.json'
+      };
+    }
+
+    if (config && config.mcpServers && !config.servers) {
+      return {
+        status: 'fail',
+        message: 'Servers are under "mcpServers"; VS Code reads "servers"',
+        recommendation: 'Rename "mcpServers" to "servers" in .vscode/mcp.json ("mcpServers" is the .mcp.json format)',
+        // Rewriting would drop the comments, so files with any are left to a person
+        remediation: isStrictJson(content) ? {
+          description: 'Move the "mcpServers" of .vscode/mcp.json to "servers", setting each server\'s type',
+          apply: async () => {
+            const backup = await backupFile(file);
+            await fs.writeJson(file, toVSCodeServers(config), { spaces: 2 });
+            return `Moved ${Object.keys(config.mcpServers).length} server(s) to "servers" (backup: ${path.relative(this.projectDir, backup).split(path.sep).join('/')})`;
+          }
+        } : undefined
+      };
+    }
+
+    const [result] = await this.validateCopilotFiles([file]);
+    const names = config && config.servers && typeof config.servers === 'object' ? Object.keys(config.servers) : [];
+
+    if (result.errors.length > 0) {
+      return {
+        status: 'fail',
+        message: result.errors[0],
+        recommendation: 'Fix the server entries in .vscode/mcp.json: stdio servers need a command, http and sse servers an http(s) url'
+      };
+    }
+    if (result.warnings.length > 0) {
+      return {
+        status: 'warn',
+        message: result.warnings[0],
+        recommendation: names.length === 0
+          ? 'Add servers to .vscode/mcp.json with --mcp <name>'
+          : 'Set "type" ("stdio", "http" or "sse") on each server in .vscode/mcp.json'
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `${names.length} MCP servers configured (${names.join(', ')})`
+    };
+  }
+
+  /**
+   * Without .vscode/mcp.json, a .mcp.json (the Claude Code format) can seed it
+   * @returns {object|undefined} Remediation creating .vscode/mcp.json from the .mcp.json servers
+   */
+  getLegacyMCPRemediation(file) {
+    const legacyFile = path.join(this.projectDir, '.mcp.json');
+    if (!fs.existsSync(legacyFile)) return undefined;
+
+    const legacy = parseLenientJson(fs.readFileSync(legacyFile, 'utf8'));
+    if (!legacy || !legacy.mcpServers || typeof legacy.mcpServers !== 'object' || Object.keys(legacy.mcpServers).length === 0) {
+      return undefined;
+    }
+
+    return {
+      description: 'Create .vscode/mcp.json from the servers in .mcp.json',
+      apply: async () => {
+        await fs.outputJson(file, { servers: toVSCodeServers({ mcpServers: legacy.mcpServers }).servers }, { spaces: 2 });
+        return `Created .vscode/mcp.json with ${Object.keys(legacy.mcpServers).length} server(s) from .mcp.json`;
+      }
+    };
+  }
+
+  /**
+   * MCP servers of .vscode/mcp.json ("servers") and .mcp.json ("mcpServers")
+   * A server configured the same way in both files is listed once
+   * @returns {Array<object>} [{ name, file, config }]
+   */
+  listConfiguredMCPServers() {
+    const servers = [];
+
+    for (const [file, key] of [[path.join('.vscode', 'mcp.json'), 'servers'], ['.mcp.json', 'mcpServers']]) {
+      const fullPath = path.join(this.projectDir, file);
+      const config = fs.existsSync(fullPath) ? parseLenientJson(fs.readFileSync(fullPath, 'utf8')) : null;
+      const entries = config && config[key] && typeof config[key] === 'object' ? Object.entries(config[key]) : [];
+
+      for (const [name, server] of entries) {
+        if (!server || typeof server !== 'object') continue; // Reported by the syntax checks
+        const duplicate = servers.some(item => item.name === name && JSON.stringify(item.config) === JSON.stringify(server));
+        if (!duplicate) {
+          servers.push({ name, file: file.split(path.sep).join('/'), config: server });
+        }
+      }
+    }
+
+    return servers;
+  }
+
+  /**
+   * Start each configured MCP server (stdio) or contact it (http, sse), run the initialize
+   * handshake and count its tools
+   */
+  async checkMCPServerLiveness() {
+    const servers = this.listConfiguredMCPServers();
+    if (servers.length === 0) {
+      return {
+        status: 'pass',
+        message: 'No MCP servers to start'
+      };
+    }
+
+    const probes = await mapWithConcurrency(servers, PROBE_CONCURRENCY, async server => ({
+      ...server,
+      ...(await probeMCPServer(server.config, { projectDir: this.projectDir, timeout: this.probeTimeout }))
+    }));
+    const details = probes.map(probe => {
+      if (probe.status !== 'ok') return `${probe.name} (${probe.type}): ${probe.error}`;
+      return `${probe.name} (${probe.type}): ${probe.tools === null ? 'event stream open' : `${probe.tools} tools`}`;
+    });
+    const answered = probes.filter(probe => probe.status === 'ok');
+    const failed = probes.find(probe => probe.status === 'failed');
+    const auth = probes.find(probe => probe.status === 'auth');
+    const skipped = probes.find(probe => probe.status === 'skipped');
+
+    if (failed) {
+      const count = probes.filter(probe => probe.status === 'failed').length;
+      const command = [failed.config.command, ...(failed.config.args || [])].join(' ');
+      return {
+        status: 'fail',
+        message: `${count}/${probes.length} MCP servers did not start (${failed.name}: ${failed.error})`,
+        recommendation: failed.type === 'stdio'
+          ? `Run "${command}" in the project to see why ${failed.name} (${failed.file}) does not start`
+          : `Check the url of ${failed.name} in ${failed.file} and your network connection`,
+        details
+      };
+    }
+    if (auth || skipped) {
+      return {
+        status: 'warn',
+        message: `${answered.length}/${probes.length} MCP servers answered (${(auth || skipped).name}: ${(auth || skipped).error})`,
+        recommendation: auth
+          ? `Sign in to ${auth.name} when VS Code asks, or set its headers in ${auth.file}`
+          : `Start ${skipped.name} from VS Code, which asks for its \${input:...} values`,
+        details
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `All ${probes.length} MCP servers answered`,
+      details
+    };
+  }
+
+  /**
+   * Components in the lockfile whose files are gone: deleted by hand instead of with `cct uninstall`
+   */
+  async checkInstalledComponents() {
+    let lock;
+    try {
+      lock = await readLockfile(this.projectDir);
+    } catch (error) {
+      return {
+        status: 'fail',
+        message: `Invalid JSON syntax in ${LOCKFILE_PATH}`,
+        recommendation: `Fix the JSON syntax of ${LOCKFILE_PATH}, or delete it and reinstall your components`
+      };
+    }
+
+    const entries = Object.entries(lock.components);
+    if (entries.length === 0) {
+      return {
+        status: 'pass',
+        message: 'No components installed with cct'
+      };
+    }
+
+    // MCP servers are recorded as <config file>#<server>
+    const serverNames = new Map();
+    const exists = filePath => {
+      const [file, server] = filePath.split('#');
+      const fullPath = path.join(this.projectDir, file);
+      if (!server) return fs.existsSync(fullPath);
+
+      if (!serverNames.has(file)) {
+        const config = (fs.existsSync(fullPath) && parseLenientJson(fs.readFileSync(fullPath, 'utf8'))) || {};
+        serverNames.set(file, [...Object.keys(config.servers || {}), ...Object.keys(config.mcpServers || {})]);
+      }
+      return serverNames.get(file).includes(server);
+    };
+
+    const dangling = [];
+    const incomplete = [];
+    for (const [key, entry] of entries) {
+      const files = Object.keys(entry.files || {});
+      const missing = files.filter(filePath => !exists(filePath));
+      if (files.length > 0 && missing.length === files.length) {
+        dangling.push({ key, entry });
+      } else if (missing.length > 0) {
+        incomplete.push({ key, missing });
+      }
+    }
+
+    if (dangling.length > 0) {
+      return {
+        status: 'warn',
+        message: `${dangling.length}/${entries.length} installed components have no files left (${dangling.map(item => item.key).join(', ')})`,
+        recommendation: `Remove them from ${LOCKFILE_PATH} with cct uninstall, or reinstall them`,
+        remediation: {
+          description: `Remove ${dangling.map(item => item.key).join(', ')} from ${LOCKFILE_PATH}`,
+          apply: async () => {
+            for (const { entry } of dangling) {
+              await removeComponent(this.projectDir, entry.type, entry.name);
+            }
+            return `Removed ${dangling.length} component(s) from ${LOCKFILE_PATH}`;
+          }
+        }
+      };
+    }
+    if (incomplete.length > 0) {
+      return {
+        status: 'warn',
+        message: `${incomplete.length}/${entries.length} installed components are missing files (${incomplete[0].key}: ${incomplete[0].missing[0]})`,
+        recommendation: `Reinstall ${incomplete[0].key.split(':').slice(1).join(':')} to restore its files, or remove it with cct uninstall`
+      };
+    }
+
+    return {
+      status: 'pass',
+      message: `All ${entries.length} installed components are present`
+    };
+  }
+
+  async checkCopilotAgents() {
+    return this.checkCopilotDirectory({
+      dir: path.join('.github', 'agents'),
+      suffix: '.agent.md',
+      noun: 'agents',
+      install: 'Install a custom agent with --agent <name> (.github/agents/*.agent.md)'
+    });
+  }
+
+  async checkPromptFiles() {
+    return this.checkCopilotDirectory({
+      dir: path.join('.github', 'prompts'),
+      suffix: '.prompt.md',
+      noun: 'prompt files',
+      install: 'Install a reusable prompt with --prompt <name> (.github/prompts/*.prompt.md)'
+    });
+  }
+
+  async checkInstructionFiles() {
+    return this.checkCopilotDirectory({
+      dir: path.join('.github', 'instructions'),
+      suffix: '.instructions.md',
+      noun: 'instruction files',
+      install: 'Add file-specific instructions with --instruction <name> (.github/instructions/*.instructions.md)'
+    });
+  }
+
+  /**
+   * Markdown files of a Copilot directory: misnamed files warn, schema errors fail
+   * @param {object} options - { dir (relative to the project), suffix, noun, install }
+   */
+  async checkCopilotDirectory({ dir, suffix, noun, install }) {
+    const fullDir = path.join(this.projectDir, dir);
+    const label = `${dir.split(path.sep).join('/')}/`;
+    const files = fs.existsSync(fullDir) ? this.getAgentFilesRecursively(fullDir) : [];
+
+    if (files.length === 0) {
+      return {
+        status: 'warn',
+        message: `No ${noun} in ${label}`,
+        recommendation: install,
+        remediation: this.getCreateDirectoryRemediation(fullDir, label)
+      };
+    }
+
+    const misnamed = files.filter(file => !file.endsWith(suffix));
+    const components = files.filter(file => file.endsWith(suffix));
+    const summary = this.summarizeCopilotFiles(await this.validateCopilotFiles(components), {
+      noun,
+      pass: `All ${components.length} ${noun} are valid`,
+      validate: label
+    });
+
+    if (summary.status === 'fail' || misnamed.length === 0) {
+      return summary;
+    }
+
+    const first = path.relative(this.projectDir, misnamed[0]).split(path.sep).join('/');
+    return {
+      status: 'warn',
+      message: `${misnamed.length} file(s) in ${label} without the ${suffix} suffix (${first})`,
+      recommendation: `Rename ${first} to *${suffix}; Copilot only loads files with that suffix`
+    };
+  }
+
+  /**
+   * @returns {object|undefined} Remediation creating a missing Copilot directory
+   */
+  getCreateDirectoryRemediation(fullDir, label) {
+    if (fs.existsSync(fullDir)) return undefined;
+
+    return {
+      description: `Create ${label}`,
+      apply: async () => {
+        await fs.ensureDir(fullDir);
+        return `Created ${label}`;
+      }
+    };
+  }
+
+  /**
+   * Check that each applyTo glob of the instruction files matches at least one project file
+   */
+  checkApplyToGlobs() {
+    const dir = path.join(this.projectDir, '.github', 'instructions');
+    const files = fs.existsSync(dir) ? this.getAgentFilesRecursively(dir).filter(file => file.endsWith('.instructions.md')) : [];
+    const projectFiles = this.listProjectFiles();
+    const unmatched = [];
+    let checked = 0;
+
+    for (const file of files) {
+      let applyTo;
+      try {
+        const match = fs.readFileSync(file, 'utf8').match(/^\uFEFF?---\r?\n([\s\S]*?)\r?\n---/);
+        applyTo = match ? (yaml.load(match[1]) || {}).applyTo : undefined;
+      } catch (error) {
+        // Reported by Instruction Files
+      }
+      if (typeof applyTo !== 'string') continue;
+
+      for (const pattern of StructuralValidator.splitApplyTo(applyTo).filter(Boolean)) {
+        let regex;
+        try {
+          regex = globToRegExp(pattern.replace(/^\.?\//, ''));
+        } catch (error) {
+          continue; // Unbalanced brackets, reported by Instruction Files
+        }
+        checked++;
+
+        // Patterns without a directory also match file names, as people write "*.py" for "**/*.py"
+        const byName = !pattern.includes('/');
+        if (!projectFiles.some(projectFile => regex.test(projectFile) || (byName && regex.test(path.posix.basename(projectFile))))) {
+          unmatched.push({ file: path.relative(this.projectDir, file).split(path.sep).join('/'), pattern });
+        }
+      }
+    }
+
+    if (checked === 0) {
+      return {
+        status: 'pass',
+        message: 'No applyTo globs to check'
+      };
+    }
+    if (unmatched.length > 0) {
+      return {
+        status: 'warn',
+        message: `${unmatched.length}/${checked} globs match no project files (${unmatched[0].file}: ${unmatched[0].pattern})`,
+        recommendation: `Check applyTo in ${unmatched[0].file}: globs are matched from the workspace root, e.g. **/*.py or src/**/*.ts`
+      };
+    }
+    return {
+      status: 'pass',
+      message: `All ${checked} globs match project files`
+    };
+  }
+
+  async checkSkills() {
+    const dir = path.join(this.projectDir, '.github', 'skills');
+    const skillDirs = fs.existsSync(dir)
+      ? fs.readdirSync(dir, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name).sort()
+      : [];
+
+    if (skillDirs.length === 0) {
+      return {
+        status: 'warn',
+        message: 'No skills in .github/skills/',
+        recommendation: 'Install a skill with --skill <name> (.github/skills/<name>/SKILL.md)',
+        remediation: this.getCreateDirectoryRemediation(dir, '.github/skills/')
+      };
+    }
+
+    const missing = skillDirs.filter(name => !fs.existsSync(path.join(dir, name, 'SKILL.md')));
+    const summary = this.summarizeCopilotFiles(
+      await this.validateCopilotFiles(skillDirs.filter(name => !missing.includes(name)).map(name => path.join(dir, name, 'SKILL.md'))),
+      { noun: 'skills', pass: `All ${skillDirs.length} skills are valid`, validate: '.github/skills/' }
+    );
+
+    if (summary.status === 'fail' || missing.length === 0) {
+      return summary;
+    }
+    return {
+      status: 'warn',
+      message: `${missing.length}/${skillDirs.length} skill directories have no SKILL.md (${missing[0]})`,
+      recommendation: `Add a SKILL.md with name and description to .github/skills/${missing[0]}/`
+    };
+  }
+
+  /**
+   * Structural validation of Copilot files
+   * @returns {Promise<Array<object>>} [{ file, errors, warnings }] with project-relative paths and messages
+   */
+  async validateCopilotFiles(files) {
+    const validator = new StructuralValidator();
+    const results = [];
+
+    for (const file of files) {
+      const relative = path.relative(this.projectDir, file).split(path.sep).join('/');
+      try {
+        const result = await validator.validate({ content: fs.readFileSync(file, 'utf8'), path: relative });
+        results.push({
+          file: relative,
+          errors: result.errors.map(entry => entry.message),
+          warnings: result.warnings.map(entry => entry.message)
+        });
+      } catch (error) {
+        results.push({ file: relative, errors: [`Cannot read file: ${error.message}`], warnings: [] });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * pass/warn/fail for validated files, naming the first file with a problem
+   * @param {Array<object>} validated - validateCopilotFiles() results
+   * @param {object} options - { noun, pass (message), validate (path for the cct validate hint) }
+   */
+  summarizeCopilotFiles(validated, { noun, pass, validate }) {
+    const failed = validated.filter(result => result.errors.length > 0);
+    const warned = validated.filter(result => result.errors.length === 0 && result.warnings.length > 0);
+    const target = validate || (validated[0] && validated[0].file);
+
+    if (failed.length > 0) {
+      return {
+        status: 'fail',
+        message: `${failed.length}/${validated.length} ${noun} invalid (${failed[0].file}: ${failed[0].errors[0]})`,
+        recommendation: `Fix ${failed[0].file}: ${failed[0].errors[0]} (cct validate ${target} --fix fixes structural problems)`
+      };
+    }
+    if (warned.length > 0) {
+      return {
+        status: 'warn',
+        message: `${warned.length}/${validated.length} ${noun} with warnings (${warned[0].file}: ${warned[0].warnings[0]})`,
+        recommendation: `Review ${noun} warnings with cct validate ${target} --verbose`
+      };
+    }
+    return {
+      status: 'pass',
+      message: pass
+    };
+  }
+
+  countLines(file) {
+    try {
+      return fs.readFileSync(file, 'utf8').split('\n').length;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * Project files relative to the project directory (forward slashes), for applyTo globs
+   */
+  listProjectFiles() {
+    if (this.projectFiles) return this.projectFiles;
+
+    const files = [];
+    const walk = dir => {
+      let entries;
+      try {
+        entries = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        return; // Handle permission or access errors
+      }
+      for (const entry of entries) {
+        if (files.length >= MAX_PROJECT_FILES) return;
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          if (!IGNORED_DIRECTORIES.includes(entry.name)) walk(fullPath);
+        } else if (entry.isFile()) {
+          files.push(path.relative(this.projectDir, fullPath).split(path.sep).join('/'));
+        }
+      }
+    };
+
+    walk(this.projectDir);
+    this.projectFiles = files;
+    return files;
+  }
+
   checkUserHooks() {
     const homeDir = os.homedir();
     const settingsPath = path.join(homeDir, '.claude', 'settings.json');
@@ -950,7 +1689,7 @@ class HealthChecker {
   }
 
   checkProjectHooks() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const settingsPath = path.join(currentDir, '.claude', 'settings.json');
     
     if (fs.existsSync(settingsPath)) {
@@ -976,7 +1715,7 @@ class HealthChecker {
   }
 
   checkLocalHooks() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const settingsPath = path.join(currentDir, '.claude', 'settings.local.json');
     
     if (fs.existsSync(settingsPath)) {
@@ -1004,8 +1743,8 @@ class HealthChecker {
   checkHookCommands() {
     const hookSettingsFiles = [
       path.join(os.homedir(), '.claude', 'settings.json'),
-      path.join(process.cwd(), '.claude', 'settings.json'),
-      path.join(process.cwd(), '.claude', 'settings.local.json')
+      path.join(this.projectDir, '.claude', 'settings.json'),
+      path.join(this.projectDir, '.claude', 'settings.local.json')
     ];
     
     let totalHooks = 0;
@@ -1137,7 +1876,7 @@ class HealthChecker {
   }
 
   checkProjectSettings() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const projectSettingsPath = path.join(currentDir, '.claude', 'settings.json');
     
     if (!fs.existsSync(projectSettingsPath)) {
@@ -1166,7 +1905,7 @@ class HealthChecker {
   }
 
   checkLocalSettings() {
-    const currentDir = process.cwd();
+    const currentDir = this.projectDir;
     const localSettingsPath = path.join(currentDir, '.claude', 'settings.local.json');
     
     if (!fs.existsSync(localSettingsPath)) {
@@ -1279,16 +2018,22 @@ class HealthChecker {
   /**
    * Helper methods
    */
-  addResult(category, check, status, message) {
+  addResult(category, check, status, message, recommendation, remediation) {
     this.results[category].push({
       check,
       status,
-      message
+      message,
+      ...(recommendation ? { recommendation } : {}),
+      ...(remediation ? { fix: remediation.description } : {})
     });
+    if (remediation) {
+      this.remediations.push({ category, check, ...remediation });
+    }
     this.totalChecks++;
     if (status === 'pass') {
       this.passedChecks++;
     }
+    return this.results[category][this.results[category].length - 1];
   }
 
   getStatusIcon(status) {
@@ -1308,29 +2053,136 @@ class HealthChecker {
   }
 
   generateSummary() {
-    const healthScore = `${this.passedChecks}/${this.totalChecks}`;
-    const percentage = Math.round((this.passedChecks / this.totalChecks) * 100);
-    
-    console.log(chalk.cyan(`\n📊 Health Score: ${healthScore} checks passed (${percentage}%)`));
-    
-    // Generate recommendations
-    const recommendations = this.generateRecommendations();
-    if (recommendations.length > 0) {
+    const summary = this.summarize();
+
+    if (this.interactive) {
+      console.log(chalk.cyan(`\n📊 Health Score: ${summary.healthScore} checks passed (${summary.percentage}%)`));
+    }
+    if (this.interactive && summary.recommendations.length > 0) {
       console.log(chalk.yellow('\n💡 Recommendations:'));
-      recommendations.forEach(rec => {
+      summary.recommendations.forEach(rec => {
         console.log(`   • ${rec}`);
       });
     }
     
+    return summary;
+  }
+
+  /**
+   * Score, counts and recommendations of the checks run so far
+   */
+  summarize() {
+    const checks = this.categories.flatMap(category => this.results[category]);
+
     return {
-      healthScore,
-      percentage,
+      healthScore: `${this.passedChecks}/${this.totalChecks}`,
+      percentage: this.totalChecks > 0 ? Math.round((this.passedChecks / this.totalChecks) * 100) : 100,
       passed: this.passedChecks,
+      warnings: checks.filter(result => result.status === 'warn').length,
+      failures: checks.filter(result => result.status === 'fail').length,
       total: this.totalChecks,
-      recommendations
+      recommendations: this.generateRecommendations()
     };
   }
 
+  /**
+   * Whether a finished check run passes: no failures, and with failOn 'warn' no warnings either
+   */
+  isPassing(failOn = 'fail') {
+    return this.categories.every(category => this.results[category].every(result =>
+      result.status === 'pass' || (result.status === 'warn' && failOn === 'fail')
+    ));
+  }
+
+  /**
+   * Machine-readable report of a finished check run
+   * @param {string} format - json or junit
+   * @param {object} options - { failOn } warn or fail (default: fail)
+   * @returns {string} Report
+   */
+  generateReport(format, options = {}) {
+    const { failOn = 'fail' } = options;
+    const summary = this.summarize();
+
+    if (format === 'json') {
+      return JSON.stringify({
+        success: this.isPassing(failOn),
+        failOn,
+        directory: this.projectDir,
+        summary: {
+          healthScore: summary.healthScore,
+          percentage: summary.percentage,
+          passed: summary.passed,
+          warnings: summary.warnings,
+          failures: summary.failures,
+          total: summary.total
+        },
+        results: Object.fromEntries(this.categories.map(category => [category, this.results[category]])),
+        recommendations: summary.recommendations
+      }, null, 2);
+    }
+
+    // JUnit: one testsuite per category, one testcase per check; warnings fail with failOn 'warn'
+    const totals = { tests: 0, failures: 0 };
+    const suites = this.categories.map(category => {
+      const results = this.results[category];
+      const failing = results.filter(result => result.status === 'fail' || (result.status === 'warn' && failOn === 'warn'));
+      totals.tests += results.length;
+      totals.failures += failing.length;
+
+      const cases = results.map(result => {
+        const open = `    <testcase classname="${escapeXml(category)}" name="${escapeXml(result.check)}">`;
+        const detail = escapeXml(result.recommendation ? `${result.message}\n${result.recommendation}` : result.message);
+        if (failing.includes(result)) {
+          return [open, `      <failure message="${escapeXml(result.message)}" type="${result.status}">${detail}</failure>`, '    </testcase>'].join('\n');
+        }
+        if (result.status === 'warn') {
+          return [open, `      <system-out>${detail}</system-out>`, '    </testcase>'].join('\n');
+        }
+        return open.replace(/>$/, '/>');
+      });
+
+      return [
+        `  <testsuite name="${escapeXml(category)}" tests="${results.length}" failures="${failing.length}" errors="0">`,
+        ...cases,
+        '  </testsuite>'
+      ].join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="cct health-check" tests="${totals.tests}" failures="${totals.failures}" errors="0">`,
+      ...suites,
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Apply the fixes registered by the checks, in check order
+   * A failing fix is reported and the others still run
+   * @param {Function} confirm - async (remediation) => boolean, asked before each fix (default: apply all)
+   * @returns {Promise<Array<object>>} [{ category, check, description, applied, message, error }]
+   */
+  async applyRemediations(confirm = async () => true) {
+    const outcomes = [];
+
+    for (const remediation of this.remediations) {
+      const { category, check, description } = remediation;
+      if (!(await confirm(remediation))) {
+        outcomes.push({ category, check, description, applied: false, message: 'Skipped' });
+        continue;
+      }
+      try {
+        outcomes.push({ category, check, description, applied: true, message: await remediation.apply() });
+      } catch (error) {
+        outcomes.push({ category, check, description, applied: false, error: error.message });
+      }
+    }
+
+    return outcomes;
+  }
+
   generateRecommendations() {
     const recommendations = [];
     
@@ -1339,6 +2191,8 @@ class HealthChecker {
       ...this.results.system,
       ...this.results.claudeCode,
       ...this.results.project,
+      ...this.results.copilot,
+      ...this.results.customizations,
       ...this.results.agents,
       ...this.results.commands,
       ...this.results.mcps,
@@ -1348,7 +2202,9 @@ class HealthChecker {
     allResults.forEach(result => {
       if (result.status === 'fail' || result.status === 'warn') {
         // Add specific recommendations based on the check
-        if (result.check === 'Shell Environment' && result.message.includes('bash')) {
+        if (result.recommendation) {
+          recommendations.push(result.recommendation);
+        } else if (result.check === 'Shell Environment' && result.message.includes('bash')) {
           recommendations.push('Consider switching to Zsh for better autocompletion and features');
         } else if (result.check === 'Command Syntax' && result.message.includes('$ARGUMENTS')) {
           recommendations.push('Add $ARGUMENTS placeholder to command files for proper parameter handling');
@@ -1372,13 +2228,60 @@ class HealthChecker {
   }
 }
 
+/**
+ * --fix: offer each registered fix, or apply them all with --yes
+ * @returns {Promise<Array<object>>} applyRemediations() outcomes
+ */
+async function applyFixesInteractively(checker, options = {}) {
+  if (checker.remediations.length === 0) {
+    console.log(chalk.gray('\n🔧 No automatic fixes available'));
+    return [];
+  }
+
+  const inquirer = require('inquirer');
+  console.log(chalk.blue(`\n🔧 ${checker.remediations.length} fix(es) available`));
+  const outcomes = await checker.applyRemediations(async remediation => {
+    if (options.yes) return true;
+    const { apply } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'apply',
+      message: `${remediation.check}: ${remediation.description}?`,
+      default: true
+    }]);
+    return apply;
+  });
+
+  outcomes.forEach(outcome => {
+    if (outcome.error) {
+      console.log(chalk.red(`   ❌ ${outcome.description}: ${outcome.error}`));
+    } else if (outcome.applied) {
+      console.log(chalk.green(`   ✅ ${outcome.message}`));
+    } else {
+      console.log(chalk.gray(`   ⏭️  Skipped: ${outcome.description}`));
+    }
+  });
+  if (outcomes.some(outcome => outcome.applied)) {
+    console.log(chalk.gray('💡 Run the health check again to see the updated score'));
+  }
+  return outcomes;
+}
+
 /**
  * Main health check function
+ * With --fix the fixes of failed checks are offered afterwards; --fix --yes applies them
+ * without asking and skips the setup prompt
+ * @param {object} options - { directory, only, fix, yes, mcpProbe }
+ * @returns {Promise<object>} { results, runSetup, fixes }
  */
-async function runHealthCheck() {
-  const checker = new HealthChecker();
+async function runHealthCheck(options = {}) {
+  const checker = new HealthChecker({ directory: options.directory, only: options.only, mcpProbe: options.mcpProbe });
   const results = await checker.runHealthCheck();
-  
+  const fixes = options.fix ? await applyFixesInteractively(checker, options) : undefined;
+
+  if (options.fix && options.yes) {
+    return { results, runSetup: false, fixes };
+  }
+
   // Ask if user wants to run setup
   const inquirer = require('inquirer');
   const setupChoice = await inquirer.prompt([{
@@ -1390,11 +2293,61 @@ async function runHealthCheck() {
   
   return {
     results,
-    runSetup: setupChoice.runSetup
+    runSetup: setupChoice.runSetup,
+    fixes
   };
 }
 
+/**
+ * `--health-check --ci` / `--json`: every check without spinners, pauses or prompts
+ * The JSON or JUnit report is the only output, on stdout or in --output
+ * With --fix --yes the fixes are applied and the report describes a second run; the JSON
+ * report then also lists the fixes
+ * @param {object} options - { directory, only, format, json, failOn, output, fix, yes, mcpProbe }
+ * @returns {Promise<object>} { summary, passed, fixes } where passed is false on fail results
+ *   (or warn results with failOn 'warn')
+ * @throws {Error} On unknown categories, formats or failOn levels, and on --fix without --yes
+ */
+async function runHealthCheckCI(options = {}) {
+  const format = options.format || 'json';
+  const failOn = options.failOn || 'fail';
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`Unknown report format: ${format}. Available: ${REPORT_FORMATS.join(', ')}`);
+  }
+  if (!FAIL_ON_LEVELS.includes(failOn)) {
+    throw new Error(`Unknown --fail-on level: ${failOn}. Available: ${FAIL_ON_LEVELS.join(', ')}`);
+  }
+
+  if (options.fix && !options.yes) {
+    throw new Error('--fix cannot ask for confirmation in --ci mode; pass --yes to apply every fix');
+  }
+
+  let checker = new HealthChecker({ directory: options.directory, only: options.only, interactive: false, mcpProbe: options.mcpProbe });
+  let summary = await checker.runHealthCheck();
+  let fixes;
+  if (options.fix) {
+    fixes = await checker.applyRemediations();
+    checker = new HealthChecker({ directory: options.directory, only: options.only, interactive: false, mcpProbe: options.mcpProbe });
+    summary = await checker.runHealthCheck();
+  }
+
+  let report = checker.generateReport(format, { failOn });
+  if (fixes && format === 'json') {
+    report = JSON.stringify({ ...JSON.parse(report), fixes }, null, 2);
+  }
+
+  if (options.output) {
+    await fs.outputFile(path.resolve(options.output), report);
+  } else {
+    console.log(report.trimEnd());
+  }
+
+  return { summary, passed: checker.isPassing(failOn), fixes };
+}
+
 module.exports = {
+  HEALTH_CHECK_CATEGORIES: CATEGORIES,
   HealthChecker,
-  runHealthCheck
+  runHealthCheck,
+  runHealthCheckCI
 };
\ No newline at end of file
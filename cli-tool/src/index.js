@@ -3,15 +3,24 @@ const chalk = require('chalk');
 const fs = require('fs-extra');
 const path = require('path');
 const ora = require('ora');
-const { detectProject } = require('./utils');
+const { detectProject, resolveWithin } = require('./utils');
+const { readMcpConfigFile } = require('./mcp-config');
 const { getTemplateConfig, TEMPLATES_CONFIG } = require('./templates');
 const { createPrompts, interactivePrompts } = require('./prompts');
 const { copyTemplateFiles, runPostInstallationValidation } = require('./file-operations');
 const { getHooksForLanguage, getMCPsForLanguage } = require('./hook-scanner');
 const { installAgents } = require('./agents');
-const { runHealthCheck } = require('./health-check');
+const { runHealthCheck, runHealthCheckCI } = require('./health-check');
 const { trackingService } = require('./tracking-service');
 const { createGlobalAgent, listGlobalAgents, removeGlobalAgent, updateGlobalAgent } = require('./sdk/global-agent-manager');
+const { resolveComponentSource, describeComponentSource, getTrackingSource, getSourceLockInfo, getGitHubHeaders, fetchComponentFile, fetchComponentDirectory } = require('./component-source');
+const { LOCKFILE_PATH, recordComponent, verifyComponentAgainstLock, backupUserFile } = require('./lockfile');
+const { normalizeLearningPath, orderModules, selectModulesForLevel } = require('./learning-path');
+const { readProgress, isModuleUnlocked, recordLearningPath, completeModule, completeExercise } = require('./learning-progress');
+const { loadWorkflow, getWorkflowComponents, saveWorkflow } = require('./workflow');
+const { InstallTransaction, mapWithConcurrency, DEFAULT_CONCURRENCY } = require('./install-transaction');
+const { checkInstallSafety } = require('./install-security');
+const LearningPathValidator = require('./validation/validators/LearningPathValidator');
 
 /**
  * Get platform-appropriate Python command candidates
@@ -111,7 +120,7 @@ async function createCopilotConfig(options = {}) {
   const targetDir = options.directory || process.cwd();
   
   // Handle multiple components installation (new approach)
-  if (options.agent || options.skill || options.mcp || options.instruction || options.prompt || options.copilotInstructions || options.workspaceAgents) {
+  if (options.agent || options.skill || options.mcp || options.instruction || options.prompt || options.command || options.copilotInstructions || options.workspaceAgents || options.workflow) {
     await installMultipleComponents(options, targetDir);
     return;
   }
@@ -174,7 +183,17 @@ async function createCopilotConfig(options = {}) {
   let shouldRunSetup = false;
   if (options.healthCheck || options.health || options.check || options.verify) {
     trackingService.trackCommandExecution('health-check');
-    const healthResult = await runHealthCheck();
+
+    // CI: report only, no prompts; the exit code carries the result
+    if (options.ci || options.json) {
+      const { passed } = await runHealthCheckCI({ ...options, directory: targetDir, format: options.format || 'json' });
+      if (!passed) {
+        process.exitCode = 1;
+      }
+      return;
+    }
+
+    const healthResult = await runHealthCheck({ directory: targetDir, only: options.only, fix: options.fix, yes: options.yes, mcpProbe: options.mcpProbe });
 
     // Track health check usage
     trackingService.trackHealthCheck({
@@ -186,6 +205,9 @@ async function createCopilotConfig(options = {}) {
     if (healthResult.runSetup) {
       console.log(chalk.blue('⚙️  Starting Project Setup...'));
       shouldRunSetup = true;
+    } else if (options.fix && options.yes) {
+      // Unattended fix run: no menu to return to
+      return;
     } else {
       console.log(chalk.green('👍 Health check completed. Returning to main menu...'));
       return await showMainMenu();
@@ -326,24 +348,59 @@ async function createCopilotConfig(options = {}) {
   }
 }
 
+/**
+ * In --frozen mode, refuse to install content whose hashes differ from the lockfile
+ * @returns {Promise<boolean>} true when the install may proceed
+ */
+async function checkFrozenInstall(type, name, files, targetDir, options) {
+  if (!options.frozen) {
+    return true;
+  }
+
+  const result = await verifyComponentAgainstLock(targetDir, type, name, files);
+  if (!result.ok) {
+    console.log(chalk.red(`❌ --frozen: ${result.reason}`));
+    result.mismatches.forEach(mismatch => {
+      console.log(chalk.gray(`   ${mismatch.path}: expected ${mismatch.expected ? mismatch.expected.substring(0, 16) + '...' : '(absent)'}, got ${mismatch.actual ? mismatch.actual.substring(0, 16) + '...' : '(absent)'}`));
+    });
+  }
+
+  return result.ok;
+}
+
+/**
+ * Record an installed component with its per-file hashes in the lockfile
+ */
+async function recordInstalledComponent(type, name, files, source, targetDir, options) {
+  // Frozen installs must never rewrite the lock they are verified against
+  if (options.frozen) {
+    return;
+  }
+
+  try {
+    await recordComponent(targetDir, {
+      type,
+      name,
+      source: await getSourceLockInfo(source, options),
+      files
+    });
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Could not update ${LOCKFILE_PATH}: ${error.message}`));
+  }
+}
+
 // Individual component installation functions
 async function installIndividualAgent(agentName, targetDir, options) {
   console.log(chalk.blue(`🤖 Installing agent: ${agentName}`));
   
   try {
     // Support both category/agent-name and direct agent-name formats
-    let githubUrl;
-    if (agentName.includes('/')) {
-      // Category/agent format: beginner-tutors/python-basics-tutor
-      githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/agents/${agentName}.agent.md`;
-    } else {
-      // Direct agent format: python-basics-tutor
-      githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/agents/${agentName}.agent.md`;
-    }
+    // (e.g. beginner-tutors/python-basics-tutor or python-basics-tutor)
+    const source = resolveComponentSource(options);
     
-    console.log(chalk.gray(`📥 Downloading from GitHub (main branch)...`));
+    console.log(chalk.gray(`📥 Downloading from ${describeComponentSource(source)}...`));
     
-    const response = await fetch(githubUrl);
+    const response = await fetchComponentFile(`agents/${agentName}.agent.md`, { ...options, componentSource: source });
     if (!response.ok) {
       if (response.status === 404) {
         console.log(chalk.red(`❌ Agent "${agentName}" not found`));
@@ -353,7 +410,7 @@ async function installIndividualAgent(agentName, targetDir, options) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
     
-    const agentContent = await response.text();
+    const agentContent = response.content;
     
     // Create .github/agents directory if it doesn't exist
     const agentsDir = path.join(targetDir, '.github', 'agents');
@@ -369,19 +426,28 @@ async function installIndividualAgent(agentName, targetDir, options) {
     }
     
     const targetFile = path.join(agentsDir, `${fileName}.agent.md`);
+    const installedFiles = { [path.relative(targetDir, targetFile)]: agentContent };
+    if (!(await checkFrozenInstall('agent', agentName, installedFiles, targetDir, options))) {
+      return false;
+    }
+    if (!(await checkInstallSafety('agent', agentName, installedFiles, options))) {
+      return false;
+    }
+    
     await fs.writeFile(targetFile, agentContent, 'utf8');
+    await recordInstalledComponent('agent', agentName, installedFiles, source, targetDir, options);
     
     if (!options.silent) {
       console.log(chalk.green(`✅ Agent "${agentName}" installed successfully!`));
       console.log(chalk.cyan(`📁 Installed to: ${path.relative(targetDir, targetFile)}`));
-      console.log(chalk.cyan(`📦 Downloaded from: ${githubUrl}`));
+      console.log(chalk.cyan(`📦 Downloaded from: ${response.location}`));
     }
     
     // Track successful agent installation
     trackingService.trackDownload('agent', agentName, {
       installation_type: 'individual_component',
-      target_directory: path.relative(process.cwd(), targetDir),
-      source: 'github_main'
+      target_directory: path.relative(process.cwd(), options.projectDir || targetDir),
+      source: getTrackingSource(source)
     });
     
     return true;
@@ -397,18 +463,12 @@ async function installIndividualPrompt(promptName, targetDir, options) {
   
   try {
     // Support both category/prompt-name and direct prompt-name formats
-    let githubUrl;
-    if (promptName.includes('/')) {
-      // Category/prompt format: learning/generate-exercises
-      githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/prompts/${promptName}.prompt.md`;
-    } else {
-      // Direct prompt format: generate-exercises
-      githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/prompts/${promptName}.prompt.md`;
-    }
+    // (e.g. learning/generate-exercises or generate-exercises)
+    const source = resolveComponentSource(options);
     
-    console.log(chalk.gray(`📥 Downloading from GitHub (main branch)...`));
+    console.log(chalk.gray(`📥 Downloading from ${describeComponentSource(source)}...`));
     
-    const response = await fetch(githubUrl);
+    const response = await fetchComponentFile(`prompts/${promptName}.prompt.md`, { ...options, componentSource: source });
     if (!response.ok) {
       if (response.status === 404) {
         console.log(chalk.red(`❌ Prompt "${promptName}" not found`));
@@ -418,7 +478,7 @@ async function installIndividualPrompt(promptName, targetDir, options) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
     
-    const promptContent = await response.text();
+    const promptContent = response.content;
     
     // Create .github/prompts directory if it doesn't exist
     const promptsDir = path.join(targetDir, '.github', 'prompts');
@@ -434,20 +494,28 @@ async function installIndividualPrompt(promptName, targetDir, options) {
     }
     
     const targetFile = path.join(promptsDir, `${fileName}.prompt.md`);
+    const installedFiles = { [path.relative(targetDir, targetFile)]: promptContent };
+    if (!(await checkFrozenInstall('prompt', promptName, installedFiles, targetDir, options))) {
+      return false;
+    }
+    if (!(await checkInstallSafety('prompt', promptName, installedFiles, options))) {
+      return false;
+    }
     
     await fs.writeFile(targetFile, promptContent, 'utf8');
+    await recordInstalledComponent('prompt', promptName, installedFiles, source, targetDir, options);
     
     if (!options.silent) {
       console.log(chalk.green(`✅ Prompt "${promptName}" installed successfully!`));
       console.log(chalk.cyan(`📁 Installed to: ${path.relative(targetDir, targetFile)}`));
-      console.log(chalk.cyan(`📦 Downloaded from: ${githubUrl}`));
+      console.log(chalk.cyan(`📦 Downloaded from: ${response.location}`));
     }
     
     // Track successful prompt installation
     trackingService.trackDownload('prompt', promptName, {
       installation_type: 'individual_prompt',
-      target_directory: path.relative(process.cwd(), targetDir),
-      source: 'github_main'
+      target_directory: path.relative(process.cwd(), options.projectDir || targetDir),
+      source: getTrackingSource(source)
     });
     
     return true;
@@ -458,21 +526,59 @@ async function installIndividualPrompt(promptName, targetDir, options) {
   }
 }
 
+// Serializes .vscode/mcp.json merges so concurrent MCP installs don't drop servers
+let mcpConfigQueue = Promise.resolve();
+
+/**
+ * Merge servers into .vscode/mcp.json
+ * @returns {Promise<object>} { existingConfig, mergedServers }
+ */
+function mergeMcpServers(targetDir, newServers) {
+  const task = mcpConfigQueue.then(async () => {
+    // VS Code uses .vscode/mcp.json with "servers" key
+    const vscodeDir = path.join(targetDir, '.vscode');
+    await fs.ensureDir(vscodeDir);
+    const targetMcpFile = path.join(vscodeDir, 'mcp.json');
+    let existingConfig = {};
+
+    if (await fs.pathExists(targetMcpFile)) {
+      existingConfig = await readMcpConfigFile(targetMcpFile);
+      console.log(chalk.yellow('📝 Existing .vscode/mcp.json found, merging configurations...'));
+    }
+
+    // Merge into "servers" key (VS Code format)
+    const mergedServers = {
+      ...(existingConfig.servers || {}),
+      ...newServers
+    };
+
+    const mergedConfig = {
+      ...existingConfig,
+      servers: mergedServers
+    };
+
+    // Remove old mcpServers key if it exists
+    delete mergedConfig.mcpServers;
+
+    // Write the merged configuration
+    await fs.writeJson(targetMcpFile, mergedConfig, { spaces: 2 });
+    return { existingConfig, mergedServers };
+  });
+
+  mcpConfigQueue = task.catch(() => {});
+  return task;
+}
+
 async function installIndividualMCP(mcpName, targetDir, options) {
   console.log(chalk.blue(`🔌 Installing MCP: ${mcpName}`));
   
   try {
     // Support both category/mcp-name and direct mcp-name formats
-    let githubUrl;
-    if (mcpName.includes('/')) {
-      githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/mcps/${mcpName}.json`;
-    } else {
-      githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/mcps/${mcpName}.json`;
-    }
+    const source = resolveComponentSource(options);
     
-    console.log(chalk.gray(`📥 Downloading from GitHub (main branch)...`));
+    console.log(chalk.gray(`📥 Downloading from ${describeComponentSource(source)}...`));
     
-    const response = await fetch(githubUrl);
+    const response = await fetchComponentFile(`mcps/${mcpName}.json`, { ...options, componentSource: source });
     if (!response.ok) {
       if (response.status === 404) {
         console.log(chalk.red(`❌ MCP "${mcpName}" not found`));
@@ -482,7 +588,7 @@ async function installIndividualMCP(mcpName, targetDir, options) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
     
-    const mcpConfigText = await response.text();
+    const mcpConfigText = response.content;
     const mcpConfig = JSON.parse(mcpConfigText);
 
     // Extract servers from downloaded config (support both formats)
@@ -495,38 +601,22 @@ async function installIndividualMCP(mcpName, targetDir, options) {
       }
     }
     
-    // VS Code uses .vscode/mcp.json with "servers" key
-    const vscodeDir = path.join(targetDir, '.vscode');
-    await fs.ensureDir(vscodeDir);
-    const targetMcpFile = path.join(vscodeDir, 'mcp.json');
-    let existingConfig = {};
-    
-    if (await fs.pathExists(targetMcpFile)) {
-      existingConfig = await fs.readJson(targetMcpFile);
-      console.log(chalk.yellow('📝 Existing .vscode/mcp.json found, merging configurations...'));
+    // Each server is pinned as its own entry since .vscode/mcp.json is shared
+    const installedFiles = {};
+    for (const [serverName, serverConfig] of Object.entries(newServers)) {
+      installedFiles[`.vscode/mcp.json#${serverName}`] = JSON.stringify(serverConfig);
+    }
+    if (!(await checkFrozenInstall('mcp', mcpName, installedFiles, targetDir, options))) {
+      return false;
     }
     
-    // Merge into "servers" key (VS Code format)
-    const mergedServers = {
-      ...(existingConfig.servers || {}),
-      ...newServers
-    };
-
-    const mergedConfig = {
-      ...existingConfig,
-      servers: mergedServers
-    };
-
-    // Remove old mcpServers key if it exists
-    delete mergedConfig.mcpServers;
-    
-    // Write the merged configuration
-    await fs.writeJson(targetMcpFile, mergedConfig, { spaces: 2 });
+    const { existingConfig, mergedServers } = await mergeMcpServers(targetDir, newServers);
+    await recordInstalledComponent('mcp', mcpName, installedFiles, source, targetDir, options);
     
     if (!options.silent) {
       console.log(chalk.green(`✅ MCP "${mcpName}" installed successfully!`));
       console.log(chalk.cyan(`📁 Configuration merged into: .vscode/mcp.json`));
-      console.log(chalk.cyan(`📦 Downloaded from: ${githubUrl}`));
+      console.log(chalk.cyan(`📦 Downloaded from: ${response.location}`));
     }
     
     // Track successful MCP installation
@@ -534,7 +624,7 @@ async function installIndividualMCP(mcpName, targetDir, options) {
       installation_type: 'individual_mcp',
       merged_with_existing: Object.keys(existingConfig).length > 0,
       servers_count: Object.keys(mergedServers).length,
-      source: 'github_main'
+      source: getTrackingSource(source)
     });
     
     return true;
@@ -624,7 +714,8 @@ async function getAvailableAgentsFromGitHub() {
     
     // If savantmind.com API fails, try GitHub API as secondary fallback
     console.log(chalk.yellow('⚠️  Falling back to GitHub API...'));
-    const response = await fetch('https://api.github.com/repos/StudentCristian/copilot-learning-templates/contents/cli-tool/components/agents');
+    const agentsUrl = 'https://api.github.com/repos/StudentCristian/copilot-learning-templates/contents/cli-tool/components/agents';
+    const response = await fetch(agentsUrl, { headers: getGitHubHeaders(agentsUrl) });
     if (!response.ok) {
       // Check for rate limit error
       if (response.status === 403) {
@@ -662,7 +753,8 @@ async function getAvailableAgentsFromGitHub() {
       } else if (item.type === 'dir') {
         // Category directory, fetch its contents
         try {
-          const categoryResponse = await fetch(`https://api.github.com/repos/StudentCristian/copilot-learning-templates/contents/cli-tool/components/agents/${item.name}`);
+          const categoryUrl = `${agentsUrl}/${item.name}`;
+          const categoryResponse = await fetch(categoryUrl, { headers: getGitHubHeaders(categoryUrl) });
           if (categoryResponse.ok) {
             const categoryContents = await categoryResponse.json();
             for (const categoryItem of categoryContents) {
@@ -704,74 +796,30 @@ async function installIndividualSkill(skillName, targetDir, options) {
     // Extract the actual skill name (last part of the path)
     const skillBaseName = skillName.includes('/') ? skillName.split('/').pop() : skillName;
 
-    // Use GitHub API to download ALL files and directories for the skill
-    const githubApiUrl = `https://api.github.com/repos/StudentCristian/copilot-learning-templates/contents/cli-tool/components/skills/${skillName}`;
-
-    console.log(chalk.gray(`📥 Downloading skill from GitHub (main branch)...`));
+    // Download ALL files and directories for the skill from the component source
+    const source = resolveComponentSource(options);
 
-    const downloadedFiles = {};
-
-    // Recursive function to download all files and directories
-    async function downloadDirectory(apiUrl, relativePath = '') {
-      try {
-        const response = await fetch(apiUrl, {
-          headers: {
-            'Accept': 'application/vnd.github.v3+json',
-            'User-Agent': 'copilot-learning-templates'
-          }
-        });
+    console.log(chalk.gray(`📥 Downloading skill from ${describeComponentSource(source)}...`));
 
-        if (!response.ok) {
-          if (response.status === 404) {
-            console.log(chalk.red(`❌ Skill "${skillName}" not found`));
-            console.log(chalk.yellow('💡 Tip: Use format "category/skill-name" (e.g., creative-design/algorithmic-art)'));
-            console.log(chalk.yellow('Available categories: creative-design, development, document-processing, enterprise-communication'));
-            return false;
-          }
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        const contents = await response.json();
-
-        for (const item of contents) {
-          const itemPath = relativePath ? `${relativePath}/${item.name}` : item.name;
-
-          if (item.type === 'file') {
-            // Download file
-            try {
-              const fileResponse = await fetch(item.download_url);
-              if (fileResponse.ok) {
-                const fileContent = await fileResponse.text();
-                const isExecutable = item.name.endsWith('.py') || item.name.endsWith('.sh');
-
-                const targetPath = `.github/skills/${skillBaseName}/${itemPath}`;
-                downloadedFiles[targetPath] = {
-                  content: fileContent,
-                  executable: isExecutable
-                };
-                console.log(chalk.green(`✓ Downloaded: ${itemPath}`));
-              }
-            } catch (err) {
-              console.log(chalk.gray(`  (Could not download ${itemPath})`));
-            }
-          } else if (item.type === 'dir') {
-            // Recursively download directory contents
-            console.log(chalk.gray(`📂 Downloading directory: ${itemPath}/`));
-            await downloadDirectory(item.url, itemPath);
-          }
-        }
-
-        return true;
-      } catch (error) {
-        console.log(chalk.gray(`  (Could not access GitHub API: ${error.message})`));
+    const response = await fetchComponentDirectory(`skills/${skillName}`, { ...options, componentSource: source });
+    if (!response.ok) {
+      if (response.status === 404) {
+        console.log(chalk.red(`❌ Skill "${skillName}" not found`));
+        console.log(chalk.yellow('💡 Tip: Use format "category/skill-name" (e.g., creative-design/algorithmic-art)'));
+        console.log(chalk.yellow('Available categories: creative-design, development, document-processing, enterprise-communication'));
         return false;
       }
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    // Download all files from the skill directory
-    const success = await downloadDirectory(githubApiUrl);
-    if (!success) {
-      return false;
+    const downloadedFiles = {};
+    for (const file of response.files) {
+      const isExecutable = file.path.endsWith('.py') || file.path.endsWith('.sh');
+      downloadedFiles[`.github/skills/${skillBaseName}/${file.path}`] = {
+        content: file.content,
+        executable: isExecutable
+      };
+      console.log(chalk.green(`✓ Downloaded: ${file.path}`));
     }
 
     // Check if SKILL.md was downloaded (required)
@@ -781,13 +829,28 @@ async function installIndividualSkill(skillName, targetDir, options) {
       return false;
     }
 
+    const installedFiles = {};
+    for (const [filePath, fileData] of Object.entries(downloadedFiles)) {
+      installedFiles[filePath] = fileData.content;
+    }
+    if (!(await checkFrozenInstall('skill', skillName, installedFiles, targetDir, options))) {
+      return false;
+    }
+    if (!(await checkInstallSafety('skill', skillName, installedFiles, options))) {
+      return false;
+    }
+
     // Create .github/skills/skill-name directory
     const skillsDir = path.join(targetDir, '.github', 'skills');
     await fs.ensureDir(skillsDir);
 
+    // Every file must land inside the skill's own directory
+    const skillDir = path.join('.github', 'skills', skillBaseName);
+    Object.keys(downloadedFiles).forEach(filePath => resolveWithin(targetDir, filePath, skillDir));
+
     // Write all downloaded files
     for (const [filePath, fileData] of Object.entries(downloadedFiles)) {
-      const fullPath = path.join(targetDir, filePath);
+      const fullPath = resolveWithin(targetDir, filePath, skillDir);
       await fs.ensureDir(path.dirname(fullPath));
       await fs.writeFile(fullPath, fileData.content, 'utf8');
 
@@ -796,20 +859,22 @@ async function installIndividualSkill(skillName, targetDir, options) {
       }
     }
 
+    await recordInstalledComponent('skill', skillName, installedFiles, source, targetDir, options);
+
     const targetFile = path.join(skillsDir, skillBaseName, 'SKILL.md');
 
     if (!options.silent) {
       console.log(chalk.green(`✅ Skill "${skillName}" installed successfully!`));
       console.log(chalk.cyan(`📁 Installed to: ${path.relative(targetDir, targetFile)}`));
       console.log(chalk.cyan(`📄 Total files downloaded: ${Object.keys(downloadedFiles).length}`));
-      console.log(chalk.cyan(`📦 Downloaded from: ${githubApiUrl}`));
+      console.log(chalk.cyan(`📦 Downloaded from: ${response.location}`));
     }
 
     // Track successful skill installation
     trackingService.trackDownload('skill', skillName, {
       installation_type: 'individual_skill',
-      target_directory: path.relative(process.cwd(), targetDir),
-      source: 'github_main',
+      target_directory: path.relative(process.cwd(), options.projectDir || targetDir),
+      source: getTrackingSource(source),
       total_files: Object.keys(downloadedFiles).length
     });
 
@@ -864,6 +929,34 @@ async function installMultipleComponents(options, targetDir) {
       components.prompts = promptsInput.split(',').map(p => p.trim()).filter(p => p);
     }
 
+    // Commands from the web workflow builder are prompt files (slash commands) in Copilot
+    if (options.command) {
+      const commandsInput = Array.isArray(options.command) ? options.command.join(',') : options.command;
+      components.prompts.push(...commandsInput.split(',').map(c => c.trim()).filter(c => c));
+    }
+
+    // Add every component referenced by the workflow
+    let workflow = null;
+    if (options.workflow) {
+      workflow = await loadWorkflow(options.workflow, targetDir);
+      console.log(chalk.cyan(`🔀 Workflow: ${workflow.definition.name || 'unnamed'} (#${workflow.hash})`));
+
+      // The builder passes the workflow's initial prompt as --prompt "<text>"; it is not a prompt file
+      if (workflow.definition.prompt) {
+        components.prompts = components.prompts.filter(p => p !== String(workflow.definition.prompt).trim());
+      }
+
+      const workflowComponents = getWorkflowComponents(workflow.definition);
+      for (const [type, names] of Object.entries(workflowComponents)) {
+        for (const name of names) {
+          const short = name.split('/').pop();
+          if (!components[type].some(existing => existing === name || existing.split('/').pop() === short)) {
+            components[type].push(name);
+          }
+        }
+      }
+    }
+
     // Parse copilot-instructions (only one allowed)
     if (options.copilotInstructions) {
       components.copilotInstructions = options.copilotInstructions;
@@ -877,7 +970,7 @@ async function installMultipleComponents(options, targetDir) {
     const totalComponents = components.agents.length + components.mcps.length + components.skills.length + components.instructions.length + components.prompts.length + (components.copilotInstructions ? 1 : 0) + (components.workspaceAgents ? 1 : 0);
     
     if (totalComponents === 0) {
-      console.log(chalk.yellow('⚠️  No components specified to install.'));
+      console.log(chalk.yellow(workflow ? '⚠️  The workflow does not reference any components.' : '⚠️  No components specified to install.'));
       return;
     }
     
@@ -894,68 +987,81 @@ async function installMultipleComponents(options, targetDir) {
       console.log(chalk.gray(`   Workspace Agents: ${components.workspaceAgents}`));
     }
     
-    // Counter for successfully installed components
-    let successfullyInstalled = 0;
-    
-    // Install agents
-    for (const agent of components.agents) {
-      console.log(chalk.gray(`   Installing agent: ${agent}`));
-      const agentSuccess = await installIndividualAgent(agent, targetDir, { ...options, silent: true });
-      if (agentSuccess) successfullyInstalled++;
-    }
-    
-    // Install MCPs
-    for (const mcp of components.mcps) {
-      console.log(chalk.gray(`   Installing MCP: ${mcp}`));
-      const mcpSuccess = await installIndividualMCP(mcp, targetDir, { ...options, silent: true });
-      if (mcpSuccess) successfullyInstalled++;
-    }
+    // Stage everything in a temporary copy of the project and commit only when it all worked
+    const transaction = new InstallTransaction(targetDir);
+    const stagingDir = await transaction.begin();
 
-    // Install skills
-    for (const skill of components.skills) {
-      console.log(chalk.gray(`   Installing skill: ${skill}`));
-      const skillSuccess = await installIndividualSkill(skill, targetDir, { ...options, silent: true });
-      if (skillSuccess) successfullyInstalled++;
-    }
+    try {
+      const installOptions = { ...options, silent: true, projectDir: targetDir };
+      const tasks = [
+        ...components.agents.map(name => ({ label: 'agent', name, install: installIndividualAgent })),
+        ...components.mcps.map(name => ({ label: 'MCP', name, install: installIndividualMCP })),
+        ...components.skills.map(name => ({ label: 'skill', name, install: installIndividualSkill })),
+        ...components.instructions.map(name => ({ label: 'instruction', name, install: installInstruction })),
+        ...components.prompts.map(name => ({ label: 'prompt', name, install: installIndividualPrompt }))
+      ];
+
+      const results = await mapWithConcurrency(tasks, DEFAULT_CONCURRENCY, async task => {
+        console.log(chalk.gray(`   Installing ${task.label}: ${task.name}`));
+        return task.install(task.name, stagingDir, installOptions);
+      });
+
+      // These may ask before overwriting an existing file, so they run on their own
+      if (components.copilotInstructions) {
+        console.log(chalk.gray(`   Installing copilot-instructions.md: ${components.copilotInstructions}`));
+        results.push(await installCopilotInstructions(components.copilotInstructions, stagingDir, installOptions));
+      }
 
-    // Install instructions
-    for (const instruction of components.instructions) {
-      console.log(chalk.gray(`   Installing instruction: ${instruction}`));
-      const instructionSuccess = await installInstruction(instruction, targetDir, { ...options, silent: true });
-      if (instructionSuccess) successfullyInstalled++;
-    }
+      if (components.workspaceAgents) {
+        console.log(chalk.gray(`   Installing AGENTS.md: ${components.workspaceAgents}`));
+        results.push(await installWorkspaceAgents(components.workspaceAgents, stagingDir, installOptions));
+      }
 
-    // Install prompts
-    for (const prompt of components.prompts) {
-      console.log(chalk.gray(`   Installing prompt: ${prompt}`));
-      const promptSuccess = await installIndividualPrompt(prompt, targetDir, { ...options, silent: true });
-      if (promptSuccess) successfullyInstalled++;
-    }
+      const successfullyInstalled = results.filter(Boolean).length;
+      const failed = totalComponents - successfullyInstalled;
 
-    // Install copilot-instructions.md (always-on)
-    if (components.copilotInstructions) {
-      console.log(chalk.gray(`   Installing copilot-instructions.md: ${components.copilotInstructions}`));
-      const ciSuccess = await installCopilotInstructions(components.copilotInstructions, targetDir, { ...options, silent: true });
-      if (ciSuccess) successfullyInstalled++;
-    }
+      if (successfullyInstalled === 0) {
+        console.log(chalk.red(`\n❌ No components were installed successfully.`));
+        return; // Exit early if nothing was installed
+      }
 
-    // Install workspace agents (AGENTS.md)
-    if (components.workspaceAgents) {
-      console.log(chalk.gray(`   Installing AGENTS.md: ${components.workspaceAgents}`));
-      const waSuccess = await installWorkspaceAgents(components.workspaceAgents, targetDir, { ...options, silent: true });
-      if (waSuccess) successfullyInstalled++;
-    }
-    
-    if (successfullyInstalled === totalComponents) {
-      console.log(chalk.green(`\n✅ Successfully installed ${successfullyInstalled} components!`));
-    } else if (successfullyInstalled > 0) {
-      console.log(chalk.yellow(`\n⚠️  Successfully installed ${successfullyInstalled} of ${totalComponents} components.`));
-      console.log(chalk.red(`❌ ${totalComponents - successfullyInstalled} component(s) failed to install.`));
-    } else {
-      console.log(chalk.red(`\n❌ No components were installed successfully.`));
-      return; // Exit early if nothing was installed
+      if (failed > 0 && !options.allowPartial) {
+        console.log(chalk.red(`\n❌ ${failed} of ${totalComponents} component(s) failed to install, so no files were changed.`));
+        console.log(chalk.gray('💡 Re-run with --allow-partial to keep the components that did install.'));
+        return;
+      }
+
+      if (workflow) {
+        workflow.savedPath = await saveWorkflow(stagingDir, workflow);
+      }
+
+      if (options.dryRun) {
+        const changes = await transaction.getChanges();
+        console.log(chalk.yellow(`\n🔍 Dry run - ${changes.written.length} file(s) would be written:`));
+        changes.written.forEach(file => console.log(chalk.gray(`   ${file}`)));
+        return;
+      }
+
+      await transaction.commit();
+
+      if (failed === 0) {
+        console.log(chalk.green(`\n✅ Successfully installed ${successfullyInstalled} components!`));
+      } else {
+        console.log(chalk.yellow(`\n⚠️  Successfully installed ${successfullyInstalled} of ${totalComponents} components.`));
+        console.log(chalk.red(`❌ ${failed} component(s) failed to install.`));
+      }
+      console.log(chalk.cyan(`📁 Components installed to: .github/`));
+
+      if (workflow) {
+        console.log(chalk.cyan(`🔀 Workflow saved to: ${workflow.savedPath}`));
+        if (workflow.definition.prompt) {
+          console.log(chalk.cyan(`💬 Initial prompt: ${workflow.definition.prompt}`));
+        }
+        console.log(chalk.gray(`💡 Re-apply with: --workflow ${workflow.savedPath} (or --workflow "#${workflow.hash}")`));
+      }
+    } finally {
+      await transaction.rollback();
     }
-    console.log(chalk.cyan(`📁 Components installed to: .github/`));
     
     // Note: Individual components are already tracked separately in their installation functions
     
@@ -1005,16 +1111,11 @@ async function installInstruction(instructionName, targetDir, options) {
 
   try {
     // Support both category/instruction-name and direct instruction-name formats
-    let githubUrl;
-    if (instructionName.includes('/')) {
-      githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/instructions/${instructionName}.instructions.md`;
-    } else {
-      githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/instructions/${instructionName}.instructions.md`;
-    }
+    const source = resolveComponentSource(options);
 
-    console.log(chalk.gray(`📥 Downloading from GitHub (main branch)...`));
+    console.log(chalk.gray(`📥 Downloading from ${describeComponentSource(source)}...`));
 
-    const response = await fetch(githubUrl);
+    const response = await fetchComponentFile(`instructions/${instructionName}.instructions.md`, { ...options, componentSource: source });
     if (!response.ok) {
       if (response.status === 404) {
         console.log(chalk.red(`❌ Instruction "${instructionName}" not found`));
@@ -1024,7 +1125,7 @@ async function installInstruction(instructionName, targetDir, options) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    const instructionContent = await response.text();
+    const instructionContent = response.content;
 
     // Create .github/instructions directory if it doesn't exist
     const instructionsDir = path.join(targetDir, '.github', 'instructions');
@@ -1040,19 +1141,28 @@ async function installInstruction(instructionName, targetDir, options) {
     }
 
     const targetFile = path.join(instructionsDir, `${fileName}.instructions.md`);
+    const installedFiles = { [path.relative(targetDir, targetFile)]: instructionContent };
+    if (!(await checkFrozenInstall('instruction', instructionName, installedFiles, targetDir, options))) {
+      return false;
+    }
+    if (!(await checkInstallSafety('instruction', instructionName, installedFiles, options))) {
+      return false;
+    }
+
     await fs.writeFile(targetFile, instructionContent, 'utf8');
+    await recordInstalledComponent('instruction', instructionName, installedFiles, source, targetDir, options);
 
     if (!options.silent) {
       console.log(chalk.green(`✅ Instruction "${instructionName}" installed successfully!`));
       console.log(chalk.cyan(`📁 Installed to: ${path.relative(targetDir, targetFile)}`));
-      console.log(chalk.cyan(`📦 Downloaded from: ${githubUrl}`));
+      console.log(chalk.cyan(`📦 Downloaded from: ${response.location}`));
     }
 
     // Track successful instruction installation
     trackingService.trackDownload('instruction', instructionName, {
       installation_type: 'individual_instruction',
-      target_directory: path.relative(process.cwd(), targetDir),
-      source: 'github_main'
+      target_directory: path.relative(process.cwd(), options.projectDir || targetDir),
+      source: getTrackingSource(source)
     });
 
     return true;
@@ -1070,12 +1180,12 @@ async function installCopilotInstructions(instructionName, targetDir, options) {
   console.log(chalk.blue(`📋 Installing copilot-instructions.md...`));
 
   try {
-    // Download from GitHub
-    const githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/instructions/copilot-instructions/${instructionName}/copilot-instructions.md`;
+    // Download from the configured component source
+    const source = resolveComponentSource(options);
 
-    console.log(chalk.gray(`📥 Downloading from GitHub (main branch)...`));
+    console.log(chalk.gray(`📥 Downloading from ${describeComponentSource(source)}...`));
 
-    const response = await fetch(githubUrl);
+    const response = await fetchComponentFile(`instructions/copilot-instructions/${instructionName}/copilot-instructions.md`, { ...options, componentSource: source });
     if (!response.ok) {
       if (response.status === 404) {
         console.log(chalk.red(`❌ Copilot instructions "${instructionName}" not found`));
@@ -1085,7 +1195,7 @@ async function installCopilotInstructions(instructionName, targetDir, options) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    const instructionContent = await response.text();
+    const instructionContent = response.content;
 
     // Create .github directory if it doesn't exist
     const githubDir = path.join(targetDir, '.github');
@@ -1093,6 +1203,13 @@ async function installCopilotInstructions(instructionName, targetDir, options) {
 
     // Write copilot-instructions.md (always this exact filename)
     const targetFile = path.join(githubDir, 'copilot-instructions.md');
+    const installedFiles = { '.github/copilot-instructions.md': instructionContent };
+    if (!(await checkFrozenInstall('copilot-instructions', instructionName, installedFiles, targetDir, options))) {
+      return false;
+    }
+    if (!(await checkInstallSafety('copilot-instructions', instructionName, installedFiles, options))) {
+      return false;
+    }
 
     // Check if file already exists
     if (await fs.pathExists(targetFile)) {
@@ -1110,7 +1227,12 @@ async function installCopilotInstructions(instructionName, targetDir, options) {
       }
     }
 
+    if (await backupUserFile(targetDir, '.github/copilot-instructions.md')) {
+      console.log(chalk.gray('💾 Backed up your existing copilot-instructions.md (restored by cct uninstall)'));
+    }
+
     await fs.writeFile(targetFile, instructionContent, 'utf8');
+    await recordInstalledComponent('copilot-instructions', instructionName, installedFiles, source, targetDir, options);
 
     if (!options.silent) {
       console.log(chalk.green(`✅ copilot-instructions.md installed successfully!`));
@@ -1122,8 +1244,8 @@ async function installCopilotInstructions(instructionName, targetDir, options) {
     // Track successful installation
     trackingService.trackDownload('copilot-instructions', instructionName, {
       installation_type: 'copilot_instructions',
-      target_directory: path.relative(process.cwd(), targetDir),
-      source: 'github_main'
+      target_directory: path.relative(process.cwd(), options.projectDir || targetDir),
+      source: getTrackingSource(source)
     });
 
     return true;
@@ -1142,12 +1264,12 @@ async function installWorkspaceAgents(agentsFile, targetDir, options) {
   console.log(chalk.blue(`🤖 Installing workspace agents (AGENTS.md)...`));
 
   try {
-    // Download AGENTS.md template from GitHub
-    const githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/workspace/${agentsFile}/AGENTS.md`;
+    // Download AGENTS.md template from the configured component source
+    const source = resolveComponentSource(options);
 
-    console.log(chalk.gray(`📥 Downloading from GitHub (main branch)...`));
+    console.log(chalk.gray(`📥 Downloading from ${describeComponentSource(source)}...`));
 
-    const response = await fetch(githubUrl);
+    const response = await fetchComponentFile(`workspace/${agentsFile}/AGENTS.md`, { ...options, componentSource: source });
     if (!response.ok) {
       if (response.status === 404) {
         console.log(chalk.red(`❌ Workspace agents "${agentsFile}" not found`));
@@ -1157,10 +1279,17 @@ async function installWorkspaceAgents(agentsFile, targetDir, options) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    const agentsContent = await response.text();
+    const agentsContent = response.content;
 
     // Write AGENTS.md to workspace root
     const targetFile = path.join(targetDir, 'AGENTS.md');
+    const installedFiles = { 'AGENTS.md': agentsContent };
+    if (!(await checkFrozenInstall('workspace-agents', agentsFile, installedFiles, targetDir, options))) {
+      return false;
+    }
+    if (!(await checkInstallSafety('workspace-agents', agentsFile, installedFiles, options))) {
+      return false;
+    }
 
     // Check if file already exists
     if (await fs.pathExists(targetFile)) {
@@ -1178,7 +1307,12 @@ async function installWorkspaceAgents(agentsFile, targetDir, options) {
       }
     }
 
+    if (await backupUserFile(targetDir, 'AGENTS.md')) {
+      console.log(chalk.gray('💾 Backed up your existing AGENTS.md (restored by cct uninstall)'));
+    }
+
     await fs.writeFile(targetFile, agentsContent, 'utf8');
+    await recordInstalledComponent('workspace-agents', agentsFile, installedFiles, source, targetDir, options);
 
     if (!options.silent) {
       console.log(chalk.green(`✅ AGENTS.md installed successfully!`));
@@ -1190,8 +1324,8 @@ async function installWorkspaceAgents(agentsFile, targetDir, options) {
     // Track successful installation
     trackingService.trackDownload('workspace-agents', agentsFile, {
       installation_type: 'workspace_agents',
-      target_directory: path.relative(process.cwd(), targetDir),
-      source: 'github_main'
+      target_directory: path.relative(process.cwd(), options.projectDir || targetDir),
+      source: getTrackingSource(source)
     });
 
     return true;
@@ -1217,12 +1351,12 @@ async function installLearningPath(pathName, targetDir, options) {
   console.log(chalk.blue(`🎓 Installing learning path: ${pathName}`));
 
   try {
-    // Fetch learning path manifest from GitHub
-    const githubUrl = `https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/learning-paths/${pathName}.json`;
+    // Fetch learning path manifest from the configured component source
+    const source = resolveComponentSource(options);
 
     console.log(chalk.gray(`📥 Downloading learning path manifest...`));
 
-    const response = await fetch(githubUrl);
+    const response = await fetchComponentFile(`learning-paths/${pathName}.json`, { ...options, componentSource: source });
     if (!response.ok) {
       if (response.status === 404) {
         console.log(chalk.red(`❌ Learning path "${pathName}" not found`));
@@ -1232,61 +1366,110 @@ async function installLearningPath(pathName, targetDir, options) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
 
-    const pathManifest = await response.json();
+    const validation = await new LearningPathValidator().validate({ content: response.content, path: response.location });
+    if (!validation.valid) {
+      console.log(chalk.red(`❌ Learning path "${pathName}" has an invalid manifest:`));
+      validation.errors.forEach(error => console.log(chalk.red(`   ${error.code}: ${error.message}`)));
+      return;
+    }
+    validation.warnings.forEach(warning => console.log(chalk.yellow(`⚠️  ${warning.code}: ${warning.message}`)));
+
+    const pathManifest = normalizeLearningPath(JSON.parse(response.content));
+    const modules = selectModulesForLevel(orderModules(pathManifest.modules), options.level);
 
     console.log(chalk.green(`✅ Learning path found: ${pathManifest.name || pathName}`));
     console.log(chalk.cyan(`📝 Description: ${pathManifest.description || 'No description'}`));
-    console.log(chalk.cyan(`📊 Level: ${pathManifest.level || 'beginner'}`));
+    console.log(chalk.cyan(`📊 Level: ${options.level ? `up to ${options.level}` : pathManifest.level}`));
 
-    let successfullyInstalled = 0;
-    let totalComponents = 0;
-
-    // Install agents from the learning path
-    if (pathManifest.agents && pathManifest.agents.length > 0) {
-      totalComponents += pathManifest.agents.length;
-      for (const agent of pathManifest.agents) {
-        console.log(chalk.gray(`   Installing agent: ${agent}`));
-        const success = await installIndividualAgent(agent, targetDir, { ...options, silent: true });
-        if (success) successfullyInstalled++;
-      }
+    if (modules.length === 0) {
+      console.log(chalk.yellow(`⚠️  No modules at level ${options.level}. Try a higher --level.`));
+      return;
     }
 
-    // Install skills from the learning path
-    if (pathManifest.skills && pathManifest.skills.length > 0) {
-      totalComponents += pathManifest.skills.length;
-      for (const skill of pathManifest.skills) {
-        console.log(chalk.gray(`   Installing skill: ${skill}`));
-        const success = await installIndividualSkill(skill, targetDir, { ...options, silent: true });
-        if (success) successfullyInstalled++;
+    const installers = {
+      agent: installIndividualAgent,
+      skill: installIndividualSkill,
+      instruction: installInstruction,
+      prompt: installIndividualPrompt,
+      mcp: installIndividualMCP
+    };
+
+    const tasks = [];
+    const plannedModules = [];
+    const progress = (await readProgress(targetDir)).paths[pathName];
+
+    for (const [index, module] of modules.entries()) {
+      console.log(chalk.blue(`\n📘 Module ${index + 1}/${modules.length}: ${module.title} (${module.level})`));
+
+      // Modules unlock as their prerequisites are completed (cct progress complete <module>)
+      if (!isModuleUnlocked(progress, module)) {
+        const missing = module.prerequisites.filter(id => !(progress && progress.completedModules[id]));
+        console.log(chalk.gray(`   🔒 Locked until ${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} complete`));
+        continue;
       }
-    }
 
-    // Install instructions from the learning path
-    if (pathManifest.instructions && pathManifest.instructions.length > 0) {
-      totalComponents += pathManifest.instructions.length;
-      for (const instruction of pathManifest.instructions) {
-        console.log(chalk.gray(`   Installing instruction: ${instruction}`));
-        const success = await installInstruction(instruction, targetDir, { ...options, silent: true });
-        if (success) successfullyInstalled++;
+      if (progress && progress.installedModules.includes(module.id)) {
+        console.log(chalk.gray('   ✓ Already installed (refresh with: cct update)'));
+        continue;
       }
-    }
 
-    // Install prompts from the learning path
-    if (pathManifest.prompts && pathManifest.prompts.length > 0) {
-      totalComponents += pathManifest.prompts.length;
-      for (const prompt of pathManifest.prompts) {
-        console.log(chalk.gray(`   Installing prompt: ${prompt}`));
-        const success = await installIndividualPrompt(prompt, targetDir, { ...options, silent: true });
-        if (success) successfullyInstalled++;
+      plannedModules.push(module.id);
+      for (const component of module.components) {
+        if (component.optional && !options.includeOptional) {
+          console.log(chalk.gray(`   ⏭️  Optional ${component.type}: ${component.name} (add --include-optional to install)`));
+          continue;
+        }
+        console.log(chalk.gray(`   ${component.optional ? 'Optional ' : ''}${component.type}: ${component.name}`));
+        tasks.push({ module: module.id, component });
       }
     }
 
-    if (successfullyInstalled === totalComponents) {
-      console.log(chalk.green(`\n🎉 Learning path "${pathName}" installed successfully! (${successfullyInstalled} components)`));
-    } else if (successfullyInstalled > 0) {
-      console.log(chalk.yellow(`\n⚠️  Learning path partially installed: ${successfullyInstalled} of ${totalComponents} components.`));
-    } else {
-      console.log(chalk.red(`\n❌ Learning path installation failed.`));
+    const totalComponents = tasks.length;
+    if (totalComponents === 0 && plannedModules.length === 0) {
+      console.log(chalk.green(`\n✅ Nothing new to install for "${pathName}"`));
+      console.log(chalk.gray('💡 See your progress with: cct progress'));
+      return;
+    }
+
+    // Stage the whole path and commit only when every required component installed
+    const transaction = new InstallTransaction(targetDir);
+    const stagingDir = await transaction.begin();
+    let successfullyInstalled = 0;
+    const failedModules = new Set();
+
+    try {
+      const results = await mapWithConcurrency(tasks, DEFAULT_CONCURRENCY, ({ component }) =>
+        installers[component.type](component.name, stagingDir, { ...options, silent: true, projectDir: targetDir })
+      );
+
+      results.forEach((success, index) => {
+        if (success) {
+          successfullyInstalled++;
+        } else if (!tasks[index].component.optional) {
+          failedModules.add(tasks[index].module);
+        }
+      });
+
+      if (failedModules.size > 0 && !options.allowPartial) {
+        console.log(chalk.red(`\n❌ Learning path installation failed: ${[...failedModules].join(', ')} could not be installed, so no files were changed.`));
+        console.log(chalk.gray('💡 Re-run with --allow-partial to keep the modules that did install.'));
+        return;
+      }
+
+      const installedModules = plannedModules.filter(id => !failedModules.has(id));
+      await recordLearningPath(stagingDir, pathName, pathManifest, installedModules, options);
+      await transaction.commit();
+
+      if (successfullyInstalled === totalComponents) {
+        console.log(chalk.green(`\n🎉 Learning path "${pathName}" installed successfully! (${installedModules.length} module(s), ${successfullyInstalled} components)`));
+      } else {
+        console.log(chalk.yellow(`\n⚠️  Learning path partially installed: ${successfullyInstalled} of ${totalComponents} components.`));
+        if (failedModules.size > 0) {
+          console.log(chalk.yellow(`   Incomplete modules: ${[...failedModules].join(', ')}`));
+        }
+      }
+    } finally {
+      await transaction.rollback();
     }
 
     console.log(chalk.cyan(`📁 Components installed to: .github/`));
@@ -1295,10 +1478,10 @@ async function installLearningPath(pathName, targetDir, options) {
     // Track successful learning path installation
     trackingService.trackDownload('learning-path', pathName, {
       installation_type: 'learning_path',
-      target_directory: path.relative(process.cwd(), targetDir),
+      target_directory: path.relative(process.cwd(), options.projectDir || targetDir),
       components_installed: successfullyInstalled,
       total_components: totalComponents,
-      source: 'github_main'
+      source: getTrackingSource(source)
     });
 
   } catch (error) {
@@ -1306,4 +1489,50 @@ async function installLearningPath(pathName, targetDir, options) {
   }
 }
 
-module.exports = { createCopilotConfig, showMainMenu };
+/**
+ * Mark a learning path module complete and install the modules it unlocks
+ */
+async function completeLearningModule(moduleId, options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const result = await completeModule(targetDir, moduleId, options);
+
+  console.log(chalk.green(`✅ Module "${result.module.title}" marked as complete`));
+  await installUnlockedModules(result, targetDir, options);
+}
+
+/**
+ * Record a finished exercise and install any modules unlocked by completing its module
+ */
+async function completeLearningExercise(moduleId, exerciseId, options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const result = await completeExercise(targetDir, moduleId, exerciseId, options);
+
+  console.log(chalk.green(`✅ Exercise "${exerciseId}" recorded for module "${result.module.title}"`));
+  if (result.moduleCompleted) {
+    console.log(chalk.green(`🎉 All exercises done - module "${result.module.title}" is complete!`));
+  }
+  await installUnlockedModules(result, targetDir, options);
+}
+
+async function installUnlockedModules(result, targetDir, options) {
+  if (result.unlocked.length === 0) {
+    return;
+  }
+
+  console.log(chalk.blue(`🔓 Unlocked: ${result.unlocked.join(', ')}`));
+
+  // Install with the level, optional components and source the path was installed with,
+  // unless a source is given on the command line
+  const entry = (await readProgress(targetDir)).paths[result.pathName] || {};
+  const source = options.source || options.repo || options.ref
+    ? {}
+    : { source: entry.source || undefined, repo: entry.repo || undefined, ref: entry.ref || undefined };
+  await installLearningPath(result.pathName, targetDir, {
+    ...options,
+    ...source,
+    level: entry.level || undefined,
+    includeOptional: Boolean(entry.includeOptional)
+  });
+}
+
+module.exports = { createCopilotConfig, showMainMenu, completeLearningModule, completeLearningExercise };
@@ -0,0 +1,120 @@
+const chalk = require('chalk');
+const path = require('path');
+const SemanticValidator = require('./validation/validators/SemanticValidator');
+const ReferenceValidator = require('./validation/validators/ReferenceValidator');
+
+// Files the validators understand as prompts; skill scripts get the script checks instead
+const SCANNED_EXTENSIONS = ['.md'];
+
+// Reference errors that block an install even though the validator records no severity for them
+const BLOCKING_CODES = ['REF_E002', 'REF_E005'];
+
+// Installer type → type the validators use for their type-specific checks
+const VALIDATOR_TYPES = {
+  prompt: 'command'
+};
+
+function isBlocking(finding) {
+  return finding.severity === 'critical' || BLOCKING_CODES.includes(finding.code);
+}
+
+function toFinding(file, level, entry) {
+  const example = (entry.metadata.examples || [])[0] || {};
+  return {
+    file: entry.metadata.file || file,
+    level,
+    code: entry.code,
+    message: entry.message,
+    severity: entry.metadata.severity || null,
+    line: entry.metadata.line || example.line || null
+  };
+}
+
+/**
+ * Run the semantic and reference validators over downloaded component files,
+ * and the script checks over bundled .py/.sh scripts
+ * @param {object} files - { relativePath: content } as the installers write them
+ * @param {string} type - Installer type (agent, prompt, instruction, skill, ...)
+ * @returns {Promise<object>} { scanned, findings: [{ file, level, code, message, severity, line }], blocking }
+ */
+async function scanComponentFiles(files, type) {
+  const findings = [];
+  let scanned = 0;
+
+  for (const [file, content] of Object.entries(files)) {
+    if (!content) continue;
+
+    if (SemanticValidator.getScriptLanguage(file, content)) {
+      scanned++;
+      const result = await new SemanticValidator().validateScripts([{ path: file, content }], file);
+      result.errors.forEach(error => findings.push(toFinding(file, 'error', error)));
+      continue;
+    }
+
+    if (!SCANNED_EXTENSIONS.includes(path.extname(file))) continue;
+    scanned++;
+
+    // Fresh validators per file: installs run concurrently and validators keep state
+    const component = { content, path: file, type: VALIDATOR_TYPES[type] || type };
+    for (const validator of [new SemanticValidator(), new ReferenceValidator()]) {
+      const result = await validator.validate(component);
+      result.errors.forEach(error => findings.push(toFinding(file, 'error', error)));
+      result.warnings.forEach(warning => findings.push(toFinding(file, 'warning', warning)));
+    }
+  }
+
+  return { scanned, findings, blocking: findings.filter(finding => finding.level === 'error' && isBlocking(finding)) };
+}
+
+function formatFinding(finding) {
+  const location = finding.line ? `${finding.file}:${finding.line}` : finding.file;
+  return `${finding.code} ${finding.message} (${location})`;
+}
+
+/**
+ * Security gate run by the installers before writing downloaded content
+ * Critical findings block the install unless --allow-unsafe is given; everything else is reported
+ * @param {string} type - Installer type
+ * @param {string} name - Component name
+ * @param {object} files - { relativePath: content }
+ * @param {object} options - CLI options (allowUnsafe, silent)
+ * @returns {Promise<boolean>} true when the install may proceed
+ */
+async function checkInstallSafety(type, name, files, options = {}) {
+  const { scanned, findings, blocking } = await scanComponentFiles(files, type);
+  if (scanned === 0) {
+    return true;
+  }
+
+  const others = findings.filter(finding => !blocking.includes(finding));
+
+  if (blocking.length > 0 && !options.allowUnsafe) {
+    console.log(chalk.red(`🚫 Blocked ${type} "${name}": ${blocking.length} critical security finding(s)`));
+    blocking.forEach(finding => console.log(chalk.red(`   ${formatFinding(finding)}`)));
+    console.log(chalk.gray('💡 Review the content, then re-run with --allow-unsafe to install it anyway'));
+    return false;
+  }
+
+  if (blocking.length > 0) {
+    console.log(chalk.yellow(`⚠️  Installing ${type} "${name}" despite ${blocking.length} critical security finding(s) (--allow-unsafe)`));
+    blocking.forEach(finding => console.log(chalk.yellow(`   ${formatFinding(finding)}`)));
+  }
+
+  if (others.length > 0) {
+    const errors = others.filter(finding => finding.level === 'error').length;
+    const warnings = others.length - errors;
+    const counts = [errors && `${errors} error(s)`, warnings && `${warnings} warning(s)`].filter(Boolean).join(', ');
+    console.log(chalk.yellow(`🛡️  Security check for ${type} "${name}": ${counts}`));
+    others.forEach(finding => console.log(chalk.gray(`   ${formatFinding(finding)}`)));
+  } else if (blocking.length === 0 && !options.silent) {
+    console.log(chalk.green(`🛡️  Security check passed (${scanned} file${scanned === 1 ? '' : 's'} scanned)`));
+  }
+
+  return true;
+}
+
+module.exports = {
+  BLOCKING_CODES,
+  scanComponentFiles,
+  checkInstallSafety
+};
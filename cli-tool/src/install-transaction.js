@@ -0,0 +1,178 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+// Project paths installers write to; they are staged as a whole so merges see the existing content
+const STAGED_PATHS = ['.github', '.vscode', 'AGENTS.md'];
+
+// Downloads running at the same time during multi-component installs
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Run an async function over items with at most `limit` calls in flight
+ * Results keep the order of the items
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+}
+
+async function listFiles(root, relativeDir = '') {
+  const dir = path.join(root, relativeDir);
+  const files = [];
+
+  for (const item of await fs.readdir(dir)) {
+    const relativePath = path.join(relativeDir, item);
+    const stats = await fs.lstat(path.join(root, relativePath));
+    if (stats.isDirectory()) {
+      files.push(...await listFiles(root, relativePath));
+    } else {
+      files.push(relativePath);
+    }
+  }
+  return files;
+}
+
+async function sameFile(a, b) {
+  if (!(await fs.pathExists(a)) || !(await fs.pathExists(b))) {
+    return false;
+  }
+  const [statsA, statsB] = await Promise.all([fs.stat(a), fs.stat(b)]);
+  if (statsA.size !== statsB.size || statsA.mode !== statsB.mode) {
+    return false;
+  }
+  const [contentA, contentB] = await Promise.all([fs.readFile(a), fs.readFile(b)]);
+  return contentA.equals(contentB);
+}
+
+/**
+ * Stage an install in a temporary copy of the project's .github/, .vscode/ and AGENTS.md
+ * Installers run against `stagingDir`; nothing touches the project until commit()
+ */
+class InstallTransaction {
+  constructor(targetDir) {
+    this.targetDir = targetDir;
+    this.stagingDir = null;
+    this.originalFiles = [];
+  }
+
+  /**
+   * Create the staging directory, seeded with the current project files
+   * @returns {Promise<string>} Staging directory to install into
+   */
+  async begin() {
+    this.stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-install-'));
+
+    for (const stagedPath of STAGED_PATHS) {
+      const source = path.join(this.targetDir, stagedPath);
+      if (await fs.pathExists(source)) {
+        await fs.copy(source, path.join(this.stagingDir, stagedPath), { preserveTimestamps: true });
+      }
+    }
+
+    this.originalFiles = await listFiles(this.stagingDir);
+    return this.stagingDir;
+  }
+
+  /**
+   * Files the staged install adds, changes or removes
+   * @returns {Promise<object>} { written: [relativePath], removed: [relativePath] }
+   */
+  async getChanges() {
+    const stagedFiles = await listFiles(this.stagingDir);
+    const written = [];
+
+    for (const relativePath of stagedFiles) {
+      if (!(await sameFile(path.join(this.stagingDir, relativePath), path.join(this.targetDir, relativePath)))) {
+        written.push(relativePath);
+      }
+    }
+
+    const removed = this.originalFiles.filter(relativePath => !stagedFiles.includes(relativePath));
+    return { written, removed };
+  }
+
+  /**
+   * Move staged changes into the project
+   * Every file is copied next to its destination first and then renamed into place,
+   * and files already renamed are restored if a later step fails
+   * @returns {Promise<object>} The changes that were applied
+   */
+  async commit() {
+    const changes = await this.getChanges();
+    const applied = [];
+
+    try {
+      const prepared = [];
+      for (const relativePath of changes.written) {
+        const destination = path.join(this.targetDir, relativePath);
+        const temporary = `${destination}.cct-tmp`;
+        await fs.ensureDir(path.dirname(destination));
+        await fs.copy(path.join(this.stagingDir, relativePath), temporary);
+        prepared.push({ destination, temporary });
+      }
+
+      for (const { destination, temporary } of prepared) {
+        const previous = (await fs.pathExists(destination)) ? await fs.readFile(destination) : null;
+        await fs.rename(temporary, destination);
+        applied.push({ destination, previous });
+      }
+
+      for (const relativePath of changes.removed) {
+        const destination = path.join(this.targetDir, relativePath);
+        if (await fs.pathExists(destination)) {
+          const previous = await fs.readFile(destination);
+          await fs.remove(destination);
+          applied.push({ destination, previous });
+        }
+      }
+    } catch (error) {
+      for (const { destination, previous } of applied.reverse()) {
+        if (previous === null) {
+          await fs.remove(destination);
+        } else {
+          await fs.outputFile(destination, previous);
+        }
+      }
+      for (const relativePath of changes.written) {
+        await fs.remove(`${path.join(this.targetDir, relativePath)}.cct-tmp`);
+      }
+      throw error;
+    } finally {
+      await this.rollback();
+    }
+
+    return changes;
+  }
+
+  /**
+   * Discard the staged install
+   */
+  async rollback() {
+    if (this.stagingDir) {
+      await fs.remove(this.stagingDir);
+      this.stagingDir = null;
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  STAGED_PATHS,
+  InstallTransaction,
+  mapWithConcurrency
+};
@@ -0,0 +1,131 @@
+/**
+ * Learning path manifests
+ *
+ * A learning path is a list of ordered modules that can grow over a semester:
+ *
+ * {
+ *   "name": "Python for Beginners",
+ *   "level": "beginner",
+ *   "modules": [
+ *     { "id": "basics", "level": "beginner", "agents": ["beginner-tutors/python-basics-tutor"] },
+ *     {
+ *       "id": "practice",
+ *       "prerequisites": ["basics"],
+ *       "prompts": [{ "name": "learning/build-champ", "optional": true }],
+ *       "exercises": ["variables", { "id": "loops", "title": "Loops and ranges" }]
+ *     }
+ *   ]
+ * }
+ *
+ * Manifests with top-level component arrays (agents, skills, ...) are treated as a single module.
+ * Exercises are tracked by `cct progress`; a module is complete once all of them are done.
+ */
+
+const LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Manifest key → component type understood by the installers
+const COMPONENT_KEYS = {
+  agents: 'agent',
+  skills: 'skill',
+  instructions: 'instruction',
+  prompts: 'prompt',
+  mcps: 'mcp'
+};
+
+function normalizeComponents(source) {
+  const components = [];
+  for (const [key, type] of Object.entries(COMPONENT_KEYS)) {
+    for (const entry of source[key] || []) {
+      const component = typeof entry === 'string' ? { name: entry } : entry;
+      components.push({ type, name: component.name, optional: component.optional === true });
+    }
+  }
+  return components;
+}
+
+/**
+ * Normalize a manifest into { name, description, level, modules }
+ * Each module gets { id, title, description, level, prerequisites, components: [{ type, name, optional }],
+ * exercises: [{ id, title }] }
+ * @param {object} manifest - Parsed manifest (assumed valid)
+ * @returns {object}
+ */
+function normalizeLearningPath(manifest) {
+  const level = manifest.level || 'beginner';
+  const modules = Array.isArray(manifest.modules)
+    ? manifest.modules
+    : [{ id: 'main', title: manifest.name, ...manifest }];
+
+  return {
+    name: manifest.name,
+    description: manifest.description,
+    level,
+    modules: modules.map(module => ({
+      id: module.id,
+      title: module.title || module.id,
+      description: module.description,
+      level: module.level || level,
+      prerequisites: module.prerequisites || [],
+      components: normalizeComponents(module),
+      exercises: (module.exercises || []).map(exercise =>
+        typeof exercise === 'string' ? { id: exercise, title: exercise } : { id: exercise.id, title: exercise.title || exercise.id }
+      )
+    }))
+  };
+}
+
+/**
+ * Order modules so every module comes after its prerequisites
+ * Modules keep their declared order wherever prerequisites allow it
+ * @param {Array<object>} modules - Normalized modules
+ * @returns {Array<object>}
+ * @throws {Error} If prerequisites form a cycle
+ */
+function orderModules(modules) {
+  const ordered = [];
+  const placed = new Set();
+  const remaining = [...modules];
+
+  while (remaining.length > 0) {
+    const index = remaining.findIndex(module =>
+      module.prerequisites.every(id => placed.has(id) || !modules.some(m => m.id === id))
+    );
+    if (index === -1) {
+      throw new Error(`Circular prerequisites between modules: ${remaining.map(m => m.id).join(', ')}`);
+    }
+    const [module] = remaining.splice(index, 1);
+    ordered.push(module);
+    placed.add(module.id);
+  }
+
+  return ordered;
+}
+
+/**
+ * Pick the modules to install for a level
+ * A level includes every module up to and including it, so a class can move from
+ * --level beginner to --level intermediate as the semester progresses
+ * @param {Array<object>} modules - Normalized modules
+ * @param {string} level - beginner, intermediate or advanced (default: all modules)
+ * @returns {Array<object>}
+ */
+function selectModulesForLevel(modules, level) {
+  if (!level) {
+    return modules;
+  }
+
+  const maxLevel = LEVELS.indexOf(level);
+  if (maxLevel === -1) {
+    throw new Error(`Unknown level "${level}". Use one of: ${LEVELS.join(', ')}`);
+  }
+
+  return modules.filter(module => LEVELS.indexOf(module.level) <= maxLevel);
+}
+
+module.exports = {
+  LEVELS,
+  COMPONENT_KEYS,
+  normalizeLearningPath,
+  orderModules,
+  selectModulesForLevel
+};
@@ -0,0 +1,226 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+
+// Progress file location, relative to the project root
+const PROGRESS_PATH = '.github/learning-progress.json';
+const PROGRESS_VERSION = 1;
+
+/**
+ * Read the project's learning progress, returning empty progress when none exists
+ * @param {string} targetDir - Project root
+ * @returns {Promise<object>} { version, paths: { [pathName]: entry } }
+ */
+async function readProgress(targetDir) {
+  const progressPath = path.join(targetDir, PROGRESS_PATH);
+  if (!(await fs.pathExists(progressPath))) {
+    return { version: PROGRESS_VERSION, paths: {} };
+  }
+
+  const progress = await fs.readJson(progressPath);
+  if (!progress.paths || typeof progress.paths !== 'object') {
+    progress.paths = {};
+  }
+  return progress;
+}
+
+async function writeProgress(targetDir, progress) {
+  const progressPath = path.join(targetDir, PROGRESS_PATH);
+  await fs.ensureDir(path.dirname(progressPath));
+  await fs.writeJson(progressPath, { ...progress, version: PROGRESS_VERSION }, { spaces: 2 });
+}
+
+function emptyPathEntry() {
+  return { installedModules: [], completedModules: {}, exercises: {} };
+}
+
+/**
+ * A module is unlocked once every prerequisite module is complete
+ * @param {object} entry - Learning path progress entry
+ * @param {object} module - Normalized module
+ * @returns {boolean}
+ */
+function isModuleUnlocked(entry, module) {
+  const completed = (entry && entry.completedModules) || {};
+  return module.prerequisites.every(id => completed[id]);
+}
+
+/**
+ * Remember a learning path and the modules installed from it
+ * The module layout is stored so `cct progress` works without fetching the manifest again,
+ * and the install options and component source so unlocked modules are installed the way the path was
+ * @param {string} targetDir - Project root
+ * @param {string} pathName - Learning path name as passed to --learning-path
+ * @param {object} manifest - Normalized manifest
+ * @param {Array<string>} installedModules - Ids of modules installed in this run
+ * @param {object} installOptions - { level, includeOptional, source, repo, ref } the path was installed with
+ * @returns {Promise<object>} The stored entry
+ */
+async function recordLearningPath(targetDir, pathName, manifest, installedModules, installOptions = {}) {
+  const progress = await readProgress(targetDir);
+  const entry = progress.paths[pathName] || emptyPathEntry();
+
+  entry.name = manifest.name || pathName;
+  entry.modules = manifest.modules.map(module => ({
+    id: module.id,
+    title: module.title,
+    level: module.level,
+    prerequisites: module.prerequisites,
+    exercises: module.exercises
+  }));
+  entry.installedModules = [...new Set([...entry.installedModules, ...installedModules])];
+  entry.level = installOptions.level || null;
+  entry.includeOptional = Boolean(installOptions.includeOptional);
+  // Local sources are stored absolute, since `cct progress` may run from another directory
+  const source = installOptions.source || process.env.CCT_COMPONENT_SOURCE;
+  entry.source = source ? (/^https?:\/\//i.test(source) ? source : path.resolve(source)) : null;
+  entry.repo = installOptions.repo || null;
+  entry.ref = installOptions.ref || null;
+  entry.updatedAt = new Date().toISOString();
+
+  progress.paths[pathName] = entry;
+  await writeProgress(targetDir, progress);
+  return entry;
+}
+
+/**
+ * Find the learning path a module belongs to
+ * @throws {Error} If the module is unknown or ambiguous without --path
+ */
+function findModule(progress, moduleId, pathName) {
+  const candidates = Object.entries(progress.paths)
+    .filter(([name]) => !pathName || name === pathName)
+    .map(([name, entry]) => ({ pathName: name, entry, module: (entry.modules || []).find(m => m.id === moduleId) }))
+    .filter(candidate => candidate.module);
+
+  if (candidates.length === 0) {
+    throw new Error(`Module "${moduleId}" not found${pathName ? ` in learning path "${pathName}"` : ''}. Run "cct progress" to list modules.`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`Module "${moduleId}" exists in several learning paths (${candidates.map(c => c.pathName).join(', ')}). Use --path to pick one.`);
+  }
+  return candidates[0];
+}
+
+function getUnlockedModules(entry, before) {
+  return entry.modules
+    .filter(module => !entry.completedModules[module.id])
+    .filter(module => isModuleUnlocked(entry, module) && !isModuleUnlocked(before, module))
+    .map(module => module.id);
+}
+
+/**
+ * Mark a module complete
+ * @returns {Promise<object>} { pathName, module, unlocked: [moduleId] }
+ */
+async function completeModule(targetDir, moduleId, options = {}) {
+  const progress = await readProgress(targetDir);
+  const { pathName, entry, module } = findModule(progress, moduleId, options.path);
+  const before = { completedModules: { ...entry.completedModules } };
+
+  if (!entry.completedModules[module.id]) {
+    entry.completedModules[module.id] = new Date().toISOString();
+  }
+
+  await writeProgress(targetDir, progress);
+  return { pathName, module, unlocked: getUnlockedModules(entry, before) };
+}
+
+/**
+ * Record a finished exercise; the module completes when all of its listed exercises are done
+ * Exercises that are not listed in the manifest (e.g. from the generate-exercises prompt) are kept as extras
+ * @returns {Promise<object>} { pathName, module, moduleCompleted, unlocked: [moduleId] }
+ */
+async function completeExercise(targetDir, moduleId, exerciseId, options = {}) {
+  const progress = await readProgress(targetDir);
+  const { pathName, entry, module } = findModule(progress, moduleId, options.path);
+  const before = { completedModules: { ...entry.completedModules } };
+
+  entry.exercises[module.id] = entry.exercises[module.id] || {};
+  if (!entry.exercises[module.id][exerciseId]) {
+    entry.exercises[module.id][exerciseId] = new Date().toISOString();
+  }
+
+  const listed = module.exercises || [];
+  const moduleCompleted = !entry.completedModules[module.id] &&
+    listed.length > 0 && listed.every(exercise => entry.exercises[module.id][exercise.id]);
+  if (moduleCompleted) {
+    entry.completedModules[module.id] = new Date().toISOString();
+  }
+
+  await writeProgress(targetDir, progress);
+  return { pathName, module, moduleCompleted, unlocked: getUnlockedModules(entry, before) };
+}
+
+/**
+ * Completion of one module
+ * @returns {object} { done, total, percent, extra }
+ */
+function getModuleProgress(entry, module) {
+  const listed = module.exercises || [];
+  const finished = entry.exercises[module.id] || {};
+  const done = listed.filter(exercise => finished[exercise.id]).length;
+  const extra = Object.keys(finished).filter(id => !listed.some(exercise => exercise.id === id)).length;
+
+  if (entry.completedModules[module.id]) {
+    return { done: listed.length, total: listed.length, percent: 100, extra };
+  }
+  return { done, total: listed.length, percent: listed.length ? Math.round((done / listed.length) * 100) : 0, extra };
+}
+
+function renderProgressBar(percent, width = 20) {
+  const filled = Math.round((percent / 100) * width);
+  return '█'.repeat(filled) + '░'.repeat(width - filled);
+}
+
+/**
+ * `cct progress [path]` - show progress per module for installed learning paths
+ */
+async function showLearningProgress(pathName, options = {}) {
+  const targetDir = options.directory || process.cwd();
+  const progress = await readProgress(targetDir);
+  const paths = Object.entries(progress.paths).filter(([name]) => !pathName || name === pathName);
+
+  if (paths.length === 0) {
+    console.log(chalk.yellow(pathName ? `⚠️  Learning path "${pathName}" is not installed.` : '⚠️  No learning paths installed yet.'));
+    console.log(chalk.gray('💡 Install one with: --learning-path <path>'));
+    return progress;
+  }
+
+  for (const [name, entry] of paths) {
+    const completed = entry.modules.filter(module => entry.completedModules[module.id]).length;
+    console.log(chalk.blue(`\n🎓 ${entry.name} (${name}) - ${completed}/${entry.modules.length} modules complete`));
+
+    for (const module of entry.modules) {
+      const moduleProgress = getModuleProgress(entry, module);
+      const bar = renderProgressBar(moduleProgress.percent);
+      const exercises = moduleProgress.total ? ` ${moduleProgress.done}/${moduleProgress.total} exercises` : '';
+      const extra = moduleProgress.extra ? chalk.gray(` (+${moduleProgress.extra} extra)`) : '';
+
+      if (entry.completedModules[module.id]) {
+        console.log(chalk.green(`  ✅ ${module.title.padEnd(28)} ${bar} 100%`) + chalk.gray(exercises) + extra);
+      } else if (!isModuleUnlocked(entry, module)) {
+        const missing = module.prerequisites.filter(id => !entry.completedModules[id]);
+        console.log(chalk.gray(`  🔒 ${module.title.padEnd(28)} ${bar}   0% - complete ${missing.join(', ')} first`));
+      } else {
+        const status = entry.installedModules.includes(module.id) ? '' : chalk.yellow(' - not installed yet');
+        console.log(chalk.cyan(`  📘 ${module.title.padEnd(28)} ${bar} ${String(moduleProgress.percent).padStart(3)}%`) + chalk.gray(exercises) + extra + status);
+      }
+    }
+  }
+
+  console.log(chalk.gray('\n💡 Record progress with: cct progress complete <module> | cct progress exercise <module> <exercise>'));
+  return progress;
+}
+
+module.exports = {
+  PROGRESS_PATH,
+  readProgress,
+  isModuleUnlocked,
+  recordLearningPath,
+  completeModule,
+  completeExercise,
+  getModuleProgress,
+  renderProgressBar,
+  showLearningProgress
+};
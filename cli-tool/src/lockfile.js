@@ -0,0 +1,272 @@
+const fs = require('fs-extra');
+const path = require('path');
+const IntegrityValidator = require('./validation/validators/IntegrityValidator');
+
+// Lockfile location, relative to the project root
+const LOCKFILE_PATH = '.github/copilot-templates.lock.json';
+const LOCKFILE_VERSION = 1;
+
+// Pristine copies of installed files, used as the merge base by `cct update`
+const ORIGINALS_DIR = '.github/.copilot-templates/originals';
+
+// User-authored files replaced by an install, restored by `cct uninstall`
+const BACKUPS_DIR = '.github/.copilot-templates/backups';
+
+const integrityValidator = new IntegrityValidator();
+
+// Serializes read-modify-write cycles so concurrent installs don't drop entries
+let writeQueue = Promise.resolve();
+
+/**
+ * Key used to identify a component in the lockfile
+ * @param {string} type - Component type (agent, skill, mcp, ...)
+ * @param {string} name - Component name as passed on the command line
+ * @returns {string}
+ */
+function getLockKey(type, name) {
+  return `${type}:${name}`;
+}
+
+/**
+ * Hash every installed file with the same SHA-256 used by IntegrityValidator
+ * @param {object} files - Map of project-relative path to content
+ * @returns {object} Map of project-relative path to SHA-256 hex digest
+ */
+function hashFiles(files) {
+  const hashes = {};
+  for (const [filePath, content] of Object.entries(files)) {
+    hashes[filePath.split(path.sep).join('/')] = integrityValidator.generateHash(content);
+  }
+  return hashes;
+}
+
+/**
+ * Location of the pristine copy of an installed file
+ * MCP entries (.vscode/mcp.json#server) are stored as one file per server
+ */
+function getOriginalPath(targetDir, filePath) {
+  return path.join(targetDir, ORIGINALS_DIR, filePath.replace('#', '/'));
+}
+
+/**
+ * Read the pristine copy of an installed file
+ * @returns {Promise<string|null>} Original content, or null if none was stored
+ */
+async function readOriginal(targetDir, filePath) {
+  const originalPath = getOriginalPath(targetDir, filePath);
+  if (!(await fs.pathExists(originalPath))) {
+    return null;
+  }
+  return fs.readFile(originalPath, 'utf8');
+}
+
+async function saveOriginals(targetDir, files) {
+  for (const [filePath, content] of Object.entries(files)) {
+    const originalPath = getOriginalPath(targetDir, filePath.split(path.sep).join('/'));
+    await fs.ensureDir(path.dirname(originalPath));
+    await fs.writeFile(originalPath, content, 'utf8');
+  }
+}
+
+async function removeOriginals(targetDir, filePaths) {
+  for (const filePath of filePaths) {
+    await fs.remove(getOriginalPath(targetDir, filePath));
+  }
+}
+
+/**
+ * Back up a user-authored file before an install replaces it
+ * Files whose content matches a lockfile entry were installed by us and are not backed up,
+ * and an existing backup is never overwritten so the user's own version survives reinstalls
+ * @param {string} targetDir - Project root
+ * @param {string} filePath - Project-relative path
+ * @returns {Promise<boolean>} True if a backup was made
+ */
+async function backupUserFile(targetDir, filePath) {
+  const fullPath = path.join(targetDir, filePath);
+  const backupPath = path.join(targetDir, BACKUPS_DIR, filePath);
+
+  if (!(await fs.pathExists(fullPath)) || await fs.pathExists(backupPath)) {
+    return false;
+  }
+
+  const content = await fs.readFile(fullPath, 'utf8');
+  const hash = hashFiles({ [filePath]: content })[filePath];
+  const lock = await readLockfile(targetDir);
+  const installedByUs = Object.values(lock.components).some(entry => (entry.files || {})[filePath] === hash);
+  if (installedByUs) {
+    return false;
+  }
+
+  await fs.ensureDir(path.dirname(backupPath));
+  await fs.writeFile(backupPath, content, 'utf8');
+  return true;
+}
+
+/**
+ * Put a backed-up user file back in place and drop the backup
+ * @returns {Promise<boolean>} True if a backup was restored
+ */
+async function restoreUserFile(targetDir, filePath) {
+  const backupPath = path.join(targetDir, BACKUPS_DIR, filePath);
+  if (!(await fs.pathExists(backupPath))) {
+    return false;
+  }
+
+  await fs.move(backupPath, path.join(targetDir, filePath), { overwrite: true });
+  return true;
+}
+
+/**
+ * Read the project lockfile, returning an empty lock when none exists
+ * @param {string} targetDir - Project root
+ * @returns {Promise<object>}
+ */
+async function readLockfile(targetDir) {
+  const lockPath = path.join(targetDir, LOCKFILE_PATH);
+
+  if (!(await fs.pathExists(lockPath))) {
+    return { lockfileVersion: LOCKFILE_VERSION, components: {} };
+  }
+
+  const lock = await fs.readJson(lockPath);
+  if (!lock.components || typeof lock.components !== 'object') {
+    lock.components = {};
+  }
+  return lock;
+}
+
+/**
+ * Write the project lockfile with components sorted by key for stable diffs
+ * @param {string} targetDir - Project root
+ * @param {object} lock - Lock object
+ */
+async function writeLockfile(targetDir, lock) {
+  const lockPath = path.join(targetDir, LOCKFILE_PATH);
+  const sorted = {};
+  for (const key of Object.keys(lock.components).sort()) {
+    sorted[key] = lock.components[key];
+  }
+
+  await fs.ensureDir(path.dirname(lockPath));
+  await fs.writeJson(lockPath, { ...lock, lockfileVersion: LOCKFILE_VERSION, components: sorted }, { spaces: 2 });
+}
+
+/**
+ * Record (or replace) an installed component in the lockfile
+ * @param {string} targetDir - Project root
+ * @param {object} entry - Component entry
+ * @param {string} entry.type - Component type
+ * @param {string} entry.name - Component name
+ * @param {object} entry.source - Source info from getSourceLockInfo
+ * @param {object} entry.files - Map of project-relative path to content
+ * @param {Array<string>} [entry.keptFiles] - Paths left untouched (e.g. an update that was not applied);
+ *                                           their previous hash and original stay in place of entry.files
+ * @returns {Promise<object>} The stored entry
+ */
+function recordComponent(targetDir, entry) {
+  const task = writeQueue.then(async () => {
+    const lock = await readLockfile(targetDir);
+    const kept = new Set(entry.keptFiles || []);
+    const files = Object.fromEntries(Object.entries(entry.files).filter(([filePath]) => !kept.has(filePath)));
+    const stored = {
+      type: entry.type,
+      name: entry.name,
+      source: entry.source,
+      installedAt: new Date().toISOString(),
+      files: hashFiles(files)
+    };
+
+    const key = getLockKey(entry.type, entry.name);
+    const previous = lock.components[key];
+    if (previous) {
+      const previousFiles = previous.files || {};
+      for (const filePath of kept) {
+        if (previousFiles[filePath]) stored.files[filePath] = previousFiles[filePath];
+      }
+      await removeOriginals(targetDir, Object.keys(previousFiles).filter(filePath => !kept.has(filePath)));
+    }
+
+    lock.components[key] = stored;
+    await saveOriginals(targetDir, files);
+    await writeLockfile(targetDir, lock);
+    return stored;
+  });
+
+  // Keep the queue alive even if this write fails
+  writeQueue = task.catch(() => {});
+  return task;
+}
+
+/**
+ * Remove a component from the lockfile
+ * @returns {Promise<object|null>} The removed entry, if any
+ */
+function removeComponent(targetDir, type, name) {
+  const task = writeQueue.then(async () => {
+    const lock = await readLockfile(targetDir);
+    const key = getLockKey(type, name);
+    const removed = lock.components[key] || null;
+
+    if (removed) {
+      await removeOriginals(targetDir, Object.keys(removed.files || {}));
+      delete lock.components[key];
+      await writeLockfile(targetDir, lock);
+    }
+    return removed;
+  });
+
+  writeQueue = task.catch(() => {});
+  return task;
+}
+
+/**
+ * Compare content about to be installed with the hashes pinned in the lockfile
+ * @param {string} targetDir - Project root
+ * @param {string} type - Component type
+ * @param {string} name - Component name
+ * @param {object} files - Map of project-relative path to content
+ * @returns {Promise<object>} { ok, reason, mismatches: [{ path, expected, actual }] }
+ */
+async function verifyComponentAgainstLock(targetDir, type, name, files) {
+  const lock = await readLockfile(targetDir);
+  const locked = lock.components[getLockKey(type, name)];
+
+  if (!locked) {
+    return { ok: false, reason: `${type} "${name}" is not in ${LOCKFILE_PATH}`, mismatches: [] };
+  }
+
+  const actualHashes = hashFiles(files);
+  const mismatches = [];
+  const allPaths = new Set([...Object.keys(locked.files || {}), ...Object.keys(actualHashes)]);
+
+  for (const filePath of allPaths) {
+    const expected = (locked.files || {})[filePath] || null;
+    const actual = actualHashes[filePath] || null;
+    if (expected !== actual) {
+      mismatches.push({ path: filePath, expected, actual });
+    }
+  }
+
+  if (mismatches.length > 0) {
+    return { ok: false, reason: `${type} "${name}" does not match ${LOCKFILE_PATH}`, mismatches };
+  }
+
+  return { ok: true, reason: null, mismatches };
+}
+
+module.exports = {
+  LOCKFILE_PATH,
+  ORIGINALS_DIR,
+  BACKUPS_DIR,
+  getLockKey,
+  hashFiles,
+  readLockfile,
+  writeLockfile,
+  readOriginal,
+  backupUserFile,
+  restoreUserFile,
+  recordComponent,
+  removeComponent,
+  verifyComponentAgainstLock
+};
@@ -0,0 +1,102 @@
+/**
+ * MCP server configs: .mcp.json (Claude Code, "mcpServers") and .vscode/mcp.json (VS Code, "servers")
+ */
+
+const fs = require('fs-extra');
+
+// ${VAR} or ${VAR:-default} in .mcp.json; environment variables are upper case by convention
+const CLAUDE_ENV_VARIABLE = /\$\{([A-Z_][A-Z0-9_]*)(?::-[^}]*)?\}/g;
+
+/**
+ * Parse JSON as VS Code writes it: comments and trailing commas are allowed
+ * @returns {*} Parsed value, or undefined when the text is not valid even then
+ */
+function parseLenientJson(text) {
+  let clean = '';
+  let inString = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      clean += char;
+      if (char === '\\') {
+        clean += text[++i] || '';
+      } else if (char === '"') {
+        inString = false;
+      }
+    } else if (char === '"') {
+      inString = true;
+      clean += char;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+      clean += '\n';
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === '}' || char === ']') {
+      clean = clean.replace(/,(\s*)$/, '$1') + char;
+    } else {
+      clean += char;
+    }
+  }
+
+  try {
+    return JSON.parse(clean.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Environment variables as VS Code writes them: .mcp.json ${VAR} and ${VAR:-default} become
+ * ${env:VAR} (VS Code has no defaults); VS Code's own camelCase variables are left alone
+ */
+function toVSCodeVariables(value) {
+  if (typeof value === 'string') {
+    return value.replace(CLAUDE_ENV_VARIABLE, (match, name) => `\${env:${name}}`);
+  }
+  if (Array.isArray(value)) return value.map(toVSCodeVariables);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toVSCodeVariables(item)]));
+  }
+  return value;
+}
+
+/**
+ * .mcp.json "mcpServers" as VS Code "servers", each with its type
+ * @returns {object} New config; other keys are kept
+ */
+function toVSCodeServers(config) {
+  const { mcpServers, ...rest } = config;
+  const servers = {};
+  for (const [name, server] of Object.entries(mcpServers || {})) {
+    servers[name] = server && typeof server === 'object' && !server.type
+      ? { type: server.url ? 'http' : 'stdio', ...toVSCodeVariables(server) }
+      : toVSCodeVariables(server);
+  }
+  return { ...rest, servers: { ...servers, ...(rest.servers || {}) } };
+}
+
+/**
+ * Read an MCP config file the way VS Code does, comments and trailing commas included
+ * @returns {Promise<object>} Parsed config, or {} when the file does not exist
+ * @throws {Error} When the file is not valid JSON even then
+ */
+async function readMcpConfigFile(configPath) {
+  if (!(await fs.pathExists(configPath))) {
+    return {};
+  }
+  const config = parseLenientJson(await fs.readFile(configPath, 'utf8'));
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid JSON in ${configPath}; fix it first`);
+  }
+  return config;
+}
+
+module.exports = {
+  CLAUDE_ENV_VARIABLE,
+  parseLenientJson,
+  readMcpConfigFile,
+  toVSCodeVariables,
+  toVSCodeServers
+};
@@ -0,0 +1,341 @@
+const os = require('os');
+const { spawn } = require('child_process');
+
+/**
+ * Liveness probes for MCP servers, used by the health check
+ *
+ * A probe starts (stdio) or contacts (http, sse) a configured server, performs the MCP
+ * initialize handshake and lists its tools. Probes never throw; they answer:
+ *   { status: 'ok', tools, serverName }       - the server answered; tools is null for sse
+ *   { status: 'auth', error }                 - the server is up but wants credentials
+ *   { status: 'skipped', error }              - the config needs ${input:...} values from VS Code
+ *   { status: 'failed', error }               - it did not start or did not answer
+ */
+
+const DEFAULT_PROBE_TIMEOUT_MS = 10000;
+const PROTOCOL_VERSION = '2025-06-18';
+const CLIENT_INFO = { name: 'cct-health-check', version: require('../package.json').version };
+
+// tools/list pages followed before giving up on a server that keeps returning cursors
+const MAX_TOOL_PAGES = 10;
+
+const AUTH_STATUSES = [401, 403];
+
+/**
+ * Replace the VS Code variables of a server config: ${workspaceFolder}, ${userHome}, ${env:NAME}
+ * @returns {object} { server, inputs } where inputs lists the ${input:...} ids, which only VS Code can fill
+ */
+function resolveServerConfig(server, projectDir) {
+  const inputs = new Set();
+  const expand = value => {
+    if (typeof value === 'string') {
+      return value.replace(/\$\{([^}]+)\}/g, (match, variable) => {
+        if (variable === 'workspaceFolder') return projectDir;
+        if (variable === 'userHome') return os.homedir();
+        if (variable.startsWith('env:')) return process.env[variable.slice(4)] || '';
+        if (variable.startsWith('input:')) inputs.add(variable.slice(6));
+        return match;
+      });
+    }
+    if (Array.isArray(value)) return value.map(expand);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expand(item)]));
+    }
+    return value;
+  };
+
+  return { server: expand(server), inputs: [...inputs] };
+}
+
+/**
+ * Transport of a server config, as VS Code infers it
+ */
+function getServerType(server) {
+  return server.type || (server.url ? 'http' : 'stdio');
+}
+
+function lastLine(text) {
+  const lines = text.trim().split(/\r?\n/);
+  return lines[lines.length - 1] || '';
+}
+
+function initializeParams() {
+  return { protocolVersion: PROTOCOL_VERSION, capabilities: {}, clientInfo: CLIENT_INFO };
+}
+
+/**
+ * Count the tools of an initialized server, following pagination
+ * @param {Function} request - async (method, params) => result
+ */
+async function countTools(request) {
+  let count = 0;
+  let cursor;
+  for (let page = 0; page < MAX_TOOL_PAGES; page++) {
+    const result = await request('tools/list', cursor ? { cursor } : {});
+    count += Array.isArray(result && result.tools) ? result.tools.length : 0;
+    cursor = result && result.nextCursor;
+    if (!cursor) break;
+  }
+  return count;
+}
+
+/**
+ * Stop a probed server and anything it started (npx, uvx and docker wrap the real server)
+ */
+function stopProcess(child) {
+  child.stdin.end();
+  if (child.exitCode !== null || child.signalCode !== null || !child.pid) return;
+  try {
+    // Detached children lead their own process group
+    process.kill(process.platform === 'win32' ? child.pid : -child.pid, 'SIGTERM');
+  } catch (error) {
+    child.kill();
+  }
+}
+
+/**
+ * Spawn a stdio server and talk newline-delimited JSON-RPC to it
+ * @param {object} server - { command, args, env, cwd }
+ * @param {object} options - { cwd, timeout }
+ * @returns {Promise<object>} Probe result
+ */
+function probeStdioServer(server, options = {}) {
+  const timeout = options.timeout || DEFAULT_PROBE_TIMEOUT_MS;
+
+  return new Promise(resolve => {
+    let child;
+    try {
+      child = spawn(server.command, server.args || [], {
+        cwd: server.cwd || options.cwd,
+        env: { ...process.env, ...(server.env || {}) },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        // npx and friends are .cmd scripts on Windows
+        shell: process.platform === 'win32',
+        detached: process.platform !== 'win32'
+      });
+    } catch (error) {
+      resolve({ status: 'failed', error: error.message });
+      return;
+    }
+
+    const pending = new Map();
+    let nextId = 1;
+    let stage = 'initialize';
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      stopProcess(child);
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish({ status: 'failed', error: `no answer to ${stage} within ${timeout} ms` }), timeout);
+
+    const send = message => child.stdin.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+    const request = (method, params) => new Promise((resolveRequest, rejectRequest) => {
+      const id = nextId++;
+      pending.set(id, { resolveRequest, rejectRequest });
+      send({ id, method, params });
+    });
+
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+      let newline;
+      while ((newline = stdout.indexOf('\n')) !== -1) {
+        const line = stdout.slice(0, newline).trim();
+        stdout = stdout.slice(newline + 1);
+        let message;
+        try {
+          message = JSON.parse(line);
+        } catch (error) {
+          continue; // Some servers log to stdout
+        }
+        const handler = message && pending.get(message.id);
+        if (!handler) continue;
+        pending.delete(message.id);
+        if (message.error) {
+          handler.rejectRequest(new Error(message.error.message || 'error response'));
+        } else {
+          handler.resolveRequest(message.result);
+        }
+      }
+    });
+    // Keep the end of stderr for the report
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-2000);
+    });
+    // EPIPE when the server exits early; reported by 'exit'
+    child.stdin.on('error', () => {});
+    child.on('error', error => finish({
+      status: 'failed',
+      error: error.code === 'ENOENT' ? `command not found: ${server.command}` : error.message
+    }));
+    child.on('exit', (code, signal) => {
+      const detail = lastLine(stderr);
+      finish({ status: 'failed', error: `exited with ${signal || `code ${code}`} during ${stage}${detail ? `: ${detail}` : ''}` });
+    });
+
+    (async () => {
+      const init = await request('initialize', initializeParams());
+      send({ method: 'notifications/initialized' });
+      stage = 'tools/list';
+      const tools = init && init.capabilities && init.capabilities.tools ? await countTools(request) : 0;
+      finish({ status: 'ok', tools, serverName: init && init.serverInfo ? init.serverInfo.name : undefined });
+    })().catch(error => finish({ status: 'failed', error: `${stage} failed: ${error.message}` }));
+  });
+}
+
+/**
+ * Error reported as is, unlike network errors which are described by describeFetchError()
+ */
+function protocolError(message) {
+  const error = new Error(message);
+  error.protocol = true;
+  return error;
+}
+
+/**
+ * JSON-RPC response from a Streamable HTTP answer, which is JSON or an event stream
+ */
+function parseHttpMessage(body, contentType, id) {
+  if (!(contentType || '').includes('text/event-stream')) {
+    return JSON.parse(body);
+  }
+  for (const line of body.split(/\r?\n/)) {
+    if (!line.startsWith('data:')) continue;
+    try {
+      const message = JSON.parse(line.slice(5));
+      if (message.id === id) return message;
+    } catch (error) {
+      // Not a JSON-RPC event
+    }
+  }
+  throw protocolError('no response in the event stream');
+}
+
+function describeFetchError(error, timeout) {
+  if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+    return `no answer within ${timeout} ms`;
+  }
+  return `request failed (${(error.cause && error.cause.code) || error.message})`;
+}
+
+/**
+ * Probe an http (Streamable HTTP) or sse server
+ * sse servers are only checked for an open event stream; they do not report tools
+ * @param {object} server - { type, url, headers }
+ * @param {object} options - { timeout }
+ * @returns {Promise<object>} Probe result
+ */
+async function probeHttpServer(server, options = {}) {
+  const timeout = options.timeout || DEFAULT_PROBE_TIMEOUT_MS;
+  const signal = AbortSignal.timeout(timeout);
+  const headers = { 'User-Agent': 'copilot-learning-templates', ...(server.headers || {}) };
+  const httpError = statusCode => AUTH_STATUSES.includes(statusCode)
+    ? { status: 'auth', error: `needs authentication (HTTP ${statusCode})` }
+    : { status: 'failed', error: `HTTP ${statusCode}` };
+
+  try {
+    if (server.type === 'sse') {
+      const response = await fetch(server.url, { headers: { ...headers, Accept: 'text/event-stream' }, signal });
+      if (response.body) await response.body.cancel().catch(() => {});
+      return response.ok ? { status: 'ok', tools: null } : httpError(response.status);
+    }
+
+    let sessionId;
+    let nextId = 1;
+    const post = async message => {
+      const response = await fetch(server.url, {
+        method: 'POST',
+        headers: {
+          ...headers,
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+          ...(message.method === 'initialize' ? {} : { 'MCP-Protocol-Version': PROTOCOL_VERSION }),
+          ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {})
+        },
+        body: JSON.stringify({ jsonrpc: '2.0', ...message }),
+        signal
+      });
+      if (!response.ok) {
+        if (response.body) await response.body.cancel().catch(() => {});
+        const error = new Error(`HTTP ${response.status}`);
+        error.statusCode = response.status;
+        throw error;
+      }
+      return response;
+    };
+    const request = async (method, params) => {
+      const id = nextId++;
+      const response = await post({ id, method, params });
+      const message = parseHttpMessage(await response.text(), response.headers.get('content-type'), id);
+      if (message.error) throw protocolError(`${method} failed: ${message.error.message || 'error response'}`);
+      return message.result;
+    };
+
+    // The session id comes back as a header of the initialize answer
+    const initId = nextId++;
+    const initResponse = await post({ id: initId, method: 'initialize', params: initializeParams() });
+    sessionId = initResponse.headers.get('mcp-session-id') || undefined;
+    const init = parseHttpMessage(await initResponse.text(), initResponse.headers.get('content-type'), initId);
+    if (init.error) throw protocolError(`initialize failed: ${init.error.message || 'error response'}`);
+
+    const notified = await post({ method: 'notifications/initialized' });
+    if (notified.body) await notified.body.cancel().catch(() => {});
+
+    const capabilities = (init.result && init.result.capabilities) || {};
+    return {
+      status: 'ok',
+      tools: capabilities.tools ? await countTools(request) : 0,
+      serverName: init.result && init.result.serverInfo ? init.result.serverInfo.name : undefined
+    };
+  } catch (error) {
+    if (error.statusCode) return httpError(error.statusCode);
+    if (error.protocol) return { status: 'failed', error: error.message };
+    if (error instanceof SyntaxError) return { status: 'failed', error: 'answer is not JSON-RPC' };
+    return { status: 'failed', error: describeFetchError(error, timeout) };
+  }
+}
+
+/**
+ * Probe one configured server
+ * @param {object} server - Server entry of .vscode/mcp.json or .mcp.json
+ * @param {object} options - { projectDir, timeout }
+ * @returns {Promise<object>} Probe result with its type
+ */
+async function probeMCPServer(server, options = {}) {
+  const projectDir = options.projectDir || process.cwd();
+  const type = getServerType(server);
+  const resolved = resolveServerConfig(server, projectDir);
+
+  if (resolved.inputs.length > 0) {
+    return { type, status: 'skipped', error: `needs input ${resolved.inputs.join(', ')} from VS Code` };
+  }
+
+  if (type === 'stdio') {
+    if (!resolved.server.command) {
+      return { type, status: 'failed', error: 'no command' };
+    }
+    return { type, ...(await probeStdioServer(resolved.server, { cwd: projectDir, timeout: options.timeout })) };
+  }
+  if (type === 'http' || type === 'sse') {
+    if (!resolved.server.url) {
+      return { type, status: 'failed', error: 'no url' };
+    }
+    return { type, ...(await probeHttpServer({ ...resolved.server, type }, { timeout: options.timeout })) };
+  }
+  return { type, status: 'failed', error: `unknown type "${type}"` };
+}
+
+module.exports = {
+  DEFAULT_PROBE_TIMEOUT_MS,
+  PROTOCOL_VERSION,
+  getServerType,
+  resolveServerConfig,
+  probeStdioServer,
+  probeHttpServer,
+  probeMCPServer
+};
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const ValidationOrchestrator = require('./validation/ValidationOrchestrator');
+const { discoverComponents } = require('./component-validation');
+
+/**
+ * Catalog-wide security audit (npm run security-audit)
+ *
+ * Validates every component under cli-tool/components and writes:
+ * - the batch report (summary + components) as text or JSON
+ * - a static HTML dashboard (--html)
+ * - the `security` object of each entry in docs/components.json (--components-json),
+ *   which the website's createValidationBadge() and component page read
+ */
+
+const DEFAULT_COMPONENTS_DIR = path.join(__dirname, '..', 'components');
+
+const RISK_COLORS = {
+  LOW: '#1a7f37',
+  MEDIUM: '#9a6700',
+  HIGH: '#bc4c00',
+  CRITICAL: '#cf222e'
+};
+
+/**
+ * components.json key of a catalog file, as built by scripts/generate_components_json.py:
+ * components/agents/beginner-tutors/python-basics-tutor.agent.md → agents/beginner-tutors/python-basics-tutor.agent
+ * components/skills/programming-basics/python-fundamentals/SKILL.md → skills/programming-basics/python-fundamentals
+ * @param {string} componentPath - Component path
+ * @returns {string|null} Key, or null outside a components/ tree
+ */
+function getCatalogKey(componentPath) {
+  const parts = componentPath.replace(/\\/g, '/').split('/');
+  const index = parts.lastIndexOf('components');
+  if (index === -1 || parts.length <= index + 3) {
+    return null;
+  }
+  const name = parts[index + 3].replace(/\.[^.]+$/, '');
+  return `${parts[index + 1]}/${parts[index + 2]}/${name}`;
+}
+
+/**
+ * Risk level of a component from its semantic findings
+ */
+function getRiskLevel(orchestrator, componentResult) {
+  const semantic = componentResult.validators.semantic;
+  if (!semantic || !semantic.errors) {
+    return null;
+  }
+
+  const count = (findings, severity) => findings.filter(finding => (finding.metadata || {}).severity === severity).length;
+  return orchestrator.validators.semantic.calculateRiskLevel(
+    count(semantic.errors, 'critical'),
+    count(semantic.errors, 'high'),
+    count(semantic.warnings, 'medium')
+  );
+}
+
+/**
+ * Trust score of a component from its provenance metadata and Git history
+ */
+async function getTrustScore(orchestrator, componentResult) {
+  const provenance = componentResult.validators.provenance;
+  if (!provenance || !provenance.metadata) {
+    return null;
+  }
+
+  const validator = orchestrator.validators.provenance;
+  const filePath = componentResult.component.path;
+  const gitMetadata = fs.existsSync(filePath) ? await validator.extractGitMetadata(filePath) : null;
+  return validator.calculateTrustScore(provenance, gitMetadata);
+}
+
+/**
+ * The `security` object of a components.json entry
+ * @param {object} componentResult - Orchestrator result with riskLevel and trustScore
+ * @param {string} timestamp - Audit time
+ * @returns {object} { validated, valid, score, errorCount, warningCount, riskLevel, trustScore, lastValidated, hash, validators }
+ */
+function buildValidationData(componentResult, timestamp) {
+  const { overall, validators } = componentResult;
+  const data = {
+    validated: true,
+    valid: overall.valid,
+    score: overall.score,
+    errorCount: overall.errorCount,
+    warningCount: overall.warningCount,
+    riskLevel: componentResult.riskLevel,
+    trustScore: componentResult.trustScore,
+    lastValidated: timestamp,
+    validators: {}
+  };
+
+  const integrity = validators.integrity;
+  if (integrity && integrity.hash) {
+    data.hash = integrity.hash;
+  }
+
+  for (const [name, result] of Object.entries(validators)) {
+    data.validators[name] = {
+      valid: result.valid,
+      score: result.score || 0,
+      errorCount: result.errorCount,
+      warningCount: result.warningCount,
+      errors: result.errors || [],
+      warnings: result.warnings || []
+    };
+  }
+  return data;
+}
+
+/**
+ * Validate the whole catalog
+ * @param {object} options
+ * @param {string} options.componentsDir - Catalog root (default: cli-tool/components)
+ * @param {Array<string>} options.validators - Validators to run (default: all)
+ * @returns {Promise<object>} Batch report; each component also carries riskLevel, trustScore, catalogKey and validation
+ */
+async function auditCatalog(options = {}) {
+  const componentsDir = path.resolve(options.componentsDir || DEFAULT_COMPONENTS_DIR);
+  const orchestrator = new ValidationOrchestrator();
+  const components = await discoverComponents([componentsDir]);
+
+  const results = await orchestrator.validateComponents(components, { validators: options.validators });
+
+  for (const componentResult of results.components) {
+    componentResult.riskLevel = getRiskLevel(orchestrator, componentResult);
+    componentResult.trustScore = await getTrustScore(orchestrator, componentResult);
+    componentResult.catalogKey = getCatalogKey(componentResult.component.path);
+    componentResult.validation = buildValidationData(componentResult, results.timestamp);
+  }
+
+  const scores = results.components.map(component => component.overall.score);
+  results.summary.averageScore = scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0;
+  results.summary.riskLevels = {};
+  for (const componentResult of results.components) {
+    if (componentResult.riskLevel) {
+      results.summary.riskLevels[componentResult.riskLevel] = (results.summary.riskLevels[componentResult.riskLevel] || 0) + 1;
+    }
+  }
+
+  return results;
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatFinding(finding) {
+  const line = finding.metadata && finding.metadata.line ? ` <span class="muted">line ${finding.metadata.line}</span>` : '';
+  return `<li class="${finding.level}"><code>${escapeHtml(finding.code)}</code> ${escapeHtml(finding.message)}${line}</li>`;
+}
+
+function formatComponentRow(componentResult) {
+  const { component, overall, riskLevel, trustScore, validators } = componentResult;
+  const findings = Object.entries(validators)
+    .filter(([, result]) => (result.errors || []).length + (result.warnings || []).length > 0)
+    .map(([name, result]) => `<h4>${escapeHtml(name)}</h4><ul>${[...(result.errors || []), ...(result.warnings || [])].map(formatFinding).join('')}</ul>`)
+    .join('');
+  const risk = riskLevel
+    ? `<span class="badge" style="background:${RISK_COLORS[riskLevel]}">${riskLevel}</span>`
+    : '<span class="muted">-</span>';
+
+  return `
+      <tr class="${overall.valid ? 'pass' : 'fail'}">
+        <td>${overall.valid ? '✅' : '❌'}</td>
+        <td>
+          <details${findings ? '' : ' class="empty"'}>
+            <summary>${escapeHtml(component.path)}</summary>
+            ${findings || '<p class="muted">No findings</p>'}
+          </details>
+        </td>
+        <td>${escapeHtml(component.type)}</td>
+        <td class="num">${overall.score}</td>
+        <td>${risk}</td>
+        <td class="num">${trustScore === null || trustScore === undefined ? '-' : trustScore}</td>
+        <td class="num">${overall.errorCount}</td>
+        <td class="num">${overall.warningCount}</td>
+      </tr>`;
+}
+
+/**
+ * Static HTML dashboard for an audit
+ * @param {object} results - From auditCatalog()
+ * @returns {string} Self-contained HTML page
+ */
+function generateHtmlReport(results) {
+  const { summary } = results;
+  const components = [...results.components].sort((a, b) => a.overall.score - b.overall.score || a.component.path.localeCompare(b.component.path));
+  const risks = Object.keys(RISK_COLORS)
+    .filter(level => summary.riskLevels && summary.riskLevels[level])
+    .map(level => `<span class="badge" style="background:${RISK_COLORS[level]}">${level}: ${summary.riskLevels[level]}</span>`)
+    .join(' ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Component Security Audit</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+    h1 { font-size: 1.5rem; }
+    .cards { display: flex; gap: 1rem; flex-wrap: wrap; margin: 1rem 0 2rem; }
+    .card { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.75rem 1.25rem; min-width: 8rem; }
+    .card strong { display: block; font-size: 1.5rem; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border-bottom: 1px solid #d0d7de; padding: 0.5rem; text-align: left; vertical-align: top; }
+    th { background: #f6f8fa; }
+    td.num { text-align: right; }
+    tr.fail td { background: #fff5f5; }
+    .badge { color: #fff; border-radius: 1em; padding: 0.1em 0.6em; font-size: 0.8em; font-weight: 600; }
+    .muted { color: #656d76; }
+    details.empty summary { list-style: none; }
+    li.error code { color: #cf222e; }
+    li.warning code { color: #9a6700; }
+    h4 { margin: 0.5rem 0 0.25rem; }
+  </style>
+</head>
+<body>
+  <h1>🔒 Component Security Audit</h1>
+  <p class="muted">Generated ${escapeHtml(results.timestamp)}</p>
+  <div class="cards">
+    <div class="card"><strong>${summary.total}</strong>Components</div>
+    <div class="card"><strong>${summary.passed}</strong>✅ Passed</div>
+    <div class="card"><strong>${summary.failed}</strong>❌ Failed</div>
+    <div class="card"><strong>${summary.warnings}</strong>⚠️ Warnings</div>
+    <div class="card"><strong>${summary.averageScore}</strong>Average score</div>
+  </div>
+  ${risks ? `<p>Risk levels: ${risks}</p>` : ''}
+  <table>
+    <thead>
+      <tr><th></th><th>Component</th><th>Type</th><th>Score</th><th>Risk</th><th>Trust</th><th>Errors</th><th>Warnings</th></tr>
+    </thead>
+    <tbody>${components.map(formatComponentRow).join('')}
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Set the `security` object of each components.json entry that was audited
+ * @param {string} file - components.json
+ * @param {object} results - From auditCatalog()
+ * @returns {Promise<number>} Number of entries updated
+ */
+async function updateComponentsJson(file, results) {
+  const catalog = await fs.readJson(file);
+  const byKey = new Map(results.components.filter(c => c.catalogKey).map(c => [c.catalogKey, c.validation]));
+
+  let updated = 0;
+  for (const [group, entries] of Object.entries(catalog)) {
+    if (!Array.isArray(entries)) continue;
+    for (const entry of entries) {
+      const validation = entry && byKey.get(`${group}/${entry.category}/${entry.name}`);
+      if (validation) {
+        entry.security = validation;
+        updated++;
+      }
+    }
+  }
+
+  await fs.writeJson(file, catalog, { spaces: 2 });
+  return updated;
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (const arg of argv) {
+    const [flag, value] = arg.split(/=(.*)/s);
+    switch (flag) {
+      case '--ci': options.ci = true; break;
+      case '--verbose':
+      case '-v': options.verbose = true; break;
+      case '--json': options.json = true; break;
+      case '--output': options.output = value; break;
+      case '--html': options.html = value || 'security-report.html'; break;
+      case '--components-json': options.componentsJson = value; break;
+      case '--dir': options.componentsDir = value; break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * `node src/security-audit.js [--ci] [--verbose] [--json] [--output=FILE] [--html=FILE] [--components-json=FILE] [--dir=DIR]`
+ * @param {Array<string>} argv - Arguments
+ * @returns {Promise<object>} { results, passed }
+ */
+async function runSecurityAudit(argv = process.argv.slice(2)) {
+  const options = parseArgs(argv);
+  // JSON on stdout must not be mixed with progress output
+  const quiet = options.json && !options.output;
+  const log = message => { if (!quiet) console.log(message); };
+
+  log(chalk.blue.bold('🔒 Copilot Learning Templates - Security Audit'));
+  log(chalk.gray('━'.repeat(60)));
+  log(chalk.gray('📁 Scanning components directory...'));
+
+  const results = await auditCatalog(options);
+  const orchestrator = new ValidationOrchestrator();
+  log(chalk.gray(`   Found ${results.summary.total} components`));
+
+  if (options.json) {
+    const report = JSON.stringify(results, null, 2);
+    if (options.output) {
+      await fs.outputFile(path.resolve(options.output), report);
+    } else {
+      console.log(report);
+    }
+  }
+
+  if (!quiet) {
+    console.log(orchestrator.generateReport(results, { verbose: options.verbose }));
+    console.log(`   Average score: ${results.summary.averageScore}/100`);
+    if (options.output && options.json) {
+      console.log(chalk.gray(`📄 JSON report written to ${options.output}`));
+    }
+  }
+
+  if (options.html) {
+    await fs.outputFile(path.resolve(options.html), generateHtmlReport(results));
+    log(chalk.gray(`📊 HTML dashboard written to ${options.html}`));
+  }
+
+  if (options.componentsJson) {
+    const updated = await updateComponentsJson(path.resolve(options.componentsJson), results);
+    log(chalk.gray(`🧩 Validation data written for ${updated} component(s) in ${options.componentsJson}`));
+  }
+
+  const passed = results.summary.failed === 0;
+  if (options.ci && !passed) {
+    log(chalk.red(`❌ ${results.summary.failed} component(s) failed validation`));
+    process.exitCode = 1;
+  }
+
+  return { results, passed };
+}
+
+if (require.main === module) {
+  runSecurityAudit().catch(error => {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  getCatalogKey,
+  buildValidationData,
+  auditCatalog,
+  generateHtmlReport,
+  updateComponentsJson,
+  runSecurityAudit
+};
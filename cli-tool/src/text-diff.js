@@ -0,0 +1,237 @@
+const chalk = require('chalk');
+
+/**
+ * Line-based diff utilities used by `cct update`, `cct outdated` and `cct validate --fix`
+ * Unified diff output and diff3-style three-way merges, no diff library needed
+ */
+
+function splitLines(text) {
+  return text === '' ? [] : text.split('\n');
+}
+
+// Appended to a last line that has no newline; lines never contain one, so it cannot match a real line
+const NO_NEWLINE = '\n';
+
+/**
+ * Lines of a text for diffing: the final newline ends the last line rather than starting an empty one
+ */
+function splitDiffLines(text) {
+  const lines = splitLines(text);
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  } else if (lines.length > 0) {
+    lines[lines.length - 1] += NO_NEWLINE;
+  }
+  return lines;
+}
+
+/**
+ * Longest common subsequence of two line arrays
+ * @returns {Int32Array} For each line of a, the matched index in b or -1
+ */
+function matchLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const lengths = new Uint32Array((n + 1) * (m + 1));
+  const at = (i, j) => i * (m + 1) + j;
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[at(i, j)] = a[i] === b[j]
+        ? lengths[at(i + 1, j + 1)] + 1
+        : Math.max(lengths[at(i + 1, j)], lengths[at(i, j + 1)]);
+    }
+  }
+
+  const matches = new Int32Array(n).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      matches[i] = j;
+      i++;
+      j++;
+    } else if (lengths[at(i + 1, j)] >= lengths[at(i, j + 1)]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Compute an edit script between two texts
+ * @returns {Array<object>} Operations ({ type: ' '|'-'|'+', line, noNewline }), noNewline on a last line without a newline
+ */
+function diffLines(oldText, newText) {
+  const a = splitDiffLines(oldText);
+  const b = splitDiffLines(newText);
+  const matches = matchLines(a, b);
+  const ops = [];
+  let j = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    if (matches[i] === -1) {
+      ops.push({ type: '-', line: a[i] });
+      continue;
+    }
+    while (j < matches[i]) {
+      ops.push({ type: '+', line: b[j++] });
+    }
+    ops.push({ type: ' ', line: a[i] });
+    j++;
+  }
+
+  while (j < b.length) {
+    ops.push({ type: '+', line: b[j++] });
+  }
+
+  return ops.map(op => (op.line.endsWith(NO_NEWLINE)
+    ? { type: op.type, line: op.line.slice(0, -NO_NEWLINE.length), noNewline: true }
+    : op));
+}
+
+/**
+ * Create a unified diff between two texts
+ * @param {string} oldText - Original content
+ * @param {string} newText - Updated content
+ * @param {object} options - Diff options
+ * @param {string} options.oldLabel - Label for the original (default: a)
+ * @param {string} options.newLabel - Label for the update (default: b)
+ * @param {number} options.context - Context lines around changes (default: 3)
+ * @returns {string} Unified diff, or an empty string if the texts are equal
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = 'a', newLabel = 'b', context = 3 } = options;
+  const ops = diffLines(oldText, newText);
+
+  if (!ops.some(op => op.type !== ' ')) {
+    return '';
+  }
+
+  const lines = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+  let index = 0;
+
+  while (index < ops.length) {
+    // Find the next change
+    while (index < ops.length && ops[index].type === ' ') index++;
+    if (index >= ops.length) break;
+
+    const start = Math.max(0, index - context);
+    let end = index;
+
+    // Extend the hunk while changes are within 2 * context lines of each other
+    while (end < ops.length) {
+      if (ops[end].type !== ' ') {
+        end++;
+        continue;
+      }
+      let nextChange = end;
+      while (nextChange < ops.length && ops[nextChange].type === ' ') nextChange++;
+      if (nextChange < ops.length && nextChange - end <= context * 2) {
+        end = nextChange;
+      } else {
+        end = Math.min(ops.length, end + context);
+        break;
+      }
+    }
+
+    // Line numbers at hunk start
+    let oldLine = 1;
+    let newLine = 1;
+    for (let k = 0; k < start; k++) {
+      if (ops[k].type !== '+') oldLine++;
+      if (ops[k].type !== '-') newLine++;
+    }
+
+    const hunk = ops.slice(start, end);
+    const oldCount = hunk.filter(op => op.type !== '+').length;
+    const newCount = hunk.filter(op => op.type !== '-').length;
+
+    lines.push(`@@ -${oldCount === 0 ? oldLine - 1 : oldLine},${oldCount} +${newCount === 0 ? newLine - 1 : newLine},${newCount} @@`);
+    for (const op of hunk) {
+      lines.push(`${op.type}${op.line}`);
+      if (op.noNewline) lines.push('\\ No newline at end of file');
+    }
+
+    index = end;
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Three-way merge of local edits and upstream changes against a common base
+ * Conflicting regions are wrapped in git-style conflict markers
+ * @param {string} base - Originally installed content
+ * @param {string} ours - Current local content
+ * @param {string} theirs - New upstream content
+ * @returns {object} { content, conflicts }
+ */
+function mergeThreeWay(base, ours, theirs) {
+  const baseLines = splitLines(base);
+  const ourLines = splitLines(ours);
+  const theirLines = splitLines(theirs);
+  const ourMatches = matchLines(baseLines, ourLines);
+  const theirMatches = matchLines(baseLines, theirLines);
+
+  const result = [];
+  let conflicts = 0;
+  let i = 0;
+  let o = 0;
+  let t = 0;
+
+  const sameLines = (x, y) => x.length === y.length && x.every((line, k) => line === y[k]);
+
+  while (true) {
+    // Next base line kept by both sides is a stable sync point
+    let k = i;
+    while (k < baseLines.length && (ourMatches[k] === -1 || theirMatches[k] === -1)) k++;
+
+    const ourEnd = k < baseLines.length ? ourMatches[k] : ourLines.length;
+    const theirEnd = k < baseLines.length ? theirMatches[k] : theirLines.length;
+    const baseChunk = baseLines.slice(i, k);
+    const ourChunk = ourLines.slice(o, ourEnd);
+    const theirChunk = theirLines.slice(t, theirEnd);
+
+    if (sameLines(ourChunk, baseChunk)) {
+      result.push(...theirChunk);
+    } else if (sameLines(theirChunk, baseChunk) || sameLines(ourChunk, theirChunk)) {
+      result.push(...ourChunk);
+    } else {
+      conflicts++;
+      result.push('<<<<<<< local', ...ourChunk, '=======', ...theirChunk, '>>>>>>> upstream');
+    }
+
+    if (k >= baseLines.length) break;
+
+    result.push(baseLines[k]);
+    i = k + 1;
+    o = ourEnd + 1;
+    t = theirEnd + 1;
+  }
+
+  return { content: result.join('\n'), conflicts };
+}
+
+/**
+ * Color a unified diff for the terminal
+ */
+function colorizeDiff(diff) {
+  return diff.trimEnd().split('\n').map(line => {
+    if (line.startsWith('+++') || line.startsWith('---')) return chalk.bold(line);
+    if (line.startsWith('@@')) return chalk.cyan(line);
+    if (line.startsWith('+')) return chalk.green(line);
+    if (line.startsWith('-')) return chalk.red(line);
+    return chalk.gray(line);
+  }).join('\n');
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff,
+  colorizeDiff,
+  mergeThreeWay
+};
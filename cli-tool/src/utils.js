@@ -210,9 +210,42 @@ async function getProjectSummary(targetDir) {
   return summary;
 }
 
+/**
+ * Resolve a path against baseDir, refusing one that ends up outside allowedDir
+ * Guards writes of downloaded file names (../ segments, absolute paths)
+ * @param {string} baseDir - Directory the path is relative to
+ * @param {string} filePath - Relative path to resolve
+ * @param {string} allowedDir - Directory (or single file) the result must stay in (default: baseDir)
+ * @returns {string} Absolute path
+ * @throws {Error} If the path escapes allowedDir
+ */
+function resolveWithin(baseDir, filePath, allowedDir = baseDir) {
+  const resolved = path.resolve(baseDir, filePath);
+  const allowed = path.resolve(baseDir, allowedDir);
+  if (resolved !== allowed && !resolved.startsWith(allowed + path.sep)) {
+    throw new Error(`Refusing to write ${filePath}: it is outside ${path.relative(path.resolve(baseDir), allowed) || '.'}`);
+  }
+  return resolved;
+}
+
+/**
+ * Copy a file to <file>.bak (or .bak.1, .bak.2, ... when taken) before it is rewritten
+ * @returns {Promise<string>} Backup path
+ */
+async function backupFile(file) {
+  let backup = `${file}.bak`;
+  for (let n = 1; await fs.pathExists(backup); n++) {
+    backup = `${file}.bak.${n}`;
+  }
+  await fs.copy(file, backup);
+  return backup;
+}
+
 module.exports = {
+  backupFile,
   detectProject,
   findFilesByExtension,
   findFilesByPattern,
-  getProjectSummary
+  getProjectSummary,
+  resolveWithin
 };
\ No newline at end of file
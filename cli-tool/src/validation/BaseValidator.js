@@ -104,6 +104,38 @@ class BaseValidator {
     this.info = [];
   }
 
+  /**
+   * Apply rule overrides and inline suppressions to the recorded errors and warnings
+   * Suppressed findings are kept as info entries so reports still show them
+   * @param {object} overrides
+   * @param {object} overrides.rules - { CODE: 'off' | 'error' | 'warning' | 'info' }
+   * @param {Function} overrides.isSuppressed - (finding) => boolean
+   */
+  applyOverrides({ rules = {}, isSuppressed = null } = {}) {
+    const findings = [...this.errors, ...this.warnings];
+    this.errors = [];
+    this.warnings = [];
+
+    for (const finding of findings) {
+      if (isSuppressed && isSuppressed(finding)) {
+        this.info.push({ ...finding, level: 'info', metadata: { ...finding.metadata, suppressed: true, originalLevel: finding.level } });
+        continue;
+      }
+
+      const level = rules[finding.code] || finding.level;
+      if (level === 'off') continue;
+
+      const entry = level === finding.level ? finding : { ...finding, level, metadata: { ...finding.metadata, originalLevel: finding.level } };
+      if (level === 'error') {
+        this.errors.push(entry);
+      } else if (level === 'warning') {
+        this.warnings.push(entry);
+      } else {
+        this.info.push(entry);
+      }
+    }
+  }
+
   /**
    * Calculate line number from character index in content
    * @param {string} content - Full content
@@ -3,7 +3,13 @@ const IntegrityValidator = require('./validators/IntegrityValidator');
 const SemanticValidator = require('./validators/SemanticValidator');
 const ReferenceValidator = require('./validators/ReferenceValidator');
 const ProvenanceValidator = require('./validators/ProvenanceValidator');
+const { createSuppressionMatcher } = require('./validation-config');
 const chalk = require('chalk');
+const path = require('path');
+const { version } = require('../../package.json');
+
+const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit'];
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
 
 /**
  * ValidationOrchestrator - Coordinates all validators and generates comprehensive reports
@@ -11,30 +17,51 @@ const chalk = require('chalk');
  * Runs all validators in sequence and aggregates results
  */
 class ValidationOrchestrator {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {object} options.config - Loaded .cctvalidate config (custom validators, rules, patterns, integrity)
+   * @param {object} options.integrity - IntegrityValidator options (rootDir, registryPath, trustedKeys), over the config's
+   * @param {object} options.resolver - URL resolver for link checks (see url-resolvers.js)
+   * @throws {Error} If a custom validator reuses a built-in name
+   */
+  constructor(options = {}) {
+    this.config = options.config || null;
     this.validators = {
       structural: new StructuralValidator(),
-      integrity: new IntegrityValidator(),
+      integrity: new IntegrityValidator({ ...(this.config && this.config.integrity), ...options.integrity }),
       semantic: new SemanticValidator(),
-      reference: new ReferenceValidator(),
+      reference: new ReferenceValidator({ resolver: options.resolver }),
       provenance: new ProvenanceValidator()
     };
+
+    if (this.config) {
+      this.validators.semantic.addPatterns(this.config.patterns);
+
+      for (const [name, ValidatorClass] of Object.entries(this.config.validators || {})) {
+        if (this.validators[name]) {
+          throw new Error(`Custom validator "${name}" clashes with a built-in validator`);
+        }
+        this.validators[name] = new ValidatorClass();
+      }
+    }
   }
 
   /**
    * Validate a single component with all validators
    * @param {object} component - Component to validate
    * @param {object} options - Validation options
-   * @param {Array<string>} options.validators - List of validators to run (default: all)
+   * @param {Array<string>} options.validators - List of validators to run (default: all, custom ones included)
    * @param {boolean} options.strict - Enable strict mode
    * @param {boolean} options.updateRegistry - Update hash registry
+   * @param {boolean} options.checkAccessibility - Check that linked URLs still resolve
    * @returns {Promise<object>} Comprehensive validation results
    */
   async validateComponent(component, options = {}) {
     const {
-      validators = ['structural', 'integrity', 'semantic', 'reference', 'provenance'],
+      validators = Object.keys(this.validators),
       strict = false,
-      updateRegistry = false
+      updateRegistry = false,
+      checkAccessibility = false
     } = options;
 
     const results = {
@@ -52,6 +79,8 @@ class ValidationOrchestrator {
       validators: {}
     };
 
+    const isSuppressed = createSuppressionMatcher(component.content);
+
     // Run each validator
     for (const validatorName of validators) {
       if (!this.validators[validatorName]) {
@@ -68,9 +97,21 @@ class ValidationOrchestrator {
           validatorOptions.strict = strict;
         } else if (validatorName === 'integrity') {
           validatorOptions.updateRegistry = updateRegistry;
+        } else if (validatorName === 'reference') {
+          validatorOptions.checkAccessibility = checkAccessibility;
         }
 
-        const result = await validator.validate(component, validatorOptions);
+        let result = await validator.validate(component, validatorOptions);
+        this._locateFindings(component.content, result);
+        // A tampered file could carry its own suppression comment, so integrity findings ignore them;
+        // semantic errors (jailbreaks, forbidden patterns) can only be turned off in the project config
+        let inlineSuppressions = isSuppressed;
+        if (validatorName === 'integrity') {
+          inlineSuppressions = null;
+        } else if (validatorName === 'semantic' && isSuppressed) {
+          inlineSuppressions = finding => finding.level !== 'error' && isSuppressed(finding);
+        }
+        result = this._applyOverrides(validator, result, inlineSuppressions);
 
         results.validators[validatorName] = {
           valid: result.valid,
@@ -232,7 +273,7 @@ class ValidationOrchestrator {
       // Show errors
       if (result.errors && result.errors.length > 0 && verbose) {
         for (const err of result.errors.slice(0, 3)) {
-          lines.push(`   │  ${error('ERROR')}: ${err.message} ${dim(`[${err.code}]`)}`);
+          lines.push(`   │  ${error('ERROR')}: ${err.message} ${dim(`[${this._formatLocation(err)}]`)}`);
         }
         if (result.errors.length > 3) {
           lines.push(`   │  ${dim(`... and ${result.errors.length - 3} more errors`)}`);
@@ -242,7 +283,7 @@ class ValidationOrchestrator {
       // Show warnings
       if (result.warnings && result.warnings.length > 0 && verbose) {
         for (const warn of result.warnings.slice(0, 2)) {
-          lines.push(`   │  ${warning('WARNING')}: ${warn.message} ${dim(`[${warn.code}]`)}`);
+          lines.push(`   │  ${warning('WARNING')}: ${warn.message} ${dim(`[${this._formatLocation(warn)}]`)}`);
         }
         if (result.warnings.length > 2) {
           lines.push(`   │  ${dim(`... and ${result.warnings.length - 2} more warnings`)}`);
@@ -254,6 +295,19 @@ class ValidationOrchestrator {
     return lines.join('\n');
   }
 
+  /**
+   * Finding code with its line, when known: "REF_E006, line 12", or "SEM_E020, examples/run.py:3"
+   * for findings in another file of the component
+   * @private
+   */
+  _formatLocation(finding) {
+    const { line, file } = finding.metadata || {};
+    if (file) {
+      return `${finding.code}, ${file}${line ? `:${line}` : ''}`;
+    }
+    return line ? `${finding.code}, line ${line}` : finding.code;
+  }
+
   /**
    * Get score badge with color
    * @private
@@ -276,6 +330,246 @@ class ValidationOrchestrator {
     return JSON.stringify(validationResults, null, 2);
   }
 
+  /**
+   * Generate a report in one of REPORT_FORMATS
+   * @param {object} validationResults - Results from validateComponent or validateComponents
+   * @param {string} format - text, json, sarif or junit
+   * @param {object} options - Options for the selected format (verbose, colors, strict)
+   * @returns {string} Formatted report
+   * @throws {Error} On unknown formats
+   */
+  generateFormattedReport(validationResults, format = 'text', options = {}) {
+    switch (format) {
+      case 'text':
+        return this.generateReport(validationResults, options);
+      case 'json':
+        return this.generateJsonReport(validationResults);
+      case 'sarif':
+        return this.generateSarifReport(validationResults, options);
+      case 'junit':
+        return this.generateJUnitReport(validationResults, options);
+      default:
+        throw new Error(`Unknown report format: ${format}. Available: ${REPORT_FORMATS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Generate a SARIF 2.1.0 report (GitHub code scanning)
+   * One result per finding, located at the line the validator matched when known
+   * @param {object} validationResults - Results from validateComponent or validateComponents
+   * @returns {string} SARIF log as JSON
+   */
+  generateSarifReport(validationResults) {
+    const rules = [];
+    const ruleIndex = new Map();
+    const sarifResults = [];
+
+    for (const componentResult of this._asBatch(validationResults).components) {
+      const uri = this._toUri(componentResult.component.path);
+
+      for (const [validatorName, result] of Object.entries(componentResult.validators)) {
+        for (const finding of this._collectFindings(validatorName, result)) {
+          if (!ruleIndex.has(finding.code)) {
+            ruleIndex.set(finding.code, rules.length);
+            rules.push({
+              id: finding.code,
+              shortDescription: { text: finding.message },
+              properties: { validator: validatorName }
+            });
+          }
+
+          const region = finding.line ? { startLine: finding.line } : undefined;
+          if (region && finding.column) {
+            region.startColumn = finding.column;
+          }
+
+          sarifResults.push({
+            ruleId: finding.code,
+            ruleIndex: ruleIndex.get(finding.code),
+            level: finding.level,
+            message: { text: finding.message },
+            locations: [{
+              physicalLocation: {
+                artifactLocation: { uri: finding.file ? this._toUri(finding.file) : uri },
+                ...(region ? { region } : {})
+              }
+            }]
+          });
+        }
+      }
+    }
+
+    return JSON.stringify({
+      $schema: SARIF_SCHEMA,
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'cct validate',
+            version,
+            informationUri: 'https://github.com/StudentCristian/copilot-learning-templates',
+            rules
+          }
+        },
+        results: sarifResults
+      }]
+    }, null, 2);
+  }
+
+  /**
+   * Generate a JUnit XML report: one testsuite per component, one testcase per validator
+   * @param {object} validationResults - Results from validateComponent or validateComponents
+   * @param {object} options - Report options
+   * @param {boolean} options.strict - Report warnings as failures
+   * @returns {string} JUnit XML
+   */
+  generateJUnitReport(validationResults, options = {}) {
+    const { strict = false } = options;
+    const totals = { tests: 0, failures: 0, errors: 0 };
+    const suites = [];
+
+    for (const componentResult of this._asBatch(validationResults).components) {
+      const componentPath = componentResult.component.path;
+      const counts = { tests: 0, failures: 0, errors: 0 };
+      const cases = [];
+
+      for (const [validatorName, result] of Object.entries(componentResult.validators)) {
+        const findings = this._collectFindings(validatorName, result);
+        const failing = findings.filter(finding => finding.level === 'error' || strict);
+        const passing = findings.filter(finding => !failing.includes(finding));
+        const describe = finding => `${finding.code} ${finding.message}${finding.line ? ` (${finding.file || componentPath}:${finding.line})` : ''}`;
+
+        const lines = [`    <testcase classname="${this._escapeXml(componentPath)}" name="${this._escapeXml(validatorName)}">`];
+        if (result.error) {
+          counts.errors++;
+          lines.push(`      <error message="${this._escapeXml(result.error)}"/>`);
+        } else if (failing.length > 0) {
+          counts.failures++;
+          lines.push(`      <failure message="${failing.length} finding(s)" type="${this._escapeXml(failing[0].code)}">${this._escapeXml(failing.map(describe).join('\n'))}</failure>`);
+        }
+        if (passing.length > 0) {
+          lines.push(`      <system-out>${this._escapeXml(passing.map(describe).join('\n'))}</system-out>`);
+        }
+        lines.push('    </testcase>');
+
+        counts.tests++;
+        cases.push(lines.length === 2 ? lines[0].replace(/>$/, '/>') : lines.join('\n'));
+      }
+
+      totals.tests += counts.tests;
+      totals.failures += counts.failures;
+      totals.errors += counts.errors;
+      suites.push([
+        `  <testsuite name="${this._escapeXml(componentPath)}" tests="${counts.tests}" failures="${counts.failures}" errors="${counts.errors}">`,
+        ...cases,
+        '  </testsuite>'
+      ].join('\n'));
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="cct validate" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}">`,
+      ...suites,
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Fill in metadata.line/column for findings that point into the content without a line:
+   * from the first matched example, or by locating the reported URL
+   * @private
+   */
+  _locateFindings(content, result) {
+    if (typeof content !== 'string') return;
+
+    for (const finding of [...(result.errors || []), ...(result.warnings || [])]) {
+      const metadata = finding.metadata || {};
+      if (metadata.line) continue;
+
+      const example = (metadata.examples || [])[0];
+      if (example && example.line) {
+        metadata.line = example.line;
+        metadata.column = example.column;
+        continue;
+      }
+
+      const index = typeof metadata.url === 'string' ? content.indexOf(metadata.url) : -1;
+      if (index >= 0) {
+        const { line, column } = this.validators.structural.getLineFromIndex(content, index);
+        metadata.line = line;
+        metadata.column = column;
+      }
+    }
+  }
+
+  /**
+   * Apply configured rule levels and inline suppressions, recomputing counts and score
+   * @private
+   */
+  _applyOverrides(validator, result, isSuppressed) {
+    const rules = this.config ? this.config.rules : {};
+    if ((Object.keys(rules).length === 0 && !isSuppressed) || typeof validator.applyOverrides !== 'function') {
+      return result;
+    }
+
+    validator.applyOverrides({ rules, isSuppressed });
+    return { ...result, ...validator.getResults() };
+  }
+
+  /**
+   * Errors and warnings of one validator, flattened for the SARIF and JUnit reports
+   * @private
+   */
+  _collectFindings(validatorName, result) {
+    if (result.error) {
+      return [{ level: 'error', code: `${validatorName.toUpperCase()}_EXCEPTION`, message: `Validator failed: ${result.error}` }];
+    }
+
+    const toFinding = level => entry => ({
+      level,
+      code: entry.code,
+      message: entry.message,
+      line: entry.metadata && entry.metadata.line,
+      column: entry.metadata && entry.metadata.column,
+      file: entry.metadata && entry.metadata.file
+    });
+
+    return [
+      ...(result.errors || []).map(toFinding('error')),
+      ...(result.warnings || []).map(toFinding('warning'))
+    ];
+  }
+
+  /**
+   * @private
+   */
+  _asBatch(validationResults) {
+    return validationResults.components ? validationResults : { components: [validationResults] };
+  }
+
+  /**
+   * Repository-relative URI with forward slashes, as code scanning expects
+   * @private
+   */
+  _toUri(componentPath) {
+    const relative = path.isAbsolute(componentPath) ? path.relative(process.cwd(), componentPath) : componentPath;
+    return relative.split(path.sep).join('/');
+  }
+
+  /**
+   * @private
+   */
+  _escapeXml(value) {
+    return String(value)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
   /**
    * Get all error codes from results
    * @param {object} validationResults - Validation results
@@ -302,4 +596,6 @@ class ValidationOrchestrator {
   }
 }
 
+ValidationOrchestrator.REPORT_FORMATS = REPORT_FORMATS;
+
 module.exports = ValidationOrchestrator;
@@ -0,0 +1,330 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { getCacheDir } = require('../component-cache');
+
+/**
+ * URL resolvers for the reference validator's link check
+ *
+ * A resolver is any object with:
+ *   name                  - shown in the report ("live", "fixtures", ...)
+ *   resolve(url)          - Promise<{ status: 'ok'|'dead'|'unknown', statusCode, reason, source }>
+ *   flush()               - optional, persists recorded fixtures or cached results
+ *
+ * Resolvers never throw for an unreachable URL; they answer 'unknown' when they cannot tell.
+ */
+
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Cached answers are reused for a day; 'unknown' answers are never cached
+const DEFAULT_CACHE_TTL_SECONDS = 24 * 60 * 60;
+
+const CACHE_FILE = 'link-status.json';
+
+// The URL is gone for good rather than hidden behind auth, rate limits or a server error
+const DEAD_ERROR_CODES = ['ENOTFOUND'];
+const UNKNOWN_STATUSES = [401, 403, 408, 429];
+
+/**
+ * Turn an HTTP status or network error code into a link status
+ * @param {object} response - { statusCode } or { error }
+ * @returns {object} { status, statusCode, reason }
+ */
+function classifyResponse(response = {}) {
+  const { statusCode, error } = response;
+
+  if (error) {
+    return DEAD_ERROR_CODES.includes(error)
+      ? { status: 'dead', reason: `host not found (${error})` }
+      : { status: 'unknown', reason: `request failed (${error})` };
+  }
+  if (typeof statusCode !== 'number') {
+    return { status: 'unknown', reason: 'no response recorded' };
+  }
+  if (statusCode < 400) {
+    return { status: 'ok', statusCode, reason: `HTTP ${statusCode}` };
+  }
+  if (statusCode >= 500 || UNKNOWN_STATUSES.includes(statusCode)) {
+    return { status: 'unknown', statusCode, reason: `HTTP ${statusCode}` };
+  }
+  return { status: 'dead', statusCode, reason: `HTTP ${statusCode}` };
+}
+
+/**
+ * Fixture and list lookups ignore the fragment, which is never sent to the server
+ */
+function normalizeUrl(urlString) {
+  return urlString.split('#')[0];
+}
+
+/**
+ * Live check: HEAD, then GET for servers that do not support HEAD
+ */
+class HttpResolver {
+  constructor(options = {}) {
+    this.name = 'live';
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  }
+
+  async request(url, method) {
+    const response = await fetch(url, {
+      method,
+      redirect: 'follow',
+      headers: { 'User-Agent': 'copilot-learning-templates' },
+      signal: AbortSignal.timeout(this.timeout)
+    });
+    if (response.body && typeof response.body.cancel === 'function') {
+      await response.body.cancel().catch(() => {});
+    }
+    return response.status;
+  }
+
+  async fetchStatus(url) {
+    try {
+      let statusCode = await this.request(url, 'HEAD');
+      if (statusCode === 405 || statusCode === 501) {
+        statusCode = await this.request(url, 'GET');
+      }
+      return { statusCode };
+    } catch (error) {
+      const code = (error.cause && error.cause.code) || (error.name === 'TimeoutError' ? 'ETIMEDOUT' : error.name);
+      return { error: code };
+    }
+  }
+
+  async resolve(url) {
+    const response = await this.fetchStatus(normalizeUrl(url));
+    return { ...classifyResponse(response), source: this.name, response };
+  }
+}
+
+/**
+ * Recorded responses instead of the network
+ * { "https://docs.python.org/3/": { "statusCode": 200 }, "https://gone.example/": { "error": "ENOTFOUND" } }
+ * With `record`, URLs missing from the file are checked live and written back by flush()
+ */
+class FixtureResolver {
+  /**
+   * @param {string} file - Fixture JSON file
+   * @param {object} options - { record, live } where live is the resolver used when recording
+   */
+  constructor(file, options = {}) {
+    this.name = options.record ? 'fixtures (recording)' : 'fixtures';
+    this.file = file;
+    this.record = Boolean(options.record);
+    this.live = options.live || new HttpResolver(options);
+    this.fixtures = null;
+    this.changed = false;
+  }
+
+  async load() {
+    if (this.fixtures) return this.fixtures;
+
+    if (await fs.pathExists(this.file)) {
+      try {
+        this.fixtures = await fs.readJson(this.file);
+      } catch (error) {
+        throw new Error(`Invalid link fixtures ${this.file}: ${error.message}`);
+      }
+    } else if (this.record) {
+      this.fixtures = {};
+    } else {
+      throw new Error(`Link fixtures not found: ${this.file}`);
+    }
+    return this.fixtures;
+  }
+
+  async resolve(url) {
+    const fixtures = await this.load();
+    const key = normalizeUrl(url);
+
+    if (fixtures[key]) {
+      return { ...classifyResponse(fixtures[key]), source: this.name };
+    }
+    if (!this.record) {
+      return { status: 'unknown', reason: 'not in link fixtures', source: this.name };
+    }
+
+    const result = await this.live.resolve(url);
+    if (result.response) {
+      fixtures[key] = result.response;
+      this.changed = true;
+    }
+    return { ...result, source: this.name };
+  }
+
+  async flush() {
+    if (this.live.flush) await this.live.flush();
+    if (!this.changed) return;
+
+    const sorted = Object.fromEntries(Object.keys(this.fixtures).sort().map(key => [key, this.fixtures[key]]));
+    await fs.outputJson(this.file, sorted, { spaces: 2 });
+    this.changed = false;
+  }
+}
+
+/**
+ * Local allow/deny list, consulted before anything else
+ * { "allow": ["https://docs.python.org/*", "*.github.com"], "deny": ["https://old-docs.example.com/*"] }
+ * Patterns with "://" match the whole URL; others match the host. `*` matches anything.
+ */
+class ListResolver {
+  /**
+   * @param {string|object} list - List file or { allow, deny }
+   * @param {object} next - Resolver for URLs on neither list (null: report them as unknown)
+   */
+  constructor(list, next = null) {
+    this.listSource = list;
+    this.next = next;
+    this.name = next ? next.name : 'link list';
+    this.rules = null;
+  }
+
+  static compile(pattern) {
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return { pattern, matchUrl: pattern.includes('://'), regex: new RegExp(`^${escaped}$`, 'i') };
+  }
+
+  async load() {
+    if (this.rules) return this.rules;
+
+    let list = this.listSource;
+    if (typeof list === 'string') {
+      try {
+        list = await fs.readJson(list);
+      } catch (error) {
+        throw new Error(`Cannot read link list ${this.listSource}: ${error.message}`);
+      }
+    }
+    for (const key of ['allow', 'deny']) {
+      if (list[key] !== undefined && !Array.isArray(list[key])) {
+        throw new Error(`Link list "${key}" must be an array of URL or host patterns`);
+      }
+    }
+
+    this.rules = {
+      allow: (list.allow || []).map(ListResolver.compile),
+      deny: (list.deny || []).map(ListResolver.compile)
+    };
+    return this.rules;
+  }
+
+  static findMatch(rules, url) {
+    let host = '';
+    try {
+      host = new URL(url).hostname;
+    } catch (error) {
+      // Only full-URL patterns can match
+    }
+    return rules.find(rule => rule.regex.test(rule.matchUrl ? url : host));
+  }
+
+  async resolve(url) {
+    const rules = await this.load();
+    const key = normalizeUrl(url);
+
+    const denied = ListResolver.findMatch(rules.deny, key);
+    if (denied) {
+      return { status: 'dead', reason: `denied by link list entry ${denied.pattern}`, source: 'link list' };
+    }
+    const allowed = ListResolver.findMatch(rules.allow, key);
+    if (allowed) {
+      return { status: 'ok', reason: `allowed by link list entry ${allowed.pattern}`, source: 'link list' };
+    }
+    if (!this.next) {
+      return { status: 'unknown', reason: 'not in link list', source: 'link list' };
+    }
+    return this.next.resolve(url);
+  }
+
+  async flush() {
+    if (this.next && this.next.flush) await this.next.flush();
+  }
+}
+
+/**
+ * Remembers another resolver's answers in a JSON file between runs
+ */
+class CachedResolver {
+  /**
+   * @param {object} inner - Resolver to cache
+   * @param {object} options - { cacheFile, cacheDir, cacheTtl (seconds) }
+   */
+  constructor(inner, options = {}) {
+    this.inner = inner;
+    this.name = `${inner.name}, cached`;
+    this.file = options.cacheFile || path.join(getCacheDir(options), CACHE_FILE);
+    this.ttl = options.cacheTtl !== undefined ? Number(options.cacheTtl) : DEFAULT_CACHE_TTL_SECONDS;
+    this.entries = null;
+    this.changed = false;
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+    try {
+      this.entries = (await fs.readJson(this.file)).entries || {};
+    } catch (error) {
+      // Missing or corrupt cache: start over
+      this.entries = {};
+    }
+    return this.entries;
+  }
+
+  async resolve(url) {
+    const entries = await this.load();
+    const key = normalizeUrl(url);
+    const entry = entries[key];
+
+    if (entry && Date.now() - new Date(entry.checkedAt).getTime() < this.ttl * 1000) {
+      return { status: entry.status, statusCode: entry.statusCode, reason: entry.reason, source: 'cache' };
+    }
+
+    const result = await this.inner.resolve(url);
+    if (result.status !== 'unknown') {
+      entries[key] = { status: result.status, statusCode: result.statusCode, reason: result.reason, checkedAt: new Date().toISOString() };
+      this.changed = true;
+    }
+    return result;
+  }
+
+  async flush() {
+    if (this.inner.flush) await this.inner.flush();
+    if (!this.changed) return;
+
+    await fs.outputJson(this.file, { entries: this.entries }, { spaces: 2 });
+    this.changed = false;
+  }
+}
+
+/**
+ * Build the resolver chain: link list → fixtures (replay or record) or live check, cached
+ * Replayed fixtures are not cached, they are already local
+ * @param {object} options
+ * @param {string|object} options.list - Allow/deny list file or object
+ * @param {string} options.fixtures - Recorded responses file
+ * @param {boolean} options.record - Check URLs missing from the fixtures live and save them
+ * @param {boolean} options.cache - Cache live results between runs (default: true)
+ * @param {string} options.cacheFile - Cache file (default: link-status.json in the component cache dir)
+ * @param {number} options.cacheTtl - Cache lifetime in seconds
+ * @param {number} options.timeout - Live request timeout in milliseconds
+ * @returns {object} Resolver
+ */
+function createUrlResolver(options = {}) {
+  let live = new HttpResolver(options);
+  // Recording must store real responses, not cached verdicts
+  if (options.cache !== false && !options.record) {
+    live = new CachedResolver(live, options);
+  }
+
+  const resolver = options.fixtures ? new FixtureResolver(options.fixtures, { ...options, live }) : live;
+  return options.list ? new ListResolver(options.list, resolver) : resolver;
+}
+
+module.exports = {
+  DEFAULT_CACHE_TTL_SECONDS,
+  classifyResponse,
+  createUrlResolver,
+  HttpResolver,
+  FixtureResolver,
+  ListResolver,
+  CachedResolver
+};
@@ -0,0 +1,254 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Looked up in the project directory, first match wins. Configs that run code (.cctvalidate.js,
+// validator modules) are only loaded with --config, so validating a cloned repository runs none of it
+const CONFIG_FILES = ['.cctvalidate.json'];
+
+const RULE_LEVELS = ['off', 'error', 'warning', 'info'];
+
+// `<!-- cct-ignore SEM_E002 -->` or `<!-- cct-ignore SEM_E002, REF_W002 -->`
+const SUPPRESSION_PATTERN = /<!--\s*cct-ignore\s+([A-Za-z0-9_,\s]+?)\s*-->/g;
+
+function findConfigFile(dir) {
+  for (const name of CONFIG_FILES) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) {
+      return file;
+    }
+  }
+  return null;
+}
+
+function normalizeRules(rules, source) {
+  if (rules === undefined) return {};
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error(`${source}: "rules" must be an object of { CODE: level }`);
+  }
+
+  for (const [code, level] of Object.entries(rules)) {
+    if (!RULE_LEVELS.includes(level)) {
+      throw new Error(`${source}: invalid level "${level}" for ${code}. Use one of: ${RULE_LEVELS.join(', ')}`);
+    }
+  }
+  return { ...rules };
+}
+
+function normalizePattern(entry, kind, source) {
+  if (!entry || typeof entry !== 'object' || !entry.code || !entry.message || !entry.pattern) {
+    throw new Error(`${source}: each ${kind} pattern needs "pattern", "code" and "message"`);
+  }
+
+  const isRegExp = entry.pattern instanceof RegExp;
+  const flags = isRegExp ? entry.pattern.flags : (entry.flags === undefined ? 'gi' : entry.flags);
+
+  let pattern;
+  try {
+    // matchAll() needs the global flag
+    pattern = new RegExp(isRegExp ? entry.pattern.source : entry.pattern, flags.includes('g') ? flags : `${flags}g`);
+  } catch (error) {
+    throw new Error(`${source}: invalid pattern for ${entry.code}: ${error.message}`);
+  }
+
+  return {
+    pattern,
+    code: entry.code,
+    message: entry.message,
+    severity: entry.severity || (kind === 'dangerous' ? 'high' : 'medium')
+  };
+}
+
+function normalizePatterns(patterns, source) {
+  if (patterns === undefined) return { dangerous: [], suspicious: [] };
+  if (!patterns || typeof patterns !== 'object' || Array.isArray(patterns)) {
+    throw new Error(`${source}: "patterns" must be an object with "dangerous" and/or "suspicious" arrays`);
+  }
+
+  const result = {};
+  for (const kind of ['dangerous', 'suspicious']) {
+    const entries = patterns[kind] || [];
+    if (!Array.isArray(entries)) {
+      throw new Error(`${source}: "patterns.${kind}" must be an array`);
+    }
+    result[kind] = entries.map(entry => normalizePattern(entry, kind, source));
+  }
+  return result;
+}
+
+function loadValidators(validators, configDir, source, explicit) {
+  if (validators === undefined) return {};
+  if (!validators || typeof validators !== 'object' || Array.isArray(validators)) {
+    throw new Error(`${source}: "validators" must be an object of { name: modulePath }`);
+  }
+  if (!explicit) {
+    throw new Error(`${source}: "validators" loads code from the project; pass the config with --config ${source} to run it`);
+  }
+
+  const loaded = {};
+  for (const [name, spec] of Object.entries(validators)) {
+    let ValidatorClass = spec;
+    if (typeof spec === 'string') {
+      const modulePath = path.resolve(configDir, spec);
+      try {
+        ValidatorClass = require(modulePath);
+      } catch (error) {
+        throw new Error(`${source}: cannot load validator "${name}" from ${spec}: ${error.message}`);
+      }
+    }
+
+    const prototype = typeof ValidatorClass === 'function' ? ValidatorClass.prototype : null;
+    if (!prototype || typeof prototype.validate !== 'function' || typeof prototype.getResults !== 'function') {
+      throw new Error(`${source}: validator "${name}" must export a class extending BaseValidator`);
+    }
+    loaded[name] = ValidatorClass;
+  }
+  return loaded;
+}
+
+function normalizeIntegrity(integrity, configDir, source) {
+  if (integrity === undefined) return {};
+  if (!integrity || typeof integrity !== 'object' || Array.isArray(integrity)) {
+    throw new Error(`${source}: "integrity" must be an object with "registry" and/or "trustedKeys"`);
+  }
+
+  const result = {};
+  if (integrity.registry !== undefined) {
+    if (typeof integrity.registry !== 'string' || !integrity.registry) {
+      throw new Error(`${source}: "integrity.registry" must be a path`);
+    }
+    result.registryPath = path.resolve(configDir, integrity.registry);
+  }
+
+  const keys = integrity.trustedKeys || [];
+  if (!Array.isArray(keys)) {
+    throw new Error(`${source}: "integrity.trustedKeys" must be an array of public key files`);
+  }
+  result.trustedKeys = keys.map(keyFile => {
+    try {
+      return fs.readFileSync(path.resolve(configDir, keyFile), 'utf8');
+    } catch (error) {
+      throw new Error(`${source}: cannot read trusted key ${keyFile}: ${error.message}`);
+    }
+  });
+  return result;
+}
+
+function normalizeLinks(links, configDir, source) {
+  if (links === undefined) return {};
+  if (!links || typeof links !== 'object' || Array.isArray(links)) {
+    throw new Error(`${source}: "links" must be an object with "list", "fixtures" and/or "cacheTtl"`);
+  }
+
+  const result = {};
+  for (const key of ['list', 'fixtures']) {
+    if (links[key] === undefined) continue;
+    if (typeof links[key] !== 'string' || !links[key]) {
+      throw new Error(`${source}: "links.${key}" must be a path`);
+    }
+    result[key] = path.resolve(configDir, links[key]);
+  }
+  if (links.cacheTtl !== undefined) {
+    if (typeof links.cacheTtl !== 'number' || links.cacheTtl < 0) {
+      throw new Error(`${source}: "links.cacheTtl" must be a number of seconds`);
+    }
+    result.cacheTtl = links.cacheTtl;
+  }
+  return result;
+}
+
+/**
+ * Load .cctvalidate.json, or the .json / .js file given with --config
+ * {
+ *   "validators": { "license": "./validators/LicenseValidator.js" },
+ *   "rules": { "SEM_W002": "off", "REF_W002": "error" },
+ *   "patterns": { "dangerous": [{ "pattern": "internal\\.corp", "code": "ORG_E001", "message": "..." }] },
+ *   "integrity": { "registry": ".github/security/component-hashes.json", "trustedKeys": ["keys/team.pub"] },
+ *   "links": { "list": ".github/link-list.json", "fixtures": "tests/fixtures/links.json", "cacheTtl": 86400 }
+ * }
+ * @param {string} dir - Project directory to look in
+ * @param {string} configPath - Explicit config file (--config), relative to dir; only this one may load code
+ * @returns {Promise<object|null>} { file, rules, patterns, validators: { name: Class }, integrity, links } or null without a config
+ * @throws {Error} If the config cannot be read or is invalid
+ */
+async function loadValidationConfig(dir = process.cwd(), configPath = null) {
+  const file = configPath ? path.resolve(dir, configPath) : findConfigFile(dir);
+  if (!file) {
+    return null;
+  }
+  if (!(await fs.pathExists(file))) {
+    throw new Error(`Validation config not found: ${configPath}`);
+  }
+
+  const source = path.basename(file);
+  let raw;
+  try {
+    if (file.endsWith('.js')) {
+      delete require.cache[require.resolve(file)];
+      raw = require(file);
+    } else {
+      raw = await fs.readJson(file);
+    }
+  } catch (error) {
+    throw new Error(`Invalid validation config ${source}: ${error.message}`);
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid validation config ${source}: expected an object`);
+  }
+
+  return {
+    file,
+    rules: normalizeRules(raw.rules, source),
+    patterns: normalizePatterns(raw.patterns, source),
+    validators: loadValidators(raw.validators, path.dirname(file), source, Boolean(configPath)),
+    integrity: normalizeIntegrity(raw.integrity, path.dirname(file), source),
+    links: normalizeLinks(raw.links, path.dirname(file), source)
+  };
+}
+
+/**
+ * Inline suppressions in a component file
+ * `<!-- cct-ignore CODE -->` covers its own line and the next one; findings that are not
+ * tied to a line (e.g. a missing frontmatter field) are covered by a comment anywhere in the file.
+ * Findings in bundled skill scripts (metadata.file) are never covered
+ * @param {string} content - Component content
+ * @returns {Function|null} (finding) => boolean, or null when the file has no suppressions
+ */
+function createSuppressionMatcher(content) {
+  if (typeof content !== 'string') return null;
+
+  const linesByCode = new Map();
+  for (const match of content.matchAll(SUPPRESSION_PATTERN)) {
+    const line = content.slice(0, match.index).split('\n').length;
+    for (const code of match[1].split(/[\s,]+/).filter(Boolean)) {
+      if (!linesByCode.has(code)) linesByCode.set(code, new Set());
+      linesByCode.get(code).add(line).add(line + 1);
+    }
+  }
+
+  if (linesByCode.size === 0) return null;
+
+  return finding => {
+    const lines = linesByCode.get(finding.code);
+    if (!lines) return false;
+
+    const metadata = finding.metadata || {};
+    // Findings in another file (a skill script) cannot be silenced from this one
+    if (metadata.file) return false;
+    const occurrences = (metadata.examples || []).map(example => example.line).filter(Boolean);
+    if (occurrences.length === 0 && metadata.line) {
+      occurrences.push(metadata.line);
+    }
+    if (occurrences.length === 0) return true;
+    // Matches beyond the recorded examples could sit on lines without a comment
+    if (metadata.matches > occurrences.length) return false;
+    return occurrences.every(line => lines.has(line));
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  RULE_LEVELS,
+  loadValidationConfig,
+  createSuppressionMatcher
+};
@@ -3,6 +3,10 @@ const crypto = require('crypto');
 const fs = require('fs-extra');
 const path = require('path');
 
+// Registry lives with the other Copilot files; the Claude Code location is still read if present
+const DEFAULT_REGISTRY_PATH = '.github/security/component-hashes.json';
+const LEGACY_REGISTRY_PATH = '.claude/security/component-hashes.json';
+
 /**
  * IntegrityValidator - Validates component integrity and versioning
  *
@@ -10,15 +14,37 @@ const path = require('path');
  * - SHA256 hash generation
  * - Hash verification against stored hashes
  * - Version tracking
- * - Signature validation (future)
- * - Tamper detection
+ * - Detached ed25519 signatures over the hash registry (<registry>.sig)
+ * - Tamper detection (verify mode)
  */
 class IntegrityValidator extends BaseValidator {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {string} options.registryPath - Registry file, relative to rootDir (env: CCT_HASH_REGISTRY)
+   * @param {string} options.rootDir - Project root for the registry and its keys (default: cwd)
+   * @param {Array<string>} options.trustedKeys - PEM public keys whose registry signatures are trusted
+   */
+  constructor(options = {}) {
     super();
 
+    this.rootDir = options.rootDir || process.cwd();
+
     // Path to store component hashes (relative to project)
-    this.HASH_REGISTRY_PATH = '.claude/security/component-hashes.json';
+    this.HASH_REGISTRY_PATH = options.registryPath || process.env.CCT_HASH_REGISTRY || DEFAULT_REGISTRY_PATH;
+
+    this.trustedKeys = (options.trustedKeys || []).map(key => crypto.createPublicKey(key));
+  }
+
+  /**
+   * Generate an ed25519 key pair for signing hash registries
+   * @returns {object} { publicKey, privateKey } as PEM strings
+   */
+  static generateKeyPair() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    return {
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+    };
   }
 
   /**
@@ -30,6 +56,7 @@ class IntegrityValidator extends BaseValidator {
    * @param {string} component.version - Component version (optional)
    * @param {object} options - Validation options
    * @param {boolean} options.updateRegistry - Update hash registry after validation
+   * @param {boolean} options.verify - Require a trusted signature and a matching registry entry
    * @param {string} options.expectedHash - Expected hash to verify against
    * @returns {Promise<object>} Validation results with hash
    */
@@ -37,7 +64,7 @@ class IntegrityValidator extends BaseValidator {
     this.reset();
 
     const { content, path: filePath, type, version } = component;
-    const { updateRegistry = false, expectedHash = null } = options;
+    const { updateRegistry = false, verify = false, expectedHash = null } = options;
 
     if (!content) {
       this.addError('INT_E001', 'Component content is empty or missing', { path: filePath });
@@ -57,8 +84,12 @@ class IntegrityValidator extends BaseValidator {
       this.verifyHash(hash, expectedHash, filePath);
     }
 
-    // 3. Check hash registry for changes
-    await this.checkHashRegistry(filePath, hash, type, version);
+    // 3. Check hash registry for changes (verify mode: against the signed registry)
+    if (verify) {
+      await this.verifyAgainstRegistry(filePath, hash);
+    } else {
+      await this.checkHashRegistry(filePath, hash, type, version);
+    }
 
     // 4. Validate version if provided
     // Note: Version is optional for components - metadata is stored in marketplace.json
@@ -174,6 +205,60 @@ class IntegrityValidator extends BaseValidator {
     }
   }
 
+  /**
+   * Verify mode: the registry must carry a valid signature from a trusted key and
+   * list the component with the same hash
+   * @param {string} filePath - File path
+   * @param {string} currentHash - Current hash
+   */
+  async verifyAgainstRegistry(filePath, currentHash) {
+    const signature = await this.verifyRegistrySignature();
+    const registryPath = path.relative(this.rootDir, this.getRegistryPath());
+
+    if (signature.status === 'missing') {
+      this.addError('INT_E007', `No hash registry found at ${registryPath}`, { path: filePath, registry: registryPath });
+      return;
+    }
+    if (signature.status === 'unsigned') {
+      this.addError('INT_E007', `Hash registry is not signed (${registryPath}.sig missing)`, { path: filePath, registry: registryPath });
+    } else if (signature.status === 'invalid') {
+      this.addError('INT_E006', `Hash registry signature is invalid${signature.reason ? `: ${signature.reason}` : ''}`, {
+        path: filePath,
+        registry: registryPath,
+        keyId: signature.keyId,
+        severity: 'critical'
+      });
+    } else if (signature.status === 'untrusted') {
+      this.addError('INT_E008', `Hash registry is signed by key ${signature.keyId}, which is not trusted`, {
+        path: filePath,
+        registry: registryPath,
+        keyId: signature.keyId
+      });
+    } else {
+      this.addInfo('INT_I010', `Hash registry signed by trusted key ${signature.keyId}`, {
+        path: filePath,
+        keyId: signature.keyId,
+        signedAt: signature.signedAt
+      });
+    }
+
+    const registry = await this.loadHashRegistry();
+    const stored = registry[this.normalizePath(filePath)];
+
+    if (!stored) {
+      this.addError('INT_E005', 'Component is not in the hash registry (unsigned file)', { path: filePath, registry: registryPath });
+    } else if (stored.hash !== currentHash) {
+      this.addError('INT_E004', 'Component was modified after it was registered (tampered)', {
+        path: filePath,
+        expected: stored.hash.substring(0, 16) + '...',
+        actual: currentHash.substring(0, 16) + '...',
+        severity: 'critical'
+      });
+    } else {
+      this.addInfo('INT_I003', 'Hash matches registry', { path: filePath, lastValidated: stored.timestamp });
+    }
+  }
+
   /**
    * Validate version format
    * @param {string} version - Version string
@@ -239,12 +324,17 @@ class IntegrityValidator extends BaseValidator {
    * @returns {Promise<object>} Registry object
    */
   async loadHashRegistry() {
-    const registryPath = path.join(process.cwd(), this.HASH_REGISTRY_PATH);
+    const registryPath = this.getRegistryPath();
 
     if (await fs.pathExists(registryPath)) {
       return await fs.readJson(registryPath);
     }
 
+    const legacyPath = path.join(this.rootDir, LEGACY_REGISTRY_PATH);
+    if (this.HASH_REGISTRY_PATH === DEFAULT_REGISTRY_PATH && await fs.pathExists(legacyPath)) {
+      return await fs.readJson(legacyPath);
+    }
+
     return {};
   }
 
@@ -253,7 +343,7 @@ class IntegrityValidator extends BaseValidator {
    * @param {object} registry - Registry object to save
    */
   async saveHashRegistry(registry) {
-    const registryPath = path.join(process.cwd(), this.HASH_REGISTRY_PATH);
+    const registryPath = this.getRegistryPath();
 
     // Ensure directory exists
     await fs.ensureDir(path.dirname(registryPath));
@@ -262,18 +352,134 @@ class IntegrityValidator extends BaseValidator {
     await fs.writeJson(registryPath, registry, { spaces: 2 });
   }
 
+  /**
+   * Absolute path of the hash registry
+   * @returns {string}
+   */
+  getRegistryPath() {
+    return path.resolve(this.rootDir, this.HASH_REGISTRY_PATH);
+  }
+
+  /**
+   * Absolute path of the registry's detached signature
+   * @returns {string}
+   */
+  getSignaturePath() {
+    return `${this.getRegistryPath()}.sig`;
+  }
+
+  /**
+   * Short fingerprint of a public key: first 16 hex chars of the SHA256 of its DER encoding
+   * @param {crypto.KeyObject} publicKey - Public key
+   * @returns {string} Key id
+   */
+  getKeyId(publicKey) {
+    return crypto
+      .createHash('sha256')
+      .update(publicKey.export({ type: 'spki', format: 'der' }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  /**
+   * Parse and check a signing key
+   * @param {string|crypto.KeyObject} privateKey - PEM ed25519 private key
+   * @returns {crypto.KeyObject}
+   * @throws {Error} If the key cannot be read or is not ed25519
+   */
+  loadSigningKey(privateKey) {
+    let key = privateKey;
+    if (!(key instanceof crypto.KeyObject)) {
+      try {
+        key = crypto.createPrivateKey(privateKey);
+      } catch (error) {
+        throw new Error(`Invalid signing key: ${error.message}`);
+      }
+    }
+    if (key.type !== 'private' || key.asymmetricKeyType !== 'ed25519') {
+      throw new Error(`Signing key must be an ed25519 private key (got ${key.asymmetricKeyType || key.type})`);
+    }
+    return key;
+  }
+
+  /**
+   * Sign the registry file as written on disk (detached signature in <registry>.sig)
+   * @param {string|crypto.KeyObject} privateKey - PEM ed25519 private key
+   * @returns {Promise<object>} { algorithm, keyId, publicKey, signature, signedAt }
+   * @throws {Error} If the registry is missing or the key is not ed25519
+   */
+  async signRegistry(privateKey) {
+    const registryPath = this.getRegistryPath();
+    if (!(await fs.pathExists(registryPath))) {
+      throw new Error(`Hash registry not found: ${path.relative(this.rootDir, registryPath)}`);
+    }
+
+    const key = this.loadSigningKey(privateKey);
+    const publicKey = crypto.createPublicKey(key);
+    const data = await fs.readFile(registryPath);
+    const signature = {
+      algorithm: 'ed25519',
+      keyId: this.getKeyId(publicKey),
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      signature: crypto.sign(null, data, key).toString('base64'),
+      signedAt: new Date().toISOString()
+    };
+
+    await fs.writeJson(this.getSignaturePath(), signature, { spaces: 2 });
+    return signature;
+  }
+
+  /**
+   * Check the registry's detached signature
+   * @returns {Promise<object>} { status: 'valid' | 'untrusted' | 'invalid' | 'unsigned' | 'missing', keyId, signedAt, reason }
+   */
+  async verifyRegistrySignature() {
+    const registryPath = this.getRegistryPath();
+    const signaturePath = this.getSignaturePath();
+
+    if (!(await fs.pathExists(registryPath))) {
+      return { status: 'missing' };
+    }
+    if (!(await fs.pathExists(signaturePath))) {
+      return { status: 'unsigned' };
+    }
+
+    let signature;
+    let publicKey;
+    try {
+      signature = await fs.readJson(signaturePath);
+      publicKey = crypto.createPublicKey(signature.publicKey);
+    } catch (error) {
+      return { status: 'invalid', reason: `unreadable signature file (${error.message})` };
+    }
+
+    const keyId = this.getKeyId(publicKey);
+    if (signature.algorithm !== 'ed25519' || publicKey.asymmetricKeyType !== 'ed25519') {
+      return { status: 'invalid', keyId, reason: `unsupported algorithm ${signature.algorithm}` };
+    }
+
+    const data = await fs.readFile(registryPath);
+    if (!crypto.verify(null, data, publicKey, Buffer.from(String(signature.signature), 'base64'))) {
+      return { status: 'invalid', keyId, reason: 'registry changed after it was signed' };
+    }
+
+    const trusted = this.trustedKeys.some(trustedKey => this.getKeyId(trustedKey) === keyId);
+    return { status: trusted ? 'valid' : 'untrusted', keyId, signedAt: signature.signedAt };
+  }
+
   /**
    * Normalize file path for consistent registry keys
+   * Paths inside the project become project-relative with forward slashes, so a
+   * signed registry verifies on every platform
    * @param {string} filePath - File path to normalize
    * @returns {string} Normalized path
    */
   normalizePath(filePath) {
-    // Convert to relative path from project root
-    const cwd = process.cwd();
-    if (filePath.startsWith(cwd)) {
-      return path.relative(cwd, filePath);
+    const relative = path.relative(this.rootDir, path.resolve(process.cwd(), filePath));
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      return filePath;
     }
-    return filePath;
+    return relative.split(path.sep).join('/');
   }
 
   /**
@@ -335,4 +541,6 @@ class IntegrityValidator extends BaseValidator {
   }
 }
 
+IntegrityValidator.DEFAULT_REGISTRY_PATH = DEFAULT_REGISTRY_PATH;
+
 module.exports = IntegrityValidator;
@@ -0,0 +1,197 @@
+const BaseValidator = require('../BaseValidator');
+const { LEVELS, COMPONENT_KEYS } = require('../../learning-path');
+
+/**
+ * LearningPathValidator - Validates learning path manifests
+ *
+ * Checks:
+ * - Valid JSON with a name
+ * - Modules with unique ids and known levels
+ * - Prerequisites that reference existing modules without cycles
+ * - Component entries (string or { name, optional })
+ * - Exercise entries (string or { id, title }) with unique ids
+ * - Prerequisites that are not harder than the module needing them
+ */
+class LearningPathValidator extends BaseValidator {
+  constructor() {
+    super();
+
+    this.MODULE_FIELDS = ['id', 'title', 'description', 'level', 'prerequisites', 'exercises', ...Object.keys(COMPONENT_KEYS)];
+  }
+
+  /**
+   * Validate a learning path manifest
+   * @param {object} component - Component data
+   * @param {string|object} component.content - Manifest JSON (raw or parsed)
+   * @param {string} component.path - File path
+   * @param {object} options - Validation options
+   * @returns {Promise<object>} Validation results
+   */
+  async validate(component, options = {}) {
+    this.reset();
+
+    const { path } = component;
+    let manifest = component.content;
+
+    if (typeof manifest === 'string') {
+      try {
+        manifest = JSON.parse(manifest);
+      } catch (error) {
+        this.addError('LPATH_E001', `Invalid JSON: ${error.message}`, { path });
+        return this.getResults();
+      }
+    }
+
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      this.addError('LPATH_E001', 'Learning path manifest must be a JSON object', { path });
+      return this.getResults();
+    }
+
+    if (!manifest.name || typeof manifest.name !== 'string') {
+      this.addError('LPATH_E002', 'Missing required field: name', { path, field: 'name' });
+    }
+
+    this.validateLevel(manifest.level, 'learning path', path);
+
+    if (manifest.modules === undefined) {
+      this.addInfo('LPATH_I001', 'Manifest has no modules; its components are installed as a single module', { path });
+      this.validateComponents(manifest, 'learning path', path);
+      if (!this.hasComponents(manifest)) {
+        this.addError('LPATH_E003', 'Learning path has no modules or components', { path });
+      }
+      return this.getResults();
+    }
+
+    if (!Array.isArray(manifest.modules) || manifest.modules.length === 0) {
+      this.addError('LPATH_E003', 'modules must be a non-empty array', { path });
+      return this.getResults();
+    }
+
+    const modulesById = new Map();
+    manifest.modules.forEach((module, index) => {
+      const label = module && module.id ? `module "${module.id}"` : `module #${index + 1}`;
+
+      if (!module || typeof module !== 'object' || !module.id || typeof module.id !== 'string') {
+        this.addError('LPATH_E004', `${label} is missing an id`, { path, index });
+        return;
+      }
+      if (modulesById.has(module.id)) {
+        this.addError('LPATH_E004', `Duplicate module id: ${module.id}`, { path, module: module.id });
+        return;
+      }
+      modulesById.set(module.id, module);
+
+      this.validateLevel(module.level, label, path);
+      this.validateComponents(module, label, path);
+      this.validateExercises(module, label, path);
+
+      Object.keys(module)
+        .filter(key => !this.MODULE_FIELDS.includes(key))
+        .forEach(key => this.addWarning('LPATH_W004', `Unknown field "${key}" in ${label}`, { path, module: module.id, field: key }));
+
+      if (!this.hasComponents(module)) {
+        this.addWarning('LPATH_W003', `${label} has no components`, { path, module: module.id });
+      }
+    });
+
+    this.validatePrerequisites(manifest, modulesById, path);
+
+    return this.getResults();
+  }
+
+  validateLevel(level, label, path) {
+    if (level !== undefined && !LEVELS.includes(level)) {
+      this.addError('LPATH_E005', `Unknown level "${level}" in ${label} (use ${LEVELS.join(', ')})`, { path, level });
+    }
+  }
+
+  hasComponents(source) {
+    return Object.keys(COMPONENT_KEYS).some(key => Array.isArray(source[key]) && source[key].length > 0);
+  }
+
+  validateComponents(source, label, path) {
+    for (const key of Object.keys(COMPONENT_KEYS)) {
+      if (source[key] === undefined) continue;
+
+      if (!Array.isArray(source[key])) {
+        this.addError('LPATH_E008', `${key} in ${label} must be an array`, { path, field: key });
+        continue;
+      }
+
+      source[key].forEach((entry, index) => {
+        const valid = (typeof entry === 'string' && entry.trim()) ||
+          (entry && typeof entry === 'object' && typeof entry.name === 'string' && entry.name.trim() &&
+            (entry.optional === undefined || typeof entry.optional === 'boolean'));
+        if (!valid) {
+          this.addError('LPATH_E008', `Invalid ${key} entry #${index + 1} in ${label}: expected a name or { "name", "optional" }`, { path, field: key, index });
+        }
+      });
+    }
+  }
+
+  validateExercises(module, label, path) {
+    if (module.exercises === undefined) return;
+
+    if (!Array.isArray(module.exercises)) {
+      this.addError('LPATH_E009', `exercises in ${label} must be an array`, { path, module: module.id });
+      return;
+    }
+
+    const seen = new Set();
+    module.exercises.forEach((exercise, index) => {
+      const id = typeof exercise === 'string' ? exercise : exercise && exercise.id;
+      if (typeof id !== 'string' || !id.trim()) {
+        this.addError('LPATH_E009', `Invalid exercise #${index + 1} in ${label}: expected an id or { "id", "title" }`, { path, module: module.id, index });
+      } else if (seen.has(id)) {
+        this.addError('LPATH_E009', `Duplicate exercise "${id}" in ${label}`, { path, module: module.id, exercise: id });
+      } else {
+        seen.add(id);
+      }
+    });
+  }
+
+  validatePrerequisites(manifest, modulesById, path) {
+    const defaultLevel = manifest.level || 'beginner';
+    const levelOf = module => LEVELS.indexOf(module.level || defaultLevel);
+
+    for (const module of modulesById.values()) {
+      const prerequisites = module.prerequisites || [];
+      if (!Array.isArray(prerequisites)) {
+        this.addError('LPATH_E006', `prerequisites of module "${module.id}" must be an array of module ids`, { path, module: module.id });
+        continue;
+      }
+
+      for (const id of prerequisites) {
+        const prerequisite = modulesById.get(id);
+        if (!prerequisite) {
+          this.addError('LPATH_E006', `Module "${module.id}" requires unknown module "${id}"`, { path, module: module.id, prerequisite: id });
+        } else if (levelOf(prerequisite) > levelOf(module)) {
+          this.addWarning('LPATH_W002', `Module "${module.id}" requires "${id}", which has a higher level`, { path, module: module.id, prerequisite: id });
+        }
+      }
+    }
+
+    // Depth-first search for prerequisite cycles
+    const state = new Map();
+    const visit = (id, trail) => {
+      if (state.get(id) === 'done') return;
+      if (state.get(id) === 'visiting') {
+        const cycle = [...trail.slice(trail.indexOf(id)), id];
+        this.addError('LPATH_E007', `Circular prerequisites: ${cycle.join(' → ')}`, { path, cycle });
+        return;
+      }
+      state.set(id, 'visiting');
+      const prerequisites = modulesById.get(id).prerequisites;
+      (Array.isArray(prerequisites) ? prerequisites : [])
+        .filter(next => modulesById.has(next))
+        .forEach(next => visit(next, [...trail, id]));
+      state.set(id, 'done');
+    };
+
+    for (const id of modulesById.keys()) {
+      visit(id, []);
+    }
+  }
+}
+
+module.exports = LearningPathValidator;
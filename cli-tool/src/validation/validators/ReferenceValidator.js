@@ -1,5 +1,6 @@
 const BaseValidator = require('../BaseValidator');
 const url = require('url');
+const { createUrlResolver } = require('../url-resolvers');
 
 /**
  * ReferenceValidator - Validates external references and URLs
@@ -9,13 +10,19 @@ const url = require('url');
  * - Private IP address blocking
  * - file:// protocol blocking
  * - Dangerous HTML tags
- * - URL accessibility (optional)
+ * - URL accessibility (optional, through a pluggable resolver - see url-resolvers.js)
  * - Google Safe Browsing API integration (optional)
  */
 class ReferenceValidator extends BaseValidator {
-  constructor() {
+  /**
+   * @param {object} options
+   * @param {object} options.resolver - URL resolver for accessibility checks (default: live, cached)
+   */
+  constructor(options = {}) {
     super();
 
+    this.resolver = options.resolver || null;
+
     // Private IP ranges (RFC 1918)
     this.PRIVATE_IP_PATTERNS = [
       /^127\./,                    // Loopback
@@ -52,6 +59,7 @@ class ReferenceValidator extends BaseValidator {
    * @param {string} component.path - File path
    * @param {object} options - Validation options
    * @param {boolean} options.checkAccessibility - Check if URLs are accessible
+   * @param {object} options.resolver - URL resolver for this run (default: the constructor's)
    * @param {boolean} options.strictHttps - Require HTTPS (no HTTP)
    * @returns {Promise<object>} Validation results
    */
@@ -59,7 +67,7 @@ class ReferenceValidator extends BaseValidator {
     this.reset();
 
     const { content, path } = component;
-    const { checkAccessibility = false, strictHttps = false } = options;
+    const { checkAccessibility = false, strictHttps = false, resolver } = options;
 
     if (!content) {
       this.addError('REF_E001', 'Component content is empty or missing', { path });
@@ -80,10 +88,7 @@ class ReferenceValidator extends BaseValidator {
 
     // 4. Check URL accessibility (optional)
     if (checkAccessibility && urls.length > 0) {
-      this.addInfo('REF_I001', `Skipping URL accessibility check (${urls.length} URLs found)`, {
-        path,
-        note: 'Enable with checkAccessibility option in production'
-      });
+      await this.checkAccessibility(urls, content, path, resolver || this.getResolver());
     }
 
     return this.getResults();
@@ -247,6 +252,90 @@ class ReferenceValidator extends BaseValidator {
     }
   }
 
+  /**
+   * Default resolver: live requests with results cached between runs
+   * @returns {object} URL resolver
+   */
+  getResolver() {
+    if (!this.resolver) {
+      this.resolver = createUrlResolver();
+    }
+    return this.resolver;
+  }
+
+  /**
+   * Check that public http(s) URLs still resolve
+   * Each URL is checked once; the finding points at its first occurrence and lists the others.
+   * Private and localhost URLs are never requested.
+   * @param {Array<object>} urls - From extractUrls()
+   * @param {string} content - Component content, for line numbers
+   * @param {string} path - File path
+   * @param {object} resolver - URL resolver
+   */
+  async checkAccessibility(urls, content, path, resolver) {
+    const occurrences = new Map();
+
+    for (const urlInfo of urls) {
+      // Plain URLs pick up trailing punctuation from the sentence around them
+      const urlString = urlInfo.type === 'plain' ? urlInfo.url.replace(/[.,;:!?)'*]+$/, '') : urlInfo.url;
+      let parsedUrl;
+      try {
+        parsedUrl = new url.URL(urlString);
+      } catch (error) {
+        continue;
+      }
+      if (!this.ALLOWED_PROTOCOLS.includes(parsedUrl.protocol) ||
+          this.isPrivateIp(parsedUrl.hostname) || this.isLocalhost(parsedUrl.hostname)) {
+        continue;
+      }
+
+      const index = content.indexOf(urlString, urlInfo.index);
+      if (!occurrences.has(urlString)) occurrences.set(urlString, []);
+      const { line, column } = this.getLineFromIndex(content, index >= 0 ? index : urlInfo.index);
+      const examples = occurrences.get(urlString);
+      // A markdown link's URL is also picked up as a plain URL
+      if (!examples.some(example => example.line === line && example.column === column)) {
+        examples.push({ line, column });
+      }
+    }
+
+    let dead = 0;
+    let unverified = 0;
+    for (const [urlString, examples] of occurrences) {
+      let result;
+      try {
+        result = await resolver.resolve(urlString);
+      } catch (error) {
+        result = { status: 'unknown', reason: error.message };
+      }
+
+      const metadata = {
+        path,
+        url: urlString,
+        statusCode: result.statusCode,
+        source: result.source,
+        line: examples[0].line,
+        column: examples[0].column,
+        examples
+      };
+
+      if (result.status === 'dead') {
+        dead++;
+        this.addError('REF_E006', `Dead link ${urlString} (${result.reason})`, metadata);
+      } else if (result.status === 'unknown') {
+        unverified++;
+        this.addWarning('REF_W007', `Could not verify link ${urlString} (${result.reason})`, metadata);
+      }
+    }
+
+    this.addInfo('REF_I001', `Checked ${occurrences.size} link(s) via ${resolver.name || 'custom resolver'}: ${dead} dead, ${unverified} unverified`, {
+      path,
+      checked: occurrences.size,
+      dead,
+      unverified
+    });
+  }
+
   /**
    * Check markdown links for dangerous patterns
    */
@@ -11,6 +11,7 @@ const BaseValidator = require('../BaseValidator');
  * - Credential harvesting patterns
  * - Malicious command execution patterns
  * - Role manipulation
+ * - Dangerous calls in bundled skill scripts (.py, .sh)
  */
 class SemanticValidator extends BaseValidator {
   constructor() {
@@ -129,6 +130,75 @@ class SemanticValidator extends BaseValidator {
         severity: 'critical'
       }
     ];
+
+    // Dangerous calls in skill scripts; `languages` limits a pattern to python or shell scripts
+    this.SCRIPT_PATTERNS = [
+      {
+        pattern: /\bos\.(system|popen)\s*\(/g,
+        languages: ['python'],
+        code: 'SEM_E020',
+        message: 'Shell command run through os.system/os.popen',
+        severity: 'high'
+      },
+      {
+        pattern: /\bsubprocess\.\w+\s*\((?:[^()]|\((?:[^()]|\([^()]*\))*\))*?\bshell\s*=\s*True/g,
+        languages: ['python'],
+        code: 'SEM_E021',
+        message: 'subprocess call with shell=True',
+        severity: 'high'
+      },
+      {
+        pattern: /\b(curl|wget)\b[^\n|]*\|\s*(sudo\s+)?(ba|z|da)?sh\b/g,
+        code: 'SEM_E022',
+        message: 'Downloaded script piped into a shell',
+        severity: 'critical'
+      },
+      {
+        pattern: /\brm\s+(-[a-zA-Z]*(r[a-zA-Z]*f|f[a-zA-Z]*r)[a-zA-Z]*|-[rR]\s+-f|-f\s+-[rR]|--recursive\s+--force|--force\s+--recursive)\b/g,
+        code: 'SEM_E023',
+        message: 'Recursive forced delete (rm -rf)',
+        severity: 'high'
+      },
+      {
+        pattern: /\brequests\.(post|put|patch)\s*\(|\burllib\.request\.urlopen\s*\([^)]*\bdata\s*=|\bsocket\.(socket|create_connection)\s*\(|\bsmtplib\.SMTP(_SSL)?\s*\(/g,
+        languages: ['python'],
+        code: 'SEM_E024',
+        message: 'Network upload (possible data exfiltration)',
+        severity: 'high'
+      },
+      {
+        pattern: /\bcurl\b[^\n]*\s(-d|--data[\w-]*|-F|--form|-T|--upload-file)(\s|=)|\bwget\b[^\n]*--post-(data|file)|\b(nc|ncat|netcat)\s+(-\w+\s+)*[\w.-]+\s+\d{1,5}\b|\/dev\/(tcp|udp)\//g,
+        languages: ['shell'],
+        code: 'SEM_E024',
+        message: 'Network upload (possible data exfiltration)',
+        severity: 'high'
+      }
+    ];
+  }
+
+  /**
+   * Language of a skill script, from its extension or shebang
+   * @param {string} filePath - Script path
+   * @param {string} content - Script content
+   * @returns {string|null} python, shell or null for other files
+   */
+  static getScriptLanguage(filePath, content = '') {
+    if (/\.py$/i.test(filePath)) return 'python';
+    if (/\.(sh|bash)$/i.test(filePath)) return 'shell';
+
+    const shebang = content.startsWith('#!') ? content.split('\n')[0] : '';
+    if (/python/.test(shebang)) return 'python';
+    if (/\b(ba|z|da)?sh\b/.test(shebang)) return 'shell';
+    return null;
+  }
+
+  /**
+   * Add organization-specific patterns (from .cctvalidate.json)
+   * @param {object} patterns - { dangerous, suspicious }: arrays of { pattern, code, message, severity }
+   */
+  addPatterns({ dangerous = [], suspicious = [] } = {}) {
+    this.DANGEROUS_PATTERNS.push(...dangerous);
+    this.SUSPICIOUS_PATTERNS.push(...suspicious);
   }
 
   /**
@@ -137,6 +207,7 @@ class SemanticValidator extends BaseValidator {
    * @param {string} component.content - Raw markdown content
    * @param {string} component.path - File path
    * @param {string} component.type - Component type
+   * @param {Array<object>} component.scripts - Bundled skill scripts [{ path, content }]
    * @param {object} options - Validation options
    * @param {boolean} options.strict - Enable strict mode (warnings become errors)
    * @returns {Promise<object>} Validation results
@@ -147,6 +218,11 @@ class SemanticValidator extends BaseValidator {
     const { content, path, type } = component;
     const { strict = false } = options;
 
+    // Scripts bundled with a skill are checked even when SKILL.md itself is empty
+    if (Array.isArray(component.scripts)) {
+      this.checkScripts(component.scripts, path);
+    }
+
     if (!content) {
       this.addError('SEM_E001', 'Component content is empty or missing', { path });
       return this.getResults();
@@ -174,6 +250,55 @@ class SemanticValidator extends BaseValidator {
     return this.getResults();
   }
 
+  /**
+   * Validate skill scripts on their own (e.g. downloaded files before an install)
+   * @param {Array<object>} scripts - [{ path, content }]
+   * @param {string} path - Path to report the findings under
+   * @returns {Promise<object>} Validation results
+   */
+  async validateScripts(scripts, path) {
+    this.reset();
+    this.checkScripts(scripts, path);
+    return this.getResults();
+  }
+
+  /**
+   * Check skill scripts for dangerous calls
+   * Findings name the script in metadata.file and their line within it; matches in comment lines are ignored
+   */
+  checkScripts(scripts, path) {
+    for (const script of scripts) {
+      const language = SemanticValidator.getScriptLanguage(script.path, script.content);
+      if (!language || !script.content) continue;
+
+      for (const { pattern, languages, code, message, severity } of this.SCRIPT_PATTERNS) {
+        if (languages && !languages.includes(language)) continue;
+
+        const contexts = Array.from(script.content.matchAll(pattern))
+          .map(m => ({ match: m, lineInfo: this.getLineFromIndex(script.content, m.index) }))
+          .filter(({ lineInfo }) => !lineInfo.lineText.trim().startsWith('#'))
+          .map(({ match, lineInfo }) => ({
+            text: match[0],
+            line: lineInfo.line,
+            column: lineInfo.column,
+            lineText: lineInfo.lineText
+          }));
+
+        if (contexts.length > 0) {
+          this.addError(code, message, {
+            path,
+            file: script.path,
+            severity,
+            line: contexts[0].line,
+            column: contexts[0].column,
+            matches: contexts.length,
+            examples: contexts.slice(0, 3)
+          });
+        }
+      }
+    }
+  }
+
   /**
    * Check for dangerous patterns
    */
@@ -1,5 +1,18 @@
 const BaseValidator = require('../BaseValidator');
 const yaml = require('js-yaml');
+const nodePath = require('path');
+const { parseLenientJson } = require('../../mcp-config');
+
+// Copilot-native component files, detected from the file name
+const COPILOT_FILE_TYPES = [
+  { test: name => name.endsWith('.agent.md'), type: 'agent' },
+  { test: name => name.endsWith('.prompt.md'), type: 'prompt' },
+  { test: name => name.endsWith('.instructions.md'), type: 'instruction' },
+  { test: name => name === 'SKILL.md', type: 'skill' },
+  { test: name => name === 'copilot-instructions.md', type: 'copilot-instructions' },
+  { test: name => name === 'AGENTS.md', type: 'workspace-agents' },
+  { test: (name, filePath) => name === 'mcp.json' || (name.endsWith('.json') && /(^|[\\/])mcps[\\/]/.test(filePath)), type: 'mcp' }
+];
 
 /**
  * StructuralValidator - Validates component structure and format
@@ -11,6 +24,8 @@ const yaml = require('js-yaml');
  * - UTF-8 encoding
  * - Section count limits
  * - Component type-specific requirements
+ * - Copilot-native schemas (.agent.md, .prompt.md, .instructions.md, SKILL.md,
+ *   copilot-instructions.md, AGENTS.md, mcp.json), detected from the file name
  */
 class StructuralValidator extends BaseValidator {
   constructor() {
@@ -39,6 +54,129 @@ class StructuralValidator extends BaseValidator {
       setting: ['type'],
       hook: ['conditions']
     };
+
+    // Schemas for Copilot-native files
+    // frontmatter: 'required' | 'optional' | 'none'; fields: known fields and their type
+    this.COPILOT_SCHEMAS = {
+      agent: {
+        frontmatter: 'required',
+        required: ['description'],
+        recommended: ['tools'],
+        fields: {
+          name: 'string',
+          description: 'string',
+          tools: 'list',
+          model: 'string',
+          target: 'string',
+          'argument-hint': 'string',
+          handoffs: 'array',
+          'mcp-servers': 'object'
+        }
+      },
+      prompt: {
+        frontmatter: 'optional',
+        required: [],
+        recommended: ['description'],
+        fields: {
+          name: 'string',
+          description: 'string',
+          mode: 'string',
+          agent: 'string',
+          tools: 'list',
+          model: 'string',
+          'argument-hint': 'string'
+        }
+      },
+      instruction: {
+        frontmatter: 'required',
+        required: ['applyTo'],
+        recommended: ['description'],
+        fields: {
+          name: 'string',
+          description: 'string',
+          applyTo: 'string',
+          excludeAgent: 'string'
+        }
+      },
+      skill: {
+        frontmatter: 'required',
+        required: ['name', 'description'],
+        recommended: [],
+        fields: {
+          name: 'string',
+          description: 'string',
+          license: 'string',
+          compatibility: 'string',
+          'allowed-tools': 'list',
+          metadata: 'object'
+        }
+      },
+      'copilot-instructions': { frontmatter: 'none' },
+      'workspace-agents': { frontmatter: 'none' }
+    };
+
+    this.FIELD_TYPE_LABELS = {
+      string: 'a string',
+      list: 'a string or an array of strings',
+      array: 'an array',
+      object: 'an object'
+    };
+
+    // Chat modes a prompt file can run in (custom agent names are also allowed in `agent`)
+    this.PROMPT_MODES = ['ask', 'edit', 'agent'];
+
+    // Skill names: lowercase letters, digits and hyphens
+    this.SKILL_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+    this.MAX_SKILL_NAME_LENGTH = 64;
+
+    // VS Code MCP server transports
+    this.MCP_SERVER_TYPES = ['stdio', 'http', 'sse'];
+  }
+
+  /**
+   * Copilot-native component type of a file, from its name
+   * @param {string} filePath - File path
+   * @returns {string|null} agent, prompt, instruction, skill, copilot-instructions, workspace-agents, mcp or null
+   */
+  static detectComponentType(filePath) {
+    if (!filePath) return null;
+    const name = nodePath.basename(filePath);
+    const match = COPILOT_FILE_TYPES.find(entry => entry.test(name, filePath));
+    return match ? match.type : null;
+  }
+
+  /**
+   * Glob patterns of an applyTo value: split on commas outside {a,b} alternations
+   * @param {string} applyTo - applyTo frontmatter value
+   * @returns {Array<string>} Trimmed patterns (empty strings for empty entries)
+   */
+  static splitApplyTo(applyTo) {
+    const patterns = [];
+    let depth = 0;
+    let current = '';
+    for (const char of applyTo) {
+      if (char === ',' && depth === 0) {
+        patterns.push(current.trim());
+        current = '';
+        continue;
+      }
+      if (char === '{') depth++;
+      if (char === '}') depth--;
+      current += char;
+    }
+    patterns.push(current.trim());
+    return patterns;
+  }
+
+  /**
+   * Copilot schema to apply, if any
+   * The file name wins; otherwise a Copilot-only type passed by the caller selects its schema
+   * @returns {string|null} Key of COPILOT_SCHEMAS, 'mcp', or null for the Claude Code schemas
+   */
+  resolveCopilotType(path, type) {
+    const detected = StructuralValidator.detectComponentType(path);
+    if (detected) return detected;
+    return this.COPILOT_SCHEMAS[type] && !this.REQUIRED_FIELDS[type] ? type : null;
   }
 
   /**
@@ -66,6 +204,21 @@ class StructuralValidator extends BaseValidator {
     // 2. UTF-8 encoding validation
     this.validateEncoding(content, path);
 
+    const copilotType = this.resolveCopilotType(path, type);
+
+    if (copilotType === 'mcp') {
+      this.validateMcpConfig(content, path);
+      return this.getResults();
+    }
+
+    if (copilotType) {
+      this.addInfo('STRUCT_I005', `Copilot ${copilotType} schema applied`, { path, type: copilotType });
+      this.validateCopilotFrontmatter(content, copilotType, path);
+      this.validateContentStructure(content, path);
+      this.validateSectionCount(content, path);
+      return this.getResults();
+    }
+
     // 3. Frontmatter validation
     const frontmatter = this.validateFrontmatter(content, path);
 
@@ -147,6 +300,14 @@ class StructuralValidator extends BaseValidator {
           { path }
         );
       }
+
+      // Both hide the frontmatter from the parser; `cct validate --fix` removes them
+      if (content.startsWith('\uFEFF')) {
+        this.addWarning('STRUCT_W019', 'File starts with a byte order mark', { path, encoding: 'bom' });
+      }
+      if (content.includes('\r\n')) {
+        this.addWarning('STRUCT_W019', 'File uses Windows (CRLF) line endings', { path, encoding: 'crlf' });
+      }
     } catch (error) {
       this.addError(
         'STRUCT_E004',
@@ -327,6 +488,464 @@ class StructuralValidator extends BaseValidator {
     }
   }
 
+  /**
+   * Validate the frontmatter of a Copilot-native markdown file against its schema
+   */
+  validateCopilotFrontmatter(content, copilotType, path) {
+    const schema = this.COPILOT_SCHEMAS[copilotType];
+
+    if (schema.frontmatter === 'none') {
+      if (/^---\n[\s\S]*?\n---/.test(content)) {
+        this.addWarning(
+          'STRUCT_W012',
+          `${copilotType} files are plain markdown; the frontmatter block is not read by Copilot`,
+          { path, type: copilotType }
+        );
+      }
+      return;
+    }
+
+    if (schema.frontmatter === 'optional' && !/^---\n/.test(content)) {
+      this.checkRecommendedCopilotFields({}, schema, path);
+      return;
+    }
+
+    const frontmatter = this.validateFrontmatter(content, path);
+    if (!frontmatter) return;
+
+    for (const field of schema.required) {
+      if (frontmatter[field] === undefined || frontmatter[field] === null || frontmatter[field] === '') {
+        this.addError(
+          'STRUCT_E006',
+          `Missing required field: ${field}`,
+          { path, field, type: copilotType }
+        );
+      }
+    }
+
+    for (const [field, value] of Object.entries(frontmatter)) {
+      const expected = schema.fields[field];
+      if (!expected) {
+        this.addWarning(
+          'STRUCT_W013',
+          `Unknown field for ${copilotType} files: ${field}`,
+          { path, field, type: copilotType, known: Object.keys(schema.fields) }
+        );
+      } else if (value !== null && !this.matchesFieldType(value, expected)) {
+        this.addError(
+          'STRUCT_E011',
+          `Field ${field} must be ${this.FIELD_TYPE_LABELS[expected]}`,
+          { path, field, expected, actual: Array.isArray(value) ? 'array' : typeof value }
+        );
+      }
+    }
+
+    this.validateDescription(frontmatter, path);
+    this.checkRecommendedCopilotFields(frontmatter, schema, path);
+
+    if (copilotType === 'prompt') {
+      this.validatePromptMode(frontmatter, path);
+    } else if (copilotType === 'instruction') {
+      this.validateApplyTo(frontmatter, path);
+    } else if (copilotType === 'skill') {
+      this.validateSkillName(frontmatter, path);
+    }
+  }
+
+  matchesFieldType(value, expected) {
+    switch (expected) {
+      case 'string':
+        return typeof value === 'string';
+      case 'list':
+        return typeof value === 'string' || (Array.isArray(value) && value.every(item => typeof item === 'string'));
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return typeof value === 'object' && !Array.isArray(value);
+      default:
+        return true;
+    }
+  }
+
+  checkRecommendedCopilotFields(frontmatter, schema, path) {
+    const missingFields = schema.recommended.filter(field => !frontmatter[field]);
+
+    if (missingFields.length > 0) {
+      this.addInfo(
+        'STRUCT_I003',
+        `Missing recommended fields: ${missingFields.join(', ')}`,
+        { path, missingFields }
+      );
+    }
+  }
+
+  /**
+   * Validate mode/agent of a prompt file
+   */
+  validatePromptMode(frontmatter, path) {
+    const { mode } = frontmatter;
+
+    if (typeof mode === 'string' && !this.PROMPT_MODES.includes(mode)) {
+      this.addWarning(
+        'STRUCT_W014',
+        `Unknown prompt mode: ${mode}. Valid modes: ${this.PROMPT_MODES.join(', ')}`,
+        { path, mode }
+      );
+    }
+
+    if (mode && frontmatter.agent) {
+      this.addWarning(
+        'STRUCT_W014',
+        'Both mode and agent are set; mode is deprecated in favour of agent',
+        { path, mode, agent: frontmatter.agent }
+      );
+    }
+  }
+
+  /**
+   * Validate the applyTo glob list of an instructions file
+   */
+  validateApplyTo(frontmatter, path) {
+    const { applyTo } = frontmatter;
+    if (typeof applyTo !== 'string' || !applyTo) return; // Already caught by required fields or field types
+
+    const patterns = StructuralValidator.splitApplyTo(applyTo);
+
+    if (patterns.some(pattern => !pattern)) {
+      this.addError(
+        'STRUCT_E012',
+        `applyTo contains an empty glob pattern: "${applyTo}"`,
+        { path, applyTo }
+      );
+    }
+
+    for (const pattern of patterns.filter(Boolean)) {
+      const unbalanced = (pattern.split('{').length !== pattern.split('}').length) ||
+        (pattern.split('[').length !== pattern.split(']').length);
+
+      if (unbalanced) {
+        this.addError(
+          'STRUCT_E012',
+          `applyTo glob has unbalanced brackets: ${pattern}`,
+          { path, pattern }
+        );
+      } else if (pattern.includes('\\')) {
+        this.addWarning(
+          'STRUCT_W015',
+          `applyTo glob uses backslashes; use forward slashes: ${pattern}`,
+          { path, pattern }
+        );
+      }
+    }
+  }
+
+  /**
+   * Validate a skill name: lowercase-hyphenated and matching its directory
+   */
+  validateSkillName(frontmatter, path) {
+    const { name } = frontmatter;
+    if (typeof name !== 'string' || !name) return;
+
+    if (!this.SKILL_NAME_PATTERN.test(name) || name.length > this.MAX_SKILL_NAME_LENGTH) {
+      this.addError(
+        'STRUCT_E013',
+        `Invalid skill name: ${name} (lowercase letters, digits and hyphens, at most ${this.MAX_SKILL_NAME_LENGTH} characters)`,
+        { path, name }
+      );
+      return;
+    }
+
+    const directory = path ? nodePath.basename(nodePath.dirname(path)) : '';
+    if (directory && directory !== '.' && directory !== name) {
+      this.addWarning(
+        'STRUCT_W016',
+        `Skill name ${name} does not match its directory ${directory}`,
+        { path, name, directory }
+      );
+    }
+  }
+
+  /**
+   * Validate a VS Code MCP configuration (mcp.json or a catalog mcps/*.json entry)
+   */
+  validateMcpConfig(content, path) {
+    let config;
+    try {
+      config = JSON.parse(content);
+    } catch (error) {
+      // VS Code reads mcp.json as JSONC; catalog entries are installed with a plain JSON parser
+      config = path && nodePath.basename(path) === 'mcp.json' ? parseLenientJson(content) : undefined;
+      if (config === undefined) {
+        this.addError(
+          'STRUCT_E014',
+          `Invalid JSON: ${error.message}`,
+          { path, error: error.message }
+        );
+        return;
+      }
+    }
+
+    const servers = config && config.servers;
+    if (!servers || typeof servers !== 'object' || Array.isArray(servers)) {
+      this.addError(
+        'STRUCT_E015',
+        'MCP configuration must have a "servers" object',
+        { path }
+      );
+      return;
+    }
+
+    const names = Object.keys(servers);
+    if (names.length === 0) {
+      this.addWarning('STRUCT_W017', 'MCP configuration defines no servers', { path });
+    }
+
+    for (const name of names) {
+      this.validateMcpServer(name, servers[name], path);
+    }
+
+    this.addInfo('STRUCT_I005', `Copilot mcp schema applied (${names.length} server(s))`, { path, type: 'mcp', servers: names });
+  }
+
+  validateMcpServer(name, server, path) {
+    if (!server || typeof server !== 'object' || Array.isArray(server)) {
+      this.addError('STRUCT_E016', `MCP server ${name} must be an object`, { path, server: name });
+      return;
+    }
+
+    let type = server.type;
+    if (!type) {
+      type = server.command ? 'stdio' : (server.url ? 'http' : null);
+      this.addWarning(
+        'STRUCT_W018',
+        `MCP server ${name} has no type${type ? ` (assuming ${type})` : ''}`,
+        { path, server: name }
+      );
+    } else if (!this.MCP_SERVER_TYPES.includes(type)) {
+      this.addError(
+        'STRUCT_E016',
+        `MCP server ${name} has an unknown type: ${type}. Valid types: ${this.MCP_SERVER_TYPES.join(', ')}`,
+        { path, server: name, type }
+      );
+      return;
+    }
+
+    if (type === 'stdio' || !type) {
+      if (typeof server.command !== 'string' || !server.command) {
+        this.addError('STRUCT_E016', `MCP server ${name} needs a command`, { path, server: name });
+      }
+      if (server.args !== undefined && !(Array.isArray(server.args) && server.args.every(arg => typeof arg === 'string'))) {
+        this.addError('STRUCT_E016', `MCP server ${name}: args must be an array of strings`, { path, server: name });
+      }
+      if (server.env !== undefined && (typeof server.env !== 'object' || Array.isArray(server.env) || server.env === null)) {
+        this.addError('STRUCT_E016', `MCP server ${name}: env must be an object`, { path, server: name });
+      }
+      return;
+    }
+
+    let url = null;
+    try {
+      url = new URL(server.url);
+    } catch (error) {
+      // Reported below
+    }
+
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      this.addError(
+        'STRUCT_E016',
+        `MCP server ${name} needs an http(s) url`,
+        { path, server: name, url: server.url }
+      );
+    }
+  }
+
+  /**
+   * Rewrite a component to fix what can be fixed mechanically: byte order mark and CRLF line
+   * endings, a missing frontmatter block or inferable missing fields, `tools` lists and
+   * over-long descriptions
+   * Required fields that cannot be inferred are left empty, so validation still reports them
+   * @param {object} component - { content, path, type }
+   * @returns {object} { content, fixes } where fixes describes each change
+   */
+  fix(component) {
+    const { path, type } = component;
+    const fixes = [];
+    let content = component.content || '';
+
+    if (content.startsWith('\uFEFF')) {
+      content = content.slice(1);
+      fixes.push('removed the byte order mark');
+    }
+    if (content.includes('\r\n')) {
+      content = content.replace(/\r\n/g, '\n');
+      fixes.push('converted CRLF line endings to LF');
+    }
+
+    const copilotType = this.resolveCopilotType(path, type);
+    const schema = copilotType ? this.COPILOT_SCHEMAS[copilotType] : null;
+    if (!content.trim() || copilotType === 'mcp' || (schema && schema.frontmatter === 'none')) {
+      return { content, fixes };
+    }
+
+    const required = schema ? schema.required : (this.REQUIRED_FIELDS[type] || ['name', 'description']);
+    const recommended = schema ? schema.recommended : (this.RECOMMENDED_FIELDS[type] || []);
+    const match = content.match(/^---\n([\s\S]*?)\n---/);
+
+    if (!match) {
+      const fields = [];
+      for (const field of [...required, ...recommended]) {
+        const value = this.inferField(field, content, path, copilotType);
+        if (value !== undefined) {
+          fields.push([field, value]);
+        } else if (required.includes(field)) {
+          fields.push([field, '']);
+        }
+      }
+      // Frontmatter is optional for prompts: only add it when there is something to put in it
+      if (fields.length === 0 || (schema && schema.frontmatter === 'optional' && fields.every(([, value]) => value === ''))) {
+        return { content, fixes };
+      }
+
+      const lines = fields.map(([field, value]) => `${field}: ${this.formatFieldValue(value)}`);
+      content = `---\n${lines.join('\n')}\n---\n\n${content.replace(/^\n+/, '')}`;
+      fixes.push(`added frontmatter with ${fields.map(([field]) => field).join(', ')}`);
+      return { content, fixes };
+    }
+
+    let frontmatter;
+    try {
+      frontmatter = yaml.load(match[1]);
+    } catch (error) {
+      // Invalid YAML needs a human
+    }
+    if (!frontmatter || typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+      return { content, fixes };
+    }
+
+    let block = match[1];
+
+    for (const field of [...required, ...recommended]) {
+      const current = frontmatter[field];
+      if (current !== undefined && current !== null && current !== '') continue;
+      const value = this.inferField(field, content, path, copilotType);
+      if (value !== undefined) {
+        block = this.setFrontmatterField(block, field, this.formatFieldValue(value));
+        fixes.push(`added ${field}`);
+      }
+    }
+
+    const listTools = schema ? schema.fields.tools === 'list' : type === 'agent';
+    const tools = listTools ? this.normalizeTools(frontmatter.tools, Boolean(schema)) : undefined;
+    if (tools !== undefined) {
+      block = this.setFrontmatterField(block, 'tools', this.formatFieldValue(tools));
+      fixes.push(Array.isArray(tools) && !Array.isArray(frontmatter.tools) ? 'converted tools to a list' : 'normalised tools');
+    }
+
+    const { description } = frontmatter;
+    if (typeof description === 'string' && description.trim().length > this.MAX_DESCRIPTION_LENGTH) {
+      const shortened = this.shortenDescription(description);
+      block = this.setFrontmatterField(block, 'description', this.formatFieldValue(shortened));
+      fixes.push(`shortened description from ${description.trim().length} to ${shortened.length} characters`);
+    }
+
+    if (block !== match[1]) {
+      content = `---\n${block}\n---${content.slice(match[0].length)}`;
+    }
+    return { content, fixes };
+  }
+
+  /**
+   * Value of a missing field that can be derived from the file: the name from the file or
+   * skill directory, the description from the first paragraph
+   * @returns {string|undefined} undefined when it cannot be inferred
+   */
+  inferField(field, content, path, copilotType) {
+    if (field === 'name' && path) {
+      if (copilotType === 'skill') {
+        const directory = nodePath.basename(nodePath.dirname(path));
+        return directory && directory !== '.' ? directory : undefined;
+      }
+      return nodePath.basename(path).replace(/(\.(agent|prompt|instructions))?\.md$/, '');
+    }
+
+    if (field === 'description') {
+      const body = content.replace(/^---\n[\s\S]*?\n---\n/, '').replace(/```[\s\S]*?```/g, '');
+      const paragraph = body.split(/\n\s*\n/)
+        .map(block => block.trim())
+        .find(block => block && !/^(#|<|\||>|[-*+] |\d+\. )/.test(block));
+      if (!paragraph) return undefined;
+
+      const text = paragraph
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_`]/g, '');
+      return this.shortenDescription(text);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Trimmed, de-duplicated tools, or undefined when they are already normalised
+   * Copilot files get an array; Claude Code agents keep a comma-separated string
+   */
+  normalizeTools(tools, asArray) {
+    if (!tools) return undefined;
+    const items = Array.isArray(tools) ? tools : (typeof tools === 'string' ? tools.split(',') : null);
+    if (!items || !items.every(item => typeof item === 'string')) return undefined;
+
+    const cleaned = [...new Set(items.map(item => item.trim()).filter(Boolean))];
+    const normalized = asArray || Array.isArray(tools) ? cleaned : cleaned.join(', ');
+    return JSON.stringify(normalized) === JSON.stringify(tools) ? undefined : normalized;
+  }
+
+  /**
+   * Collapse whitespace and cut a description to MAX_DESCRIPTION_LENGTH, at the last sentence
+   * when that keeps at least half of it, otherwise at a word
+   */
+  shortenDescription(description) {
+    const text = description.replace(/\s+/g, ' ').trim();
+    if (text.length <= this.MAX_DESCRIPTION_LENGTH) return text;
+
+    const head = text.slice(0, this.MAX_DESCRIPTION_LENGTH);
+    const sentenceEnd = Math.max(head.lastIndexOf('. '), head.lastIndexOf('! '), head.lastIndexOf('? '));
+    if (sentenceEnd >= this.MAX_DESCRIPTION_LENGTH / 2) {
+      return head.slice(0, sentenceEnd + 1);
+    }
+
+    const wordEnd = head.lastIndexOf(' ', this.MAX_DESCRIPTION_LENGTH - 2);
+    const cut = wordEnd > 0 ? head.slice(0, wordEnd) : head.slice(0, this.MAX_DESCRIPTION_LENGTH - 1);
+    return `${cut.replace(/[\s,;:]+$/, '')}…`;
+  }
+
+  /**
+   * YAML for a frontmatter value; lists use the catalog's ['a', 'b'] style
+   */
+  formatFieldValue(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => `'${item.replace(/'/g, "''")}'`).join(', ')}]`;
+    }
+    return yaml.dump(value, { lineWidth: -1 }).trimEnd();
+  }
+
+  /**
+   * Replace a top-level field (with its indented or list continuation lines) in a frontmatter
+   * block, or append it; other lines and comments are kept as they are
+   */
+  setFrontmatterField(block, field, formatted) {
+    const lines = block.split('\n');
+    const escaped = field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const start = lines.findIndex(line => new RegExp(`^${escaped}\\s*:`).test(line));
+
+    if (start === -1) {
+      return [...lines.filter((line, index) => line.trim() || index < lines.length - 1), `${field}: ${formatted}`].join('\n');
+    }
+
+    let end = start + 1;
+    while (end < lines.length && /^(\s+\S|- |-$)/.test(lines[end])) end++;
+    lines.splice(start, end - start, `${field}: ${formatted}`);
+    return lines.join('\n');
+  }
+
   /**
    * Validate content structure
    */
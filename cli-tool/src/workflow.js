@@ -0,0 +1,172 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+// Saved workflow definitions, relative to the project root
+const WORKFLOWS_DIR = '.github/copilot-workflows';
+
+/**
+ * Short reference for a workflow, used as `--workflow #<hash>`
+ * The web builder keys its local copy with the same hash of the YAML it embeds, but the CLI
+ * cannot read the browser's storage: `#hash` only finds workflows saved in the project
+ * @param {string} content - Workflow YAML
+ * @returns {string} First 8 hex characters of the SHA-256
+ */
+function getWorkflowHash(content) {
+  return crypto.createHash('sha256').update(content, 'utf8').digest('hex').substring(0, 8);
+}
+
+function parseWorkflowYaml(content, origin) {
+  let definition;
+  try {
+    definition = yaml.load(content);
+  } catch (error) {
+    throw new Error(`Invalid workflow YAML in ${origin}: ${error.message}`);
+  }
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    throw new Error(`Workflow in ${origin} is not a YAML mapping`);
+  }
+  return definition;
+}
+
+/**
+ * Find a workflow previously saved in the project by its hash
+ */
+async function findSavedWorkflow(targetDir, hash) {
+  const workflowsDir = path.join(targetDir, WORKFLOWS_DIR);
+  if (await fs.pathExists(workflowsDir)) {
+    for (const file of (await fs.readdir(workflowsDir)).sort()) {
+      if (!file.endsWith('.yaml') && !file.endsWith('.yml')) continue;
+      const content = await fs.readFile(path.join(workflowsDir, file), 'utf8');
+      if (getWorkflowHash(content).startsWith(hash)) {
+        return { content, origin: path.join(WORKFLOWS_DIR, file) };
+      }
+    }
+  }
+  throw new Error(`No saved workflow matches #${hash} in ${WORKFLOWS_DIR}/`);
+}
+
+/**
+ * Load a workflow from the value passed to --workflow
+ * @param {string} input - Base64-encoded YAML (as generated by the web workflow builder),
+ *                         a path to a YAML file, or `#hash` of a workflow saved in the project
+ * @param {string} targetDir - Project root
+ * @returns {Promise<object>} { content, definition, hash, origin }
+ */
+async function loadWorkflow(input, targetDir) {
+  const value = String(input).trim();
+  let loaded;
+
+  // File paths may be relative to the current directory or to the project
+  const filePath = [path.resolve(value), path.resolve(targetDir, value)].find(candidate => fs.existsSync(candidate));
+
+  if (value.startsWith('#')) {
+    loaded = await findSavedWorkflow(targetDir, value.substring(1).toLowerCase());
+  } else if (filePath && fs.statSync(filePath).isFile()) {
+    loaded = { content: await fs.readFile(filePath, 'utf8'), origin: value };
+  } else if (/^[A-Za-z0-9+/=_-]+$/.test(value)) {
+    loaded = { content: Buffer.from(value, 'base64').toString('utf8'), origin: 'inline workflow' };
+  } else {
+    throw new Error(`Workflow "${value}" is not a file, a #hash or base64-encoded YAML`);
+  }
+
+  const definition = parseWorkflowYaml(loaded.content, loaded.origin);
+  return { ...loaded, definition, hash: getWorkflowHash(loaded.content) };
+}
+
+/**
+ * Map a component reference from a workflow to the name the installers expect
+ * Accepts the web builder's paths (.claude/agents/x.md, .mcp.json#name) as well as Copilot paths
+ */
+function toComponentName(reference, type) {
+  let name = String(reference).trim();
+
+  if (type === 'mcp') {
+    return name.includes('#') ? name.split('#').pop() : name.replace(/\.json$/, '');
+  }
+
+  name = name.replace(/^\.(claude|github)\/(agents|commands|prompts|skills|instructions)\//, '');
+  return name.replace(/\.(agent|prompt|instructions)\.md$/, '').replace(/\.md$/, '').replace(/\/SKILL$/, '');
+}
+
+// Workflow step type → installer list
+const STEP_TYPES = {
+  agent: 'agents',
+  command: 'prompts',
+  prompt: 'prompts',
+  mcp: 'mcps',
+  skill: 'skills',
+  instruction: 'instructions'
+};
+
+/**
+ * Collect every component a workflow references
+ * Reads the hierarchical `agents` (with their `tasks`) and the flat `components` lists;
+ * builder commands become prompt files, Copilot's equivalent of slash commands
+ * @param {object} definition - Parsed workflow
+ * @returns {object} { agents, prompts, mcps, skills, instructions }
+ */
+function getWorkflowComponents(definition) {
+  const components = { agents: [], prompts: [], mcps: [], skills: [], instructions: [] };
+  const add = (type, reference, category) => {
+    const list = STEP_TYPES[type];
+    if (!list || !reference) return;
+
+    let name = toComponentName(reference, type);
+    // MCP steps only carry the server name, the catalog keeps them under their category
+    if (type === 'mcp' && category && !name.includes('/')) {
+      name = `${category}/${name}`;
+    }
+
+    const short = name.split('/').pop();
+    if (!components[list].some(existing => existing === name || existing.split('/').pop() === short)) {
+      components[list].push(name);
+    }
+  };
+
+  const steps = Array.isArray(definition.agents) ? definition.agents : [];
+  for (const step of steps) {
+    if (!step || typeof step !== 'object') continue;
+    add(step.type, step.type === 'mcp' ? step.name : step.path || step.name, step.category);
+    for (const task of Array.isArray(step.tasks) ? step.tasks : []) {
+      if (task && typeof task === 'object') {
+        add(task.type, task.type === 'mcp' ? task.name : task.path || task.name, task.category);
+      }
+    }
+  }
+
+  const lists = definition.components || {};
+  for (const [key, type] of Object.entries({ agents: 'agent', commands: 'command', prompts: 'prompt', mcps: 'mcp', skills: 'skill', instructions: 'instruction' })) {
+    (Array.isArray(lists[key]) ? lists[key] : []).forEach(reference => add(type, reference));
+  }
+
+  return components;
+}
+
+/**
+ * Write the workflow definition into the project so it can be re-applied with --workflow
+ * @param {string} targetDir - Project root
+ * @param {object} workflow - Loaded workflow
+ * @returns {Promise<string>} Project-relative path of the saved file
+ */
+async function saveWorkflow(targetDir, workflow) {
+  const slug = String(workflow.definition.name || 'workflow')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'workflow';
+  const relativePath = `${WORKFLOWS_DIR}/${slug}.yaml`;
+
+  await fs.ensureDir(path.join(targetDir, WORKFLOWS_DIR));
+  await fs.writeFile(path.join(targetDir, relativePath), workflow.content, 'utf8');
+  return relativePath;
+}
+
+module.exports = {
+  WORKFLOWS_DIR,
+  getWorkflowHash,
+  loadWorkflow,
+  getWorkflowComponents,
+  saveWorkflow
+};
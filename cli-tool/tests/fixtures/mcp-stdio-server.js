@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+/**
+ * Minimal stdio MCP server for the liveness probe tests
+ *   --tools <n>   number of tools to expose (default: 2), listed two per page
+ *   --log         write a non-JSON line to stdout first, as some servers do
+ *   --crash       print an error on stderr and exit before answering
+ *   --hang        never answer
+ *   --reject      answer initialize with a JSON-RPC error
+ */
+const args = process.argv.slice(2);
+const option = name => args.includes(name);
+const toolCount = args.includes('--tools') ? Number(args[args.indexOf('--tools') + 1]) : 2;
+
+if (option('--crash')) {
+  console.error('Error: missing API key');
+  process.exit(3);
+}
+
+if (option('--log')) {
+  process.stdout.write('server starting...\n');
+}
+
+const send = message => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+const tools = Array.from({ length: toolCount }, (_, index) => ({ name: `tool_${index}`, inputSchema: { type: 'object' } }));
+
+let buffer = '';
+process.stdin.on('data', chunk => {
+  buffer += chunk;
+  let newline;
+  while ((newline = buffer.indexOf('\n')) !== -1) {
+    const message = JSON.parse(buffer.slice(0, newline));
+    buffer = buffer.slice(newline + 1);
+    if (option('--hang') || message.id === undefined) continue;
+
+    if (message.method === 'initialize' && option('--reject')) {
+      send({ id: message.id, error: { code: -32602, message: 'Unsupported protocol version' } });
+    } else if (message.method === 'initialize') {
+      send({ id: message.id, result: { protocolVersion: message.params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'stand-in', version: '1.0.0' } } });
+    } else if (message.method === 'tools/list') {
+      const start = Number((message.params && message.params.cursor) || 0);
+      const next = start + 2 < tools.length ? String(start + 2) : undefined;
+      send({ id: message.id, result: { tools: tools.slice(start, start + 2), ...(next ? { nextCursor: next } : {}) } });
+    } else {
+      send({ id: message.id, error: { code: -32601, message: `Unknown method ${message.method}` } });
+    }
+  }
+});
+process.stdin.on('end', () => process.exit(0));
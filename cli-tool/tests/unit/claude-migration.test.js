@@ -0,0 +1,228 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const StructuralValidator = require('../../src/validation/validators/StructuralValidator');
+const {
+  mapClaudeTools,
+  convertCommand,
+  convertAgent,
+  convertInstructions,
+  convertMcpConfig,
+  migrateClaudeProject
+} = require('../../src/claude-migration');
+
+describe('claude-migration', () => {
+  const command = `---
+description: Commit the staged changes with a conventional message
+argument-hint: [type] [message]
+allowed-tools: Bash(git add:*), Bash(git commit:*), Read
+model: claude-3-5-haiku-latest
+---
+
+Current status: !\`git status\`
+
+Commit as $1 with the message "$2". Extra notes: $ARGUMENTS
+`;
+
+  const agent = `---
+name: code-reviewer
+description: Reviews Python code for beginners and explains every finding in simple words
+tools: Read, Grep, Glob, mcp__github__create_review, mcp__deepwiki
+model: sonnet
+color: blue
+---
+
+You are a patient reviewer. Explain each finding with a short example.
+`;
+
+  describe('mapClaudeTools', () => {
+    it('maps tools to VS Code tool sets and MCP tools to server/tool', () => {
+      expect(mapClaudeTools('Read, Edit, Write, Bash(npm test:*), mcp__github__create_issue, mcp__deepwiki, Foo')).toEqual({
+        tools: ['read', 'edit', 'execute', 'github/create_issue', 'deepwiki/*'],
+        unmapped: ['Foo']
+      });
+    });
+  });
+
+  describe('convertCommand', () => {
+    it('writes a prompt file with its arguments as prompt variables', () => {
+      const { content, notes } = convertCommand(command, '.claude/commands/git/commit.md');
+
+      expect(content).toBe(`---
+description: Commit the staged changes with a conventional message
+agent: agent
+argument-hint: '[type] [message]'
+tools: ['execute', 'read']
+---
+
+Current status: !\`git status\`
+
+Commit as \${input:type} with the message "\${input:message}". Extra notes: \${input:arguments:[type] [message]}
+`);
+      expect(notes).toEqual([
+        'dropped model (no Copilot equivalent)',
+        'mapped $ARGUMENTS/$1..$9 to ${input:...} variables',
+        'runs shell commands with !`...`, which prompt files do not; ask the agent to run them'
+      ]);
+    });
+
+    it('numbers arguments without a hint and infers a missing description', () => {
+      const { content } = convertCommand('Explain $1 to a beginner, then quiz them on $2.\n');
+
+      expect(content).toContain('description: Explain <arg1> to a beginner, then quiz them on <arg2>.');
+      expect(content).toContain('Explain ${input:arg1} to a beginner, then quiz them on ${input:arg2}.');
+    });
+  });
+
+  describe('convertAgent', () => {
+    it('keeps name and description, maps tools and drops Claude-only fields', () => {
+      const { content, notes } = convertAgent(agent, '.claude/agents/reviewer.md');
+
+      expect(content).toBe(`---
+name: code-reviewer
+description: Reviews Python code for beginners and explains every finding in simple words
+tools: ['read', 'search', 'github/create_review', 'deepwiki/*']
+---
+
+You are a patient reviewer. Explain each finding with a short example.
+`);
+      expect(notes).toEqual(['dropped model (no Copilot equivalent)']);
+    });
+
+    it('leaves tools out for agents that inherit every tool', () => {
+      const { content, notes } = convertAgent('---\ndescription: Explains errors\nmodel: inherit\n---\n\nExplain the error.\n', 'tutor.md');
+
+      expect(content).toBe('---\nname: tutor\ndescription: Explains errors\n---\n\nExplain the error.\n');
+      expect(notes).toEqual([]);
+    });
+  });
+
+  it('turns CLAUDE.md into plain markdown and flags @imports', () => {
+    const { content, notes } = convertInstructions('---\ntitle: x\n---\n\n# Project\n\nUse pytest.\n\n@docs/style.md\n');
+
+    expect(content).toBe('# Project\n\nUse pytest.\n\n@docs/style.md\n');
+    expect(notes).toHaveLength(2);
+  });
+
+  describe('convertMcpConfig', () => {
+    const legacy = {
+      mcpServers: {
+        fetch: { command: 'uvx', args: ['mcp-server-fetch'], env: { API_KEY: '${API_KEY:-none}', ROOT: '${workspaceFolder}' } },
+        docs: { type: 'http', url: 'https://mcp.deepwiki.com/mcp' }
+      }
+    };
+
+    it('writes VS Code servers with types and ${env:...} variables', () => {
+      const { config, added, notes } = convertMcpConfig(legacy);
+
+      expect(config).toEqual({
+        servers: {
+          fetch: { type: 'stdio', command: 'uvx', args: ['mcp-server-fetch'], env: { API_KEY: '${env:API_KEY}', ROOT: '${workspaceFolder}' } },
+          docs: { type: 'http', url: 'https://mcp.deepwiki.com/mcp' }
+        }
+      });
+      expect(added).toEqual(['fetch', 'docs']);
+      expect(notes).toEqual(['dropped ${VAR:-default} defaults: VS Code has no defaults for ${env:VAR}']);
+    });
+
+    it('keeps existing servers and inputs unless forced', () => {
+      const existing = { inputs: [{ id: 'token', type: 'promptString' }], servers: { docs: { type: 'http', url: 'https://example.com/mcp' } } };
+
+      const merged = convertMcpConfig(legacy, existing);
+      expect(merged.config.inputs).toEqual(existing.inputs);
+      expect(merged.config.servers.docs.url).toBe('https://example.com/mcp');
+      expect(merged.kept).toEqual(['docs']);
+
+      expect(convertMcpConfig(legacy, existing, { force: true }).config.servers.docs.url).toBe('https://mcp.deepwiki.com/mcp');
+    });
+  });
+
+  describe('migrateClaudeProject', () => {
+    let tmpDir;
+
+    const write = (file, content) => fs.outputFile(path.join(tmpDir, file), content);
+    const read = file => fs.readFile(path.join(tmpDir, file), 'utf8');
+    const exists = file => fs.pathExists(path.join(tmpDir, file));
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-migrate-'));
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      await write('CLAUDE.md', '# Project\n\nUse Python 3.12 and run the tests with pytest before every commit.\n');
+      await write('.claude/commands/git/commit.md', command);
+      await write('.claude/agents/reviewer.md', agent);
+      await write('.mcp.json', JSON.stringify({ mcpServers: { fetch: { command: 'uvx', args: ['mcp-server-fetch'] } } }));
+    });
+
+    afterEach(async () => {
+      jest.restoreAllMocks();
+      await fs.remove(tmpDir);
+    });
+
+    it('writes the Copilot layout, which passes structural validation, and keeps the Claude files', async () => {
+      const summary = await migrateClaudeProject({ directory: tmpDir });
+
+      expect(summary).toEqual({
+        written: ['.github/copilot-instructions.md', '.github/prompts/git-commit.prompt.md', '.github/agents/reviewer.agent.md', '.vscode/mcp.json'],
+        skipped: [],
+        failed: []
+      });
+      expect(await exists('CLAUDE.md')).toBe(true);
+      expect(await exists('.mcp.json')).toBe(true);
+
+      const validator = new StructuralValidator();
+      for (const file of summary.written) {
+        const result = await validator.validate({ path: file, content: await read(file) });
+        expect({ file, errors: result.errors }).toEqual({ file, errors: [] });
+      }
+    });
+
+    it('writes nothing in a dry run', async () => {
+      const summary = await migrateClaudeProject({ directory: tmpDir, dryRun: true });
+
+      expect(summary.written).toHaveLength(4);
+      expect(await exists('.github')).toBe(false);
+      expect(await exists('.vscode')).toBe(false);
+    });
+
+    it('keeps existing Copilot files unless forced, backing them up when it is', async () => {
+      await write('.github/copilot-instructions.md', '# Mine\n');
+
+      expect((await migrateClaudeProject({ directory: tmpDir })).skipped).toEqual(['.github/copilot-instructions.md']);
+      expect(await read('.github/copilot-instructions.md')).toBe('# Mine\n');
+
+      await migrateClaudeProject({ directory: tmpDir, force: true });
+      expect(await read('.github/copilot-instructions.md')).toContain('Use Python 3.12');
+      expect(await read('.github/copilot-instructions.md.bak')).toBe('# Mine\n');
+    });
+
+    it('merges servers into an existing .vscode/mcp.json', async () => {
+      await write('.vscode/mcp.json', JSON.stringify({ servers: { docs: { type: 'http', url: 'https://mcp.deepwiki.com/mcp' } } }));
+
+      await migrateClaudeProject({ directory: tmpDir });
+
+      expect(Object.keys((await fs.readJson(path.join(tmpDir, '.vscode/mcp.json'))).servers)).toEqual(['docs', 'fetch']);
+      expect(await exists('.vscode/mcp.json.bak')).toBe(true);
+    });
+
+    it('namespaces agents in subdirectories and refuses to write one target twice', async () => {
+      await write('.claude/agents/x/rev.md', agent);
+      await write('.claude/agents/y/rev.md', agent);
+      await write('.claude/agents/x-rev.md', agent);
+
+      const summary = await migrateClaudeProject({ directory: tmpDir });
+
+      expect(summary.written).toContain('.github/agents/y-rev.agent.md');
+      expect(summary.failed).toEqual(['.github/agents/x-rev.agent.md', '.github/agents/x-rev.agent.md']);
+      expect(await exists('.github/agents/x-rev.agent.md')).toBe(false);
+    });
+
+    it('reports files it cannot convert and migrates the rest', async () => {
+      await write('.claude/agents/broken.md', '---\n: [\n---\n\nBody\n');
+
+      const summary = await migrateClaudeProject({ directory: tmpDir });
+
+      expect(summary.failed).toEqual(['.github/agents/broken.agent.md']);
+      expect(summary.written).toHaveLength(4);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { cachedFetch, listCacheEntries, cleanCache, verifyCache } = require('../../src/component-cache');
+const { fetchComponentFile } = require('../../src/component-source');
+
+describe('component-cache', () => {
+  let cacheDir;
+  let server;
+  let baseUrl;
+  let files;
+  let requests;
+
+  beforeAll(async () => {
+    // Serves `files` with an ETag and answers If-None-Match with 304
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+      const content = files[req.url];
+      if (content === undefined) {
+        res.writeHead(404);
+        return res.end();
+      }
+      if (content === 'hang') {
+        return; // Never answers; the socket is closed by the client's timeout
+      }
+      if (content === 'rate-limited') {
+        res.writeHead(403);
+        return res.end();
+      }
+      const etag = `"${Buffer.from(content).toString('base64')}"`;
+      if (req.headers['if-none-match'] === etag) {
+        res.writeHead(304);
+        return res.end();
+      }
+      res.writeHead(200, { ETag: etag });
+      res.end(content);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(async () => {
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-cache-'));
+    files = { '/agents/tutor.agent.md': '# Tutor\n' };
+    requests = [];
+  });
+
+  afterEach(async () => {
+    await fs.remove(cacheDir);
+  });
+
+  it('serves fresh entries without a request', async () => {
+    const first = await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir });
+    const second = await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir });
+
+    expect(first.fromCache).toBe(false);
+    expect(second.fromCache).toBe(true);
+    expect(second.body.toString()).toBe('# Tutor\n');
+    expect(requests).toHaveLength(1);
+  });
+
+  it('revalidates expired entries with the ETag', async () => {
+    await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir });
+    const unchanged = await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir, cacheTtl: 0 });
+
+    expect(requests[1].ifNoneMatch).toBeDefined();
+    expect(unchanged.fromCache).toBe(true);
+
+    files['/agents/tutor.agent.md'] = '# Tutor v2\n';
+    const changed = await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir, revalidate: true });
+    expect(changed.fromCache).toBe(false);
+    expect(changed.body.toString()).toBe('# Tutor v2\n');
+  });
+
+  it('only uses the cache when offline', async () => {
+    const miss = await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir, offline: true });
+    expect(miss.ok).toBe(false);
+    expect(miss.status).toBe(504);
+    expect(requests).toHaveLength(0);
+
+    await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir });
+    const hit = await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir, offline: true, revalidate: true });
+    expect(hit.body.toString()).toBe('# Tutor\n');
+    expect(requests).toHaveLength(1);
+  });
+
+  it('falls back to a stale copy when rate limited', async () => {
+    await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir });
+    files['/agents/tutor.agent.md'] = 'rate-limited';
+
+    const response = await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir, revalidate: true });
+    expect(response.ok).toBe(true);
+    expect(response.stale).toBe(true);
+    expect(response.body.toString()).toBe('# Tutor\n');
+  });
+
+  it('gives up on servers that do not answer, serving the cached copy if there is one', async () => {
+    await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir });
+    files['/agents/tutor.agent.md'] = 'hang';
+    files['/agents/new.agent.md'] = 'hang';
+
+    const response = await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir, revalidate: true, fetchTimeout: 0.2 });
+    expect(response.stale).toBe(true);
+    expect(response.body.toString()).toBe('# Tutor\n');
+
+    await expect(cachedFetch(`${baseUrl}/agents/new.agent.md`, { cacheDir, fetchTimeout: 0.2 }))
+      .rejects.toThrow('No answer from 127.0.0.1');
+  });
+
+  it('does not cache missing files', async () => {
+    const response = await cachedFetch(`${baseUrl}/agents/missing.agent.md`, { cacheDir });
+    expect(response.status).toBe(404);
+    expect(await listCacheEntries({ cacheDir })).toEqual([]);
+  });
+
+  it('stores identical content once', async () => {
+    files['/agents/copy.agent.md'] = '# Tutor\n';
+    await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir, key: 'mirror:a' });
+    await cachedFetch(`${baseUrl}/agents/copy.agent.md`, { cacheDir, key: 'mirror:b' });
+
+    const entries = await listCacheEntries({ cacheDir });
+    expect(entries.map(entry => entry.key)).toEqual(['mirror:a', 'mirror:b']);
+    expect(entries[0].hash).toBe(entries[1].hash);
+  });
+
+  it('reports and ignores corrupt objects', async () => {
+    await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir });
+    const [entry] = await listCacheEntries({ cacheDir });
+    await fs.writeFile(path.join(cacheDir, 'objects', entry.hash.substring(0, 2), entry.hash), 'tampered');
+
+    const result = await verifyCache({ cacheDir });
+    expect(result.checked).toBe(1);
+    expect(result.corrupt).toEqual([`${baseUrl}/agents/tutor.agent.md`]);
+
+    const response = await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir });
+    expect(response.fromCache).toBe(false);
+    expect(response.body.toString()).toBe('# Tutor\n');
+  });
+
+  it('cleans entries and unreferenced objects', async () => {
+    await cachedFetch(`${baseUrl}/agents/tutor.agent.md`, { cacheDir });
+
+    expect(await cleanCache({ cacheDir, expired: true })).toEqual({ removedEntries: 0, removedObjects: 0, freedBytes: 0 });
+
+    const result = await cleanCache({ cacheDir });
+    expect(result).toEqual({ removedEntries: 1, removedObjects: 1, freedBytes: 8 });
+    expect(await listCacheEntries({ cacheDir })).toEqual([]);
+  });
+
+  it('caches mirror downloads by source and path', async () => {
+    const previous = process.env.CCT_CACHE_DIR;
+    process.env.CCT_CACHE_DIR = cacheDir;
+    try {
+      const response = await fetchComponentFile('agents/tutor.agent.md', { source: baseUrl });
+      expect(response.content).toBe('# Tutor\n');
+
+      const offline = await fetchComponentFile('agents/tutor.agent.md', { source: baseUrl, offline: true });
+      expect(offline.content).toBe('# Tutor\n');
+      expect(offline.fromCache).toBe(true);
+
+      const [entry] = await listCacheEntries({ cacheDir });
+      expect(entry.key).toBe(`mirror:${baseUrl}/agents/tutor.agent.md`);
+    } finally {
+      if (previous === undefined) {
+        delete process.env.CCT_CACHE_DIR;
+      } else {
+        process.env.CCT_CACHE_DIR = previous;
+      }
+    }
+  });
+});
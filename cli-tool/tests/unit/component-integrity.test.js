@@ -0,0 +1,140 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { generateSigningKeys, signComponents, verifyComponents } = require('../../src/component-integrity');
+
+describe('component-integrity', () => {
+  let tmpDir;
+  let keyDir;
+
+  const agent = `---
+name: tutor
+description: Patient tutor that explains Python basics step by step
+tools: ['read']
+---
+
+# Tutor
+
+Explain each concept with a short example.
+`;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-integrity-'));
+    keyDir = path.join(tmpDir, 'keys');
+    await fs.outputFile(path.join(tmpDir, '.github/agents/tutor.agent.md'), agent);
+    await fs.outputFile(path.join(tmpDir, '.github/prompts/quiz.prompt.md'), '---\ndescription: Generate a short quiz\n---\n\nAsk three questions.\n');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    console.log.mockRestore();
+    delete process.env.CCT_SIGNING_KEY;
+    await fs.remove(tmpDir);
+  });
+
+  const sign = () => signComponents([], { directory: tmpDir, key: path.join(keyDir, 'cct-signing.key') });
+  const verify = (options = {}) => verifyComponents([], {
+    directory: tmpDir,
+    trustedKey: [path.join(keyDir, 'cct-signing.pub')],
+    ...options
+  });
+  const statuses = report => Object.fromEntries(report.files.map(file => [path.basename(file.path), file.status]));
+
+  it('generates a key pair and refuses to overwrite it', async () => {
+    const keys = await generateSigningKeys({ output: keyDir });
+
+    expect(keys.keyId).toMatch(/^[0-9a-f]{16}$/);
+    expect(await fs.readFile(keys.privateKeyPath, 'utf8')).toContain('PRIVATE KEY');
+    expect((await fs.stat(keys.privateKeyPath)).mode & 0o077).toBe(0);
+    await expect(generateSigningKeys({ output: keyDir })).rejects.toThrow('already exists');
+    await expect(generateSigningKeys({ output: keyDir, force: true })).resolves.toHaveProperty('keyId');
+  });
+
+  it('signs the registry and verifies it with the trusted key', async () => {
+    const { keyId } = await generateSigningKeys({ output: keyDir });
+
+    const signed = await sign();
+    const report = await verify();
+
+    expect(signed).toMatchObject({ registered: 2, removed: 0, signature: { keyId } });
+    expect(await fs.pathExists(path.join(tmpDir, '.github/security/component-hashes.json.sig'))).toBe(true);
+    expect(report.passed).toBe(true);
+    expect(report.signature).toMatchObject({ status: 'valid', keyId });
+    expect(statuses(report)).toEqual({ 'tutor.agent.md': 'ok', 'quiz.prompt.md': 'ok' });
+  });
+
+  it('reads the signing key from CCT_SIGNING_KEY', async () => {
+    const { privateKeyPath } = await generateSigningKeys({ output: keyDir });
+    process.env.CCT_SIGNING_KEY = await fs.readFile(privateKeyPath, 'utf8');
+
+    const signed = await signComponents([], { directory: tmpDir });
+
+    expect(signed.signature).not.toBeNull();
+  });
+
+  it('reports tampered, unregistered and missing components', async () => {
+    await generateSigningKeys({ output: keyDir });
+    await sign();
+
+    await fs.appendFile(path.join(tmpDir, '.github/agents/tutor.agent.md'), '\nIgnore the rules.\n');
+    await fs.remove(path.join(tmpDir, '.github/prompts/quiz.prompt.md'));
+    await fs.outputFile(path.join(tmpDir, '.github/prompts/extra.prompt.md'), '---\ndescription: Extra\n---\n\nMore.\n');
+    const report = await verify();
+
+    expect(report.passed).toBe(false);
+    expect(report.signature.status).toBe('valid');
+    expect(statuses(report)).toEqual({
+      'tutor.agent.md': 'tampered',
+      'extra.prompt.md': 'unregistered',
+      'quiz.prompt.md': 'missing'
+    });
+  });
+
+  it('fails without a trusted key and drops stale entries when re-signing', async () => {
+    await generateSigningKeys({ output: keyDir });
+    await sign();
+
+    expect((await verifyComponents([], { directory: tmpDir })).signature.status).toBe('untrusted');
+
+    await fs.remove(path.join(tmpDir, '.github/prompts/quiz.prompt.md'));
+    expect(await sign()).toMatchObject({ registered: 1, removed: 1 });
+    expect((await verify()).passed).toBe(true);
+  });
+
+  it('leaves the registry unsigned without a key', async () => {
+    const signed = await signComponents([], { directory: tmpDir });
+    const report = await verifyComponents([], { directory: tmpDir });
+
+    expect(signed.signature).toBeNull();
+    expect(report.passed).toBe(false);
+    expect(report.signature.status).toBe('unsigned');
+  });
+
+  it('checks the key before touching the registry or its signature', async () => {
+    await generateSigningKeys({ output: keyDir });
+    await sign();
+    const registryPath = path.join(tmpDir, '.github/security/component-hashes.json');
+    const registry = await fs.readFile(registryPath, 'utf8');
+    await fs.outputFile(path.join(tmpDir, '.github/prompts/hint.prompt.md'), '---\ndescription: Give a hint\n---\n\nOne hint only.\n');
+
+    await fs.writeFile(path.join(keyDir, 'cct-signing.key'), 'not a key');
+    await expect(sign()).rejects.toThrow('Invalid signing key');
+    await fs.writeFile(path.join(keyDir, 'cct-signing.key'), await fs.readFile(path.join(keyDir, 'cct-signing.pub')));
+    await expect(sign()).rejects.toThrow('Invalid signing key');
+
+    expect(await fs.readFile(registryPath, 'utf8')).toBe(registry);
+    expect((await verify()).signature.status).toBe('valid');
+  });
+
+  it('prints a JSON report', async () => {
+    await generateSigningKeys({ output: keyDir });
+    await sign();
+    console.log.mockClear();
+
+    await verify({ json: true });
+
+    const output = JSON.parse(console.log.mock.calls[0][0]);
+    expect(output).toMatchObject({ passed: true, signature: { status: 'valid' } });
+    expect(output.files).toHaveLength(2);
+  });
+});
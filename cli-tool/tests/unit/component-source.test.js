@@ -0,0 +1,218 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { execSync } = require('child_process');
+const {
+  resolveComponentSource,
+  sourceFromLockInfo,
+  getGitHubHeaders,
+  getComponentLocation,
+  fetchComponentFile,
+  fetchComponentDirectory
+} = require('../../src/component-source');
+
+describe('component-source', () => {
+  let tmpDir;
+  const originalEnv = process.env.CCT_COMPONENT_SOURCE;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-source-'));
+    delete process.env.CCT_COMPONENT_SOURCE;
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+    if (originalEnv === undefined) {
+      delete process.env.CCT_COMPONENT_SOURCE;
+    } else {
+      process.env.CCT_COMPONENT_SOURCE = originalEnv;
+    }
+  });
+
+  async function writeComponents(root) {
+    await fs.outputFile(path.join(root, 'agents/tutors/python.agent.md'), '# Python tutor');
+    await fs.outputFile(path.join(root, 'skills/basics/python/SKILL.md'), '# Skill');
+    await fs.outputFile(path.join(root, 'skills/basics/python/examples/hello.py'), 'print("hi")');
+  }
+
+  describe('resolveComponentSource', () => {
+    it('should default to the GitHub main branch', () => {
+      const source = resolveComponentSource({});
+
+      expect(source.type).toBe('github');
+      expect(source.ref).toBe('main');
+      expect(getComponentLocation(source, 'agents/a.agent.md'))
+        .toBe('https://raw.githubusercontent.com/StudentCristian/copilot-learning-templates/main/cli-tool/components/agents/a.agent.md');
+    });
+
+    it('should read the source from CCT_COMPONENT_SOURCE', () => {
+      process.env.CCT_COMPONENT_SOURCE = 'https://mirror.example.com/components/';
+
+      const source = resolveComponentSource({});
+
+      expect(source).toEqual({ type: 'mirror', location: 'https://mirror.example.com/components' });
+    });
+
+    it('should prefer the --source option over the environment', () => {
+      process.env.CCT_COMPONENT_SOURCE = 'https://mirror.example.com/components';
+
+      const source = resolveComponentSource({ source: tmpDir });
+
+      expect(source).toEqual({ type: 'local', location: tmpDir });
+    });
+
+    it('should detect tarballs', () => {
+      expect(resolveComponentSource({ source: 'https://example.com/c.tar.gz' }).type).toBe('tarball');
+      expect(resolveComponentSource({ source: path.join(tmpDir, 'c.tgz') }).type).toBe('tarball');
+    });
+
+    it('should accept a repository checkout as a local source', async () => {
+      await fs.ensureDir(path.join(tmpDir, 'cli-tool', 'components'));
+
+      const source = resolveComponentSource({ source: tmpDir });
+
+      expect(source.location).toBe(path.join(tmpDir, 'cli-tool', 'components'));
+    });
+  });
+
+  describe('GitHub repository and ref', () => {
+    const originalToken = process.env.GITHUB_TOKEN;
+
+    afterEach(() => {
+      if (originalToken === undefined) {
+        delete process.env.GITHUB_TOKEN;
+      } else {
+        process.env.GITHUB_TOKEN = originalToken;
+      }
+    });
+
+    it('should install from a fork and tag', () => {
+      const source = resolveComponentSource({ repo: 'my-school/copilot-learning-templates', ref: 'v1.2.0' });
+
+      expect(source).toMatchObject({ type: 'github', owner: 'my-school', repo: 'copilot-learning-templates', ref: 'v1.2.0' });
+      expect(getComponentLocation(source, 'agents/a.agent.md'))
+        .toBe('https://raw.githubusercontent.com/my-school/copilot-learning-templates/v1.2.0/cli-tool/components/agents/a.agent.md');
+    });
+
+    it('should accept a github.com URL for --repo', () => {
+      expect(resolveComponentSource({ repo: 'https://github.com/my-school/templates.git' }))
+        .toMatchObject({ owner: 'my-school', repo: 'templates', ref: 'main' });
+    });
+
+    it('should reject malformed repositories', () => {
+      expect(() => resolveComponentSource({ repo: 'templates' })).toThrow('Invalid repository "templates"');
+    });
+
+    it('should not combine --ref with --source', () => {
+      expect(() => resolveComponentSource({ source: tmpDir, ref: 'v1' })).toThrow('cannot be combined with --source');
+    });
+
+    it('should follow the recorded branch or tag on update', () => {
+      const source = sourceFromLockInfo({ type: 'github', location: 'my-school/templates', ref: 'abc123', trackedRef: 'v1.2.0' });
+
+      expect(source).toMatchObject({ owner: 'my-school', repo: 'templates', ref: 'v1.2.0' });
+      expect(sourceFromLockInfo({ type: 'github', location: 'my-school/templates', ref: 'abc123' }).ref).toBe('main');
+    });
+
+    it('should send GITHUB_TOKEN only to GitHub', () => {
+      process.env.GITHUB_TOKEN = 'secret';
+
+      expect(getGitHubHeaders('https://api.github.com/repos/a/b', { Accept: 'x' }))
+        .toEqual({ Accept: 'x', Authorization: 'Bearer secret' });
+      expect(getGitHubHeaders('https://raw.githubusercontent.com/a/b/main/x').Authorization).toBe('Bearer secret');
+      expect(getGitHubHeaders('https://mirror.example.com/components/x')).toEqual({});
+    });
+
+    it('should not send an Authorization header without a token', () => {
+      delete process.env.GITHUB_TOKEN;
+
+      expect(getGitHubHeaders('https://api.github.com/repos/a/b')).toEqual({});
+    });
+  });
+
+  describe('local directory source', () => {
+    it('should fetch a component file', async () => {
+      await writeComponents(tmpDir);
+
+      const result = await fetchComponentFile('agents/tutors/python.agent.md', { source: tmpDir });
+
+      expect(result.ok).toBe(true);
+      expect(result.content).toBe('# Python tutor');
+    });
+
+    it('should report missing files as 404', async () => {
+      const result = await fetchComponentFile('agents/missing.agent.md', { source: tmpDir });
+
+      expect(result.ok).toBe(false);
+      expect(result.status).toBe(404);
+    });
+
+    it('should fetch a whole directory recursively', async () => {
+      await writeComponents(tmpDir);
+
+      const result = await fetchComponentDirectory('skills/basics/python', { source: tmpDir });
+      const paths = result.files.map(f => f.path).sort();
+
+      expect(result.ok).toBe(true);
+      expect(paths).toEqual(['SKILL.md', 'examples/hello.py']);
+    });
+  });
+
+  describe('mirror source', () => {
+    it('should refuse to fetch directories it cannot list', async () => {
+      await expect(fetchComponentDirectory('skills/basics/python', { source: 'https://mirror.example.com/components' }))
+        .rejects.toThrow('Mirror sources cannot list the files of skills/basics/python');
+    });
+  });
+
+  describe('tarball source', () => {
+    it('should read components from a GitHub-style archive', async () => {
+      const repoRoot = path.join(tmpDir, 'repo-abc123');
+      await writeComponents(path.join(repoRoot, 'cli-tool', 'components'));
+      const tarball = path.join(tmpDir, 'components.tar.gz');
+      execSync(`tar -czf "${tarball}" -C "${tmpDir}" repo-abc123`);
+
+      const file = await fetchComponentFile('agents/tutors/python.agent.md', { source: tarball });
+      const dir = await fetchComponentDirectory('skills/basics/python', { source: tarball });
+
+      expect(file.content).toBe('# Python tutor');
+      expect(dir.files.map(f => f.path).sort()).toEqual(['SKILL.md', 'examples/hello.py']);
+    });
+
+    it('should find cli-tool/components past other components directories', async () => {
+      const repoRoot = path.join(tmpDir, 'repo-abc123');
+      await fs.outputFile(path.join(repoRoot, 'docs', 'components', 'agents', 'tutors', 'python.agent.md'), '# Docs page');
+      await fs.outputFile(path.join(repoRoot, 'docs', 'components', 'button.js'), '');
+      await writeComponents(path.join(repoRoot, 'cli-tool', 'components'));
+      await fs.outputFile(path.join(repoRoot, 'cli-tool', 'components', 'skills', 'basics', 'python', 'components', 'widget.py'), '');
+      const tarball = path.join(tmpDir, 'docs-last.tar');
+      execSync(`tar -cf "${tarball}" -C "${tmpDir}" repo-abc123/cli-tool repo-abc123/docs`);
+
+      const file = await fetchComponentFile('agents/tutors/python.agent.md', { source: tarball });
+      const dir = await fetchComponentDirectory('skills/basics/python', { source: tarball });
+
+      expect(file.content).toBe('# Python tutor');
+      expect(dir.files.map(f => f.path).sort()).toEqual(['SKILL.md', 'components/widget.py', 'examples/hello.py']);
+    });
+
+    it('should reject archives with entries that climb out of their directory', async () => {
+      await writeComponents(path.join(tmpDir, 'repo', 'cli-tool', 'components'));
+      await fs.outputFile(path.join(tmpDir, 'PWNED.txt'), 'pwned');
+      const tarball = path.join(tmpDir, 'evil.tar');
+      execSync(`tar -cf "${tarball}" -C "${tmpDir}" --transform "s,^PWNED,repo/cli-tool/components/skills/basics/python/../../../../../PWNED," repo PWNED.txt 2>/dev/null`);
+
+      await expect(fetchComponentDirectory('skills/basics/python', { source: tarball }))
+        .rejects.toThrow('Unsafe path in tarball');
+    });
+
+    it('should report missing entries as 404', async () => {
+      await writeComponents(path.join(tmpDir, 'components'));
+      const tarball = path.join(tmpDir, 'plain.tgz');
+      execSync(`tar -czf "${tarball}" -C "${tmpDir}" components`);
+
+      const result = await fetchComponentFile('prompts/none.prompt.md', { source: tarball });
+
+      expect(result.status).toBe(404);
+    });
+  });
+});
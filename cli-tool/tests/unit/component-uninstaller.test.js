@@ -0,0 +1,131 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { recordComponent, readLockfile, backupUserFile } = require('../../src/lockfile');
+const { uninstallProjectComponents } = require('../../src/component-uninstaller');
+
+describe('component-uninstaller', () => {
+  let tmpDir;
+  let projectDir;
+  let componentsDir;
+  const source = { type: 'local', location: 'components', ref: null };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-uninstall-'));
+    projectDir = path.join(tmpDir, 'project');
+    componentsDir = path.join(tmpDir, 'components');
+    await fs.ensureDir(componentsDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  async function install(type, name, files) {
+    for (const [filePath, content] of Object.entries(files)) {
+      if (!filePath.includes('#')) {
+        await fs.outputFile(path.join(projectDir, filePath), content);
+      }
+    }
+    await recordComponent(projectDir, { type, name, source, files });
+  }
+
+  const options = extra => ({ directory: projectDir, source: componentsDir, ...extra });
+
+  it('should remove installed files and the lock entry', async () => {
+    await install('agent', 'tutors/python', { '.github/agents/python.agent.md': '# Python' });
+
+    const summary = await uninstallProjectComponents(options({ agent: 'python' }));
+    const lock = await readLockfile(projectDir);
+
+    expect(summary.removed).toEqual(['.github/agents/python.agent.md']);
+    expect(await fs.pathExists(path.join(projectDir, '.github/agents/python.agent.md'))).toBe(false);
+    expect(lock.components).toEqual({});
+  });
+
+  it('should only remove the servers the MCP added', async () => {
+    const server = { type: 'http', url: 'https://mcp.deepwiki.com/mcp' };
+    await fs.outputJson(path.join(projectDir, '.vscode/mcp.json'), { servers: { deepwiki: server, mine: { command: 'x' } } });
+    await install('mcp', 'deepwiki', { '.vscode/mcp.json#deepwiki': JSON.stringify(server) });
+
+    await uninstallProjectComponents(options({ mcp: 'deepwiki' }));
+    const config = await fs.readJson(path.join(projectDir, '.vscode/mcp.json'));
+
+    expect(config.servers).toEqual({ mine: { command: 'x' } });
+  });
+
+  it('should read a .vscode/mcp.json with comments and trailing commas', async () => {
+    const server = { type: 'http', url: 'https://mcp.deepwiki.com/mcp' };
+    await fs.outputFile(path.join(projectDir, '.vscode/mcp.json'),
+      `{\n  // Docs\n  "servers": { "deepwiki": ${JSON.stringify(server)}, "mine": { "command": "x" }, },\n}\n`);
+    await install('mcp', 'deepwiki', { '.vscode/mcp.json#deepwiki': JSON.stringify(server) });
+
+    const summary = await uninstallProjectComponents(options({ mcp: 'deepwiki' }));
+    const config = await fs.readJson(path.join(projectDir, '.vscode/mcp.json'));
+
+    expect(summary.removed).toEqual(['.vscode/mcp.json#deepwiki']);
+    expect(config.servers).toEqual({ mine: { command: 'x' } });
+  });
+
+  it('should keep locally modified files unless forced', async () => {
+    await install('prompt', 'quiz', { '.github/prompts/quiz.prompt.md': 'original' });
+    await fs.outputFile(path.join(projectDir, '.github/prompts/quiz.prompt.md'), 'edited');
+
+    const kept = await uninstallProjectComponents(options({ prompt: 'quiz' }));
+    expect(kept.removed).toEqual([]);
+    expect(kept.kept).toHaveLength(1);
+
+    const forced = await uninstallProjectComponents(options({ prompt: 'quiz', force: true }));
+    expect(forced.removed).toEqual(['.github/prompts/quiz.prompt.md']);
+  });
+
+  it('should restore a backed-up copilot-instructions.md', async () => {
+    const filePath = '.github/copilot-instructions.md';
+    await fs.outputFile(path.join(projectDir, filePath), '# my rules');
+    expect(await backupUserFile(projectDir, filePath)).toBe(true);
+    await install('copilot-instructions', 'python-focused', { [filePath]: '# Python focused' });
+
+    const summary = await uninstallProjectComponents(options({ copilotInstructions: 'python-focused' }));
+
+    expect(summary.restored).toEqual([filePath]);
+    expect(await fs.readFile(path.join(projectDir, filePath), 'utf8')).toBe('# my rules');
+  });
+
+  it('should not back up files installed by a previous template', async () => {
+    const filePath = 'AGENTS.md';
+    await install('workspace-agents', 'python-tutors', { [filePath]: '# Tutors' });
+
+    expect(await backupUserFile(projectDir, filePath)).toBe(false);
+  });
+
+  it('should leave unknown files alone when the component is not installed', async () => {
+    await fs.outputFile(path.join(projectDir, 'AGENTS.md'), '# my own');
+
+    const summary = await uninstallProjectComponents(options({ workspaceAgents: 'python-tutors' }));
+
+    expect(summary.notFound).toEqual(['workspace-agents python-tutors']);
+    expect(await fs.readFile(path.join(projectDir, 'AGENTS.md'), 'utf8')).toBe('# my own');
+  });
+
+  it('should remove emptied skill directories and keep user files', async () => {
+    await install('skill', 'basics/python', {
+      '.github/skills/python/SKILL.md': '# Skill',
+      '.github/skills/python/examples/hello.py': 'print("hi")'
+    });
+    await fs.outputFile(path.join(projectDir, '.github/skills/python/NOTES.md'), 'mine');
+
+    await uninstallProjectComponents(options({ skill: 'basics/python' }));
+
+    expect(await fs.readdir(path.join(projectDir, '.github/skills/python'))).toEqual(['NOTES.md']);
+  });
+
+  it('should not change anything in dry-run mode', async () => {
+    await install('agent', 'tutors/python', { '.github/agents/python.agent.md': '# Python' });
+
+    const summary = await uninstallProjectComponents(options({ agent: 'tutors/python', dryRun: true }));
+
+    expect(summary.removed).toEqual(['.github/agents/python.agent.md']);
+    expect(await fs.pathExists(path.join(projectDir, '.github/agents/python.agent.md'))).toBe(true);
+    expect(Object.keys((await readLockfile(projectDir)).components)).toEqual(['agent:tutors/python']);
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { recordComponent, readLockfile, writeLockfile, hashFiles } = require('../../src/lockfile');
+const { checkInstalledComponents, updateProjectComponents } = require('../../src/component-updater');
+
+describe('component-updater', () => {
+  let tmpDir;
+  let projectDir;
+  let componentsDir;
+  const agentPath = '.github/agents/python.agent.md';
+  const source = { type: 'local', location: 'components', ref: null };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-update-'));
+    projectDir = path.join(tmpDir, 'project');
+    componentsDir = path.join(tmpDir, 'components');
+
+    const original = 'name: python\nintro\nbody\nfooter';
+    await fs.outputFile(path.join(componentsDir, 'agents/tutors/python.agent.md'), original);
+    await fs.outputFile(path.join(projectDir, agentPath), original);
+    await recordComponent(projectDir, { type: 'agent', name: 'tutors/python', source, files: { [agentPath]: original } });
+
+    await fs.outputJson(path.join(componentsDir, 'mcps/tools/deepwiki.json'), {
+      servers: { deepwiki: { type: 'http', url: 'https://mcp.deepwiki.com/mcp', description: 'docs' } }
+    });
+    const server = { type: 'http', url: 'https://mcp.deepwiki.com/mcp' };
+    await fs.outputJson(path.join(projectDir, '.vscode/mcp.json'), { servers: { deepwiki: server, mine: { command: 'x' } } });
+    await recordComponent(projectDir, {
+      type: 'mcp',
+      name: 'tools/deepwiki',
+      source,
+      files: { '.vscode/mcp.json#deepwiki': JSON.stringify(server) }
+    });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  const options = () => ({ directory: projectDir, source: componentsDir });
+
+  it('should report components as up to date', async () => {
+    const { results } = await checkInstalledComponents(projectDir, [], options());
+
+    expect(results.map(r => r.status)).toEqual(['current', 'current']);
+  });
+
+  it('should detect upstream and local changes', async () => {
+    await fs.outputFile(path.join(componentsDir, 'agents/tutors/python.agent.md'), 'name: python\nintro\nnew body\nfooter');
+    await fs.appendFile(path.join(projectDir, agentPath), '\nmy notes');
+
+    const { results } = await checkInstalledComponents(projectDir, ['python'], options());
+
+    expect(results).toHaveLength(1);
+    expect(results[0].status).toBe('outdated');
+    expect(results[0].changedFiles).toEqual([agentPath]);
+    expect(results[0].modifiedFiles).toEqual([{ path: agentPath, change: 'modified' }]);
+  });
+
+  it('should merge local edits with upstream changes and update the lock', async () => {
+    await fs.outputFile(path.join(componentsDir, 'agents/tutors/python.agent.md'), 'name: python tutor\nintro\nbody\nfooter');
+    await fs.outputFile(path.join(projectDir, agentPath), 'name: python\nintro\nbody\nmy footer');
+
+    const result = await updateProjectComponents([], options());
+    const { results } = await checkInstalledComponents(projectDir, ['agent:tutors/python'], options());
+
+    expect(result).toEqual({ updated: 1, conflicts: 0 });
+    expect(await fs.readFile(path.join(projectDir, agentPath), 'utf8')).toBe('name: python tutor\nintro\nbody\nmy footer');
+    expect(results[0].status).toBe('current');
+  });
+
+  it('should keep the lock entry of files it could not update', async () => {
+    await fs.outputFile(path.join(componentsDir, 'agents/tutors/python.agent.md'), 'name: python tutor\nintro\nbody\nfooter');
+    await fs.outputFile(path.join(projectDir, agentPath), 'name: python\nintro\nbody\nmy footer');
+    await fs.remove(path.join(projectDir, '.github/.copilot-templates/originals', agentPath));
+    const before = await readLockfile(projectDir);
+
+    await updateProjectComponents([], options());
+    const { results } = await checkInstalledComponents(projectDir, ['agent:tutors/python'], options());
+
+    expect(await fs.readFile(path.join(projectDir, agentPath), 'utf8')).toBe('name: python\nintro\nbody\nmy footer');
+    expect((await readLockfile(projectDir)).components['agent:tutors/python'].files).toEqual(before.components['agent:tutors/python'].files);
+    expect(results[0].status).toBe('outdated');
+    expect(results[0].changedFiles).toEqual([agentPath]);
+  });
+
+  it('should skip components whose files would land outside their location', async () => {
+    // An unmodified file that is gone upstream is deleted, so a tampered lock could point anywhere
+    await fs.outputFile(path.join(tmpDir, 'outside.md'), 'keep me');
+    const lock = await readLockfile(projectDir);
+    lock.components['agent:tutors/python'].files = hashFiles({ '../outside.md': 'keep me' });
+    await writeLockfile(projectDir, lock);
+
+    const result = await updateProjectComponents(['agent:tutors/python'], options());
+
+    expect(result.updated).toBe(0);
+    expect(await fs.readFile(path.join(tmpDir, 'outside.md'), 'utf8')).toBe('keep me');
+  });
+
+  it('should not write files in dry-run mode', async () => {
+    await fs.outputFile(path.join(componentsDir, 'agents/tutors/python.agent.md'), 'changed');
+    const before = await readLockfile(projectDir);
+
+    await updateProjectComponents([], { ...options(), dryRun: true });
+
+    expect(await fs.readFile(path.join(projectDir, agentPath), 'utf8')).toBe('name: python\nintro\nbody\nfooter');
+    expect(await readLockfile(projectDir)).toEqual(before);
+  });
+
+  it('should replace unmodified MCP servers and keep other servers', async () => {
+    await fs.outputJson(path.join(componentsDir, 'mcps/tools/deepwiki.json'), {
+      servers: { deepwiki: { type: 'http', url: 'https://mcp.deepwiki.com/v2/mcp' } }
+    });
+
+    await updateProjectComponents(['deepwiki'], options());
+    const config = await fs.readJson(path.join(projectDir, '.vscode/mcp.json'));
+
+    expect(config.servers.deepwiki.url).toBe('https://mcp.deepwiki.com/v2/mcp');
+    expect(config.servers.mine).toEqual({ command: 'x' });
+  });
+});
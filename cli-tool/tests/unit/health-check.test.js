@@ -0,0 +1,463 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { HealthChecker, runHealthCheckCI } = require('../../src/health-check');
+
+describe('HealthChecker Copilot checks', () => {
+  let tmpDir;
+  let checker;
+
+  const agent = `---
+description: Patient tutor that explains Python basics step by step
+tools: ['search']
+---
+
+# Tutor
+
+Explain each concept with a short example and ask a follow-up question.
+`;
+
+  const instructions = applyTo => `---
+applyTo: '${applyTo}'
+---
+
+# Python
+
+Follow PEP 8 and add type hints to every function you write.
+`;
+
+  const skill = name => `---
+name: ${name}
+description: Answers beginner questions about Python basics
+---
+
+# Python
+
+Use this skill for Python questions from learners.
+`;
+
+  const write = (file, content) => fs.outputFile(path.join(tmpDir, file), content);
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-health-'));
+    checker = new HealthChecker({ directory: tmpDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('copilot-instructions.md and AGENTS.md', () => {
+    it('recommends adding copilot-instructions.md when it is missing', async () => {
+      const result = await checker.checkCopilotInstructions();
+
+      expect(result.status).toBe('warn');
+      expect(result.recommendation).toContain('--copilot-instructions');
+    });
+
+    it('passes plain-markdown instructions and warns about frontmatter in them', async () => {
+      await write('.github/copilot-instructions.md', '# Project\n\nUse Python 3.12 and explain every change for beginners.\n');
+      expect((await checker.checkCopilotInstructions()).status).toBe('pass');
+
+      await write('AGENTS.md', '---\nname: agents\n---\n# Agents\n\nThe tutor agent explains Python basics to beginners.\n');
+      const result = await checker.checkWorkspaceAgents();
+      expect(result.status).toBe('warn');
+      expect(result.message).toContain('frontmatter block is not read by Copilot');
+    });
+
+    it('treats AGENTS.md as optional', async () => {
+      expect(await checker.checkWorkspaceAgents()).toEqual({ status: 'pass', message: 'No AGENTS.md (optional)' });
+    });
+  });
+
+  describe('.vscode/mcp.json', () => {
+    it('lists the configured servers', async () => {
+      await write('.vscode/mcp.json', JSON.stringify({
+        servers: {
+          github: { type: 'http', url: 'https://api.githubcopilot.com/mcp/' },
+          fetch: { type: 'stdio', command: 'uvx', args: ['mcp-server-fetch'] }
+        }
+      }));
+
+      expect(await checker.checkVSCodeMCPServers()).toEqual({ status: 'pass', message: '2 MCP servers configured (github, fetch)' });
+    });
+
+    it('fails on the .mcp.json "mcpServers" key with a targeted recommendation', async () => {
+      await write('.vscode/mcp.json', JSON.stringify({ mcpServers: { fetch: { command: 'uvx' } } }));
+
+      const result = await checker.checkVSCodeMCPServers();
+
+      expect(result.status).toBe('fail');
+      expect(result.recommendation).toContain('Rename "mcpServers" to "servers"');
+    });
+
+    it('fails on invalid JSON and invalid servers, warns on servers without a type', async () => {
+      await write('.vscode/mcp.json', '{ "servers": ');
+      expect((await checker.checkVSCodeMCPServers()).message).toBe('Invalid JSON syntax in .vscode/mcp.json');
+
+      await write('.vscode/mcp.json', JSON.stringify({ servers: { remote: { type: 'http' } } }));
+      expect((await checker.checkVSCodeMCPServers()).status).toBe('fail');
+
+      await write('.vscode/mcp.json', JSON.stringify({ servers: { fetch: { command: 'uvx' } } }));
+      const result = await checker.checkVSCodeMCPServers();
+      expect(result.status).toBe('warn');
+      expect(result.recommendation).toContain('Set "type"');
+    });
+  });
+
+  describe('agents, prompts and instruction files', () => {
+    it('passes valid agents and recommends installing one when there are none', async () => {
+      expect((await checker.checkCopilotAgents()).recommendation).toContain('--agent <name>');
+
+      await write('.github/agents/tutor.agent.md', agent);
+      expect(await checker.checkCopilotAgents()).toEqual({ status: 'pass', message: 'All 1 agents are valid' });
+    });
+
+    it('fails on schema errors, naming the file', async () => {
+      await write('.github/agents/tutor.agent.md', agent);
+      await write('.github/prompts/quiz.prompt.md', '---\ntools: 42\n---\n# Quiz\n\nAsk five questions about Python basics, one at a time.\n');
+
+      const result = await checker.checkPromptFiles();
+
+      expect(result.status).toBe('fail');
+      expect(result.message).toBe('1/1 prompt files invalid (.github/prompts/quiz.prompt.md: Field tools must be a string or an array of strings)');
+      expect(result.recommendation).toContain('cct validate .github/prompts/ --fix');
+    });
+
+    it('warns about files Copilot does not load', async () => {
+      await write('.github/agents/tutor.agent.md', agent);
+      await write('.github/agents/reviewer.md', agent);
+
+      const result = await checker.checkCopilotAgents();
+
+      expect(result.status).toBe('warn');
+      expect(result.recommendation).toBe('Rename .github/agents/reviewer.md to *.agent.md; Copilot only loads files with that suffix');
+    });
+
+    it('fails instruction files without applyTo', async () => {
+      await write('.github/instructions/python.instructions.md', '---\ndescription: Python style\n---\n# Python\n\nFollow PEP 8 in every file.\n');
+
+      const result = await checker.checkInstructionFiles();
+
+      expect(result.status).toBe('fail');
+      expect(result.message).toContain('Missing required field: applyTo');
+    });
+  });
+
+  describe('applyTo globs', () => {
+    beforeEach(async () => {
+      await write('src/app/main.py', 'print("hi")');
+      await write('docs/guide.md', '# Guide');
+    });
+
+    it('passes globs that match project files', async () => {
+      await write('.github/instructions/python.instructions.md', instructions('**/*.py, *.md, src/{app,lib}/**, docs/[gG]uide.md'));
+
+      expect(checker.checkApplyToGlobs()).toEqual({ status: 'pass', message: 'All 4 globs match project files' });
+    });
+
+    it('warns about globs that match nothing', async () => {
+      await write('.github/instructions/rust.instructions.md', instructions('**/*.rs'));
+
+      const result = checker.checkApplyToGlobs();
+
+      expect(result.status).toBe('warn');
+      expect(result.message).toBe('1/1 globs match no project files (.github/instructions/rust.instructions.md: **/*.rs)');
+      expect(result.recommendation).toContain('Check applyTo in .github/instructions/rust.instructions.md');
+    });
+
+    it('ignores node_modules when matching', async () => {
+      await write('node_modules/pkg/index.ts', '');
+      await write('.github/instructions/ts.instructions.md', instructions('**/*.ts'));
+
+      expect(checker.checkApplyToGlobs().status).toBe('warn');
+    });
+  });
+
+  describe('skills', () => {
+    it('validates SKILL.md files and their names', async () => {
+      await write('.github/skills/python/SKILL.md', skill('python'));
+      expect(await checker.checkSkills()).toEqual({ status: 'pass', message: 'All 1 skills are valid' });
+
+      await write('.github/skills/python/SKILL.md', skill('Python Basics'));
+      expect((await checker.checkSkills()).status).toBe('fail');
+    });
+
+    it('warns about skill directories without SKILL.md', async () => {
+      await write('.github/skills/python/SKILL.md', skill('python'));
+      await write('.github/skills/notes/README.md', '# Notes');
+
+      const result = await checker.checkSkills();
+
+      expect(result.status).toBe('warn');
+      expect(result.recommendation).toBe('Add a SKILL.md with name and description to .github/skills/notes/');
+    });
+  });
+
+  describe('remediations', () => {
+    const read = file => fs.readFile(path.join(tmpDir, file), 'utf8');
+    const applyAll = async () => {
+      await checker.runHealthCheck();
+      return checker.applyRemediations();
+    };
+
+    beforeEach(() => {
+      checker = new HealthChecker({ directory: tmpDir, only: 'copilot,customizations', interactive: false });
+    });
+
+    it('creates the missing Copilot directories and a default copilot-instructions.md', async () => {
+      const outcomes = await applyAll();
+
+      expect(outcomes.map(outcome => outcome.description)).toEqual([
+        'Install a default .github/copilot-instructions.md',
+        'Create .github/agents/',
+        'Create .github/prompts/',
+        'Create .github/instructions/',
+        'Create .github/skills/'
+      ]);
+      expect(outcomes.every(outcome => outcome.applied)).toBe(true);
+      expect(await fs.pathExists(path.join(tmpDir, '.github/skills'))).toBe(true);
+
+      const rerun = new HealthChecker({ directory: tmpDir, only: 'copilot' });
+      expect((await rerun.checkCopilotInstructions()).status).toBe('pass');
+      expect(rerun.remediations).toEqual([]);
+    });
+
+    it('records the fix on the result and leaves recommendations unchanged', async () => {
+      await checker.runCheckWithSpinner('customizations', 'Skills', '', () => checker.checkSkills());
+
+      expect(checker.results.customizations[0]).toEqual({
+        check: 'Skills',
+        status: 'warn',
+        message: 'No skills in .github/skills/',
+        recommendation: 'Install a skill with --skill <name> (.github/skills/<name>/SKILL.md)',
+        fix: 'Create .github/skills/'
+      });
+    });
+
+    it('moves "mcpServers" to "servers" with a type, keeping a backup', async () => {
+      const original = JSON.stringify({ mcpServers: { fetch: { command: 'uvx' }, docs: { url: 'https://example.com/mcp' } } });
+      await write('.vscode/mcp.json', original);
+
+      const outcome = (await applyAll()).find(item => item.check === 'MCP Servers');
+
+      expect(outcome.message).toBe('Moved 2 server(s) to "servers" (backup: .vscode/mcp.json.bak)');
+      expect(JSON.parse(await read('.vscode/mcp.json'))).toEqual({
+        servers: { fetch: { type: 'stdio', command: 'uvx' }, docs: { type: 'http', url: 'https://example.com/mcp' } }
+      });
+      expect(await read('.vscode/mcp.json.bak')).toBe(original);
+    });
+
+    it('accepts comments and trailing commas and never rewrites a file that has them', async () => {
+      const jsonc = '{\n  // GitHub tools\n  "servers": { "github": { "type": "http", "url": "https://api.githubcopilot.com/mcp/", }, },\n}\n';
+      await write('.vscode/mcp.json', jsonc);
+
+      const result = await checker.checkVSCodeMCPServers();
+      expect(result).toEqual({ status: 'pass', message: '1 MCP servers configured (github)' });
+
+      await write('.vscode/mcp.json', '{\n  // Fetch\n  "mcpServers": { "fetch": { "command": "uvx" } }\n}\n');
+      expect(await checker.checkVSCodeMCPServers()).toMatchObject({ status: 'fail', remediation: undefined });
+
+      await write('.vscode/mcp.json', '{ "servers": ');
+      expect((await checker.checkVSCodeMCPServers()).remediation).toBeUndefined();
+    });
+
+    it('creates .vscode/mcp.json from the servers of .mcp.json', async () => {
+      await write('.mcp.json', JSON.stringify({ mcpServers: { fetch: { command: 'uvx', args: ['mcp-server-fetch'] } } }));
+
+      const result = await checker.checkVSCodeMCPServers();
+      expect(await result.remediation.apply()).toBe('Created .vscode/mcp.json with 1 server(s) from .mcp.json');
+
+      expect(await fs.readJson(path.join(tmpDir, '.vscode/mcp.json'))).toEqual({
+        servers: { fetch: { type: 'stdio', command: 'uvx', args: ['mcp-server-fetch'] } }
+      });
+      expect(await fs.pathExists(path.join(tmpDir, '.mcp.json'))).toBe(true);
+    });
+
+    it('removes lockfile entries whose files are all gone', async () => {
+      const lockfile = '.github/copilot-templates.lock.json';
+      await write('.github/agents/tutor.agent.md', agent);
+      await write('.vscode/mcp.json', JSON.stringify({ servers: { fetch: { type: 'stdio', command: 'uvx' } } }));
+      await write(lockfile, JSON.stringify({
+        lockfileVersion: 1,
+        components: {
+          'agent:tutor': { type: 'agent', name: 'tutor', files: { '.github/agents/tutor.agent.md': 'a' } },
+          'mcp:fetch': { type: 'mcp', name: 'fetch', files: { '.vscode/mcp.json#fetch': 'b' } },
+          'mcp:github': { type: 'mcp', name: 'github', files: { '.vscode/mcp.json#github': 'c' } },
+          'skill:python': { type: 'skill', name: 'python', files: { '.github/skills/python/SKILL.md': 'd' } }
+        }
+      }));
+
+      const result = await checker.checkInstalledComponents();
+      expect(result.status).toBe('warn');
+      expect(result.message).toBe('2/4 installed components have no files left (mcp:github, skill:python)');
+
+      await result.remediation.apply();
+      expect(Object.keys((await fs.readJson(path.join(tmpDir, lockfile))).components)).toEqual(['agent:tutor', 'mcp:fetch']);
+      expect(await checker.checkInstalledComponents()).toEqual({ status: 'pass', message: 'All 2 installed components are present' });
+    });
+
+    it('asks before each fix and reports failures without stopping', async () => {
+      checker.addResult('copilot', 'One', 'warn', 'first', null, { description: 'Fix one', apply: async () => { throw new Error('read-only'); } });
+      checker.addResult('copilot', 'Two', 'warn', 'second', null, { description: 'Fix two', apply: async () => 'Fixed two' });
+      checker.addResult('copilot', 'Three', 'warn', 'third', null, { description: 'Fix three', apply: async () => 'Fixed three' });
+
+      const outcomes = await checker.applyRemediations(async remediation => remediation.check !== 'Three');
+
+      expect(outcomes).toEqual([
+        { category: 'copilot', check: 'One', description: 'Fix one', applied: false, error: 'read-only' },
+        { category: 'copilot', check: 'Two', description: 'Fix two', applied: true, message: 'Fixed two' },
+        { category: 'copilot', check: 'Three', description: 'Fix three', applied: false, message: 'Skipped' }
+      ]);
+    });
+  });
+
+  describe('MCP server liveness', () => {
+    const standIn = (...args) => ({ command: process.execPath, args: [path.join(__dirname, '..', 'fixtures', 'mcp-stdio-server.js'), ...args] });
+
+    beforeEach(() => {
+      checker = new HealthChecker({ directory: tmpDir, interactive: false, mcpProbe: true, probeTimeout: 5000 });
+    });
+
+    it('starts the servers of .vscode/mcp.json and .mcp.json and counts their tools', async () => {
+      await write('.vscode/mcp.json', JSON.stringify({ servers: { tutor: { type: 'stdio', ...standIn('--tools', '3') } } }));
+      await write('.mcp.json', JSON.stringify({ mcpServers: { tutor: { type: 'stdio', ...standIn('--tools', '3') }, quiz: standIn() } }));
+
+      const result = await checker.checkMCPServerLiveness();
+
+      expect(result).toEqual({
+        status: 'pass',
+        message: 'All 2 MCP servers answered',
+        details: ['tutor (stdio): 3 tools', 'quiz (stdio): 2 tools']
+      });
+    });
+
+    it('fails when a server does not start, naming the command to run', async () => {
+      await write('.vscode/mcp.json', JSON.stringify({ servers: { tutor: standIn(), broken: standIn('--crash') } }));
+
+      const result = await checker.checkMCPServerLiveness();
+
+      expect(result.status).toBe('fail');
+      expect(result.message).toBe('1/2 MCP servers did not start (broken: exited with code 3 during initialize: Error: missing API key)');
+      expect(result.recommendation).toContain('--crash" in the project to see why broken (.vscode/mcp.json) does not start');
+      expect(result.details[0]).toBe('tutor (stdio): 2 tools');
+    });
+
+    it('warns about servers that need VS Code inputs', async () => {
+      await write('.vscode/mcp.json', JSON.stringify({ servers: { github: { type: 'http', url: 'https://api.githubcopilot.com/mcp/', headers: { Authorization: 'Bearer ${input:token}' } } } }));
+
+      const result = await checker.checkMCPServerLiveness();
+
+      expect(result.status).toBe('warn');
+      expect(result.message).toBe('0/1 MCP servers answered (github: needs input token from VS Code)');
+    });
+
+    it('records the per-server lines and only starts servers when mcpProbe is set', async () => {
+      await write('.vscode/mcp.json', JSON.stringify({ servers: { tutor: standIn() } }));
+
+      await checker.checkMCPServersWithSpinner();
+      expect(checker.results.mcps.map(result => result.check)).toEqual(['Project MCP Config', 'MCP Config Syntax', 'MCP Servers Start']);
+      expect(checker.results.mcps[2].details).toEqual(['tutor (stdio): 2 tools']);
+
+      const unprobed = new HealthChecker({ directory: tmpDir, interactive: false });
+      await unprobed.checkMCPServersWithSpinner();
+      expect(unprobed.results.mcps.map(result => result.check)).toEqual(['Project MCP Config', 'MCP Config Syntax']);
+    });
+  });
+
+  it('collects the recommendations of failed and warned checks', () => {
+    checker.addResult('copilot', 'MCP Servers', 'fail', 'Servers are under "mcpServers"', 'Rename "mcpServers" to "servers"');
+    checker.addResult('customizations', 'Skills', 'pass', 'All 1 skills are valid');
+
+    expect(checker.generateRecommendations()).toEqual(['Rename "mcpServers" to "servers"']);
+  });
+});
+
+describe('runHealthCheckCI', () => {
+  let tmpDir;
+
+  const agent = '---\ndescription: Patient tutor that explains Python basics\n---\n\n# Tutor\n\nExplain each concept with a short example and a question.\n';
+  const output = () => console.log.mock.calls.map(call => call[0]).join('\n');
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-health-ci-'));
+    await fs.outputFile(path.join(tmpDir, '.github/agents/tutor.agent.md'), agent);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(HealthChecker.prototype, 'sleep');
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await fs.remove(tmpDir);
+  });
+
+  it('prints only a JSON report of the selected categories, without pauses', async () => {
+    const { passed } = await runHealthCheckCI({ directory: tmpDir, only: 'customizations' });
+
+    expect(console.log).toHaveBeenCalledTimes(1);
+    expect(HealthChecker.prototype.sleep).not.toHaveBeenCalled();
+
+    const report = JSON.parse(output());
+    expect(Object.keys(report.results)).toEqual(['customizations']);
+    expect(report.results.customizations.map(result => [result.check, result.status])).toEqual([
+      ['Custom Agents', 'pass'],
+      ['Prompt Files', 'warn'],
+      ['Instruction Files', 'warn'],
+      ['applyTo Globs', 'pass'],
+      ['Skills', 'warn']
+    ]);
+    expect(report.summary).toEqual({ healthScore: '2/5', percentage: 40, passed: 2, warnings: 3, failures: 0, total: 5 });
+    expect(report.success).toBe(true);
+    expect(passed).toBe(true);
+  });
+
+  it('fails on fail results, or on warnings with failOn warn', async () => {
+    await fs.outputFile(path.join(tmpDir, '.vscode/mcp.json'), '{ "mcpServers": {} }');
+
+    expect((await runHealthCheckCI({ directory: tmpDir, only: 'copilot' })).passed).toBe(false);
+    expect((await runHealthCheckCI({ directory: tmpDir, only: ['customizations'] })).passed).toBe(true);
+    expect((await runHealthCheckCI({ directory: tmpDir, only: 'customizations', failOn: 'warn' })).passed).toBe(false);
+  });
+
+  it('writes a JUnit report with one testsuite per category', async () => {
+    const file = path.join(tmpDir, 'health.xml');
+
+    await runHealthCheckCI({ directory: tmpDir, only: 'copilot,customizations', format: 'junit', failOn: 'warn', output: file });
+
+    expect(console.log).not.toHaveBeenCalled();
+    const xml = await fs.readFile(file, 'utf8');
+    expect(xml).toContain('<testsuites name="cct health-check" tests="9" failures="5" errors="0">');
+    expect(xml).toContain('<testsuite name="copilot" tests="4" failures="2" errors="0">');
+    expect(xml).toContain('<testcase classname="customizations" name="Custom Agents"/>');
+    expect(xml).toContain('<failure message="No skills in .github/skills/" type="warn">');
+  });
+
+  it('keeps warnings out of JUnit failures by default', async () => {
+    await runHealthCheckCI({ directory: tmpDir, only: 'customizations', format: 'junit' });
+
+    expect(output()).toContain('tests="5" failures="0"');
+    expect(output()).toContain('<system-out>No skills in .github/skills/\nInstall a skill with --skill &lt;name&gt;');
+  });
+
+  it('applies every fix with --fix --yes and reports the run after them', async () => {
+    await fs.outputFile(path.join(tmpDir, '.vscode/mcp.json'), '{ "mcpServers": { "fetch": { "command": "uvx" } } }');
+
+    const { passed, fixes } = await runHealthCheckCI({ directory: tmpDir, only: 'copilot', fix: true, yes: true });
+
+    expect(passed).toBe(true);
+    const report = JSON.parse(output());
+    expect(report.fixes.map(fix => [fix.check, fix.applied])).toEqual([['Copilot Instructions', true], ['MCP Servers', true]]);
+    expect(report.fixes).toEqual(fixes);
+    expect(report.results.copilot.every(result => result.status === 'pass')).toBe(true);
+  });
+
+  it('needs --yes to fix in CI', async () => {
+    await expect(runHealthCheckCI({ directory: tmpDir, fix: true })).rejects.toThrow('pass --yes to apply every fix');
+  });
+
+  it('rejects unknown categories, formats and levels', async () => {
+    await expect(runHealthCheckCI({ directory: tmpDir, only: 'copilot,typo' })).rejects.toThrow('Unknown health check category(ies): typo');
+    await expect(runHealthCheckCI({ directory: tmpDir, format: 'xml' })).rejects.toThrow('Unknown report format: xml');
+    await expect(runHealthCheckCI({ directory: tmpDir, failOn: 'error' })).rejects.toThrow('Unknown --fail-on level: error');
+  });
+});
@@ -0,0 +1,124 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { InstallTransaction, mapWithConcurrency } = require('../../src/install-transaction');
+
+describe('install-transaction', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-transaction-'));
+    await fs.outputFile(path.join(tmpDir, '.github/agents/existing.agent.md'), 'existing\n');
+    await fs.outputJson(path.join(tmpDir, '.vscode/mcp.json'), { servers: { mine: { command: 'x' } } });
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('keeps the order of the items', async () => {
+      const results = await mapWithConcurrency([30, 10, 20], 3, delay =>
+        new Promise(resolve => setTimeout(() => resolve(delay), delay))
+      );
+      expect(results).toEqual([30, 10, 20]);
+    });
+
+    it('never runs more than the limit at once', async () => {
+      let running = 0;
+      let maxRunning = 0;
+
+      await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 2, async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+      });
+
+      expect(maxRunning).toBe(2);
+    });
+
+    it('handles an empty list', async () => {
+      expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+    });
+  });
+
+  describe('InstallTransaction', () => {
+    it('seeds the staging directory with the project files', async () => {
+      const transaction = new InstallTransaction(tmpDir);
+      const stagingDir = await transaction.begin();
+
+      expect(await fs.readFile(path.join(stagingDir, '.github/agents/existing.agent.md'), 'utf8')).toBe('existing\n');
+      expect(await fs.readJson(path.join(stagingDir, '.vscode/mcp.json'))).toEqual({ servers: { mine: { command: 'x' } } });
+
+      await transaction.rollback();
+      expect(await fs.pathExists(stagingDir)).toBe(false);
+    });
+
+    it('leaves the project untouched until commit', async () => {
+      const transaction = new InstallTransaction(tmpDir);
+      const stagingDir = await transaction.begin();
+
+      await fs.outputFile(path.join(stagingDir, '.github/agents/new.agent.md'), 'new\n');
+      expect(await fs.pathExists(path.join(tmpDir, '.github/agents/new.agent.md'))).toBe(false);
+
+      const changes = await transaction.commit();
+
+      expect(changes).toEqual({ written: [path.join('.github', 'agents', 'new.agent.md')], removed: [] });
+      expect(await fs.readFile(path.join(tmpDir, '.github/agents/new.agent.md'), 'utf8')).toBe('new\n');
+      expect(await fs.readFile(path.join(tmpDir, '.github/agents/existing.agent.md'), 'utf8')).toBe('existing\n');
+      expect(await fs.pathExists(stagingDir)).toBe(false);
+    });
+
+    it('applies changed and removed files on commit', async () => {
+      const transaction = new InstallTransaction(tmpDir);
+      const stagingDir = await transaction.begin();
+
+      await fs.outputJson(path.join(stagingDir, '.vscode/mcp.json'), { servers: { mine: { command: 'x' }, deepwiki: { url: 'y' } } });
+      await fs.remove(path.join(stagingDir, '.github/agents/existing.agent.md'));
+      await transaction.commit();
+
+      expect(Object.keys((await fs.readJson(path.join(tmpDir, '.vscode/mcp.json'))).servers)).toEqual(['mine', 'deepwiki']);
+      expect(await fs.pathExists(path.join(tmpDir, '.github/agents/existing.agent.md'))).toBe(false);
+
+      const leftovers = (await fs.readdir(path.join(tmpDir, '.vscode'))).filter(file => file.endsWith('.cct-tmp'));
+      expect(leftovers).toEqual([]);
+    });
+
+    it('discards staged files on rollback', async () => {
+      const transaction = new InstallTransaction(tmpDir);
+      const stagingDir = await transaction.begin();
+
+      await fs.outputFile(path.join(stagingDir, '.github/agents/new.agent.md'), 'new\n');
+      await transaction.rollback();
+
+      expect(await fs.pathExists(path.join(tmpDir, '.github/agents/new.agent.md'))).toBe(false);
+      expect(await fs.pathExists(stagingDir)).toBe(false);
+    });
+
+    it('restores files already replaced when a later step fails', async () => {
+      const transaction = new InstallTransaction(tmpDir);
+      const stagingDir = await transaction.begin();
+
+      await fs.outputFile(path.join(stagingDir, '.github/agents/existing.agent.md'), 'changed\n');
+      await fs.outputFile(path.join(stagingDir, '.github/agents/new.agent.md'), 'new\n');
+
+      const rename = fs.rename;
+      let calls = 0;
+      const spy = jest.spyOn(fs, 'rename').mockImplementation((...args) => {
+        calls++;
+        return calls === 2 ? Promise.reject(new Error('disk full')) : rename(...args);
+      });
+
+      try {
+        await expect(transaction.commit()).rejects.toThrow('disk full');
+      } finally {
+        spy.mockRestore();
+      }
+
+      expect(await fs.readFile(path.join(tmpDir, '.github/agents/existing.agent.md'), 'utf8')).toBe('existing\n');
+      expect(await fs.pathExists(path.join(tmpDir, '.github/agents/new.agent.md'))).toBe(false);
+      expect((await fs.readdir(path.join(tmpDir, '.github/agents'))).sort()).toEqual(['existing.agent.md']);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const { normalizeLearningPath, orderModules, selectModulesForLevel } = require('../../src/learning-path');
+
+describe('learning-path', () => {
+  const manifest = {
+    name: 'Python',
+    level: 'beginner',
+    modules: [
+      { id: 'projects', level: 'advanced', prerequisites: ['practice'], prompts: ['learning/build-champ'] },
+      { id: 'practice', level: 'intermediate', prerequisites: ['basics'], prompts: [{ name: 'learning/quiz', optional: true }] },
+      { id: 'basics', agents: ['tutors/python'], skills: ['basics/python'] }
+    ]
+  };
+
+  it('should normalize modules and component entries', () => {
+    const { modules } = normalizeLearningPath(manifest);
+
+    expect(modules[2]).toEqual({
+      id: 'basics',
+      title: 'basics',
+      description: undefined,
+      level: 'beginner',
+      prerequisites: [],
+      components: [
+        { type: 'agent', name: 'tutors/python', optional: false },
+        { type: 'skill', name: 'basics/python', optional: false }
+      ],
+      exercises: []
+    });
+    expect(modules[1].components).toEqual([{ type: 'prompt', name: 'learning/quiz', optional: true }]);
+  });
+
+  it('should normalize exercises', () => {
+    const { modules } = normalizeLearningPath({ modules: [{ id: 'a', exercises: ['for', { id: 'while', title: 'While loops' }] }] });
+
+    expect(modules[0].exercises).toEqual([{ id: 'for', title: 'for' }, { id: 'while', title: 'While loops' }]);
+  });
+
+  it('should treat top-level component arrays as one module', () => {
+    const { modules } = normalizeLearningPath({ name: 'Legacy', level: 'intermediate', agents: ['a'], prompts: ['p'] });
+
+    expect(modules).toHaveLength(1);
+    expect(modules[0].level).toBe('intermediate');
+    expect(modules[0].components.map(c => c.name)).toEqual(['a', 'p']);
+  });
+
+  it('should order modules after their prerequisites', () => {
+    const ordered = orderModules(normalizeLearningPath(manifest).modules);
+
+    expect(ordered.map(m => m.id)).toEqual(['basics', 'practice', 'projects']);
+  });
+
+  it('should keep the declared order when there are no prerequisites', () => {
+    const ordered = orderModules(normalizeLearningPath({ modules: [{ id: 'b' }, { id: 'a' }] }).modules);
+
+    expect(ordered.map(m => m.id)).toEqual(['b', 'a']);
+  });
+
+  it('should throw on circular prerequisites', () => {
+    const modules = normalizeLearningPath({ modules: [{ id: 'a', prerequisites: ['b'] }, { id: 'b', prerequisites: ['a'] }] }).modules;
+
+    expect(() => orderModules(modules)).toThrow('Circular prerequisites');
+  });
+
+  it('should select modules up to a level', () => {
+    const modules = orderModules(normalizeLearningPath(manifest).modules);
+
+    expect(selectModulesForLevel(modules, 'intermediate').map(m => m.id)).toEqual(['basics', 'practice']);
+    expect(selectModulesForLevel(modules).map(m => m.id)).toEqual(['basics', 'practice', 'projects']);
+    expect(() => selectModulesForLevel(modules, 'expert')).toThrow('Unknown level');
+  });
+});
@@ -0,0 +1,105 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { normalizeLearningPath } = require('../../src/learning-path');
+const {
+  PROGRESS_PATH,
+  readProgress,
+  isModuleUnlocked,
+  recordLearningPath,
+  completeModule,
+  completeExercise,
+  getModuleProgress,
+  renderProgressBar
+} = require('../../src/learning-progress');
+
+describe('learning-progress', () => {
+  let tmpDir;
+  const manifest = normalizeLearningPath({
+    name: 'Python',
+    modules: [
+      { id: 'basics', agents: ['tutors/python'] },
+      { id: 'loops', prerequisites: ['basics'], exercises: ['for', { id: 'while', title: 'While loops' }] },
+      { id: 'project', prerequisites: ['loops'], prompts: ['learning/build-champ'] }
+    ]
+  });
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-progress-'));
+    await recordLearningPath(tmpDir, 'python', manifest, ['basics']);
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should record the path layout and installed modules', async () => {
+    const stored = await fs.readJson(path.join(tmpDir, PROGRESS_PATH));
+    const entry = stored.paths.python;
+
+    expect(entry.modules.map(m => m.id)).toEqual(['basics', 'loops', 'project']);
+    expect(entry.installedModules).toEqual(['basics']);
+    expect(entry.completedModules).toEqual({});
+  });
+
+  it('should keep progress when the path is recorded again', async () => {
+    await completeModule(tmpDir, 'basics');
+    await recordLearningPath(tmpDir, 'python', manifest, ['loops']);
+
+    const entry = (await readProgress(tmpDir)).paths.python;
+
+    expect(entry.installedModules).toEqual(['basics', 'loops']);
+    expect(Object.keys(entry.completedModules)).toEqual(['basics']);
+  });
+
+  it('should remember the options the path was installed with', async () => {
+    expect((await readProgress(tmpDir)).paths.python).toMatchObject({ level: null, includeOptional: false });
+
+    await recordLearningPath(tmpDir, 'python', manifest, ['loops'], { level: 'beginner', includeOptional: true, source: 'local' });
+    const entry = (await readProgress(tmpDir)).paths.python;
+
+    expect(entry.level).toBe('beginner');
+    expect(entry.includeOptional).toBe(true);
+    expect(entry).toMatchObject({ source: path.resolve('local'), repo: null, ref: null });
+
+    await recordLearningPath(tmpDir, 'python', manifest, [], { repo: 'me/fork', ref: 'v2' });
+    expect((await readProgress(tmpDir)).paths.python).toMatchObject({ source: null, repo: 'me/fork', ref: 'v2' });
+  });
+
+  it('should unlock modules when their prerequisites are complete', async () => {
+    const result = await completeModule(tmpDir, 'basics');
+    const entry = (await readProgress(tmpDir)).paths.python;
+
+    expect(result.unlocked).toEqual(['loops']);
+    expect(isModuleUnlocked(entry, manifest.modules[1])).toBe(true);
+    expect(isModuleUnlocked(entry, manifest.modules[2])).toBe(false);
+  });
+
+  it('should complete a module once all its exercises are done', async () => {
+    await completeModule(tmpDir, 'basics');
+
+    const first = await completeExercise(tmpDir, 'loops', 'for');
+    const second = await completeExercise(tmpDir, 'loops', 'while');
+
+    expect(first.moduleCompleted).toBe(false);
+    expect(second.moduleCompleted).toBe(true);
+    expect(second.unlocked).toEqual(['project']);
+  });
+
+  it('should report progress per module including extra exercises', async () => {
+    await completeExercise(tmpDir, 'loops', 'for');
+    await completeExercise(tmpDir, 'loops', 'generated-1');
+    const entry = (await readProgress(tmpDir)).paths.python;
+
+    expect(getModuleProgress(entry, entry.modules[1])).toEqual({ done: 1, total: 2, percent: 50, extra: 1 });
+    expect(renderProgressBar(50, 10)).toBe('█████░░░░░');
+  });
+
+  it('should reject unknown or ambiguous modules', async () => {
+    await recordLearningPath(tmpDir, 'python-2', manifest, []);
+
+    await expect(completeModule(tmpDir, 'missing')).rejects.toThrow('not found');
+    await expect(completeModule(tmpDir, 'basics')).rejects.toThrow('--path');
+    await expect(completeModule(tmpDir, 'basics', { path: 'python-2' })).resolves.toMatchObject({ pathName: 'python-2' });
+  });
+});
@@ -0,0 +1,118 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const {
+  LOCKFILE_PATH,
+  hashFiles,
+  readLockfile,
+  recordComponent,
+  removeComponent,
+  verifyComponentAgainstLock
+} = require('../../src/lockfile');
+
+describe('lockfile', () => {
+  let tmpDir;
+  const source = { type: 'github', location: 'StudentCristian/copilot-learning-templates', ref: 'abc123' };
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-lock-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should hash files with SHA-256', () => {
+    const hashes = hashFiles({ '.github/agents/a.agent.md': 'hello' });
+
+    expect(hashes['.github/agents/a.agent.md'])
+      .toBe(crypto.createHash('sha256').update('hello', 'utf8').digest('hex'));
+  });
+
+  it('should return an empty lock when none exists', async () => {
+    const lock = await readLockfile(tmpDir);
+
+    expect(lock.components).toEqual({});
+  });
+
+  it('should record components with source and file hashes', async () => {
+    await recordComponent(tmpDir, {
+      type: 'agent',
+      name: 'tutors/python',
+      source,
+      files: { '.github/agents/python.agent.md': '# Python' }
+    });
+
+    const lock = await fs.readJson(path.join(tmpDir, LOCKFILE_PATH));
+    const entry = lock.components['agent:tutors/python'];
+
+    expect(lock.lockfileVersion).toBe(1);
+    expect(entry.source.ref).toBe('abc123');
+    expect(Object.keys(entry.files)).toEqual(['.github/agents/python.agent.md']);
+  });
+
+  it('should not lose entries when recording concurrently', async () => {
+    await Promise.all(['a', 'b', 'c'].map(name => recordComponent(tmpDir, {
+      type: 'prompt',
+      name,
+      source,
+      files: { [`.github/prompts/${name}.prompt.md`]: name }
+    })));
+
+    const lock = await readLockfile(tmpDir);
+
+    expect(Object.keys(lock.components)).toEqual(['prompt:a', 'prompt:b', 'prompt:c']);
+  });
+
+  it('should remove components', async () => {
+    await recordComponent(tmpDir, { type: 'mcp', name: 'deepwiki', source, files: { '.vscode/mcp.json#deepwiki': '{}' } });
+
+    const removed = await removeComponent(tmpDir, 'mcp', 'deepwiki');
+    const lock = await readLockfile(tmpDir);
+
+    expect(removed.name).toBe('deepwiki');
+    expect(lock.components).toEqual({});
+  });
+
+  describe('verifyComponentAgainstLock', () => {
+    const files = { '.github/agents/python.agent.md': '# Python' };
+
+    beforeEach(async () => {
+      await recordComponent(tmpDir, { type: 'agent', name: 'python', source, files });
+    });
+
+    it('should pass when hashes match', async () => {
+      const result = await verifyComponentAgainstLock(tmpDir, 'agent', 'python', files);
+
+      expect(result.ok).toBe(true);
+    });
+
+    it('should report changed content', async () => {
+      const result = await verifyComponentAgainstLock(tmpDir, 'agent', 'python', {
+        '.github/agents/python.agent.md': '# Changed'
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.mismatches).toHaveLength(1);
+      expect(result.mismatches[0].path).toBe('.github/agents/python.agent.md');
+    });
+
+    it('should report added files', async () => {
+      const result = await verifyComponentAgainstLock(tmpDir, 'agent', 'python', {
+        ...files,
+        '.github/agents/extra.md': 'extra'
+      });
+
+      expect(result.ok).toBe(false);
+      expect(result.mismatches[0].expected).toBeNull();
+    });
+
+    it('should reject components missing from the lock', async () => {
+      const result = await verifyComponentAgainstLock(tmpDir, 'agent', 'other', files);
+
+      expect(result.ok).toBe(false);
+      expect(result.reason).toContain('not in');
+    });
+  });
+});
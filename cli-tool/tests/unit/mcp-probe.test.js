@@ -0,0 +1,122 @@
+const http = require('http');
+const path = require('path');
+const { resolveServerConfig, probeStdioServer, probeHttpServer, probeMCPServer } = require('../../src/mcp-probe');
+
+const STAND_IN = path.join(__dirname, '..', 'fixtures', 'mcp-stdio-server.js');
+
+describe('mcp-probe', () => {
+  const standIn = (...args) => ({ command: process.execPath, args: [STAND_IN, ...args] });
+
+  describe('resolveServerConfig', () => {
+    it('fills VS Code variables and lists the inputs only VS Code can fill', () => {
+      process.env.CCT_PROBE_TEST = 'from-env';
+      const { server, inputs } = resolveServerConfig({
+        command: 'node',
+        args: ['${workspaceFolder}/server.js', '${env:CCT_PROBE_TEST}'],
+        env: { TOKEN: '${input:github-token}' }
+      }, '/project');
+      delete process.env.CCT_PROBE_TEST;
+
+      expect(server.args).toEqual(['/project/server.js', 'from-env']);
+      expect(inputs).toEqual(['github-token']);
+    });
+  });
+
+  describe('stdio servers', () => {
+    it('runs the handshake and counts the tools across pages', async () => {
+      const result = await probeStdioServer(standIn('--tools', '5', '--log'), { timeout: 5000 });
+
+      expect(result).toEqual({ status: 'ok', tools: 5, serverName: 'stand-in' });
+    });
+
+    it('reports servers that exit, with the end of stderr', async () => {
+      const result = await probeStdioServer(standIn('--crash'), { timeout: 5000 });
+
+      expect(result).toEqual({ status: 'failed', error: 'exited with code 3 during initialize: Error: missing API key' });
+    });
+
+    it('reports missing commands, error answers and silence', async () => {
+      expect(await probeStdioServer({ command: 'cct-no-such-mcp-server' }, { timeout: 5000 }))
+        .toEqual({ status: 'failed', error: 'command not found: cct-no-such-mcp-server' });
+      expect(await probeStdioServer(standIn('--reject'), { timeout: 5000 }))
+        .toEqual({ status: 'failed', error: 'initialize failed: Unsupported protocol version' });
+      expect(await probeStdioServer(standIn('--hang'), { timeout: 300 }))
+        .toEqual({ status: 'failed', error: 'no answer to initialize within 300 ms' });
+    });
+  });
+
+  describe('http servers', () => {
+    let server;
+    let baseUrl;
+    const requests = [];
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          const message = body ? JSON.parse(body) : {};
+          requests.push({ url: req.url, method: message.method, session: req.headers['mcp-session-id'] });
+
+          if (req.url === '/private') {
+            res.writeHead(401).end();
+          } else if (req.url === '/events') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.end('event: endpoint\ndata: /messages\n\n');
+          } else if (message.id === undefined) {
+            res.writeHead(202).end();
+          } else if (message.method === 'initialize') {
+            // Answered as an event stream, the way most Streamable HTTP servers do
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Mcp-Session-Id': 'session-1' });
+            res.end(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { capabilities: { tools: {} }, serverInfo: { name: 'docs' } } })}\n\n`);
+          } else {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { tools: [{ name: 'search' }] } }));
+          }
+        });
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('initializes a session and lists the tools', async () => {
+      const result = await probeHttpServer({ type: 'http', url: `${baseUrl}/mcp` }, { timeout: 2000 });
+
+      expect(result).toEqual({ status: 'ok', tools: 1, serverName: 'docs' });
+      expect(requests.filter(request => request.url === '/mcp').map(request => [request.method, request.session])).toEqual([
+        ['initialize', undefined],
+        ['notifications/initialized', 'session-1'],
+        ['tools/list', 'session-1']
+      ]);
+    });
+
+    it('tells servers that need credentials from servers that are down', async () => {
+      expect(await probeHttpServer({ type: 'http', url: `${baseUrl}/private` }, { timeout: 2000 }))
+        .toEqual({ status: 'auth', error: 'needs authentication (HTTP 401)' });
+
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const { port } = closed.address();
+      await new Promise(resolve => closed.close(resolve));
+      expect(await probeHttpServer({ type: 'http', url: `http://127.0.0.1:${port}/mcp` }, { timeout: 2000 }))
+        .toEqual({ status: 'failed', error: 'request failed (ECONNREFUSED)' });
+    });
+
+    it('checks that sse servers open their event stream', async () => {
+      expect(await probeHttpServer({ type: 'sse', url: `${baseUrl}/events` }, { timeout: 2000 })).toEqual({ status: 'ok', tools: null });
+    });
+  });
+
+  describe('probeMCPServer', () => {
+    it('infers the transport and skips servers that need VS Code inputs', async () => {
+      expect(await probeMCPServer(standIn(), { timeout: 5000 })).toMatchObject({ type: 'stdio', status: 'ok', tools: 2 });
+      expect(await probeMCPServer({ url: 'https://example.com/mcp', headers: { Authorization: 'Bearer ${input:token}' } }))
+        .toEqual({ type: 'http', status: 'skipped', error: 'needs input token from VS Code' });
+      expect(await probeMCPServer({ type: 'stdio' })).toEqual({ type: 'stdio', status: 'failed', error: 'no command' });
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const { createUnifiedDiff, mergeThreeWay } = require('../../src/text-diff');
+
+describe('text-diff', () => {
+  describe('createUnifiedDiff', () => {
+    it('should return an empty string for equal texts', () => {
+      expect(createUnifiedDiff('a\nb', 'a\nb')).toBe('');
+    });
+
+    it('should produce a unified diff hunk', () => {
+      const diff = createUnifiedDiff('one\ntwo\nthree\n', 'one\n2\nthree\n', { oldLabel: 'a/f', newLabel: 'b/f' });
+
+      expect(diff).toBe([
+        '--- a/f',
+        '+++ b/f',
+        '@@ -1,3 +1,3 @@',
+        ' one',
+        '-two',
+        '+2',
+        ' three',
+        ''
+      ].join('\n'));
+    });
+
+    it('should mark a last line without a newline instead of adding an empty line', () => {
+      expect(createUnifiedDiff('one\ntwo', 'one\ntwo\n')).toBe([
+        '--- a',
+        '+++ b',
+        '@@ -1,2 +1,2 @@',
+        ' one',
+        '-two',
+        '\\ No newline at end of file',
+        '+two',
+        ''
+      ].join('\n'));
+
+      expect(createUnifiedDiff('one\ntwo\n', 'one\n2')).toBe([
+        '--- a',
+        '+++ b',
+        '@@ -1,2 +1,2 @@',
+        ' one',
+        '-two',
+        '+2',
+        '\\ No newline at end of file',
+        ''
+      ].join('\n'));
+    });
+
+    it('should split distant changes into separate hunks', () => {
+      const oldText = Array.from({ length: 20 }, (_, i) => `line ${i}`).join('\n');
+      const newText = oldText.replace('line 1\n', 'line one\n').replace('line 18', 'line eighteen');
+
+      const hunks = createUnifiedDiff(oldText, newText, { context: 2 }).split('\n').filter(l => l.startsWith('@@'));
+
+      expect(hunks).toEqual(['@@ -1,4 +1,4 @@', '@@ -17,4 +17,4 @@']);
+    });
+  });
+
+  describe('mergeThreeWay', () => {
+    const base = 'title\nintro\nbody\nfooter';
+
+    it('should combine non-overlapping local and upstream edits', () => {
+      const result = mergeThreeWay(base, 'title\nintro\nbody\nmy footer', 'new title\nintro\nbody\nfooter');
+
+      expect(result.conflicts).toBe(0);
+      expect(result.content).toBe('new title\nintro\nbody\nmy footer');
+    });
+
+    it('should accept identical edits on both sides', () => {
+      const result = mergeThreeWay(base, 'title\nintro\nBODY\nfooter', 'title\nintro\nBODY\nfooter');
+
+      expect(result.conflicts).toBe(0);
+      expect(result.content).toBe('title\nintro\nBODY\nfooter');
+    });
+
+    it('should mark overlapping edits as conflicts', () => {
+      const result = mergeThreeWay(base, 'title\nintro\nlocal body\nfooter', 'title\nintro\nupstream body\nfooter');
+
+      expect(result.conflicts).toBe(1);
+      expect(result.content).toBe([
+        'title',
+        'intro',
+        '<<<<<<< local',
+        'local body',
+        '=======',
+        'upstream body',
+        '>>>>>>> upstream',
+        'footer'
+      ].join('\n'));
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const vm = require('vm');
+const { WORKFLOWS_DIR, getWorkflowHash, loadWorkflow, getWorkflowComponents, saveWorkflow } = require('../../src/workflow');
+
+describe('workflow', () => {
+  let tmpDir;
+
+  // YAML generated by the web builder itself (docs/js/workflows-events.js)
+  const generateWorkflowYAML = workflowState => {
+    const source = fs.readFileSync(path.join(__dirname, '../../../docs/js/workflows-events.js'), 'utf8');
+    const WorkflowManager = vm.runInNewContext(`${source}\nWorkflowManager;`, { document: { addEventListener() {} } });
+    return WorkflowManager.prototype.generateWorkflowYAML.call({ workflowState });
+  };
+
+  const builderYaml = generateWorkflowYAML({
+    properties: { name: 'Python Study', description: 'Tutor plus practice', tags: ['python'], prompt: 'Help me learn loops' },
+    agents: [
+      {
+        agent: { type: 'agent', name: 'python-basics-tutor', path: 'beginner-tutors/python-basics-tutor.md', category: 'beginner-tutors', description: 'Tutor' },
+        subItems: [
+          { type: 'command', name: 'build-champ', path: 'learning/build-champ.md', category: 'learning', description: 'Build' },
+          { type: 'mcp', name: 'deepwiki', path: 'deepwiki/deepwiki.json', category: 'deepwiki', description: 'Docs' }
+        ]
+      },
+      { agent: { type: 'agent', name: 'reviewer', path: 'dev/reviewer.md', category: 'dev', description: 'Reviews' }, subItems: [] }
+    ]
+  });
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-workflow-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('loadWorkflow', () => {
+    it('should decode base64 YAML from the web builder', async () => {
+      const workflow = await loadWorkflow(Buffer.from(builderYaml, 'utf8').toString('base64'), tmpDir);
+
+      expect(workflow.definition.name).toBe('Python Study');
+      expect(workflow.hash).toBe(getWorkflowHash(builderYaml));
+    });
+
+    it('should read a YAML file relative to the project', async () => {
+      await fs.outputFile(path.join(tmpDir, 'study.yaml'), builderYaml);
+
+      const workflow = await loadWorkflow('study.yaml', tmpDir);
+
+      expect(workflow.origin).toBe('study.yaml');
+      expect(workflow.definition.prompt).toBe('Help me learn loops');
+    });
+
+    it('should find saved workflows by #hash', async () => {
+      const saved = await saveWorkflow(tmpDir, { content: builderYaml, definition: { name: 'Python Study' } });
+
+      const workflow = await loadWorkflow(`#${getWorkflowHash(builderYaml)}`, tmpDir);
+
+      expect(saved).toBe(`${WORKFLOWS_DIR}/python-study.yaml`);
+      expect(workflow.origin).toBe(path.join(WORKFLOWS_DIR, 'python-study.yaml'));
+    });
+
+    it('should reject unknown hashes and invalid input', async () => {
+      await expect(loadWorkflow('#deadbeef', tmpDir)).rejects.toThrow('No saved workflow');
+      await expect(loadWorkflow('not a workflow!', tmpDir)).rejects.toThrow('not a file');
+      await expect(loadWorkflow(Buffer.from('- a\n- b').toString('base64'), tmpDir)).rejects.toThrow('not a YAML mapping');
+    });
+  });
+
+  describe('getWorkflowComponents', () => {
+    it('should map builder paths to Copilot component names', async () => {
+      const workflow = await loadWorkflow(Buffer.from(builderYaml).toString('base64'), tmpDir);
+
+      expect(getWorkflowComponents(workflow.definition)).toEqual({
+        agents: ['beginner-tutors/python-basics-tutor', 'dev/reviewer'],
+        prompts: ['learning/build-champ'],
+        mcps: ['deepwiki/deepwiki'],
+        skills: [],
+        instructions: []
+      });
+    });
+
+    it('should accept Copilot-native component lists', () => {
+      const components = getWorkflowComponents({
+        components: {
+          prompts: ['.github/prompts/learning/quiz.prompt.md'],
+          skills: ['programming-basics/python-fundamentals'],
+          instructions: ['always-on/beginner-friendly'],
+          mcps: ['.vscode/mcp.json#github']
+        }
+      });
+
+      expect(components.prompts).toEqual(['learning/quiz']);
+      expect(components.skills).toEqual(['programming-basics/python-fundamentals']);
+      expect(components.instructions).toEqual(['always-on/beginner-friendly']);
+      expect(components.mcps).toEqual(['github']);
+    });
+  });
+});
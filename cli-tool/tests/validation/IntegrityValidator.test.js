@@ -5,7 +5,7 @@ const crypto = require('crypto');
 
 describe('IntegrityValidator', () => {
   let validator;
-  const testRegistryPath = path.join(process.cwd(), '.claude/security/component-hashes.json');
+  const testRegistryPath = path.join(process.cwd(), '.github/security/component-hashes.json');
 
   beforeEach(() => {
     validator = new IntegrityValidator();
@@ -396,4 +396,111 @@ Content`,
       expect(normalized).toBe(relativePath);
     });
   });
+
+  describe('Registry Location and Signatures', () => {
+    const os = require('os');
+    const component = { content: 'agent content', path: 'agents/tutor.agent.md', type: 'agent' };
+    let rootDir;
+    let keys;
+
+    beforeAll(() => {
+      keys = IntegrityValidator.generateKeyPair();
+    });
+
+    beforeEach(async () => {
+      rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-integrity-'));
+    });
+
+    afterEach(async () => {
+      delete process.env.CCT_HASH_REGISTRY;
+      await fs.remove(rootDir);
+    });
+
+    const register = async (options = {}) => {
+      const registryValidator = new IntegrityValidator({ rootDir, ...options });
+      await registryValidator.validate(component, { updateRegistry: true });
+      return registryValidator;
+    };
+
+    it('should store the registry under .github/security by default', async () => {
+      const registryValidator = await register();
+
+      expect(registryValidator.getRegistryPath()).toBe(path.join(rootDir, '.github/security/component-hashes.json'));
+      expect(await fs.readJson(registryValidator.getRegistryPath())).toHaveProperty(['agents/tutor.agent.md']);
+    });
+
+    it('should honour registryPath and CCT_HASH_REGISTRY', () => {
+      process.env.CCT_HASH_REGISTRY = 'security/env-hashes.json';
+
+      expect(new IntegrityValidator({ rootDir }).getRegistryPath()).toBe(path.join(rootDir, 'security/env-hashes.json'));
+      expect(new IntegrityValidator({ rootDir, registryPath: 'custom.json' }).getRegistryPath()).toBe(path.join(rootDir, 'custom.json'));
+    });
+
+    it('should read the legacy .claude registry when the default one is missing', async () => {
+      await fs.outputJson(path.join(rootDir, '.claude/security/component-hashes.json'), { 'agents/tutor.agent.md': { hash: 'abc' } });
+
+      const registry = await new IntegrityValidator({ rootDir }).loadHashRegistry();
+
+      expect(registry['agents/tutor.agent.md'].hash).toBe('abc');
+    });
+
+    it('should sign the registry and report the signature status', async () => {
+      const registryValidator = await register();
+      expect((await registryValidator.verifyRegistrySignature()).status).toBe('unsigned');
+
+      const signature = await registryValidator.signRegistry(keys.privateKey);
+      const trusted = new IntegrityValidator({ rootDir, trustedKeys: [keys.publicKey] });
+
+      expect(signature).toMatchObject({ algorithm: 'ed25519', keyId: expect.stringMatching(/^[0-9a-f]{16}$/) });
+      expect(await registryValidator.verifyRegistrySignature()).toMatchObject({ status: 'untrusted', keyId: signature.keyId });
+      expect(await trusted.verifyRegistrySignature()).toMatchObject({ status: 'valid', keyId: signature.keyId });
+
+      const other = IntegrityValidator.generateKeyPair();
+      expect((await new IntegrityValidator({ rootDir, trustedKeys: [other.publicKey] }).verifyRegistrySignature()).status).toBe('untrusted');
+
+      const registry = await fs.readJson(trusted.getRegistryPath());
+      registry['agents/tutor.agent.md'].hash = trusted.generateHash('evil');
+      await fs.writeJson(trusted.getRegistryPath(), registry);
+      expect(await trusted.verifyRegistrySignature()).toMatchObject({ status: 'invalid', reason: 'registry changed after it was signed' });
+    });
+
+    it('should refuse non-ed25519 signing keys', async () => {
+      const registryValidator = await register();
+      const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256', privateKeyEncoding: { type: 'pkcs8', format: 'pem' }, publicKeyEncoding: { type: 'spki', format: 'pem' } });
+
+      await expect(registryValidator.signRegistry(privateKey)).rejects.toThrow('must be an ed25519 private key');
+    });
+
+    it('should report tampered and unregistered files in verify mode', async () => {
+      const registryValidator = await register();
+      await registryValidator.signRegistry(keys.privateKey);
+      const verifier = new IntegrityValidator({ rootDir, trustedKeys: [keys.publicKey] });
+      const codes = result => result.errors.map(error => error.code);
+
+      const ok = await verifier.validate(component, { verify: true });
+      const tampered = await verifier.validate({ ...component, content: 'agent content <!-- changed -->' }, { verify: true });
+      const unregistered = await verifier.validate({ ...component, path: 'agents/new.agent.md' }, { verify: true });
+      const untrusted = await new IntegrityValidator({ rootDir }).validate(component, { verify: true });
+
+      expect(ok.valid).toBe(true);
+      expect(ok.info.map(info => info.code)).toContain('INT_I010');
+      expect(codes(tampered)).toEqual(['INT_E004']);
+      expect(codes(unregistered)).toEqual(['INT_E005']);
+      expect(codes(untrusted)).toEqual(['INT_E008']);
+    });
+
+    it('should report a missing or unsigned registry in verify mode', async () => {
+      const missing = await new IntegrityValidator({ rootDir }).validate(component, { verify: true });
+      const unsigned = await (await register()).validate(component, { verify: true });
+
+      expect(missing.errors.map(error => error.code)).toEqual(['INT_E007']);
+      expect(unsigned.errors.map(error => error.code)).toEqual(['INT_E007']);
+    });
+
+    it('should key the registry by project-relative paths', () => {
+      const registryValidator = new IntegrityValidator({ rootDir });
+
+      expect(registryValidator.normalizePath(path.join(rootDir, 'agents', 'tutor.agent.md'))).toBe('agents/tutor.agent.md');
+    });
+  });
 });
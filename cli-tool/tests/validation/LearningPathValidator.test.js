@@ -0,0 +1,139 @@
+const LearningPathValidator = require('../../src/validation/validators/LearningPathValidator');
+const fs = require('fs-extra');
+const path = require('path');
+
+describe('LearningPathValidator', () => {
+  let validator;
+
+  beforeEach(() => {
+    validator = new LearningPathValidator();
+  });
+
+  const codes = items => items.map(item => item.code);
+
+  describe('Valid Manifests', () => {
+    it('should pass for a manifest with ordered modules', async () => {
+      const result = await validator.validate({
+        path: 'python.json',
+        content: {
+          name: 'Python',
+          level: 'beginner',
+          modules: [
+            { id: 'basics', agents: ['tutors/python'] },
+            { id: 'practice', level: 'intermediate', prerequisites: ['basics'], prompts: [{ name: 'learning/quiz', optional: true }] }
+          ]
+        }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toHaveLength(0);
+    });
+
+    it('should accept manifests with top-level component arrays', async () => {
+      const result = await validator.validate({
+        path: 'legacy.json',
+        content: JSON.stringify({ name: 'Legacy', agents: ['tutors/python'], skills: ['basics/python'] })
+      });
+
+      expect(result.valid).toBe(true);
+      expect(codes(result.info)).toContain('LPATH_I001');
+    });
+
+    it('should pass for every learning path shipped in components/', async () => {
+      const dir = path.join(__dirname, '../../components/learning-paths');
+      const files = (await fs.readdir(dir)).filter(file => file.endsWith('.json'));
+
+      expect(files.length).toBeGreaterThan(0);
+      for (const file of files) {
+        const result = await validator.validate({ path: file, content: await fs.readFile(path.join(dir, file), 'utf8') });
+        expect(result.errors).toEqual([]);
+      }
+    });
+  });
+
+  describe('Invalid Manifests', () => {
+    it('should reject invalid JSON', async () => {
+      const result = await validator.validate({ path: 'bad.json', content: '{ name: ' });
+
+      expect(result.valid).toBe(false);
+      expect(codes(result.errors)).toEqual(['LPATH_E001']);
+    });
+
+    it('should require a name and components', async () => {
+      const result = await validator.validate({ path: 'empty.json', content: {} });
+
+      expect(codes(result.errors)).toEqual(['LPATH_E002', 'LPATH_E003']);
+    });
+
+    it('should reject duplicate module ids and unknown levels', async () => {
+      const result = await validator.validate({
+        path: 'dupes.json',
+        content: { name: 'Dupes', modules: [{ id: 'a', agents: ['x'] }, { id: 'a', level: 'expert', agents: ['y'] }, { id: 'b', level: 'expert', agents: ['z'] }] }
+      });
+
+      expect(codes(result.errors)).toEqual(['LPATH_E004', 'LPATH_E005']);
+    });
+
+    it('should reject unknown prerequisites', async () => {
+      const result = await validator.validate({
+        path: 'prereq.json',
+        content: { name: 'Prereq', modules: [{ id: 'a', prerequisites: ['missing'], agents: ['x'] }] }
+      });
+
+      expect(codes(result.errors)).toEqual(['LPATH_E006']);
+    });
+
+    it('should detect prerequisite cycles', async () => {
+      const result = await validator.validate({
+        path: 'cycle.json',
+        content: {
+          name: 'Cycle',
+          modules: [
+            { id: 'a', prerequisites: ['c'], agents: ['x'] },
+            { id: 'b', prerequisites: ['a'], agents: ['y'] },
+            { id: 'c', prerequisites: ['b'], agents: ['z'] }
+          ]
+        }
+      });
+
+      expect(codes(result.errors)).toEqual(['LPATH_E007']);
+      expect(result.errors[0].message).toContain('a → c → b → a');
+    });
+
+    it('should reject malformed component entries', async () => {
+      const result = await validator.validate({
+        path: 'entries.json',
+        content: { name: 'Entries', modules: [{ id: 'a', agents: [{ optional: true }], skills: 'basics/python' }] }
+      });
+
+      expect(codes(result.errors)).toEqual(['LPATH_E008', 'LPATH_E008']);
+    });
+
+    it('should reject invalid and duplicate exercises', async () => {
+      const result = await validator.validate({
+        path: 'exercises.json',
+        content: { name: 'Exercises', modules: [{ id: 'a', agents: ['x'], exercises: ['loops', { title: 'No id' }, 'loops'] }] }
+      });
+
+      expect(codes(result.errors)).toEqual(['LPATH_E009', 'LPATH_E009']);
+    });
+  });
+
+  describe('Warnings', () => {
+    it('should warn about harder prerequisites, empty modules and unknown fields', async () => {
+      const result = await validator.validate({
+        path: 'warnings.json',
+        content: {
+          name: 'Warnings',
+          modules: [
+            { id: 'advanced', level: 'advanced', agents: ['x'] },
+            { id: 'intro', level: 'beginner', prerequisites: ['advanced'], agent: ['typo'] }
+          ]
+        }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(codes(result.warnings).sort()).toEqual(['LPATH_W002', 'LPATH_W003', 'LPATH_W004']);
+    });
+  });
+});
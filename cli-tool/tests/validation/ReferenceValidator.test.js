@@ -392,4 +392,67 @@ Visit https://docs.example.com
       expect(result.valid).toBe(false);
     });
   });
+
+  describe('URL Accessibility', () => {
+    const { ListResolver } = require('../../src/validation/url-resolvers');
+    const content = `# Links
+
+Start with the [tutorial](https://docs.python.org/3/tutorial/).
+The old guide moved: https://old.example.com/guide.
+Local server: http://localhost:3000
+
+Once more: https://old.example.com/guide
+`;
+    const resolver = new ListResolver({ allow: ['docs.python.org'], deny: ['https://old.example.com/*'] });
+
+    it('should skip the check unless asked', async () => {
+      const result = await new ReferenceValidator({ resolver }).validate({ content, path: 'links.md' });
+
+      expect(result.errors.filter(e => e.code === 'REF_E006')).toHaveLength(0);
+    });
+
+    it('should report dead links with their line numbers', async () => {
+      const result = await validator.validate({ content, path: 'links.md' }, { checkAccessibility: true, resolver });
+      const dead = result.errors.filter(e => e.code === 'REF_E006');
+
+      expect(dead).toHaveLength(1);
+      expect(dead[0].metadata).toMatchObject({
+        url: 'https://old.example.com/guide',
+        line: 4,
+        column: 22,
+        examples: [{ line: 4, column: 22 }, { line: 7, column: 12 }]
+      });
+      expect(result.info).toContainEqual(expect.objectContaining({
+        code: 'REF_I001',
+        metadata: expect.objectContaining({ checked: 2, dead: 1, unverified: 0 })
+      }));
+    });
+
+    it('should warn when a link cannot be verified', async () => {
+      const failing = { name: 'broken', resolve: async () => { throw new Error('resolver exploded'); } };
+
+      const result = await new ReferenceValidator({ resolver: failing }).validate(
+        { content: 'See https://docs.python.org/3/', path: 'links.md' },
+        { checkAccessibility: true }
+      );
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toContainEqual(expect.objectContaining({
+        code: 'REF_W007',
+        message: 'Could not verify link https://docs.python.org/3/ (resolver exploded)'
+      }));
+    });
+
+    it('should never request private or localhost URLs', async () => {
+      const requested = [];
+      const recording = { name: 'recording', resolve: async url => { requested.push(url); return { status: 'ok' }; } };
+
+      await validator.validate(
+        { content: 'http://localhost:3000 http://192.168.1.1/admin https://docs.python.org/3/', path: 'links.md' },
+        { checkAccessibility: true, resolver: recording }
+      );
+
+      expect(requested).toEqual(['https://docs.python.org/3/']);
+    });
+  });
 });
@@ -416,6 +416,15 @@ Content with \0 null byte`;
         })
       );
     });
+
+    it('should warn about a byte order mark and CRLF line endings', async () => {
+      const result = await validator.validate({
+        content: '\uFEFF---\r\ndescription: Tutor\r\n---\r\n# Tutor\r\n',
+        path: '.github/agents/tutor.agent.md'
+      });
+
+      expect(result.warnings.filter(w => w.code === 'STRUCT_W019').map(w => w.metadata.encoding)).toEqual(['bom', 'crlf']);
+    });
   });
 
   describe('Score Calculation', () => {
@@ -441,4 +450,238 @@ Good content`;
       expect(result.score).toBeLessThanOrEqual(100);
     });
   });
+
+  describe('Copilot-native Components', () => {
+    const codes = entries => entries.map(entry => entry.code);
+
+    it('should detect the component type from the file name', () => {
+      expect(StructuralValidator.detectComponentType('.github/agents/tutor.agent.md')).toBe('agent');
+      expect(StructuralValidator.detectComponentType('.github/prompts/quiz.prompt.md')).toBe('prompt');
+      expect(StructuralValidator.detectComponentType('.github/instructions/py.instructions.md')).toBe('instruction');
+      expect(StructuralValidator.detectComponentType('.github/skills/python/SKILL.md')).toBe('skill');
+      expect(StructuralValidator.detectComponentType('.github/copilot-instructions.md')).toBe('copilot-instructions');
+      expect(StructuralValidator.detectComponentType('AGENTS.md')).toBe('workspace-agents');
+      expect(StructuralValidator.detectComponentType('.vscode/mcp.json')).toBe('mcp');
+      expect(StructuralValidator.detectComponentType('components/mcps/github/github.json')).toBe('mcp');
+      expect(StructuralValidator.detectComponentType('components/learning-paths/python.json')).toBeNull();
+      expect(StructuralValidator.detectComponentType('test-agent.md')).toBeNull();
+    });
+
+    it('should apply the Copilot agent schema to .agent.md files', async () => {
+      const content = `---
+name: Tutor
+description: Patient tutor that explains Python basics step by step
+tools: ['read/readFile', 'search']
+---
+
+# Tutor
+
+Explain each concept with a short example and ask a follow-up question.
+`;
+
+      const result = await validator.validate({ content, path: '.github/agents/tutor.agent.md', type: 'agent' });
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toHaveLength(0);
+    });
+
+    it('should accept prompt files without frontmatter and check the mode', async () => {
+      const body = '# Quiz\n\nAsk the student five questions about the current file, one at a time.\n';
+
+      const plain = await validator.validate({ content: body, path: 'quiz.prompt.md', type: 'prompt' });
+      const badMode = await validator.validate({
+        content: `---\nmode: chat\ndescription: Quiz the student on the current file\n---\n\n${body}`,
+        path: 'quiz.prompt.md'
+      });
+
+      expect(plain.valid).toBe(true);
+      expect(codes(badMode.warnings)).toContain('STRUCT_W014');
+    });
+
+    it('should require applyTo globs for instructions', async () => {
+      const body = '\n# Python\n\nUse f-strings and type hints in every example you write for the student.\n';
+
+      const missing = await validator.validate({ content: `---\ndescription: Python style rules for students\n---\n${body}`, path: 'py.instructions.md' });
+      const empty = await validator.validate({ content: `---\napplyTo: '**/*.py,'\n---\n${body}`, path: 'py.instructions.md' });
+      const typo = await validator.validate({ content: `---\napplyto: '**/*.py'\n---\n${body}`, path: 'py.instructions.md' });
+      const valid = await validator.validate({ content: `---\napplyTo: '**/*.py, src/**/*.{js,ts}'\n---\n${body}`, path: 'py.instructions.md' });
+
+      expect(codes(missing.errors)).toEqual(['STRUCT_E006']);
+      expect(codes(empty.errors)).toEqual(['STRUCT_E012']);
+      expect(codes(typo.warnings)).toContain('STRUCT_W013');
+      expect(valid.valid).toBe(true);
+    });
+
+    it('should check skill names against the directory', async () => {
+      const content = name => `---\nname: ${name}\ndescription: Python fundamentals for absolute beginners\n---\n\n# Python Fundamentals\n\nVariables, loops and functions with runnable examples.\n`;
+
+      const valid = await validator.validate({ content: content('python-fundamentals'), path: 'skills/python-fundamentals/SKILL.md' });
+      const invalid = await validator.validate({ content: content('Python Fundamentals'), path: 'skills/python-fundamentals/SKILL.md' });
+      const mismatch = await validator.validate({ content: content('python-basics'), path: 'skills/python-fundamentals/SKILL.md' });
+
+      expect(valid.valid).toBe(true);
+      expect(codes(invalid.errors)).toEqual(['STRUCT_E013']);
+      expect(codes(mismatch.warnings)).toEqual(['STRUCT_W016']);
+    });
+
+    it('should treat copilot-instructions.md and AGENTS.md as plain markdown', async () => {
+      const content = '# Copilot Instructions\n\nYou are assisting a student learning Python. Explain before you show code.\n';
+
+      const result = await validator.validate({ content, path: '.github/copilot-instructions.md' });
+      const withFrontmatter = await validator.validate({ content: `---\nname: x\n---\n${content}`, path: 'AGENTS.md' });
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toHaveLength(0);
+      expect(codes(withFrontmatter.warnings)).toContain('STRUCT_W012');
+    });
+
+    it('should validate MCP server entries', async () => {
+      const config = servers => JSON.stringify({ servers });
+
+      const valid = await validator.validate({
+        content: config({
+          deepwiki: { type: 'http', url: 'https://mcp.deepwiki.com/mcp' },
+          files: { type: 'stdio', command: 'npx', args: ['-y', 'server-filesystem'] }
+        }),
+        path: '.vscode/mcp.json'
+      });
+      const invalid = await validator.validate({
+        content: config({
+          remote: { type: 'http' },
+          local: { type: 'stdio', args: 'server.js' },
+          odd: { type: 'websocket', url: 'wss://example.com' }
+        }),
+        path: '.vscode/mcp.json'
+      });
+      const untyped = await validator.validate({ content: config({ local: { command: 'node' } }), path: '.vscode/mcp.json' });
+      const broken = await validator.validate({ content: '{ "servers": ', path: '.vscode/mcp.json' });
+      const noServers = await validator.validate({ content: '{ "mcpServers": {} }', path: '.vscode/mcp.json' });
+
+      expect(valid.valid).toBe(true);
+      expect(valid.warnings).toHaveLength(0);
+      expect(codes(invalid.errors)).toEqual(['STRUCT_E016', 'STRUCT_E016', 'STRUCT_E016', 'STRUCT_E016']);
+      expect(untyped.valid).toBe(true);
+      expect(codes(untyped.warnings)).toEqual(['STRUCT_W018']);
+      expect(codes(broken.errors)).toEqual(['STRUCT_E014']);
+      expect(codes(noServers.errors)).toEqual(['STRUCT_E015']);
+    });
+
+    it('should keep the Claude Code schema for other files', async () => {
+      const content = `---
+name: test-agent
+description: A test agent for validation testing purposes
+model: sonnet
+---
+
+## Overview
+This is a test agent.
+`;
+
+      const result = await validator.validate({ content, path: 'test-agent.md', type: 'agent' });
+
+      expect(codes(result.errors)).toEqual(['STRUCT_E006']);
+    });
+  });
+
+  describe('Auto-fix', () => {
+    const body = '# Tutor\n\nExplain each **concept** with a [short example](https://example.com).\n';
+
+    it('should leave valid components unchanged', () => {
+      const content = `---\ndescription: Patient tutor for Python basics\ntools: ['search']\n---\n\n${body}`;
+
+      expect(validator.fix({ content, path: '.github/agents/tutor.agent.md' })).toEqual({ content, fixes: [] });
+    });
+
+    it('should remove a byte order mark and convert CRLF line endings', () => {
+      const { content, fixes } = validator.fix({
+        content: '\uFEFF---\r\ndescription: Patient tutor for Python basics\r\n---\r\n# Tutor\r\n',
+        path: '.github/agents/tutor.agent.md'
+      });
+
+      expect(content).toBe('---\ndescription: Patient tutor for Python basics\n---\n# Tutor\n');
+      expect(fixes).toEqual(['removed the byte order mark', 'converted CRLF line endings to LF']);
+    });
+
+    it('should generate a frontmatter skeleton from the file', async () => {
+      const { content, fixes } = validator.fix({ content: body, path: '.github/skills/python-basics/SKILL.md' });
+
+      expect(content).toBe(`---\nname: python-basics\ndescription: Explain each concept with a short example.\n---\n\n${body}`);
+      expect(fixes).toEqual(['added frontmatter with name, description']);
+      expect((await validator.validate({ content, path: '.github/skills/python-basics/SKILL.md' })).valid).toBe(true);
+    });
+
+    it('should leave required fields it cannot infer empty', async () => {
+      const path = '.github/instructions/python.instructions.md';
+      const { content } = validator.fix({ content: body, path });
+
+      expect(content).toMatch(/^---\napplyTo: ''\ndescription: Explain each concept/);
+      expect((await validator.validate({ content, path })).errors.map(e => e.code)).toEqual(['STRUCT_E006']);
+    });
+
+    it('should not add frontmatter to plain markdown or to prompts with nothing to put in it', () => {
+      expect(validator.fix({ content: body, path: 'AGENTS.md' }).fixes).toEqual([]);
+      expect(validator.fix({ content: '# Quiz\n', path: '.github/prompts/quiz.prompt.md' }).fixes).toEqual([]);
+    });
+
+    it('should add inferable missing fields to existing frontmatter', () => {
+      const { content, fixes } = validator.fix({
+        content: `---\n# Owner: docs team\ntools: ['search']\n---\n\n${body}`,
+        path: '.github/agents/tutor.agent.md'
+      });
+
+      expect(content.split('\n').slice(0, 4)).toEqual([
+        '---',
+        '# Owner: docs team',
+        "tools: ['search']",
+        'description: Explain each concept with a short example.'
+      ]);
+      expect(fixes).toEqual(['added description']);
+    });
+
+    it('should normalise tools lists', () => {
+      const fix = (tools, path, type) => validator.fix({
+        content: `---\nname: tutor\ndescription: Patient tutor for Python basics\n${tools}\nmodel: sonnet\n---\n\n${body}`,
+        path,
+        type
+      });
+
+      const copilot = fix('tools: search, fetch ,search', '.github/agents/tutor.agent.md');
+      expect(copilot.content).toContain("tools: ['search', 'fetch']\nmodel: sonnet");
+      expect(copilot.fixes).toEqual(['converted tools to a list']);
+
+      const block = fix("tools:\n  - search\n  - ' fetch'\n  - search", '.github/agents/tutor.agent.md');
+      expect(block.content).toContain("tools: ['search', 'fetch']\nmodel: sonnet");
+      expect(block.fixes).toEqual(['normalised tools']);
+
+      const claude = fix('tools: Read,Grep, Read', 'agents/tutor.md', 'agent');
+      expect(claude.content).toContain('tools: Read, Grep\n');
+    });
+
+    it('should shorten over-long descriptions at a sentence or word', () => {
+      const sentences = 'Explains Python basics step by step. '.repeat(20).trim();
+      const words = 'word '.repeat(150).trim();
+
+      const bySentence = validator.fix({
+        content: `---\ndescription: >\n  ${sentences}\ntools: ['search']\n---\n\n${body}`,
+        path: '.github/agents/tutor.agent.md'
+      });
+      const description = bySentence.content.match(/^description: (.*)$/m)[1];
+      expect(description.length).toBeLessThanOrEqual(validator.MAX_DESCRIPTION_LENGTH);
+      expect(description).toMatch(/step by step\.$/);
+      expect(bySentence.content).toContain(`${description}\ntools: ['search']`);
+      expect(bySentence.fixes).toEqual([`shortened description from ${sentences.length} to ${description.length} characters`]);
+
+      const byWord = validator.shortenDescription(words);
+      expect(byWord.length).toBeLessThanOrEqual(validator.MAX_DESCRIPTION_LENGTH);
+      expect(byWord).toMatch(/ word…$/);
+    });
+
+    it('should leave invalid YAML and MCP configurations alone', () => {
+      expect(validator.fix({ content: '---\ndescription: [unclosed\n---\n# T\n', path: 'a.agent.md' }).fixes).toEqual([]);
+      expect(validator.fix({ content: '{"servers": {}}\r\n', path: '.vscode/mcp.json' })).toEqual({
+        content: '{"servers": {}}\n',
+        fixes: ['converted CRLF line endings to LF']
+      });
+    });
+  });
 });
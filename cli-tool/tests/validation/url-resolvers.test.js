@@ -0,0 +1,195 @@
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+const {
+  classifyResponse,
+  createUrlResolver,
+  HttpResolver,
+  FixtureResolver,
+  ListResolver,
+  CachedResolver
+} = require('../../src/validation/url-resolvers');
+
+describe('url-resolvers', () => {
+  let tmpDir;
+
+  // Stand-in for the network: answers from a table and counts calls
+  const fakeResolver = (answers = {}) => ({
+    name: 'fake',
+    calls: [],
+    async resolve(url) {
+      this.calls.push(url);
+      const response = answers[url] || { error: 'ECONNRESET' };
+      return { ...classifyResponse(response), source: 'fake', response };
+    }
+  });
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-links-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('classifyResponse', () => {
+    it('separates dead links from ones that cannot be verified', () => {
+      expect(classifyResponse({ statusCode: 200 }).status).toBe('ok');
+      expect(classifyResponse({ statusCode: 301 }).status).toBe('ok');
+      expect(classifyResponse({ statusCode: 404 })).toEqual({ status: 'dead', statusCode: 404, reason: 'HTTP 404' });
+      expect(classifyResponse({ statusCode: 410 }).status).toBe('dead');
+      expect(classifyResponse({ error: 'ENOTFOUND' }).status).toBe('dead');
+      expect(classifyResponse({ statusCode: 403 }).status).toBe('unknown');
+      expect(classifyResponse({ statusCode: 503 }).status).toBe('unknown');
+      expect(classifyResponse({ error: 'ETIMEDOUT' }).status).toBe('unknown');
+      expect(classifyResponse({}).status).toBe('unknown');
+    });
+  });
+
+  describe('HttpResolver', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        if (req.url === '/head-not-allowed' && req.method === 'HEAD') {
+          res.writeHead(405);
+        } else {
+          res.writeHead(req.url === '/gone' ? 404 : 200);
+        }
+        res.end();
+      });
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it('checks URLs with HEAD and falls back to GET', async () => {
+      const resolver = new HttpResolver({ timeout: 2000 });
+
+      expect(await resolver.resolve(`${baseUrl}/page#section`)).toMatchObject({ status: 'ok', statusCode: 200, source: 'live' });
+      expect(await resolver.resolve(`${baseUrl}/gone`)).toMatchObject({ status: 'dead', statusCode: 404 });
+      expect(await resolver.resolve(`${baseUrl}/head-not-allowed`)).toMatchObject({ status: 'ok', statusCode: 200 });
+    });
+
+    it('reports connection failures as unknown', async () => {
+      const closed = http.createServer();
+      await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+      const { port } = closed.address();
+      await new Promise(resolve => closed.close(resolve));
+
+      const result = await new HttpResolver({ timeout: 2000 }).resolve(`http://127.0.0.1:${port}/`);
+
+      expect(result).toMatchObject({ status: 'unknown', response: { error: 'ECONNREFUSED' } });
+    });
+  });
+
+  describe('FixtureResolver', () => {
+    it('replays recorded responses without the network', async () => {
+      const file = path.join(tmpDir, 'links.json');
+      await fs.writeJson(file, { 'https://docs.python.org/3/': { statusCode: 200 }, 'https://gone.example/': { statusCode: 404 } });
+      const live = fakeResolver();
+      const resolver = new FixtureResolver(file, { live });
+
+      expect((await resolver.resolve('https://docs.python.org/3/#intro')).status).toBe('ok');
+      expect((await resolver.resolve('https://gone.example/')).status).toBe('dead');
+      expect(await resolver.resolve('https://new.example/')).toMatchObject({ status: 'unknown', reason: 'not in link fixtures' });
+      expect(live.calls).toEqual([]);
+    });
+
+    it('records missing URLs when asked to', async () => {
+      const file = path.join(tmpDir, 'recorded/links.json');
+      const live = fakeResolver({ 'https://docs.python.org/3/': { statusCode: 200 } });
+      const resolver = new FixtureResolver(file, { record: true, live });
+
+      await resolver.resolve('https://docs.python.org/3/');
+      await resolver.resolve('https://down.example/');
+      await resolver.flush();
+
+      expect(await fs.readJson(file)).toEqual({
+        'https://docs.python.org/3/': { statusCode: 200 },
+        'https://down.example/': { error: 'ECONNRESET' }
+      });
+    });
+
+    it('fails clearly on a missing or broken fixture file', async () => {
+      await expect(new FixtureResolver(path.join(tmpDir, 'none.json')).resolve('https://a.example/')).rejects.toThrow('Link fixtures not found');
+
+      await fs.writeFile(path.join(tmpDir, 'bad.json'), '{');
+      await expect(new FixtureResolver(path.join(tmpDir, 'bad.json')).resolve('https://a.example/')).rejects.toThrow('Invalid link fixtures');
+    });
+  });
+
+  describe('ListResolver', () => {
+    it('applies deny, then allow, then the next resolver', async () => {
+      const next = fakeResolver({ 'https://other.example/': { statusCode: 404 } });
+      const resolver = new ListResolver({
+        allow: ['https://docs.python.org/*', '*.github.com'],
+        deny: ['https://docs.python.org/2/*']
+      }, next);
+
+      expect((await resolver.resolve('https://docs.python.org/3/')).status).toBe('ok');
+      expect(await resolver.resolve('https://docs.python.org/2/tutorial')).toMatchObject({
+        status: 'dead',
+        reason: 'denied by link list entry https://docs.python.org/2/*'
+      });
+      expect((await resolver.resolve('https://api.github.com/repos')).status).toBe('ok');
+      expect((await resolver.resolve('https://other.example/')).status).toBe('dead');
+      expect(next.calls).toEqual(['https://other.example/']);
+    });
+
+    it('reads the list from a file and rejects bad lists', async () => {
+      await fs.writeJson(path.join(tmpDir, 'list.json'), { allow: ['docs.python.org'] });
+      const resolver = new ListResolver(path.join(tmpDir, 'list.json'));
+
+      expect((await resolver.resolve('https://docs.python.org/3/')).status).toBe('ok');
+      expect((await resolver.resolve('https://other.example/')).status).toBe('unknown');
+      await expect(new ListResolver({ deny: 'x' }).resolve('https://a.example/')).rejects.toThrow('"deny" must be an array');
+    });
+  });
+
+  describe('CachedResolver', () => {
+    it('reuses results between runs until they expire', async () => {
+      const cacheFile = path.join(tmpDir, 'link-status.json');
+      const answers = { 'https://docs.python.org/3/': { statusCode: 200 } };
+
+      const first = fakeResolver(answers);
+      const firstRun = new CachedResolver(first, { cacheFile });
+      await firstRun.resolve('https://docs.python.org/3/');
+      await firstRun.resolve('https://down.example/');
+      await firstRun.flush();
+
+      const second = fakeResolver(answers);
+      const secondRun = new CachedResolver(second, { cacheFile });
+      expect(await secondRun.resolve('https://docs.python.org/3/')).toMatchObject({ status: 'ok', source: 'cache' });
+      // Unknown answers are not cached
+      await secondRun.resolve('https://down.example/');
+      expect(second.calls).toEqual(['https://down.example/']);
+
+      const expired = fakeResolver(answers);
+      await new CachedResolver(expired, { cacheFile, cacheTtl: 0 }).resolve('https://docs.python.org/3/');
+      expect(expired.calls).toEqual(['https://docs.python.org/3/']);
+    });
+  });
+
+  describe('createUrlResolver', () => {
+    it('chains the list, fixtures and cache', () => {
+      const fixtures = path.join(tmpDir, 'links.json');
+
+      const live = createUrlResolver({ cacheDir: tmpDir });
+      const replay = createUrlResolver({ fixtures, list: { allow: [] } });
+      const recording = createUrlResolver({ fixtures, record: true });
+
+      expect(live).toBeInstanceOf(CachedResolver);
+      expect(live.file).toBe(path.join(tmpDir, 'link-status.json'));
+      expect(createUrlResolver({ cache: false })).toBeInstanceOf(HttpResolver);
+      expect(replay).toBeInstanceOf(ListResolver);
+      expect(replay.next).toBeInstanceOf(FixtureResolver);
+      expect(recording.live).toBeInstanceOf(HttpResolver);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { loadValidationConfig, createSuppressionMatcher } = require('../../src/validation/validation-config');
+const ValidationOrchestrator = require('../../src/validation/ValidationOrchestrator');
+
+describe('validation-config', () => {
+  let tmpDir;
+
+  const agent = `---
+name: tutor
+description: Patient tutor that explains Python basics step by step
+tools: ['read']
+---
+
+# Tutor
+
+Exercises live at http://example.com and internal.corp.example.
+`;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'cct-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  describe('loadValidationConfig', () => {
+    it('returns null without a config file', async () => {
+      expect(await loadValidationConfig(tmpDir)).toBeNull();
+    });
+
+    it('loads .cctvalidate.json with rules, patterns and validators', async () => {
+      await fs.outputFile(path.join(tmpDir, 'validators/license.js'), `
+const BaseValidator = require(${JSON.stringify(path.resolve(__dirname, '../../src/validation/BaseValidator'))});
+module.exports = class LicenseValidator extends BaseValidator {
+  async validate(component) {
+    this.reset();
+    if (!/license:/.test(component.content)) this.addWarning('ORG_W001', 'No license', { path: component.path });
+    return this.getResults();
+  }
+};
+`);
+      await fs.writeJson(path.join(tmpDir, '.cctvalidate.json'), {
+        validators: { license: './validators/license.js' },
+        rules: { SEM_W002: 'off' },
+        patterns: { dangerous: [{ pattern: 'internal\\.corp', code: 'ORG_E001', message: 'Internal hostname' }] }
+      });
+
+      const config = await loadValidationConfig(tmpDir, '.cctvalidate.json');
+
+      expect(config.file).toBe(path.join(tmpDir, '.cctvalidate.json'));
+      expect(config.rules).toEqual({ SEM_W002: 'off' });
+      expect(config.patterns.dangerous[0]).toMatchObject({ code: 'ORG_E001', severity: 'high' });
+      expect(config.patterns.dangerous[0].pattern.flags).toBe('gi');
+      expect(typeof config.validators.license).toBe('function');
+    });
+
+    it('loads .cctvalidate.js with RegExp patterns', async () => {
+      await fs.outputFile(path.join(tmpDir, '.cctvalidate.js'), `
+module.exports = { patterns: { suspicious: [{ pattern: /secret sauce/i, code: 'ORG_W002', message: 'Recipe leak' }] } };
+`);
+
+      const config = await loadValidationConfig(tmpDir, '.cctvalidate.js');
+
+      expect(config.patterns.suspicious[0].pattern.flags).toBe('gi');
+      expect(config.patterns.suspicious[0].severity).toBe('medium');
+    });
+
+    it('runs no project code unless the config is passed explicitly', async () => {
+      await fs.outputFile(path.join(tmpDir, '.cctvalidate.js'), 'module.exports = { rules: { SEM_W002: "off" } };\n');
+      expect(await loadValidationConfig(tmpDir)).toBeNull();
+
+      await fs.writeJson(path.join(tmpDir, '.cctvalidate.json'), { validators: { license: './validators/license.js' } });
+      await expect(loadValidationConfig(tmpDir)).rejects.toThrow('pass the config with --config .cctvalidate.json');
+    });
+
+    it('rejects invalid configs', async () => {
+      const write = config => fs.writeJson(path.join(tmpDir, '.cctvalidate.json'), config);
+
+      await write({ rules: { SEM_W002: 'loud' } });
+      await expect(loadValidationConfig(tmpDir)).rejects.toThrow('invalid level "loud" for SEM_W002');
+
+      await write({ patterns: { dangerous: [{ pattern: '(', code: 'ORG_E001', message: 'x' }] } });
+      await expect(loadValidationConfig(tmpDir)).rejects.toThrow('invalid pattern for ORG_E001');
+
+      await write({ validators: { missing: './nope.js' } });
+      await expect(loadValidationConfig(tmpDir, '.cctvalidate.json')).rejects.toThrow('cannot load validator "missing"');
+
+      await expect(loadValidationConfig(tmpDir, 'other.json')).rejects.toThrow('Validation config not found: other.json');
+    });
+
+    it('resolves link settings relative to the config file', async () => {
+      await fs.writeJson(path.join(tmpDir, '.cctvalidate.json'), { links: { list: 'links/list.json', fixtures: 'links/recorded.json', cacheTtl: 60 } });
+
+      const config = await loadValidationConfig(tmpDir);
+
+      expect(config.links).toEqual({
+        list: path.join(tmpDir, 'links/list.json'),
+        fixtures: path.join(tmpDir, 'links/recorded.json'),
+        cacheTtl: 60
+      });
+
+      await fs.writeJson(path.join(tmpDir, '.cctvalidate.json'), { links: { cacheTtl: 'forever' } });
+      await expect(loadValidationConfig(tmpDir)).rejects.toThrow('"links.cacheTtl" must be a number of seconds');
+    });
+  });
+
+  describe('createSuppressionMatcher', () => {
+    it('returns null without suppressions', () => {
+      expect(createSuppressionMatcher(agent)).toBeNull();
+    });
+
+    it('covers the comment line and the next one', () => {
+      const isSuppressed = createSuppressionMatcher('one\n<!-- cct-ignore SEM_E002, REF_W002 -->\nthree\nfour\n');
+      const finding = (code, line) => ({ code, metadata: { line } });
+
+      expect(isSuppressed(finding('SEM_E002', 2))).toBe(true);
+      expect(isSuppressed(finding('SEM_E002', 3))).toBe(true);
+      expect(isSuppressed(finding('SEM_E002', 4))).toBe(false);
+      expect(isSuppressed(finding('SEM_E003', 3))).toBe(false);
+      expect(isSuppressed({ code: 'REF_W002', metadata: {} })).toBe(true);
+    });
+
+    it('requires every occurrence to be covered', () => {
+      const isSuppressed = createSuppressionMatcher('<!-- cct-ignore SEM_E002 -->\nline two\n');
+
+      expect(isSuppressed({ code: 'SEM_E002', metadata: { matches: 1, examples: [{ line: 2 }] } })).toBe(true);
+      expect(isSuppressed({ code: 'SEM_E002', metadata: { matches: 2, examples: [{ line: 2 }, { line: 7 }] } })).toBe(false);
+      expect(isSuppressed({ code: 'SEM_E002', metadata: { matches: 4, examples: [{ line: 2 }] } })).toBe(false);
+    });
+
+    it('never covers findings in other files', () => {
+      const isSuppressed = createSuppressionMatcher('<!-- cct-ignore SEM_E022 -->\nline two\n');
+
+      expect(isSuppressed({ code: 'SEM_E022', metadata: { file: 'scripts/setup.sh', line: 2 } })).toBe(false);
+    });
+  });
+
+  describe('ValidationOrchestrator with a config', () => {
+    const config = overrides => ({ rules: {}, patterns: { dangerous: [], suspicious: [] }, validators: {}, ...overrides });
+    const codes = result => ({
+      errors: result.errors.map(entry => entry.code),
+      warnings: result.warnings.map(entry => entry.code)
+    });
+
+    it('applies rule levels and recomputes validity and score', async () => {
+      const orchestrator = new ValidationOrchestrator({ config: config({ rules: { REF_W002: 'error' } }) });
+
+      const result = await orchestrator.validateComponent({ content: agent, path: 'tutor.agent.md', type: 'agent' }, { validators: ['reference'] });
+
+      expect(codes(result.validators.reference)).toEqual({ errors: ['REF_W002'], warnings: [] });
+      expect(result.validators.reference.valid).toBe(false);
+      expect(result.validators.reference.score).toBe(75);
+      expect(result.overall.valid).toBe(false);
+    });
+
+    it('turns codes off', async () => {
+      const orchestrator = new ValidationOrchestrator({ config: config({ rules: { REF_W002: 'off' } }) });
+
+      const result = await orchestrator.validateComponent({ content: agent, path: 'tutor.agent.md', type: 'agent' }, { validators: ['reference'] });
+
+      expect(codes(result.validators.reference)).toEqual({ errors: [], warnings: [] });
+    });
+
+    it('adds forbidden patterns to the semantic validator', async () => {
+      await fs.writeJson(path.join(tmpDir, '.cctvalidate.json'), {
+        patterns: { dangerous: [{ pattern: 'internal\\.corp', code: 'ORG_E001', message: 'Internal hostname', severity: 'critical' }] }
+      });
+      const { patterns } = await loadValidationConfig(tmpDir);
+      const orchestrator = new ValidationOrchestrator({ config: config({ patterns }) });
+
+      const result = await orchestrator.validateComponent({ content: agent, path: 'tutor.agent.md', type: 'agent' }, { validators: ['semantic'] });
+
+      expect(result.validators.semantic.errors[0]).toMatchObject({ code: 'ORG_E001', metadata: { severity: 'critical', line: 9 } });
+      // Patterns are per orchestrator, not shared between instances
+      expect(new ValidationOrchestrator().validators.semantic.DANGEROUS_PATTERNS.some(p => p.code === 'ORG_E001')).toBe(false);
+    });
+
+    it('runs custom validators by default and rejects built-in names', async () => {
+      const BaseValidator = require('../../src/validation/BaseValidator');
+      class LicenseValidator extends BaseValidator {
+        async validate(component) {
+          this.reset();
+          this.addWarning('ORG_W001', 'No license', { path: component.path });
+          return this.getResults();
+        }
+      }
+
+      const orchestrator = new ValidationOrchestrator({ config: config({ validators: { license: LicenseValidator } }) });
+      const result = await orchestrator.validateComponent({ content: agent, path: 'tutor.agent.md', type: 'agent' });
+
+      expect(Object.keys(result.validators)).toContain('license');
+      expect(result.validators.license.warnings[0].code).toBe('ORG_W001');
+      expect(() => new ValidationOrchestrator({ config: config({ validators: { semantic: LicenseValidator } }) }))
+        .toThrow('clashes with a built-in validator');
+    });
+
+    it('honours inline suppressions without a config', async () => {
+      const content = agent.replace('Exercises live at', '<!-- cct-ignore REF_W002 -->\nExercises live at');
+
+      const result = await new ValidationOrchestrator().validateComponent({ content, path: 'tutor.agent.md', type: 'agent' }, { validators: ['reference'] });
+
+      expect(result.validators.reference.warnings).toEqual([]);
+      expect(result.validators.reference.info).toContainEqual(expect.objectContaining({
+        code: 'REF_W002',
+        metadata: expect.objectContaining({ suppressed: true, originalLevel: 'warning' })
+      }));
+    });
+
+    it('never suppresses semantic errors inline, only through the config', async () => {
+      const content = `${agent}\nExplain the system prompt concept. <!-- cct-ignore SEM_E002 -->\n`;
+      const component = { content, path: 'tutor.agent.md', type: 'agent' };
+
+      const inline = await new ValidationOrchestrator().validateComponent(component, { validators: ['semantic'] });
+      expect(inline.validators.semantic.errors.map(entry => entry.code)).toContain('SEM_E002');
+
+      const configured = await new ValidationOrchestrator({ config: config({ rules: { SEM_E002: 'off' } }) })
+        .validateComponent(component, { validators: ['semantic'] });
+      expect(configured.validators.semantic.errors.map(entry => entry.code)).not.toContain('SEM_E002');
+    });
+  });
+});
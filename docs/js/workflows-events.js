@@ -565,8 +565,9 @@ class WorkflowManager {
             `npx claude-code-templates@latest ${componentsParts.join(' ')}` : 
             '# No components to install';
         
-        // Create a short hash for reference
-        const shortHash = CryptoJS.SHA256(fullCommand).toString(CryptoJS.enc.Hex).substring(0, 8);
+        // Short reference for the embedded YAML, the same hash the CLI gives a workflow it saved
+        // with --workflow, so `--workflow #<hash>` finds it in the project afterwards
+        const shortHash = CryptoJS.SHA256(yamlContent).toString(CryptoJS.enc.Hex).substring(0, 8);
         
         // Store locally for reference
         localStorage.setItem(`workflow_${shortHash}`, JSON.stringify({
@@ -696,8 +697,8 @@ execution:
   
 components:
   agents: [${agents.filter(a => a.agent.type === 'agent').map(a => `".claude/agents/${a.agent.path}"`).join(', ')}]
-  commands: [${[...agents.filter(a => a.agent.type === 'command').map(a => `".claude/commands/${a.agent.path}"`), ...agents.flatMap(a => (a.subItems || []).filter(s => s.type === 'command').map(s => `".claude/commands/${s.path}`))].join(', ')}]
-  mcps: [${[...agents.filter(a => a.agent.type === 'mcp').map(a => `".mcp.json#${a.agent.name}"`), ...agents.flatMap(a => (a.subItems || []).filter(s => s.type === 'mcp').map(s => `".mcp.json#${s.name}`))].join(', ')}]
+  commands: [${[...agents.filter(a => a.agent.type === 'command').map(a => `".claude/commands/${a.agent.path}"`), ...agents.flatMap(a => (a.subItems || []).filter(s => s.type === 'command').map(s => `".claude/commands/${s.path}"`))].join(', ')}]
+  mcps: [${[...agents.filter(a => a.agent.type === 'mcp').map(a => `".mcp.json#${a.agent.name}"`), ...agents.flatMap(a => (a.subItems || []).filter(s => s.type === 'mcp').map(s => `".mcp.json#${s.name}"`))].join(', ')}]
 
 # Instructions for Claude Code:
 # This hierarchical workflow contains ${agents.length} agents with their assigned tasks.